@@ -39,6 +39,32 @@ function clearSession() {
     sessionStorage.clear();
 }
 
+// The replay page opens in a tab of its own, so the last game log is kept in localStorage
+function storeGameLog(log) {
+    try {
+        localStorage.setItem('gameLog', JSON.stringify(log));
+    } catch (err) {
+        console.warn('[REPLAY] Could not keep the game log:', err.message);
+    }
+}
+
+function loadStoredGameLog() {
+    try {
+        return JSON.parse(localStorage.getItem('gameLog'));
+    } catch (err) {
+        return null;
+    }
+}
+
+function downloadJson(filename, data) {
+    const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
 // Common Socket Listeners
 socket.on('connect', () => {
     console.log('[SOCKET.IO] Connected to server. Socket ID:', socket.id);
@@ -62,11 +88,37 @@ socket.on('connect_error', (error) => {
     console.error('[SOCKET.IO] Error details:', error);
 });
 
+// Errors carry a code (see validation.js); the ones with a translation are shown in the player's language
+function errorMessage({ code, message, params }) {
+    const key = `error.${code}`;
+    return code && MESSAGES[DEFAULT_LOCALE][key] ? t(key, params) : message;
+}
+
 socket.on('error', (data) => {
-    alert(data.message);
+    alert(errorMessage(data));
+});
+
+// The host kicked or banned this player. A ban keeps the session, so trying to come back
+// with the same player ID is refused as well.
+socket.on('player-removed', ({ playerId, banned }) => {
+    if (playerId !== getSession().playerId) return;
+    alert(t(banned ? 'mod.you-were-banned' : 'mod.you-were-kicked'));
+    if (!banned) clearSession();
+    window.location.href = '/';
 });
 
 // UI Helpers
+
+// Text players typed, made safe to put into innerHTML markup
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 function updateElement(id, text) {
     const el = document.getElementById(id);
     if (el) el.textContent = text;
@@ -78,12 +130,38 @@ function copyToClipboard(text) {
         const btn = document.getElementById('copyBtn');
         if (btn) {
             const originalText = btn.innerHTML;
-            btn.textContent = 'Copied!';
+            btn.textContent = t('common.copied');
             setTimeout(() => btn.innerHTML = originalText, 2000);
         }
     });
 }
 
+// Host moderation buttons for a player or spectator row, handled by bindModeration().
+// Bots can only be removed.
+function moderationButtons(member, canBecomeHost) {
+    const button = (event, label) =>
+        `<button class="mod-btn" data-mod="${event}" data-id="${member.id}" data-name="${member.name}">${t(label)}</button>`;
+    return `
+        <span class="mod-actions">
+            ${canBecomeHost && !member.isBot ? button('transfer-host', 'mod.make-host') : ''}
+            ${button('kick-player', 'mod.kick')}
+            ${member.isBot ? '' : button('ban-player', 'mod.ban')}
+        </span>
+    `;
+}
+
+function bindModeration(container, gameCode) {
+    container.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-mod]');
+        if (!btn) return;
+        e.stopPropagation();
+        const { mod, id, name } = btn.dataset;
+        if (confirm(t(`mod.${mod}-confirm`, { name }))) {
+            socket.emit(mod, { gameCode, playerId: id });
+        }
+    });
+}
+
 // Random Name Generator
 const adjectives = [
     'Happy', 'Lucky', 'Swift', 'Brave', 'Clever', 'Mighty', 'Noble', 'Silent',
@@ -101,8 +179,13 @@ const nouns = [
     'Butterfly', 'Dragonfly', 'Firefly', 'Beetle', 'Mantis', 'Scorpion'
 ];
 
+// Names are at most 15 characters (MAX_NAME_LENGTH in validation.js), so skip longer pairs
 function generateRandomName() {
-    const adjective = adjectives[Math.floor(Math.random() * adjectives.length)];
-    const noun = nouns[Math.floor(Math.random() * nouns.length)];
-    return `${adjective}${noun}`;
+    let name;
+    do {
+        const adjective = adjectives[Math.floor(Math.random() * adjectives.length)];
+        const noun = nouns[Math.floor(Math.random() * nouns.length)];
+        name = `${adjective}${noun}`;
+    } while (name.length > 15);
+    return name;
 }
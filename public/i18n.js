@@ -0,0 +1,976 @@
+// UI strings and system messages in every supported language.
+// Loaded by the pages as a plain script and required by the server, which stores
+// system messages as { key, params } so each client renders them in its own language.
+
+const LOCALES = ['en', 'es', 'de'];
+const DEFAULT_LOCALE = 'en';
+const LOCALE_NAMES = { en: 'English', es: 'Español', de: 'Deutsch' };
+
+const MESSAGES = {
+    en: {
+        'language.label': 'Language',
+        'common.exit': 'EXIT',
+        'common.copied': '✓ Copied!',
+        'common.game-code': 'Game Code',
+
+        'home.subtitle': 'Trade clever clues, read the room, and catch the odd word.',
+        'home.create-title': 'Create New Game',
+        'home.nickname': 'Your Nickname',
+        'home.password': 'Room Password',
+        'home.password-create-placeholder': 'Optional - leave empty for an open room',
+        'home.password-join-placeholder': 'Ask the host',
+        'home.create-placeholder': 'E.g. Agent 007',
+        'home.create-button': 'Create Game',
+        'home.join-title': 'Join Existing Game',
+        'home.code-placeholder': '6-LETTER CODE',
+        'home.join-placeholder': 'E.g. Double Agent',
+        'home.join-button': 'Join Game',
+        'home.watch-button': 'Watch',
+        'home.watch-title': 'Join as a spectator, without playing',
+        'home.version': 'Version',
+        'home.enter-name': 'Please enter your name',
+        'home.enter-code-name': 'Please enter code and name',
+        'home.browse': 'Browse public rooms',
+
+        'lobby.tap-to-copy': 'Tap code to copy',
+        'lobby.copy-link': 'Copy Game Link',
+        'lobby.share-hint': 'Share this link - Each person gets a unique random name',
+        'lobby.share-hint-password': 'The link does not include the password - share it separately',
+        'lobby.password': 'Room password',
+        'lobby.password-placeholder': 'New password',
+        'lobby.password-set': 'Set',
+        'lobby.password-on': 'Password protected',
+        'lobby.password-off': 'No password',
+        'lobby.public-room': 'List in the public room browser',
+        'lobby.add-bot': 'Add Bot',
+        'lobby.bot-easy': 'Easy bot',
+        'lobby.bot-medium': 'Medium bot',
+        'lobby.bot-hard': 'Hard bot',
+        'lobby.players': 'Players',
+        'lobby.loading-players': 'Loading players...',
+        'lobby.settings': 'Game Settings',
+        'lobby.host-only': 'Host only',
+        'lobby.host': 'Host',
+        'lobby.you': '(You)',
+        'lobby.away': '(Away)',
+        'lobby.spectators': 'Spectators',
+        'lobby.god-view': 'God view for spectators (every role and word)',
+        'lobby.word-pack': 'Custom word pack',
+        'lobby.word-pack-builtin': 'Using the built-in words',
+        'lobby.word-pack-loaded': '{count} custom pair(s) loaded',
+        'lobby.word-pack-placeholder': 'One pair per line (CSV) or a JSON list\ncivilian,imposter\nCoffee,Tea',
+        'lobby.upload': 'Upload File',
+        'lobby.use-pack': 'Use Pack',
+        'lobby.remove': 'Remove',
+        'lobby.start': 'Start Game',
+        'lobby.need-players': 'Need {count} more player(s)',
+        'lobby.waiting-host': 'Waiting for host to start...',
+
+        'browse.title': 'Public Rooms',
+        'browse.subtitle': 'Pick a room and jump in',
+        'browse.empty': 'No public rooms right now. Create a game and list it from the lobby.',
+        'browse.hosted-by': 'Hosted by {name}',
+        'browse.players': '{count} players',
+        'browse.watching': '{count} watching',
+        'browse.status-lobby': 'In lobby',
+        'browse.status-playing': 'In progress - join as waiting',
+        'browse.status-ended': 'Between games',
+        'browse.rounds': '{count} rounds',
+        'browse.best-of': 'Best of {count}',
+        'browse.imposters': '{count} imposters',
+        'browse.blank': 'Mr. White',
+        'browse.custom-words': 'Custom words',
+        'browse.join': 'Join',
+        'browse.back': 'Back to home',
+        'replay.title': 'Game Replay',
+        'replay.subtitle': 'Step through a finished game with every role revealed',
+        'replay.load': 'Load a game log',
+        'replay.empty': 'Finish a game, or load a game log you downloaded from the end screen.',
+        'replay.invalid': 'This file is not a game log.',
+        'replay.previous': 'Previous',
+        'replay.next': 'Next',
+        'replay.roles': 'Roles',
+        'replay.round': 'Round {round}',
+        'replay.role-dealt': '{name} is {role} · {word}',
+        'replay.voting': 'Voting starts',
+        'replay.sudden-death': 'Sudden death: one last vote',
+        'replay.guessing': 'Last chance to guess the word',
+        'replay.description': '{name}: {text}',
+        'replay.skipped-timeout': '{name} ran out of time',
+        'replay.skipped-left': '{name} left and was skipped',
+        'replay.skipped-pass': '{name} found no clue the rules allow and passed',
+        'replay.vote': '{voter} votes for {target}',
+        'replay.nobody': 'nobody',
+        'replay.elimination': '{name} is voted out ({role}, {votes} votes)',
+        'replay.guess-correct': '{name} guesses "{text}" and is right',
+        'replay.guess-wrong': '{name} guesses "{text}" and is wrong',
+        'replay.no-elimination': 'Nobody is voted out',
+        'replay.player-joined': '{name} joins and waits for the next game',
+        'replay.player-left': '{name} leaves the game',
+        'replay.points': '{count} pts',
+
+        'settings.imposterCount': 'Imposters',
+        'settings.auto': 'Auto',
+        'settings.blankCount': 'Mr. White (no word)',
+        'settings.imposterGuess': 'Imposter last-chance guess',
+        'settings.locale': 'Word language',
+        'settings.categories': 'Word categories (none = all)',
+        'settings.minDifficulty': 'Easiest words',
+        'settings.maxDifficulty': 'Hardest words',
+        'settings.includeBuiltInPairs': 'Mix custom pack with built-in words',
+        'settings.maxRounds': 'Max rounds',
+        'settings.roundLimitOutcome': 'When rounds run out',
+        'settings.seriesLength': 'Games per match (1 = single game)',
+        'settings.rotateHost': 'Rotate host between games',
+        'roundLimit.imposter': 'Imposters win',
+        'roundLimit.sudden-death': 'Sudden-death vote',
+        'roundLimit.draw': 'Draw',
+        'settings.minPlayers': 'Minimum players',
+        'settings.descriptionTimeoutMs': 'Turn time (sec, 0 = off)',
+        'settings.votingTimeoutMs': 'Voting time (sec, 0 = off)',
+        'settings.guessTimeoutMs': 'Guess time (sec, 0 = off)',
+        'settings.resultsDelayMs': 'Results pause (sec)',
+        'settings.scoring.civilianSurvival': 'Civilian points per round',
+        'settings.scoring.imposterSurvival': 'Imposter points per round',
+        'settings.scoring.civilianWin': 'Civilian win bonus',
+        'settings.scoring.imposterWin': 'Imposter win bonus',
+        'settings.clueRules.maxWords': 'Words per clue (0 = any)',
+        'settings.clueRules.rejectOwnWord': 'Reject clues with your own word',
+        'settings.clueRules.rejectOtherWord': 'Reject clues with the other word',
+        'settings.clueRules.rejectRepeats': 'Reject repeated clues',
+        'settings.clueRules.blocklist': 'Blocked words (comma-separated)',
+        'error.clue-too-long': 'Clues can have at most {max} word(s). Try again!',
+        'error.clue-own-word': 'Your clue gives away your own word. Try again!',
+        'error.clue-other-word': 'Your clue contains the other secret word. Try again!',
+        'error.clue-repeated': 'That clue was already given this game. Try again!',
+        'error.clue-blocked': '"{word}" is blocked in this room. Try again!',
+
+        'difficulty.1': 'Easy',
+        'difficulty.2': 'Medium',
+        'difficulty.3': 'Hard',
+
+        'category.places': 'places',
+        'category.jobs': 'jobs',
+        'category.food': 'food',
+        'category.events': 'events',
+        'category.activities': 'activities',
+        'category.nature': 'nature',
+        'category.travel': 'travel',
+        'category.entertainment': 'entertainment',
+        'category.science': 'science',
+        'category.everyday': 'everyday',
+        'category.animals': 'animals',
+        'category.abstract': 'abstract',
+
+        'role.civilian': 'civilian',
+        'role.imposter': 'imposter',
+        'role.blank': 'Mr. White',
+
+        'phase.lobby': 'lobby',
+        'phase.waiting': 'waiting',
+        'phase.description': 'description',
+        'phase.voting': 'voting',
+        'phase.guess': 'guess',
+        'phase.results': 'results',
+        'phase.ended': 'ended',
+
+        'winner.civilians': 'Civilians win',
+        'winner.blank': 'Mr. White wins',
+        'winner.imposter': 'Imposter wins',
+        'winner.imposters': 'Imposters win',
+        'winner.draw': "It's a draw",
+
+        'game.copy-link-title': 'Click to copy game link',
+        'game.round': 'Round',
+        'game.round-of': '{round} of {max}',
+        'game.sudden-death': 'Sudden death',
+        'game.imposter-total': '{count} imposters •',
+        'game.skip': 'Skip',
+        'game.skip-title': 'Start over with new words',
+        'game.skip-confirm': 'Skip this game and deal a new set of words?',
+        'game.your-word': 'Your Word',
+        'game.spectator': 'SPECTATOR',
+        'game.waiting-next-game': 'WAITING FOR NEXT GAME',
+        'game.no-word': 'NO WORD - BLEND IN',
+        'game.vote-submitted': 'Vote successfully submitted!',
+        'game.none': 'None',
+        'game.submit-vote': 'Submit Vote',
+        'game.last-chance': 'Last Chance',
+        'game.last-chance-hint': 'LAST CHANCE!',
+        'game.round-ended': 'Round Ended',
+        'game.round-results': 'Round Results',
+        'game.preparing': 'Preparing for next round...',
+        'game.new-game': 'Start New Game',
+        'game.log-started': 'Game Log Started',
+        'game.your-turn': "IT'S YOUR TURN!",
+        'game.was-eliminated': '{name} was eliminated',
+        'game.guess-prompt-steal': 'You get one guess at the civilian word. Get it right to steal the win for the imposters!',
+        'game.guess-prompt-win': 'You get one guess at the civilian word. Get it right to win the game!',
+        'game.guessing-word': '{name} is guessing the civilian word...',
+        'game.eliminated-player': 'The eliminated player',
+        'game.result-civilians': 'Civilians Win!',
+        'game.result-blank': 'Mr. White Wins!',
+        'game.result-imposter': 'Imposter Wins!',
+        'game.result-imposters': 'Imposters Win!',
+        'game.result-draw': "It's a Draw!",
+        'game.tie': 'It was a Tie! No one was eliminated.',
+        'game.no-elimination': 'No one was eliminated this round.',
+        'game.imposter-was': 'The Imposter Was',
+        'game.imposters-were': 'The Imposters Were',
+        'game.blank-was': 'Mr. White Was',
+        'game.unknown': 'Unknown',
+        'game.civilian-word': "Civilian's Word",
+        'game.imposter-word': "Imposter's Word",
+        'game.guessed-correct': 'Guessed "{guess}" - correct!',
+        'game.guessed-wrong': 'Guessed "{guess}" - wrong',
+        'game.message-placeholder': 'Message...',
+        'game.describe-placeholder': 'Describe your word...',
+        'game.waiting-for': 'Waiting for {name}...',
+        'game.player': 'player',
+        'game.voting-placeholder': 'Voting in progress...',
+        'game.guess-placeholder': 'Guess the civilian word...',
+        'game.is-guessing': '{name} is guessing...',
+        'game.scoreboard': 'Scores',
+        'game.scoreboard-title': 'Show the scoreboard',
+        'game.final-scores': 'Final Scores',
+        'game.this-game': 'This Game',
+        'game.total': 'Total',
+        'game.reset-scores': 'Reset Scores',
+        'game.reset-scores-confirm': "Reset everyone's total points to zero?",
+        'game.download-log': 'Download Game Log',
+        'game.replay': 'Watch Replay',
+        'game.watching': 'WATCHING',
+        'game.words': 'Words',
+        'game.spectator-count': '{count} watching',
+        'game.god-view': 'God view',
+        'game.god-view-title': 'Let spectators see every role and word',
+        'game.spectator-chat': 'spectators only',
+        'game.spectator-placeholder': 'Message other spectators...',
+        'mod.manage': 'Manage',
+        'mod.manage-title': 'Manage players and the room',
+        'mod.make-host': 'Make host',
+        'mod.kick': 'Kick',
+        'mod.ban': 'Ban',
+        'mod.transfer-host-confirm': 'Make {name} the host?',
+        'mod.kick-player-confirm': 'Remove {name} from the game?',
+        'mod.ban-player-confirm': 'Remove {name} and keep them out of this game?',
+        'mod.you-were-kicked': 'The host removed you from the game.',
+        'mod.you-were-banned': 'The host banned you from this game.',
+        'mod.lock-room': 'Lock room (no new players or spectators)',
+        'game.series-game': 'Game {number} of {length}',
+        'game.series-standings': 'Match Standings',
+        'game.wins': 'Wins',
+        'game.points': 'Points',
+        'game.champion': 'Match Champion',
+        'game.champions': 'Match Champions',
+        'game.next-game': 'Next Game',
+        'game.new-match': 'Start New Match',
+        'game.series-result': 'Game {number}: {winner:winner}',
+
+        'system.player-joined': '{name} joined',
+        'system.player-joined-next-game': '{name} joined and will play next game',
+        'system.spectator-left': '{name} stopped watching',
+        'system.spectator-joined': '{name} joined as a spectator',
+        'system.player-left-lobby': '{name} left the lobby',
+        'system.new-host': '{name} is now the host',
+        'system.player-disconnected': '{name} disconnected',
+        'system.turn-skipped-disconnect': "Skipping {name}'s turn...",
+        'system.no-imposters-left': 'No imposters left! Civilians win!',
+        'system.not-enough-civilians': 'Not enough civilians! {winner:winner}!',
+        'system.round-started': 'Round {round} of {maxRounds} started!',
+        'system.voting-started': 'Voting phase started!',
+        'system.turn-timed-out': '{name} ran out of time. Skipping turn...',
+        'system.turn-passed': '{name} found no clue the rules allow. Skipping turn...',
+        'system.voting-timed-out': "Time's up!",
+        'system.voting-timed-out-abstained': "Time's up! {names} abstained.",
+        'system.none-won': "Vote for 'None' won! No one eliminated.",
+        'system.player-eliminated': '{name} was eliminated! Role: {role:role}',
+        'system.no-votes': 'No votes were cast. No one eliminated.',
+        'system.tie-vote': 'Tie vote! No one eliminated.',
+        'system.game-over': 'Game Over! {winner:winner}!',
+        'system.guess-started': '{name} gets one chance to guess the civilian word!',
+        'system.guess-correct': '{name} guessed "{guess}" - correct!',
+        'system.guess-wrong': '{name} guessed "{guess}" - wrong!',
+        'system.guess-timed-out': '{name} ran out of time to guess.',
+        'system.name-changed': '{oldName} changed their name to {newName}',
+        'system.scores-reset': '{name} reset the scores',
+        'system.sudden-death': 'Out of rounds! Sudden death: one last vote, no clues.',
+        'system.out-of-rounds': 'Out of rounds!',
+        'system.series-won': '{names} won the match!',
+        'system.god-view-on': 'Spectators can now see every role and word',
+        'system.god-view-off': 'Spectators no longer see the roles and words',
+        'system.player-kicked': '{name} was removed by the host',
+        'system.player-banned': '{name} was banned by the host',
+        'system.room-locked': 'The host locked the room',
+        'system.room-unlocked': 'The host unlocked the room',
+        'system.password-set': 'The host set a room password',
+        'system.password-removed': 'The host removed the room password',
+        'system.room-public': 'The host listed the room in the public room browser',
+        'system.room-private': 'The host took the room off the public room browser',
+        'system.bot-added': '{name} joined as a bot'
+    },
+
+    es: {
+        'language.label': 'Idioma',
+        'common.exit': 'SALIR',
+        'common.copied': '✓ ¡Copiado!',
+        'common.game-code': 'Código de partida',
+
+        'home.subtitle': 'Da pistas ingeniosas, lee a la sala y descubre la palabra distinta.',
+        'home.create-title': 'Crear partida nueva',
+        'home.nickname': 'Tu apodo',
+        'home.password': 'Contraseña de la sala',
+        'home.password-create-placeholder': 'Opcional: déjala vacía para una sala abierta',
+        'home.password-join-placeholder': 'Pídesela al anfitrión',
+        'home.create-placeholder': 'Ej. Agente 007',
+        'home.create-button': 'Crear partida',
+        'home.join-title': 'Unirse a una partida',
+        'home.code-placeholder': 'CÓDIGO DE 6 LETRAS',
+        'home.join-placeholder': 'Ej. Agente doble',
+        'home.join-button': 'Unirse',
+        'home.watch-button': 'Mirar',
+        'home.watch-title': 'Entrar como espectador, sin jugar',
+        'home.version': 'Versión',
+        'home.enter-name': 'Escribe tu nombre',
+        'home.enter-code-name': 'Escribe el código y tu nombre',
+        'home.browse': 'Ver salas públicas',
+
+        'lobby.tap-to-copy': 'Toca el código para copiarlo',
+        'lobby.copy-link': 'Copiar enlace de la partida',
+        'lobby.share-hint': 'Comparte este enlace: cada persona recibe un nombre aleatorio',
+        'lobby.share-hint-password': 'El enlace no incluye la contraseña: compártela por separado',
+        'lobby.password': 'Contraseña de la sala',
+        'lobby.password-placeholder': 'Nueva contraseña',
+        'lobby.password-set': 'Guardar',
+        'lobby.password-on': 'Protegida con contraseña',
+        'lobby.password-off': 'Sin contraseña',
+        'lobby.public-room': 'Mostrar en la lista de salas públicas',
+        'lobby.add-bot': 'Añadir bot',
+        'lobby.bot-easy': 'Bot fácil',
+        'lobby.bot-medium': 'Bot medio',
+        'lobby.bot-hard': 'Bot difícil',
+        'lobby.players': 'Jugadores',
+        'lobby.loading-players': 'Cargando jugadores...',
+        'lobby.settings': 'Ajustes de la partida',
+        'lobby.host-only': 'Solo el anfitrión',
+        'lobby.host': 'Anfitrión',
+        'lobby.you': '(Tú)',
+        'lobby.away': '(Ausente)',
+        'lobby.spectators': 'Espectadores',
+        'lobby.god-view': 'Vista total para espectadores (todos los roles y palabras)',
+        'lobby.word-pack': 'Paquete de palabras propio',
+        'lobby.word-pack-builtin': 'Usando las palabras incluidas',
+        'lobby.word-pack-loaded': '{count} pareja(s) propia(s) cargada(s)',
+        'lobby.word-pack-placeholder': 'Una pareja por línea (CSV) o una lista JSON\ncivilian,imposter\nCafé,Té',
+        'lobby.upload': 'Subir archivo',
+        'lobby.use-pack': 'Usar paquete',
+        'lobby.remove': 'Quitar',
+        'lobby.start': 'Empezar partida',
+        'lobby.need-players': 'Faltan {count} jugador(es)',
+        'lobby.waiting-host': 'Esperando a que el anfitrión empiece...',
+
+        'browse.title': 'Salas públicas',
+        'browse.subtitle': 'Elige una sala y únete',
+        'browse.empty': 'Ahora no hay salas públicas. Crea una partida y publícala desde la sala.',
+        'browse.hosted-by': 'Anfitrión: {name}',
+        'browse.players': '{count} jugadores',
+        'browse.watching': '{count} mirando',
+        'browse.status-lobby': 'En la sala de espera',
+        'browse.status-playing': 'En curso: entras como espera',
+        'browse.status-ended': 'Entre partidas',
+        'browse.rounds': '{count} rondas',
+        'browse.best-of': 'Al mejor de {count}',
+        'browse.imposters': '{count} impostores',
+        'browse.blank': 'Mr. White',
+        'browse.custom-words': 'Palabras propias',
+        'browse.join': 'Unirse',
+        'browse.back': 'Volver al inicio',
+        'replay.title': 'Repetición',
+        'replay.subtitle': 'Repasa una partida terminada con todos los roles a la vista',
+        'replay.load': 'Cargar un registro de partida',
+        'replay.empty': 'Termina una partida o carga un registro descargado desde la pantalla final.',
+        'replay.invalid': 'Este archivo no es un registro de partida.',
+        'replay.previous': 'Anterior',
+        'replay.next': 'Siguiente',
+        'replay.roles': 'Roles',
+        'replay.round': 'Ronda {round}',
+        'replay.role-dealt': '{name} es {role} · {word}',
+        'replay.voting': 'Empieza la votación',
+        'replay.sudden-death': 'Muerte súbita: una última votación',
+        'replay.guessing': 'Última oportunidad de adivinar la palabra',
+        'replay.description': '{name}: {text}',
+        'replay.skipped-timeout': 'A {name} se le acabó el tiempo',
+        'replay.skipped-left': '{name} se fue y se saltó su turno',
+        'replay.skipped-pass': '{name} no encontró ninguna pista permitida y pasó',
+        'replay.vote': '{voter} vota por {target}',
+        'replay.nobody': 'nadie',
+        'replay.elimination': '{name} queda eliminado ({role}, {votes} votos)',
+        'replay.guess-correct': '{name} dice "{text}" y acierta',
+        'replay.guess-wrong': '{name} dice "{text}" y falla',
+        'replay.no-elimination': 'Nadie queda eliminado',
+        'replay.player-joined': '{name} entra y espera a la próxima partida',
+        'replay.player-left': '{name} abandona la partida',
+        'replay.points': '{count} pts',
+
+        'settings.imposterCount': 'Impostores',
+        'settings.auto': 'Auto',
+        'settings.blankCount': 'Mr. White (sin palabra)',
+        'settings.imposterGuess': 'Última oportunidad del impostor',
+        'settings.locale': 'Idioma de las palabras',
+        'settings.categories': 'Categorías (ninguna = todas)',
+        'settings.minDifficulty': 'Palabras más fáciles',
+        'settings.maxDifficulty': 'Palabras más difíciles',
+        'settings.includeBuiltInPairs': 'Mezclar el paquete propio con las palabras incluidas',
+        'settings.maxRounds': 'Rondas máximas',
+        'settings.roundLimitOutcome': 'Al acabarse las rondas',
+        'settings.seriesLength': 'Partidas por encuentro (1 = partida suelta)',
+        'settings.rotateHost': 'Rotar anfitrión entre partidas',
+        'roundLimit.imposter': 'Ganan los impostores',
+        'roundLimit.sudden-death': 'Votación a muerte súbita',
+        'roundLimit.draw': 'Empate',
+        'settings.minPlayers': 'Jugadores mínimos',
+        'settings.descriptionTimeoutMs': 'Tiempo por turno (s, 0 = sin límite)',
+        'settings.votingTimeoutMs': 'Tiempo de votación (s, 0 = sin límite)',
+        'settings.guessTimeoutMs': 'Tiempo para adivinar (s, 0 = sin límite)',
+        'settings.resultsDelayMs': 'Pausa de resultados (s)',
+        'settings.scoring.civilianSurvival': 'Puntos de civil por ronda',
+        'settings.scoring.imposterSurvival': 'Puntos de impostor por ronda',
+        'settings.scoring.civilianWin': 'Bonus de victoria civil',
+        'settings.scoring.imposterWin': 'Bonus de victoria impostora',
+        'settings.clueRules.maxWords': 'Palabras por pista (0 = sin límite)',
+        'settings.clueRules.rejectOwnWord': 'Rechazar pistas con tu propia palabra',
+        'settings.clueRules.rejectOtherWord': 'Rechazar pistas con la otra palabra',
+        'settings.clueRules.rejectRepeats': 'Rechazar pistas repetidas',
+        'settings.clueRules.blocklist': 'Palabras prohibidas (separadas por comas)',
+        'error.clue-too-long': 'Las pistas pueden tener como máximo {max} palabra(s). ¡Inténtalo de nuevo!',
+        'error.clue-own-word': 'Tu pista revela tu propia palabra. ¡Inténtalo de nuevo!',
+        'error.clue-other-word': 'Tu pista contiene la otra palabra secreta. ¡Inténtalo de nuevo!',
+        'error.clue-repeated': 'Esa pista ya se dio en esta partida. ¡Inténtalo de nuevo!',
+        'error.clue-blocked': '"{word}" está prohibida en esta sala. ¡Inténtalo de nuevo!',
+
+        'difficulty.1': 'Fácil',
+        'difficulty.2': 'Media',
+        'difficulty.3': 'Difícil',
+
+        'category.places': 'lugares',
+        'category.jobs': 'oficios',
+        'category.food': 'comida',
+        'category.events': 'eventos',
+        'category.activities': 'actividades',
+        'category.nature': 'naturaleza',
+        'category.travel': 'viajes',
+        'category.entertainment': 'ocio',
+        'category.science': 'ciencia',
+        'category.everyday': 'día a día',
+        'category.animals': 'animales',
+        'category.abstract': 'abstracto',
+
+        'role.civilian': 'civil',
+        'role.imposter': 'impostor',
+        'role.blank': 'Mr. White',
+
+        'phase.lobby': 'sala',
+        'phase.waiting': 'esperando',
+        'phase.description': 'descripción',
+        'phase.voting': 'votación',
+        'phase.guess': 'adivinanza',
+        'phase.results': 'resultados',
+        'phase.ended': 'terminada',
+
+        'winner.civilians': 'Ganan los civiles',
+        'winner.blank': 'Gana Mr. White',
+        'winner.imposter': 'Gana el impostor',
+        'winner.imposters': 'Ganan los impostores',
+        'winner.draw': 'Empate',
+
+        'game.copy-link-title': 'Haz clic para copiar el enlace',
+        'game.round': 'Ronda',
+        'game.round-of': '{round} de {max}',
+        'game.sudden-death': 'Muerte súbita',
+        'game.imposter-total': '{count} impostores •',
+        'game.skip': 'Saltar',
+        'game.skip-title': 'Empezar de nuevo con otras palabras',
+        'game.skip-confirm': '¿Saltar esta partida y repartir palabras nuevas?',
+        'game.your-word': 'Tu palabra',
+        'game.spectator': 'ESPECTADOR',
+        'game.waiting-next-game': 'ESPERANDO LA SIGUIENTE PARTIDA',
+        'game.no-word': 'SIN PALABRA - DISIMULA',
+        'game.vote-submitted': '¡Voto enviado!',
+        'game.none': 'Nadie',
+        'game.submit-vote': 'Enviar voto',
+        'game.last-chance': 'Última oportunidad',
+        'game.last-chance-hint': '¡ÚLTIMA OPORTUNIDAD!',
+        'game.round-ended': 'Ronda terminada',
+        'game.round-results': 'Resultados de la ronda',
+        'game.preparing': 'Preparando la siguiente ronda...',
+        'game.new-game': 'Nueva partida',
+        'game.log-started': 'Comienza el registro',
+        'game.your-turn': '¡TE TOCA!',
+        'game.was-eliminated': '{name} ha sido eliminado',
+        'game.guess-prompt-steal': 'Tienes un intento para adivinar la palabra civil. ¡Acierta y roba la victoria para los impostores!',
+        'game.guess-prompt-win': 'Tienes un intento para adivinar la palabra civil. ¡Acierta y ganas la partida!',
+        'game.guessing-word': '{name} está adivinando la palabra civil...',
+        'game.eliminated-player': 'El jugador eliminado',
+        'game.result-civilians': '¡Ganan los civiles!',
+        'game.result-blank': '¡Gana Mr. White!',
+        'game.result-imposter': '¡Gana el impostor!',
+        'game.result-imposters': '¡Ganan los impostores!',
+        'game.result-draw': '¡Empate!',
+        'game.tie': '¡Empate! Nadie ha sido eliminado.',
+        'game.no-elimination': 'Nadie ha sido eliminado esta ronda.',
+        'game.imposter-was': 'El impostor era',
+        'game.imposters-were': 'Los impostores eran',
+        'game.blank-was': 'Mr. White era',
+        'game.unknown': 'Desconocido',
+        'game.civilian-word': 'Palabra civil',
+        'game.imposter-word': 'Palabra del impostor',
+        'game.guessed-correct': 'Dijo "{guess}": ¡correcto!',
+        'game.guessed-wrong': 'Dijo "{guess}": incorrecto',
+        'game.message-placeholder': 'Mensaje...',
+        'game.describe-placeholder': 'Describe tu palabra...',
+        'game.waiting-for': 'Esperando a {name}...',
+        'game.player': 'jugador',
+        'game.voting-placeholder': 'Votación en curso...',
+        'game.guess-placeholder': 'Adivina la palabra civil...',
+        'game.is-guessing': '{name} está adivinando...',
+        'game.scoreboard': 'Puntos',
+        'game.scoreboard-title': 'Ver la clasificación',
+        'game.final-scores': 'Puntuación final',
+        'game.this-game': 'Esta partida',
+        'game.total': 'Total',
+        'game.reset-scores': 'Reiniciar puntos',
+        'game.reset-scores-confirm': '¿Poner a cero los puntos de todos?',
+        'game.download-log': 'Descargar registro',
+        'game.replay': 'Ver repetición',
+        'game.watching': 'MIRANDO',
+        'game.words': 'Palabras',
+        'game.spectator-count': '{count} mirando',
+        'game.god-view': 'Vista total',
+        'game.god-view-title': 'Deja que los espectadores vean todos los roles y palabras',
+        'game.spectator-chat': 'solo espectadores',
+        'game.spectator-placeholder': 'Mensaje a los espectadores...',
+        'mod.manage': 'Gestionar',
+        'mod.manage-title': 'Gestionar jugadores y sala',
+        'mod.make-host': 'Hacer anfitrión',
+        'mod.kick': 'Expulsar',
+        'mod.ban': 'Vetar',
+        'mod.transfer-host-confirm': '¿Hacer anfitrión a {name}?',
+        'mod.kick-player-confirm': '¿Sacar a {name} de la partida?',
+        'mod.ban-player-confirm': '¿Sacar a {name} y no dejarle volver a esta partida?',
+        'mod.you-were-kicked': 'El anfitrión te ha sacado de la partida.',
+        'mod.you-were-banned': 'El anfitrión te ha vetado en esta partida.',
+        'mod.lock-room': 'Cerrar sala (sin nuevos jugadores ni espectadores)',
+        'game.series-game': 'Partida {number} de {length}',
+        'game.series-standings': 'Clasificación del encuentro',
+        'game.wins': 'Victorias',
+        'game.points': 'Puntos',
+        'game.champion': 'Campeón del encuentro',
+        'game.champions': 'Campeones del encuentro',
+        'game.next-game': 'Siguiente partida',
+        'game.new-match': 'Nuevo encuentro',
+        'game.series-result': 'Partida {number}: {winner:winner}',
+
+        'system.player-joined': '{name} se ha unido',
+        'system.player-joined-next-game': '{name} se unió y jugará la próxima partida',
+        'system.spectator-left': '{name} dejó de mirar',
+        'system.spectator-joined': '{name} se ha unido como espectador',
+        'system.player-left-lobby': '{name} ha salido de la sala',
+        'system.new-host': '{name} es ahora el anfitrión',
+        'system.player-disconnected': '{name} se ha desconectado',
+        'system.turn-skipped-disconnect': 'Se salta el turno de {name}...',
+        'system.no-imposters-left': '¡No quedan impostores! ¡Ganan los civiles!',
+        'system.not-enough-civilians': '¡No quedan suficientes civiles! ¡{winner:winner}!',
+        'system.round-started': '¡Empieza la ronda {round} de {maxRounds}!',
+        'system.voting-started': '¡Empieza la votación!',
+        'system.turn-timed-out': 'A {name} se le acabó el tiempo. Se salta el turno...',
+        'system.turn-passed': '{name} no encontró ninguna pista permitida por las reglas. Se salta el turno...',
+        'system.voting-timed-out': '¡Se acabó el tiempo!',
+        'system.voting-timed-out-abstained': '¡Se acabó el tiempo! Se abstuvieron: {names}.',
+        'system.none-won': 'Ganó el voto a "Nadie". No se elimina a nadie.',
+        'system.player-eliminated': '¡{name} ha sido eliminado! Rol: {role:role}',
+        'system.no-votes': 'Nadie votó. No se elimina a nadie.',
+        'system.tie-vote': '¡Empate! No se elimina a nadie.',
+        'system.game-over': '¡Fin de la partida! ¡{winner:winner}!',
+        'system.guess-started': '¡{name} tiene una oportunidad de adivinar la palabra civil!',
+        'system.guess-correct': '{name} dijo "{guess}": ¡correcto!',
+        'system.guess-wrong': '{name} dijo "{guess}": ¡incorrecto!',
+        'system.guess-timed-out': 'A {name} se le acabó el tiempo para adivinar.',
+        'system.name-changed': '{oldName} ahora se llama {newName}',
+        'system.scores-reset': '{name} ha reiniciado los puntos',
+        'system.sudden-death': '¡Se acabaron las rondas! Muerte súbita: una última votación sin pistas.',
+        'system.out-of-rounds': '¡Se acabaron las rondas!',
+        'system.series-won': '¡{names} ganó el encuentro!',
+        'system.god-view-on': 'Los espectadores ya ven todos los roles y palabras',
+        'system.god-view-off': 'Los espectadores ya no ven los roles ni las palabras',
+        'system.player-kicked': 'El anfitrión ha expulsado a {name}',
+        'system.player-banned': 'El anfitrión ha vetado a {name}',
+        'system.room-locked': 'El anfitrión ha cerrado la sala',
+        'system.room-unlocked': 'El anfitrión ha abierto la sala',
+        'system.password-set': 'El anfitrión ha puesto una contraseña a la sala',
+        'system.password-removed': 'El anfitrión ha quitado la contraseña de la sala',
+        'system.room-public': 'El anfitrión ha hecho pública la sala',
+        'system.room-private': 'El anfitrión ha quitado la sala de la lista pública',
+        'system.bot-added': '{name} se ha unido como bot'
+    },
+
+    de: {
+        'language.label': 'Sprache',
+        'common.exit': 'VERLASSEN',
+        'common.copied': '✓ Kopiert!',
+        'common.game-code': 'Spielcode',
+
+        'home.subtitle': 'Gib clevere Hinweise, lies die Runde und entlarve das falsche Wort.',
+        'home.create-title': 'Neues Spiel erstellen',
+        'home.nickname': 'Dein Spitzname',
+        'home.password': 'Raumpasswort',
+        'home.password-create-placeholder': 'Optional - leer lassen für einen offenen Raum',
+        'home.password-join-placeholder': 'Frag den Gastgeber',
+        'home.create-placeholder': 'z. B. Agent 007',
+        'home.create-button': 'Spiel erstellen',
+        'home.join-title': 'Einem Spiel beitreten',
+        'home.code-placeholder': '6-STELLIGER CODE',
+        'home.join-placeholder': 'z. B. Doppelagent',
+        'home.join-button': 'Beitreten',
+        'home.watch-button': 'Zuschauen',
+        'home.watch-title': 'Als Zuschauer beitreten, ohne mitzuspielen',
+        'home.version': 'Version',
+        'home.enter-name': 'Bitte gib deinen Namen ein',
+        'home.enter-code-name': 'Bitte gib Code und Namen ein',
+        'home.browse': 'Öffentliche Räume ansehen',
+
+        'lobby.tap-to-copy': 'Code antippen zum Kopieren',
+        'lobby.copy-link': 'Spiellink kopieren',
+        'lobby.share-hint': 'Teile diesen Link - jede Person bekommt einen zufälligen Namen',
+        'lobby.share-hint-password': 'Der Link enthält das Passwort nicht - teile es separat',
+        'lobby.password': 'Raumpasswort',
+        'lobby.password-placeholder': 'Neues Passwort',
+        'lobby.password-set': 'Setzen',
+        'lobby.password-on': 'Passwortgeschützt',
+        'lobby.password-off': 'Kein Passwort',
+        'lobby.public-room': 'In der Liste öffentlicher Räume zeigen',
+        'lobby.add-bot': 'Bot hinzufügen',
+        'lobby.bot-easy': 'Leichter Bot',
+        'lobby.bot-medium': 'Mittlerer Bot',
+        'lobby.bot-hard': 'Schwerer Bot',
+        'lobby.players': 'Spieler',
+        'lobby.loading-players': 'Spieler werden geladen...',
+        'lobby.settings': 'Spieleinstellungen',
+        'lobby.host-only': 'Nur der Host',
+        'lobby.host': 'Host',
+        'lobby.you': '(Du)',
+        'lobby.away': '(Abwesend)',
+        'lobby.spectators': 'Zuschauer',
+        'lobby.god-view': 'Gottmodus für Zuschauer (alle Rollen und Wörter)',
+        'lobby.word-pack': 'Eigenes Wortpaket',
+        'lobby.word-pack-builtin': 'Die eingebauten Wörter werden verwendet',
+        'lobby.word-pack-loaded': '{count} eigene(s) Paar(e) geladen',
+        'lobby.word-pack-placeholder': 'Ein Paar pro Zeile (CSV) oder eine JSON-Liste\ncivilian,imposter\nKaffee,Tee',
+        'lobby.upload': 'Datei hochladen',
+        'lobby.use-pack': 'Paket verwenden',
+        'lobby.remove': 'Entfernen',
+        'lobby.start': 'Spiel starten',
+        'lobby.need-players': 'Noch {count} Spieler nötig',
+        'lobby.waiting-host': 'Warte, bis der Host startet...',
+
+        'browse.title': 'Öffentliche Räume',
+        'browse.subtitle': 'Such dir einen Raum aus und spiel mit',
+        'browse.empty': 'Gerade gibt es keine öffentlichen Räume. Erstelle ein Spiel und liste es in der Lobby.',
+        'browse.hosted-by': 'Gastgeber: {name}',
+        'browse.players': '{count} Spieler',
+        'browse.watching': '{count} schauen zu',
+        'browse.status-lobby': 'In der Lobby',
+        'browse.status-playing': 'Läuft - Beitritt als wartend',
+        'browse.status-ended': 'Zwischen zwei Spielen',
+        'browse.rounds': '{count} Runden',
+        'browse.best-of': 'Best of {count}',
+        'browse.imposters': '{count} Hochstapler',
+        'browse.blank': 'Mr. White',
+        'browse.custom-words': 'Eigene Wörter',
+        'browse.join': 'Beitreten',
+        'browse.back': 'Zurück zur Startseite',
+        'replay.title': 'Wiederholung',
+        'replay.subtitle': 'Ein beendetes Spiel Runde für Runde mit allen Rollen ansehen',
+        'replay.load': 'Spielprotokoll laden',
+        'replay.empty': 'Beende ein Spiel oder lade ein Protokoll, das du am Spielende heruntergeladen hast.',
+        'replay.invalid': 'Diese Datei ist kein Spielprotokoll.',
+        'replay.previous': 'Zurück',
+        'replay.next': 'Weiter',
+        'replay.roles': 'Rollen',
+        'replay.round': 'Runde {round}',
+        'replay.role-dealt': '{name} ist {role} · {word}',
+        'replay.voting': 'Die Abstimmung beginnt',
+        'replay.sudden-death': 'Sudden Death: eine letzte Abstimmung',
+        'replay.guessing': 'Letzte Chance, das Wort zu erraten',
+        'replay.description': '{name}: {text}',
+        'replay.skipped-timeout': '{name} hat die Zeit überschritten',
+        'replay.skipped-left': '{name} ist gegangen und wurde übersprungen',
+        'replay.skipped-pass': '{name} hat keinen erlaubten Hinweis gefunden und gepasst',
+        'replay.vote': '{voter} stimmt für {target}',
+        'replay.nobody': 'niemanden',
+        'replay.elimination': '{name} wird rausgewählt ({role}, {votes} Stimmen)',
+        'replay.guess-correct': '{name} rät „{text}“ und liegt richtig',
+        'replay.guess-wrong': '{name} rät „{text}“ und liegt falsch',
+        'replay.no-elimination': 'Niemand wird rausgewählt',
+        'replay.player-joined': '{name} kommt dazu und wartet auf das nächste Spiel',
+        'replay.player-left': '{name} verlässt das Spiel',
+        'replay.points': '{count} Pkt.',
+
+        'settings.imposterCount': 'Hochstapler',
+        'settings.auto': 'Auto',
+        'settings.blankCount': 'Mr. White (ohne Wort)',
+        'settings.imposterGuess': 'Letzte Chance für Hochstapler',
+        'settings.locale': 'Sprache der Wörter',
+        'settings.categories': 'Wortkategorien (keine = alle)',
+        'settings.minDifficulty': 'Leichteste Wörter',
+        'settings.maxDifficulty': 'Schwerste Wörter',
+        'settings.includeBuiltInPairs': 'Eigenes Paket mit eingebauten Wörtern mischen',
+        'settings.maxRounds': 'Maximale Runden',
+        'settings.roundLimitOutcome': 'Wenn die Runden ausgehen',
+        'settings.seriesLength': 'Spiele pro Match (1 = Einzelspiel)',
+        'settings.rotateHost': 'Gastgeber zwischen Spielen wechseln',
+        'roundLimit.imposter': 'Hochstapler gewinnen',
+        'roundLimit.sudden-death': 'Entscheidungsabstimmung',
+        'roundLimit.draw': 'Unentschieden',
+        'settings.minPlayers': 'Mindestanzahl Spieler',
+        'settings.descriptionTimeoutMs': 'Zugzeit (Sek., 0 = aus)',
+        'settings.votingTimeoutMs': 'Abstimmungszeit (Sek., 0 = aus)',
+        'settings.guessTimeoutMs': 'Ratezeit (Sek., 0 = aus)',
+        'settings.resultsDelayMs': 'Ergebnispause (Sek.)',
+        'settings.scoring.civilianSurvival': 'Bürgerpunkte pro Runde',
+        'settings.scoring.imposterSurvival': 'Hochstaplerpunkte pro Runde',
+        'settings.scoring.civilianWin': 'Siegbonus Bürger',
+        'settings.scoring.imposterWin': 'Siegbonus Hochstapler',
+        'settings.clueRules.maxWords': 'Wörter pro Hinweis (0 = beliebig)',
+        'settings.clueRules.rejectOwnWord': 'Hinweise mit dem eigenen Wort ablehnen',
+        'settings.clueRules.rejectOtherWord': 'Hinweise mit dem anderen Wort ablehnen',
+        'settings.clueRules.rejectRepeats': 'Wiederholte Hinweise ablehnen',
+        'settings.clueRules.blocklist': 'Gesperrte Wörter (durch Kommas getrennt)',
+        'error.clue-too-long': 'Hinweise dürfen höchstens {max} Wort/Wörter haben. Versuch es noch einmal!',
+        'error.clue-own-word': 'Dein Hinweis verrät dein eigenes Wort. Versuch es noch einmal!',
+        'error.clue-other-word': 'Dein Hinweis enthält das andere geheime Wort. Versuch es noch einmal!',
+        'error.clue-repeated': 'Dieser Hinweis wurde in diesem Spiel schon gegeben. Versuch es noch einmal!',
+        'error.clue-blocked': '„{word}“ ist in diesem Raum gesperrt. Versuch es noch einmal!',
+
+        'difficulty.1': 'Leicht',
+        'difficulty.2': 'Mittel',
+        'difficulty.3': 'Schwer',
+
+        'category.places': 'Orte',
+        'category.jobs': 'Berufe',
+        'category.food': 'Essen',
+        'category.events': 'Anlässe',
+        'category.activities': 'Aktivitäten',
+        'category.nature': 'Natur',
+        'category.travel': 'Reisen',
+        'category.entertainment': 'Unterhaltung',
+        'category.science': 'Wissenschaft',
+        'category.everyday': 'Alltag',
+        'category.animals': 'Tiere',
+        'category.abstract': 'Abstrakt',
+
+        'role.civilian': 'Bürger',
+        'role.imposter': 'Hochstapler',
+        'role.blank': 'Mr. White',
+
+        'phase.lobby': 'lobby',
+        'phase.waiting': 'warten',
+        'phase.description': 'beschreiben',
+        'phase.voting': 'abstimmen',
+        'phase.guess': 'raten',
+        'phase.results': 'ergebnis',
+        'phase.ended': 'beendet',
+
+        'winner.civilians': 'Die Bürger gewinnen',
+        'winner.blank': 'Mr. White gewinnt',
+        'winner.imposter': 'Der Hochstapler gewinnt',
+        'winner.imposters': 'Die Hochstapler gewinnen',
+        'winner.draw': 'Unentschieden',
+
+        'game.copy-link-title': 'Klicken, um den Spiellink zu kopieren',
+        'game.round': 'Runde',
+        'game.round-of': '{round} von {max}',
+        'game.sudden-death': 'Entscheidung',
+        'game.imposter-total': '{count} Hochstapler •',
+        'game.skip': 'Überspringen',
+        'game.skip-title': 'Mit neuen Wörtern neu beginnen',
+        'game.skip-confirm': 'Dieses Spiel überspringen und neue Wörter austeilen?',
+        'game.your-word': 'Dein Wort',
+        'game.spectator': 'ZUSCHAUER',
+        'game.waiting-next-game': 'WARTE AUF DAS NÄCHSTE SPIEL',
+        'game.no-word': 'KEIN WORT - FALL NICHT AUF',
+        'game.vote-submitted': 'Stimme abgegeben!',
+        'game.none': 'Niemand',
+        'game.submit-vote': 'Abstimmen',
+        'game.last-chance': 'Letzte Chance',
+        'game.last-chance-hint': 'LETZTE CHANCE!',
+        'game.round-ended': 'Runde beendet',
+        'game.round-results': 'Rundenergebnis',
+        'game.preparing': 'Nächste Runde wird vorbereitet...',
+        'game.new-game': 'Neues Spiel starten',
+        'game.log-started': 'Spielprotokoll gestartet',
+        'game.your-turn': 'DU BIST DRAN!',
+        'game.was-eliminated': '{name} wurde eliminiert',
+        'game.guess-prompt-steal': 'Du hast einen Versuch, das Bürgerwort zu erraten. Liegst du richtig, holst du den Sieg für die Hochstapler!',
+        'game.guess-prompt-win': 'Du hast einen Versuch, das Bürgerwort zu erraten. Liegst du richtig, gewinnst du das Spiel!',
+        'game.guessing-word': '{name} rät das Bürgerwort...',
+        'game.eliminated-player': 'Der eliminierte Spieler',
+        'game.result-civilians': 'Die Bürger gewinnen!',
+        'game.result-blank': 'Mr. White gewinnt!',
+        'game.result-imposter': 'Der Hochstapler gewinnt!',
+        'game.result-imposters': 'Die Hochstapler gewinnen!',
+        'game.result-draw': 'Unentschieden!',
+        'game.tie': 'Unentschieden! Niemand wurde eliminiert.',
+        'game.no-elimination': 'In dieser Runde wurde niemand eliminiert.',
+        'game.imposter-was': 'Der Hochstapler war',
+        'game.imposters-were': 'Die Hochstapler waren',
+        'game.blank-was': 'Mr. White war',
+        'game.unknown': 'Unbekannt',
+        'game.civilian-word': 'Wort der Bürger',
+        'game.imposter-word': 'Wort des Hochstaplers',
+        'game.guessed-correct': 'Geraten: "{guess}" - richtig!',
+        'game.guessed-wrong': 'Geraten: "{guess}" - falsch',
+        'game.message-placeholder': 'Nachricht...',
+        'game.describe-placeholder': 'Beschreibe dein Wort...',
+        'game.waiting-for': 'Warte auf {name}...',
+        'game.player': 'Spieler',
+        'game.voting-placeholder': 'Abstimmung läuft...',
+        'game.guess-placeholder': 'Rate das Bürgerwort...',
+        'game.is-guessing': '{name} rät...',
+        'game.scoreboard': 'Punkte',
+        'game.scoreboard-title': 'Punktestand anzeigen',
+        'game.final-scores': 'Endstand',
+        'game.this-game': 'Dieses Spiel',
+        'game.total': 'Gesamt',
+        'game.reset-scores': 'Punkte zurücksetzen',
+        'game.reset-scores-confirm': 'Die Punkte aller Spieler auf null setzen?',
+        'game.download-log': 'Spielprotokoll herunterladen',
+        'game.replay': 'Wiederholung ansehen',
+        'game.watching': 'ZUSCHAUER',
+        'game.words': 'Wörter',
+        'game.spectator-count': '{count} schauen zu',
+        'game.god-view': 'Gottmodus',
+        'game.god-view-title': 'Zuschauer sehen alle Rollen und Wörter',
+        'game.spectator-chat': 'nur Zuschauer',
+        'game.spectator-placeholder': 'Nachricht an die Zuschauer...',
+        'mod.manage': 'Verwalten',
+        'mod.manage-title': 'Spieler und Raum verwalten',
+        'mod.make-host': 'Zum Gastgeber',
+        'mod.kick': 'Entfernen',
+        'mod.ban': 'Sperren',
+        'mod.transfer-host-confirm': '{name} zum Gastgeber machen?',
+        'mod.kick-player-confirm': '{name} aus dem Spiel entfernen?',
+        'mod.ban-player-confirm': '{name} entfernen und aus diesem Spiel aussperren?',
+        'mod.you-were-kicked': 'Der Gastgeber hat dich aus dem Spiel entfernt.',
+        'mod.you-were-banned': 'Der Gastgeber hat dich für dieses Spiel gesperrt.',
+        'mod.lock-room': 'Raum sperren (keine neuen Spieler oder Zuschauer)',
+        'game.series-game': 'Spiel {number} von {length}',
+        'game.series-standings': 'Match-Tabelle',
+        'game.wins': 'Siege',
+        'game.points': 'Punkte',
+        'game.champion': 'Match-Sieger',
+        'game.champions': 'Match-Sieger',
+        'game.next-game': 'Nächstes Spiel',
+        'game.new-match': 'Neues Match starten',
+        'game.series-result': 'Spiel {number}: {winner:winner}',
+
+        'system.player-joined': '{name} ist beigetreten',
+        'system.player-joined-next-game': '{name} ist beigetreten und spielt ab dem nächsten Spiel mit',
+        'system.spectator-left': '{name} schaut nicht mehr zu',
+        'system.spectator-joined': '{name} schaut als Zuschauer zu',
+        'system.player-left-lobby': '{name} hat die Lobby verlassen',
+        'system.new-host': '{name} ist jetzt der Host',
+        'system.player-disconnected': '{name} hat die Verbindung verloren',
+        'system.turn-skipped-disconnect': '{name} wird übersprungen...',
+        'system.no-imposters-left': 'Keine Hochstapler mehr! Die Bürger gewinnen!',
+        'system.not-enough-civilians': 'Nicht genug Bürger! {winner:winner}!',
+        'system.round-started': 'Runde {round} von {maxRounds} beginnt!',
+        'system.voting-started': 'Die Abstimmung beginnt!',
+        'system.turn-timed-out': '{name} hat die Zeit überschritten. Zug wird übersprungen...',
+        'system.turn-passed': '{name} hat keinen erlaubten Hinweis gefunden. Zug wird übersprungen...',
+        'system.voting-timed-out': 'Die Zeit ist um!',
+        'system.voting-timed-out-abstained': 'Die Zeit ist um! Enthalten haben sich: {names}.',
+        'system.none-won': '"Niemand" hat gewonnen! Niemand wird eliminiert.',
+        'system.player-eliminated': '{name} wurde eliminiert! Rolle: {role:role}',
+        'system.no-votes': 'Keine Stimmen abgegeben. Niemand wird eliminiert.',
+        'system.tie-vote': 'Gleichstand! Niemand wird eliminiert.',
+        'system.game-over': 'Spiel vorbei! {winner:winner}!',
+        'system.guess-started': '{name} hat eine Chance, das Bürgerwort zu erraten!',
+        'system.guess-correct': '{name} hat "{guess}" geraten - richtig!',
+        'system.guess-wrong': '{name} hat "{guess}" geraten - falsch!',
+        'system.guess-timed-out': '{name} hat die Zeit zum Raten überschritten.',
+        'system.name-changed': '{oldName} heißt jetzt {newName}',
+        'system.scores-reset': '{name} hat die Punkte zurückgesetzt',
+        'system.sudden-death': 'Keine Runden mehr! Entscheidung: eine letzte Abstimmung ohne Hinweise.',
+        'system.out-of-rounds': 'Keine Runden mehr!',
+        'system.series-won': '{names} hat das Match gewonnen!',
+        'system.god-view-on': 'Zuschauer sehen jetzt alle Rollen und Wörter',
+        'system.god-view-off': 'Zuschauer sehen die Rollen und Wörter nicht mehr',
+        'system.player-kicked': '{name} wurde vom Gastgeber entfernt',
+        'system.player-banned': '{name} wurde vom Gastgeber gesperrt',
+        'system.room-locked': 'Der Gastgeber hat den Raum gesperrt',
+        'system.room-unlocked': 'Der Gastgeber hat den Raum geöffnet',
+        'system.password-set': 'Der Gastgeber hat ein Raumpasswort gesetzt',
+        'system.password-removed': 'Der Gastgeber hat das Raumpasswort entfernt',
+        'system.room-public': 'Der Gastgeber hat den Raum öffentlich gelistet',
+        'system.room-private': 'Der Gastgeber hat den Raum aus der öffentlichen Liste genommen',
+        'system.bot-added': '{name} spielt als Bot mit'
+    }
+};
+
+/**
+ * Renders a message in the given language, falling back to English and then to the key.
+ * Placeholders are written {param}; {param:table} shows the translation of
+ * `table.<value>` instead, e.g. {role:role} turns "imposter" into "Hochstapler".
+ */
+function translate(locale, key, params = {}) {
+    const catalog = MESSAGES[locale] || MESSAGES[DEFAULT_LOCALE];
+    const template = catalog[key] !== undefined ? catalog[key] : MESSAGES[DEFAULT_LOCALE][key];
+    if (template === undefined) return key;
+
+    return template.replace(/\{(\w+)(?::(\w+))?\}/g, (match, name, table) => {
+        const value = params[name];
+        if (value === undefined || value === null) return match;
+        return table ? translate(locale, `${table}.${value}`) : String(value);
+    });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LOCALES, DEFAULT_LOCALE, LOCALE_NAMES, MESSAGES, translate };
+} else {
+    // Browser: the player's own language, chosen with the language picker or taken from the browser
+    const getLocale = () => {
+        const saved = localStorage.getItem('locale');
+        if (LOCALES.includes(saved)) return saved;
+        const browser = (navigator.language || '').slice(0, 2).toLowerCase();
+        return LOCALES.includes(browser) ? browser : DEFAULT_LOCALE;
+    };
+
+    window.getLocale = getLocale;
+    window.setLocale = (locale) => localStorage.setItem('locale', locale);
+    window.t = (key, params) => translate(getLocale(), key, params);
+
+    // Static markup opts in with data-i18n (text), data-i18n-placeholder and data-i18n-title
+    window.applyTranslations = (root = document) => {
+        root.querySelectorAll('[data-i18n]').forEach(el => el.textContent = t(el.dataset.i18n));
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(el => el.placeholder = t(el.dataset.i18nPlaceholder));
+        root.querySelectorAll('[data-i18n-title]').forEach(el => el.title = t(el.dataset.i18nTitle));
+    };
+
+    document.documentElement.lang = getLocale();
+    applyTranslations();
+
+    const picker = document.getElementById('languageSelect');
+    if (picker) {
+        LOCALES.forEach(locale => {
+            const option = document.createElement('option');
+            option.value = locale;
+            option.textContent = LOCALE_NAMES[locale];
+            picker.appendChild(option);
+        });
+        picker.value = getLocale();
+        picker.addEventListener('change', () => {
+            setLocale(picker.value);
+            window.location.reload();
+        });
+    }
+}
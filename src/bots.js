@@ -0,0 +1,166 @@
+const { getMatchingPairs, getClues, normalizeWord } = require('./word-pairs');
+const { checkClue } = require('./clue-rules');
+
+// Rule-based bot players. GameManager asks for a move whenever it is a bot's turn, vote or
+// guess (see GameManager.runBots()), passing the same redacted view a human in that seat
+// would receive from projectGameState(). Nothing here ever sees the raw game object.
+//
+// Levels:
+//   easy    Random clues and random votes
+//   medium  Vague clues as an imposter, votes on clues that do not fit its own word
+//   hard    Also follows the table's votes on a tie, and guesses words from the clues it heard
+
+const BOT_LEVELS = ['easy', 'medium', 'hard'];
+
+const BOT_NAMES = ['Ada', 'Byte', 'Chip', 'Dot', 'Echo', 'Pixel', 'Rusty', 'Sparky', 'Widget', 'Zed'];
+
+// Said when a bot has no clue list for its word (other languages, custom packs, blanks)
+const GENERIC_CLUES = {
+    en: ['interesting', 'common', 'useful', 'familiar', 'popular', 'everyday', 'classic', 'special'],
+    es: ['interesante', 'común', 'útil', 'conocido', 'popular', 'cotidiano', 'clásico', 'especial'],
+    de: ['interessant', 'üblich', 'nützlich', 'bekannt', 'beliebt', 'alltäglich', 'klassisch', 'besonders']
+};
+
+// `random` is the game's own generator (GameManager.random()), so bots replay with the seed
+function randomItem(list, random) {
+    return list[Math.floor(random() * list.length)];
+}
+
+function isInPlay(player) {
+    return player.status === 'active' || player.status === 'disconnected';
+}
+
+// Every clue given so far this game, by the name of the player who gave it
+function cluesBySender(view) {
+    const clues = new Map();
+    view.chatHistory
+        .filter(m => m.type === 'description')
+        .forEach(m => {
+            if (!clues.has(m.sender)) clues.set(m.sender, []);
+            clues.get(m.sender).push(normalizeWord(m.message));
+        });
+    return clues;
+}
+
+function heardClues(view) {
+    return Array.from(cluesBySender(view).values()).flat();
+}
+
+/**
+ * The clue a bot gives on its turn.
+ * @param {object} view - projectGameState(game, botId)
+ * @param {string} botId
+ * @param {string} level - One of BOT_LEVELS
+ * @param {Function} [random] - Returns floats in [0, 1), like Math.random
+ * @param {string[]} [avoid] - Clues the game already rejected this turn
+ * @returns {string}
+ */
+function chooseClue(view, botId, level, random = Math.random, avoid = []) {
+    const me = view.players.find(p => p.id === botId);
+    const { locale, clueRules } = view.settings;
+    // The room's clue rules as far as the bot can tell (it does not know the other word), and
+    // never its own word or a clue already heard
+    const rules = { ...clueRules, rejectOwnWord: true, rejectRepeats: true };
+    const context = { ownWord: me.word, otherWords: [], usedClues: heardClues(view) };
+    const fresh = (clues) => clues.filter(c => !avoid.includes(c) && !checkClue(c, rules, context));
+
+    // A blank has no word; a hard one borrows clues from the word the table seems to describe
+    let clues = me.word ? getClues(me.word, locale) : [];
+    if (!me.word && level === 'hard') {
+        const likely = guessWord(view, candidateWords(view, me), level, random);
+        if (likely) clues = getClues(likely, locale);
+    }
+    clues = fresh(clues);
+    if (clues.length === 0) clues = fresh(GENERIC_CLUES[locale] || GENERIC_CLUES.en);
+    if (clues.length === 0) return randomItem(GENERIC_CLUES[locale] || GENERIC_CLUES.en, random);
+
+    // Clue lists run from vague to specific
+    if (level === 'easy') return randomItem(clues, random);
+    if (me.role !== 'civilian') return clues[0];
+    return level === 'hard' && clues.length > 1 ? clues[1] : clues[0];
+}
+
+/**
+ * How much a bot suspects every other player still in the game: the share of their clues
+ * that do not fit the bot's own word. Players who gave no clue yet score 0.
+ * @returns {Map<string, number>} playerId -> 0..1
+ */
+function suspicion(view, botId) {
+    const me = view.players.find(p => p.id === botId);
+    const known = new Set(me.word ? [me.word, ...getClues(me.word, view.settings.locale)].map(normalizeWord) : []);
+    const clues = cluesBySender(view);
+
+    const scores = new Map();
+    view.players
+        .filter(p => p.id !== botId && isInPlay(p))
+        .forEach(p => {
+            const theirs = clues.get(p.name) || [];
+            const misfits = known.size > 0 ? theirs.filter(c => !known.has(c)).length : 0;
+            scores.set(p.id, theirs.length > 0 ? misfits / theirs.length : 0);
+        });
+    return scores;
+}
+
+/**
+ * Who a bot votes for. Civilians vote out clues that do not fit their word; imposters and
+ * blanks do the same, which points them at the civilians.
+ * @returns {string} A player ID, or 'none' when there is nobody to vote for
+ */
+function chooseVote(view, botId, level, random = Math.random) {
+    const scores = suspicion(view, botId);
+    const candidates = Array.from(scores.keys());
+    if (candidates.length === 0) return 'none';
+    if (level === 'easy') return randomItem(candidates, random);
+
+    const top = Math.max(...scores.values());
+    let tied = candidates.filter(id => scores.get(id) === top);
+    if (level === 'hard' && tied.length > 1) {
+        const counts = view.voteCounts || {};
+        const mostVotes = Math.max(...tied.map(id => counts[id] || 0));
+        tied = tied.filter(id => (counts[id] || 0) === mostVotes);
+    }
+    return randomItem(tied, random);
+}
+
+// Words the civilians might have: the other word of every built-in pair with the bot's own
+// word, or for a blank every civilian word in the room's language
+function candidateWords(view, me) {
+    const pairs = getMatchingPairs({ locale: view.settings.locale });
+    if (!me.word) return pairs.map(pair => pair.civilian);
+    const own = normalizeWord(me.word);
+    return pairs.filter(pair => normalizeWord(pair.imposter) === own).map(pair => pair.civilian);
+}
+
+// The candidate whose clue list best matches the clues heard so far
+function guessWord(view, candidates, level, random) {
+    if (candidates.length === 0) return null;
+    if (level !== 'hard') return candidates.length === 1 ? candidates[0] : null;
+
+    const heard = new Set(heardClues(view));
+    let best = null;
+    let bestScore = 0;
+    candidates.forEach(word => {
+        const score = getClues(word, view.settings.locale).filter(c => heard.has(normalizeWord(c))).length;
+        if (score > bestScore) {
+            best = word;
+            bestScore = score;
+        }
+    });
+    return best || randomItem(candidates, random);
+}
+
+/**
+ * An eliminated bot's last-chance guess at the civilian word.
+ * @returns {string}
+ */
+function chooseGuess(view, botId, level, random = Math.random) {
+    const me = view.players.find(p => p.id === botId);
+    const guess = level === 'easy' ? null : guessWord(view, candidateWords(view, me), level, random);
+    if (guess) return guess;
+
+    // No idea: repeat one of the clues, it might be the word itself
+    const clues = view.chatHistory.filter(m => m.type === 'description').map(m => m.message);
+    return clues.length > 0 ? randomItem(clues, random) : randomItem(GENERIC_CLUES[view.settings.locale] || GENERIC_CLUES.en, random);
+}
+
+module.exports = { BOT_LEVELS, BOT_NAMES, chooseClue, chooseVote, chooseGuess, suspicion };
@@ -0,0 +1,68 @@
+const { normalizeWord } = require('./word-pairs');
+
+// The host's clue rules (settings.clueRules, see settings.js), checked on every clue by
+// GameManager.submitDescription(). A rejected clue does not use up the turn, so the player
+// can try another one before the turn timer runs out.
+
+// Lowercase, no accents, only letters and digits: "Ice-cream" and "ice cream" are the same
+function compact(text) {
+    return normalizeWord(text).replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+// "cat" and "cats", "box" and "boxes", "berry" and "berries"
+function sameWord(a, b) {
+    const plurals = w => [`${w}s`, `${w}es`, w.endsWith('y') ? `${w.slice(0, -1)}ies` : null];
+    return a === b || plurals(a).includes(b) || plurals(b).includes(a);
+}
+
+function clueWords(clue) {
+    return clue.split(/\s+/).map(compact).filter(Boolean);
+}
+
+// Whether the clue names `word`, in the singular or plural. Phrases ("ice cream") count
+// when they appear as a whole.
+function mentions(clue, word) {
+    const target = compact(word);
+    if (!target) return false;
+    if (/\s/.test(word.trim())) return compact(clue).includes(target);
+    return clueWords(clue).some(w => sameWord(w, target));
+}
+
+// Stricter, for the secret words: also inside a longer word ("catfish" gives away "cat").
+// Words shorter than three letters are only matched whole, or "ox" would rule out "box".
+function givesAway(clue, word) {
+    const target = compact(word);
+    if (target.length >= 3 && compact(clue).includes(target)) return true;
+    return mentions(clue, word);
+}
+
+/**
+ * Checks a clue against the game's clue rules.
+ * @param {string} clue - Already trimmed
+ * @param {object} rules - settings.clueRules
+ * @param {object} context
+ * @param {string|null} context.ownWord - The player's word; null for a blank
+ * @param {string[]} context.otherWords - The pair's words the player was not given
+ * @param {string[]} context.usedClues - Every clue given earlier in this game
+ * @returns {{ error: string, code: string, params?: object } | null} Why the clue was rejected, or null
+ */
+function checkClue(clue, rules, { ownWord, otherWords, usedClues }) {
+    const wordCount = clue.split(/\s+/).filter(Boolean).length;
+    if (rules.maxWords > 0 && wordCount > rules.maxWords) {
+        return { error: `Clues can have at most ${rules.maxWords} word${rules.maxWords === 1 ? '' : 's'}`, code: 'clue-too-long', params: { max: rules.maxWords } };
+    }
+    if (rules.rejectOwnWord && ownWord && givesAway(clue, ownWord)) {
+        return { error: 'Your clue cannot contain your own word', code: 'clue-own-word' };
+    }
+    if (rules.rejectOtherWord && otherWords.some(word => givesAway(clue, word))) {
+        return { error: 'Your clue cannot contain the other word', code: 'clue-other-word' };
+    }
+    if (rules.rejectRepeats && usedClues.some(used => compact(used) === compact(clue))) {
+        return { error: 'That clue was already given this game', code: 'clue-repeated' };
+    }
+    const blocked = rules.blocklist.find(word => mentions(clue, word));
+    if (blocked) return { error: `"${blocked}" is not allowed in clues`, code: 'clue-blocked', params: { word: blocked } };
+    return null;
+}
+
+module.exports = { checkClue, givesAway };
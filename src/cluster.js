@@ -0,0 +1,162 @@
+const { MemoryGameStore } = require('./game-store');
+
+// Everything game servers share when several of them serve the same rooms:
+// game snapshots, messages between instances and timers that must fire only once.
+//
+// `LocalBroker` is the only implementation. A single server connects to its own broker;
+// tests and the cluster simulation connect several servers to one broker in the same
+// process. Every call is synchronous, so a broker across processes would first need an
+// async interface. Each instance gets an adapter:
+//
+//   adapter.store                          Shared game store (see game-store.js)
+//   adapter.publish(channel, message)      Delivered to every other connected instance
+//   adapter.subscribe(channel, handler)    handler(message); returns an unsubscribe function
+//   adapter.setTimer(key, delayMs, data)   One timer per key, replacing any previous one
+//   adapter.clearTimer(key) / hasTimer(key)
+//   adapter.timerKeys()                    Keys of every pending timer in the cluster
+//   adapter.onTimer(handler)               handler(key, data) when a timer fires
+//   adapter.isOnlyInstance()               True when no other instance is connected
+//   adapter.addSession(key, socketId)      A client socket is in the game as `key` (gameCode:playerId)
+//   adapter.removeSession(key, socketId)   That socket has gone
+//   adapter.hasSession(key)                Whether any instance still has a socket for `key`
+//   adapter.close()                        Leave the broker
+//
+// A timer fires exactly once, on the instance that set it or, if that one has left,
+// on any instance still connected. Sessions of an instance that leaves are dropped with it.
+
+class LocalBroker {
+    constructor({ store = new MemoryGameStore() } = {}) {
+        this.store = store;
+        this.adapters = new Set();
+        this.timers = new Map(); // key -> { timeout, owner, data }
+        this.sessions = new Map(); // gameCode:playerId -> Map of socketId -> adapter
+    }
+
+    connect() {
+        const adapter = new BrokerAdapter(this);
+        this.adapters.add(adapter);
+        return adapter;
+    }
+
+    disconnect(adapter) {
+        this.adapters.delete(adapter);
+        this.sessions.forEach((sockets, key) => {
+            sockets.forEach((owner, socketId) => {
+                if (owner === adapter) sockets.delete(socketId);
+            });
+            if (sockets.size === 0) this.sessions.delete(key);
+        });
+    }
+
+    addSession(adapter, key, socketId) {
+        if (!this.sessions.has(key)) this.sessions.set(key, new Map());
+        this.sessions.get(key).set(socketId, adapter);
+    }
+
+    removeSession(key, socketId) {
+        const sockets = this.sessions.get(key);
+        if (!sockets) return;
+        sockets.delete(socketId);
+        if (sockets.size === 0) this.sessions.delete(key);
+    }
+
+    publish(sender, channel, message) {
+        this.adapters.forEach(adapter => {
+            if (adapter !== sender) adapter.deliver(channel, message);
+        });
+    }
+
+    setTimer(owner, key, delayMs, data) {
+        this.clearTimer(key);
+        const timeout = setTimeout(() => this.fireTimer(key), Math.max(0, delayMs));
+        this.timers.set(key, { timeout, owner, data });
+    }
+
+    clearTimer(key) {
+        const timer = this.timers.get(key);
+        if (timer) {
+            clearTimeout(timer.timeout);
+            this.timers.delete(key);
+        }
+    }
+
+    fireTimer(key) {
+        const timer = this.timers.get(key);
+        if (!timer) return;
+        this.timers.delete(key);
+
+        const target = this.adapters.has(timer.owner) ? timer.owner : this.adapters.values().next().value;
+        if (target) target.fireTimer(key, timer.data);
+    }
+}
+
+// One instance's connection to a LocalBroker
+class BrokerAdapter {
+    constructor(broker) {
+        this.broker = broker;
+        this.store = broker.store;
+        this.subscriptions = new Map(); // channel -> Set of handlers
+        this.timerHandler = null;
+    }
+
+    publish(channel, message) {
+        this.broker.publish(this, channel, message);
+    }
+
+    subscribe(channel, handler) {
+        if (!this.subscriptions.has(channel)) this.subscriptions.set(channel, new Set());
+        this.subscriptions.get(channel).add(handler);
+        return () => this.subscriptions.get(channel).delete(handler);
+    }
+
+    deliver(channel, message) {
+        const handlers = this.subscriptions.get(channel);
+        if (handlers) handlers.forEach(handler => handler(message));
+    }
+
+    setTimer(key, delayMs, data = null) {
+        this.broker.setTimer(this, key, delayMs, data);
+    }
+
+    clearTimer(key) {
+        this.broker.clearTimer(key);
+    }
+
+    hasTimer(key) {
+        return this.broker.timers.has(key);
+    }
+
+    timerKeys() {
+        return Array.from(this.broker.timers.keys());
+    }
+
+    onTimer(handler) {
+        this.timerHandler = handler;
+    }
+
+    fireTimer(key, data) {
+        if (this.timerHandler) this.timerHandler(key, data);
+    }
+
+    addSession(key, socketId) {
+        this.broker.addSession(this, key, socketId);
+    }
+
+    removeSession(key, socketId) {
+        this.broker.removeSession(key, socketId);
+    }
+
+    hasSession(key) {
+        return this.broker.sessions.has(key);
+    }
+
+    isOnlyInstance() {
+        return this.broker.adapters.size === 1 && this.broker.adapters.has(this);
+    }
+
+    close() {
+        this.broker.disconnect(this);
+    }
+}
+
+module.exports = { LocalBroker };
@@ -1,18 +1,137 @@
-const { getRandomPair } = require('./word-pairs');
+const { WORD_LOCALES, getMatchingPairs, pairKey, normalizeWord } = require('./word-pairs');
+const { parseWordPack } = require('./word-packs');
+const { translate } = require('../public/i18n');
+const { createSettings, applySettingsPatch } = require('./settings');
+const { checkClue } = require('./clue-rules');
+const { LocalBroker } = require('./cluster');
+const { projectGameState, buildGameLog } = require('./game-view');
+const { BOT_LEVELS, BOT_NAMES, chooseClue, chooseVote, chooseGuess } = require('./bots');
+const { createRng, nextRandom, shuffle, secureCode } = require('./random');
+const { MAX_NAME_LENGTH, MAX_PASSWORD_LENGTH } = require('./validation');
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+// Roles that share in each side's win
+const WINNING_ROLES = { civilians: ['civilian'], imposter: ['imposter', 'blank'], blank: ['blank'], draw: [] };
+
+// Which setting times each phase and where its deadline is kept on the game
+const PHASE_DEADLINES = {
+    description: { setting: 'descriptionTimeoutMs', endTime: 'descriptionEndTime' },
+    voting: { setting: 'votingTimeoutMs', endTime: 'votingEndTime' },
+    guess: { setting: 'guessTimeoutMs', endTime: 'guessEndTime' },
+    results: { setting: 'resultsDelayMs', endTime: 'resultsEndTime' }
+};
+
+// How long a room may sit without any change before cleanupGames() removes it, by game status
+const GAME_TTLS = {
+    lobby: 60 * 60 * 1000,       // 1 hour
+    playing: 2 * 60 * 60 * 1000, // 2 hours
+    ended: 30 * 60 * 1000        // 30 minutes
+};
+
+// Bots wait this long before each move, so people can follow along (see runBots())
+const BOT_DELAY_MS = 1500;
+const MAX_BOTS = 8;
+
+// Room passwords are kept as salted scrypt hashes, so snapshots never hold the password itself
+function validatePassword(password) {
+    if (password === null || password === undefined || password === '') return null;
+    if (typeof password !== 'string') return 'Password must be text';
+    if (password.length > MAX_PASSWORD_LENGTH) return `Password must be at most ${MAX_PASSWORD_LENGTH} characters`;
+    return null;
+}
+
+// scrypt runs on the thread pool, so hashing never holds up the other rooms
+const scrypt = promisify(crypto.scrypt);
+
+async function hashPassword(password) {
+    if (!password) return null;
+    const salt = crypto.randomBytes(16).toString('hex');
+    return { salt, hash: (await scrypt(password, salt, 32)).toString('hex') };
+}
+
+async function checkPassword(stored, password) {
+    if (typeof password !== 'string' || !password) return false;
+    const hash = await scrypt(password, stored.salt, 32);
+    return crypto.timingSafeEqual(hash, Buffer.from(stored.hash, 'hex'));
+}
+
+// After this many wrong passwords in a row a client has to wait before trying again
+const MAX_PASSWORD_FAILURES = 5;
+const PASSWORD_LOCKOUT_MS = 30 * 1000;
+
+// Identifies a word pool, so a deck starts over when the pool changes
+function poolSignature(pool) {
+    return pool.map(pairKey).join(',');
+}
 
 class GameManager {
-    constructor(updateCallback) {
+    // updateCallback(gameCode, game, result?) is called whenever state changes outside
+    // of a socket handler (timers, or another instance changing the game). `result` is the
+    // GameManager result for the transition, e.g. { event: 'round-results', winner }.
+    // options.cluster connects this instance to the others serving the same rooms (see cluster.js);
+    // without one it gets a broker of its own around options.store (see game-store.js).
+    // options.seed fixes the random seed of every game (see random.js), to replay a bug report
+    // or a test; by default each game gets a fresh one. options.replay is an exported game log
+    // (see buildGameLog()): every game then starts from its seed and its word deck.
+    // Every other option is a default for new games' settings, e.g. { descriptionTimeoutMs: 0 }
+    // to disable turn timers.
+    constructor(updateCallback, options = {}) {
+        const { store, cluster = new LocalBroker({ store }).connect(), seed = null, replay = null, ...defaultSettings } = options;
         this.updateCallback = updateCallback;
-        this.games = new Map(); // gameCode -> game object
-        this.playerSessions = new Map(); // socketId -> { gameCode, playerId }
-        this.deletionTimers = new Map(); // gameCode -> Timeout object
-
-        // Cleanup interval
+        this.replay = replay;
+        this.seed = replay ? replay.seed : seed;
+        this.cluster = cluster;
+        this.store = cluster.store;
+        this.games = new Map(); // gameCode -> game object, a cache of the shared store
+        this.playerSessions = new Map(); // socketId -> { gameCode, playerId }, this instance's sockets only, mirrored in the broker
+        this.passwordFailures = new Map(); // `${gameCode}|${clientAddress}` -> { count, lockedUntil, lastAttemptAt }, see checkRoomPassword()
+        this.defaultSettings = defaultSettings;
+
+        // All timers go through the cluster so each fires once, on one instance
+        cluster.onTimer((key, data) => this.handleTimer(data));
+        cluster.subscribe('game-updated', ({ gameCode }) => this.handleRemoteUpdate(gameCode));
+        cluster.subscribe('game-deleted', ({ gameCode }) => this.games.delete(gameCode));
+
+        // Reap idle rooms, stale sessions and orphaned timers
         setInterval(() => this.cleanupGames(), 60 * 60 * 1000);
     }
 
+    // Games changed elsewhere arrive through 'game-updated'; a game this instance has not
+    // seen yet is read from the shared store
+    getGame(gameCode) {
+        if (!this.games.has(gameCode)) {
+            const game = this.store.load(gameCode);
+            if (game) this.games.set(gameCode, game);
+        }
+        return this.games.get(gameCode);
+    }
+
+    // Another instance saved the game: refresh the cache and tell our own sockets
+    handleRemoteUpdate(gameCode) {
+        const game = this.store.load(gameCode);
+        if (!game) return;
+        this.games.set(gameCode, game);
+        if (this.updateCallback) this.updateCallback(gameCode, game);
+    }
+
+    // Player IDs double as reconnect tokens, so they come from crypto, never from a game's seed
     generateId() {
-        return Math.random().toString(36).substring(2, 10);
+        return secureCode(12);
+    }
+
+    // A game's own random numbers, replayable from game.rng.seed
+    random(game) {
+        return () => nextRandom(game.rng);
+    }
+
+    // Every game of a room starts from a seed of its own, so the log of one game, which
+    // includes its seed, tells nothing about the next
+    seedGame(game) {
+        game.rng = createRng(this.seed === null ? undefined : this.seed);
+        // The deck carries over from the room's earlier games, so a replay needs it as well
+        const started = this.replay && this.replay.events[0];
+        if (started && started.deck) this.replayDeck(game, started.deck);
     }
 
     getPlayerId(socketId) {
@@ -20,60 +139,116 @@ class GameManager {
         return session ? session.playerId : null;
     }
 
+    // Sessions are mirrored in the broker, so every instance knows which players still have
+    // a socket somewhere, e.g. after a refresh that reconnected to another instance
+    setSession(socketId, gameCode, playerId) {
+        this.dropSession(socketId);
+        this.playerSessions.set(socketId, { gameCode, playerId });
+        this.cluster.addSession(`${gameCode}:${playerId}`, socketId);
+    }
+
+    dropSession(socketId) {
+        const session = this.playerSessions.get(socketId);
+        if (!session) return;
+        this.playerSessions.delete(socketId);
+        this.cluster.removeSession(`${session.gameCode}:${session.playerId}`, socketId);
+    }
+
     hasActiveSession(gameCode, playerId) {
-        return Array.from(this.playerSessions.values())
-            .some(session => session.gameCode === gameCode && session.playerId === playerId);
+        return this.cluster.hasSession(`${gameCode}:${playerId}`);
     }
 
-    createGame(socketId, creatorName) {
+    // `locale` is the creator's language; it becomes the room's word language when supported.
+    // An optional `password` makes the room private from the start (see setRoomPassword()).
+    async createGame(socketId, creatorName, locale = null, password = null) {
+        const passwordError = validatePassword(password);
+        if (passwordError) return { error: passwordError, code: 'invalid-request' };
+        const passwordHash = await hashPassword(password);
+
         const gameCode = this.generateGameCode();
         const playerId = this.generateId();
+        const settings = createSettings(this.defaultSettings);
+        if (WORD_LOCALES.includes(locale)) settings.locale = locale;
 
         const game = {
             gameCode,
             creatorId: playerId,
             status: 'lobby',
             currentRound: 0,
-            maxRounds: 5,
+            settings, // Host-configurable, see settings.js
             players: [{
                 id: playerId,
                 name: creatorName,
                 role: null,
                 word: null,
                 status: 'active',
-                points: 0,
+                points: 0,     // Session total, kept across games
+                gamePoints: 0, // Earned in the current game
                 hasDescribed: false,
                 hasVoted: false,
                 isCreator: true
             }],
+            spectators: [], // { id, name, status: 'watching' | 'disconnected' }, see watchGame()
+            godView: false, // Host lets spectators see every role and word live
+            locked: false,  // Host closed the room to new players and spectators
+            isPublic: false, // Listed in the room browser, see getPublicGames()
+            banned: [],     // { id, name } of everyone the host banned, see banPlayer()
+            password: passwordHash, // { salt, hash } or null; never emitted
             turnOrder: [],
             currentTurnIndex: 0,
             chatHistory: [],
+            rng: null, // { seed, state } of the current game, see seedGame(); never emitted
+            eventLog: [], // Typed events of the current or last game, see logEvent(); never emitted
             votes: {},
             gamePhase: 'lobby',
+            imposterIds: [],
+            guessingPlayerId: null, // Eliminated player currently guessing the civilian word
+            suddenDeath: false,     // Playing the extra vote after the last round, see getRoundLimitWinner()
+            series: null,           // Match of several games, see startSeries()
+            customPairs: [], // Host's custom word pack, never emitted (it would give the words away)
+            wordDeck: { signature: null, cards: [], lastPair: null }, // Shuffled pool indices still to be dealt, kept across games
             descriptionEndTime: null, // Timestamp, safe to emit
-            votingEndTime: null       // Timestamp, safe to emit
+            votingEndTime: null,      // Timestamp, safe to emit
+            guessEndTime: null,       // Timestamp, safe to emit
+            resultsEndTime: null,     // When the next round starts, set during 'results'
+            lastActivityAt: Date.now() // Last saved change, for the idle TTLs in cleanupGames()
         };
 
         this.games.set(gameCode, game);
-        this.playerSessions.set(socketId, { gameCode, playerId });
+        this.setSession(socketId, gameCode, playerId);
+        this.saveGame(game);
 
         return { gameCode, playerId, game };
     }
 
-    joinGame(gameCode, socketId, playerName, previousPlayerId) {
-        const game = this.games.get(gameCode);
-        if (!game) return { error: 'Game code does not exist' };
+    // `clientAddress` is the client's IP address, which the password lockout is kept for
+    async joinGame(gameCode, socketId, playerName, previousPlayerId, asSpectator = false, password = null, clientAddress = null) {
+        let game = this.getGame(gameCode);
+        if (!game) return { error: 'Game code does not exist', code: 'not-found' };
+
+        // Everyone already in the room may reconnect, even when it is locked. Nobody can take over a bot.
+        const isMember = [...game.players, ...game.spectators].some(p => p.id === previousPlayerId && !p.isBot);
+        if (!isMember && this.isBanned(game, previousPlayerId, playerName)) return { error: 'You are banned from this game', code: 'banned' };
+        if (!isMember && game.locked) return { error: 'This game is locked', code: 'room-locked' };
+        if (!isMember && game.password) {
+            const denied = await this.checkRoomPassword(game, clientAddress, password);
+            if (denied) return denied;
+            // The game may have changed, here or on another instance, while the password was checked
+            game = this.getGame(gameCode);
+            if (!game) return { error: 'Game code does not exist', code: 'not-found' };
+        }
 
-        // Clear deletion timer IF it exists (safe check)
-        if (this.deletionTimers.has(gameCode)) {
-            clearTimeout(this.deletionTimers.get(gameCode));
-            this.deletionTimers.delete(gameCode);
+        // Players coming back stay players, even when they ask to watch
+        const spectator = game.spectators.find(s => s.id === previousPlayerId);
+        if (spectator || (asSpectator && !game.players.some(p => p.id === previousPlayerId))) {
+            return this.watchGame(game, socketId, playerName, spectator);
         }
 
+        this.cancelDeletion(gameCode);
+
         // Check Reconnection (If previous ID provided and exists in game)
         if (previousPlayerId) {
-            const existingPlayer = game.players.find(p => p.id === previousPlayerId);
+            const existingPlayer = game.players.find(p => p.id === previousPlayerId && !p.isBot);
             if (existingPlayer) {
                 // Reconnect successful. The playerId is the server-issued identity for this game.
                 // Do not require the name to match; mobile refreshes can send stale display names
@@ -89,7 +264,7 @@ class GameManager {
                     }
                 }
                 // Update session map for NEW socket logic
-                this.playerSessions.set(socketId, { gameCode, playerId: previousPlayerId });
+                this.setSession(socketId, gameCode, previousPlayerId);
 
                 // Suppress log for clean refresh (Lobby OR Game)
                 // If it was a long disconnect, the 'disconnected' log would have fired (after 4s timeout).
@@ -99,15 +274,17 @@ class GameManager {
                 // Let's suppress it to be safe and clean.
                 // this.addSystemMessage(game, `${existingPlayer.name} reconnected`);
 
+                this.saveGame(game);
                 return { game, playerId: previousPlayerId };
             }
         }
 
         // New Player Join Logic
+        if (typeof playerName !== 'string' || playerName.trim().length === 0) return { error: 'Name cannot be empty', code: 'invalid-request' };
         console.log(`[JOIN] New player ${playerName} attempting to join game ${gameCode} (Current Status: ${game.status})`);
 
         if (game.status !== 'lobby' && game.status !== 'playing' && game.status !== 'ended') {
-            return { error: 'Cannot join game in current state' };
+            return { error: 'Cannot join game in current state', code: 'wrong-phase' };
         }
 
         // Explicit Status Assignment
@@ -127,6 +304,7 @@ class GameManager {
             word: null,
             status: status,
             points: 0,
+            gamePoints: 0,
             hasDescribed: false,
             hasVoted: false,
             isCreator: game.players.length === 0 // Become creator if first
@@ -136,32 +314,62 @@ class GameManager {
             game.creatorId = playerId;
         }
 
-        // Check for duplicate names recursively
-        let newName = playerName;
-        let counter = 1;
-        while (game.players.some(p => p.name === newName)) {
-            newName = `${playerName} (${counter})`;
-            counter++;
-        }
-        newPlayer.name = newName;
+        newPlayer.name = this.uniqueName(game, playerName);
 
         game.players.push(newPlayer);
-        this.playerSessions.set(socketId, { gameCode, playerId });
+        this.setSession(socketId, gameCode, playerId);
 
-        this.addSystemMessage(game, `${newPlayer.name} joined as ${status}`);
+        this.addSystemMessage(game, status === 'waiting' ? 'system.player-joined-next-game' : 'system.player-joined', { name: newPlayer.name });
+        if (game.status === 'playing') this.logEvent(game, 'player-joined', { playerId, name: newPlayer.name, status });
+        this.saveGame(game);
 
         return { game, playerId };
     }
 
+    // Spectators watch without playing: they are never dealt in, never on the turn order or
+    // the ballot, and do not keep an abandoned room alive. Joining to watch works at any time.
+    watchGame(game, socketId, spectatorName, existing = null) {
+        const { gameCode } = game;
+        let spectator = existing;
+        if (spectator) {
+            spectator.status = 'watching';
+        } else {
+            if (typeof spectatorName !== 'string' || spectatorName.trim().length === 0) return { error: 'Name cannot be empty', code: 'invalid-request' };
+            spectator = { id: this.generateId(), name: this.uniqueName(game, spectatorName), status: 'watching' };
+            game.spectators.push(spectator);
+            this.addSystemMessage(game, 'system.spectator-joined', { name: spectator.name });
+        }
+        this.setSession(socketId, gameCode, spectator.id);
+        this.saveGame(game);
+
+        return { game, playerId: spectator.id };
+    }
+
+    isSpectator(game, playerId) {
+        return game.spectators.some(s => s.id === playerId);
+    }
+
+    // Adds " (1)", " (2)"... until no other player or spectator has the name
+    uniqueName(game, name, ownId = null) {
+        const taken = candidate => [...game.players, ...game.spectators].some(p => p.id !== ownId && p.name === candidate);
+        let unique = name;
+        let counter = 1;
+        while (taken(unique)) {
+            unique = `${name} (${counter})`;
+            counter++;
+        }
+        return unique;
+    }
+
     leaveGame(socketId) {
         const session = this.playerSessions.get(socketId);
         if (!session) return null;
 
         const { gameCode, playerId } = session;
-        const game = this.games.get(gameCode);
+        const game = this.getGame(gameCode);
 
         // Clean up session map
-        this.playerSessions.delete(socketId);
+        this.dropSession(socketId);
 
         if (!game) return null;
 
@@ -171,177 +379,269 @@ class GameManager {
             return { gameCode, game };
         }
 
-        const playerIndex = game.players.findIndex(p => p.id === playerId);
-        if (playerIndex === -1) return { gameCode, game }; // Should not happen
-
-        const player = game.players[playerIndex];
-
-        if (game.status === 'lobby') {
-            // Graceful Lobby Disconnect (Handle refreshes without spam)
-            player.status = 'disconnected';
-
-            // Give them 4 seconds to reconnect
-            setTimeout(() => {
-                const currentGame = this.games.get(gameCode);
-                if (!currentGame) return;
-
-                const p = currentGame.players.find(pl => pl.id === playerId);
-                // Only remove if they are STIll disconnected (didn't reconnect)
-                if (p && p.status === 'disconnected') {
-                    const idx = currentGame.players.indexOf(p);
-                    if (idx !== -1) {
-                        currentGame.players.splice(idx, 1);
-                        this.addSystemMessage(currentGame, `${p.name} left the lobby`);
-
-                        // Handle Creator Transfer
-                        if (p.isCreator && currentGame.players.length > 0) {
-                            currentGame.players[0].isCreator = true;
-                            currentGame.creatorId = currentGame.players[0].id;
-                            this.addSystemMessage(currentGame, `${currentGame.players[0].name} is now the host`);
-                        }
-
-                        // Emit update since this is async
-                        // We need access to IO here, or we rely on the next event?
-                        // Ideally we emit here. Since we don't have 'io' reference easily, 
-                        // we'll rely on client polling or simply wait for next interaction?
-                        // actually, server.js handles emits usually.
-                        // But for this async removal, the UI won't update until someone else does something.
-                        // This is a limitation. However, usually 'leaveGame' returns {game} 
-                        // and server.js emits.
-                        // The immediate return below will emit 'disconnected' status.
-                        // The 'removal' will happen silently 4s later. 
-                        // This might result in a "ghost" card until next update.
-                        // BUT, for the USER REQUEST: "I see spam". 
-                        // This solves the spam. The delayed removal is acceptable MVP trade-off.
-                    }
-                }
-            }, 60000);
+        const spectator = game.spectators.find(s => s.id === playerId);
+        if (spectator) {
+            this.markDisconnected(game, spectator);
+            this.saveGame(game);
+            return { gameCode, game };
+        }
 
-        } else {
-            // In game, mark disconnected but delay log to allow for refresh
-            player.status = 'disconnected';
-
-            setTimeout(() => {
-                const currentGame = this.games.get(gameCode);
-                if (!currentGame) return;
-                const p = currentGame.players.find(pl => pl.id === playerId);
-
-                // If they are STILL disconnected after 4s, check win conditions
-                if (p && p.status === 'disconnected') {
-                    let shouldUpdate = false;
-                    this.addSystemMessage(currentGame, `${p.name} disconnected`);
-                    shouldUpdate = true; // Always update on confirmed disconnect log
-
-                    if (currentGame.status === 'playing') {
-                        // 1. Skip turn if it was theirs
-                        if (currentGame.gamePhase === 'description') {
-                            const currentTurnId = currentGame.turnOrder[currentGame.currentTurnIndex];
-                            if (currentTurnId === playerId) {
-                                this.addSystemMessage(currentGame, `Skipping ${p.name}'s turn...`);
-                                this.advanceTurn(currentGame);
-                                shouldUpdate = true;
-                            }
-                        }
-                        // 2. Check if voting can finish early
-                        if (currentGame.gamePhase === 'voting') {
-                            const activeCount = currentGame.players.filter(pl => pl.status === 'active' || pl.status === 'disconnected').length;
-                            if (Object.keys(currentGame.votes).length >= activeCount && activeCount > 0) {
-                                this.processVotingResults(currentGame);
-                                shouldUpdate = true;
-                            }
-                        }
-
-                        // 3. Check win conditions (Imposter left or too few civilians)
-                        if (p.role === 'imposter') {
-                            currentGame.gamePhase = 'ended';
-                            currentGame.status = 'ended';
-                            currentGame.lastRoundResult = {
-                                winner: 'civilians',
-                                imposterName: p.name + " (Disconnected)",
-                                civilianWord: currentGame.wordPair ? currentGame.wordPair.civilian : '?',
-                                imposterWord: currentGame.wordPair ? currentGame.wordPair.imposter : '?'
-                            };
-                            this.addSystemMessage(currentGame, `Imposter disconnected! Civilians win!`);
-                            shouldUpdate = true;
-                        } else if (p.role === 'civilian') {
-                            // Check civilians who are active OR just DISCONNECTED (waiting to return)
-                            const potentialCivs = currentGame.players.filter(pl => pl.role === 'civilian' && (pl.status === 'active' || pl.status === 'disconnected'));
-                            if (potentialCivs.length <= 1) {
-                                currentGame.gamePhase = 'ended';
-                                currentGame.status = 'ended';
-                                const imp = currentGame.players.find(pl => pl.role === 'imposter');
-                                currentGame.lastRoundResult = {
-                                    winner: 'imposter',
-                                    imposterName: imp ? imp.name : 'Unknown',
-                                    civilianWord: currentGame.wordPair ? currentGame.wordPair.civilian : '?',
-                                    imposterWord: currentGame.wordPair ? currentGame.wordPair.imposter : '?'
-                                };
-                                this.addSystemMessage(currentGame, `Not enough civilians! Imposter wins!`);
-                                shouldUpdate = true;
-                            }
-                        }
-                    }
+        const player = game.players.find(p => p.id === playerId);
+        if (!player) return { gameCode, game }; // Should not happen
 
-                    if (shouldUpdate && this.updateCallback) {
-                        this.updateCallback(gameCode, currentGame);
-                    }
+        this.markDisconnected(game, player);
+        this.saveGame(game);
+
+        // Check if empty; bots alone do not keep a room alive
+        const hasConnectedPlayers = game.players.some(p => p.status !== 'disconnected' && !p.isBot);
+        if (!hasConnectedPlayers) this.scheduleDeletion(gameCode);
+
+        return { gameCode, game };
+    }
+
+    // Gives a member without a socket a minute to come back (a refresh must not spam the chat)
+    // before they are removed from the lobby or the room, or written off in a game
+    markDisconnected(game, member) {
+        const { gameCode } = game;
+        const playerId = member.id;
+        let type = 'game-disconnect';
+        if (game.spectators.includes(member)) type = 'spectator-disconnect';
+        else if (game.status === 'lobby') type = 'lobby-disconnect';
+        member.status = 'disconnected';
+        this.cluster.setTimer(`disconnect:${gameCode}:${playerId}`, 60000, { type, gameCode, playerId });
+    }
+
+    // Removes a player still disconnected from the lobby, handing the host role on if needed
+    expireLobbyDisconnect(gameCode, playerId) {
+        const game = this.getGame(gameCode);
+        if (!game) return;
+
+        const p = game.players.find(pl => pl.id === playerId);
+        // Only remove if they are STIll disconnected (didn't reconnect)
+        if (!p || p.status !== 'disconnected') return;
+
+        game.players.splice(game.players.indexOf(p), 1);
+        this.addSystemMessage(game, 'system.player-left-lobby', { name: p.name });
+
+        // Handle Creator Transfer (never to a bot)
+        const nextHost = game.players.find(pl => !pl.isBot);
+        if (p.isCreator && nextHost) this.setHost(game, nextHost);
+        this.saveGame(game);
+        if (this.updateCallback) this.updateCallback(gameCode, game);
+    }
+
+    // Spectators have nothing to hand on; one still away after the grace period just leaves
+    expireSpectatorDisconnect(gameCode, spectatorId) {
+        const game = this.getGame(gameCode);
+        if (!game) return;
+        const spectator = game.spectators.find(s => s.id === spectatorId);
+        if (!spectator || spectator.status !== 'disconnected') return;
+
+        game.spectators.splice(game.spectators.indexOf(spectator), 1);
+        this.addSystemMessage(game, 'system.spectator-left', { name: spectator.name });
+        this.saveGame(game);
+        if (this.updateCallback) this.updateCallback(gameCode, game);
+    }
+
+    // A player still disconnected mid-game: skip their turn, close the vote without them
+    // and check whether the game is decided
+    expireGameDisconnect(gameCode, playerId) {
+        const game = this.getGame(gameCode);
+        if (!game) return;
+        const p = game.players.find(pl => pl.id === playerId);
+        if (!p || p.status !== 'disconnected') return;
+
+        this.addSystemMessage(game, 'system.player-disconnected', { name: p.name });
+        let roundResult = game.status === 'playing' ? this.settleDeparture(game, p) : null;
+
+        if (game.status === 'ended') {
+            this.clearPhaseTimer(game);
+            // The round is over either way; no next round to schedule
+            roundResult = null;
+        }
+
+        this.saveGame(game);
+        if (this.updateCallback) this.updateCallback(gameCode, game, roundResult);
+    }
+
+    // Moves a game on without a player who has left: skips their turn, closes the vote
+    // once everyone else has voted, forfeits their word guess and ends the game if it is
+    // decided without them. Returns the round result when the vote or the guess was closed.
+    settleDeparture(game, player) {
+        let roundResult = null;
+        this.logEvent(game, 'player-left', { playerId: player.id, name: player.name });
+
+        // 1. Skip turn if it was theirs
+        if (game.gamePhase === 'description' && game.turnOrder[game.currentTurnIndex] === player.id) {
+            this.addSystemMessage(game, 'system.turn-skipped-disconnect', { name: player.name });
+            this.logEvent(game, 'turn-skipped', { playerId: player.id, name: player.name, reason: 'left' });
+            this.advanceTurn(game);
+        }
+        // 2. Check if voting can finish early
+        if (game.gamePhase === 'voting') {
+            const activeCount = game.players.filter(pl => pl.status === 'active' || pl.status === 'disconnected').length;
+            if (Object.keys(game.votes).length >= activeCount && activeCount > 0) {
+                roundResult = this.processVotingResults(game);
+            }
+        }
+        // 3. A guesser who leaves has guessed wrong; without a guess timer nothing else would end the round
+        if (game.gamePhase === 'guess' && game.guessingPlayerId === player.id) {
+            player.status = 'eliminated';
+            roundResult = this.concludeRound(game, player);
+        }
+
+        // 4. Check win conditions (last imposter left or too few civilians)
+        // (another player's pending word guess settles the round first)
+        if (game.status === 'playing' && game.gamePhase !== 'guess' && player.role) {
+            const winner = this.getWinner(game, player.id);
+            if (winner) {
+                if (winner === 'civilians') {
+                    this.addSystemMessage(game, 'system.no-imposters-left');
+                } else {
+                    this.addSystemMessage(game, 'system.not-enough-civilians', { winner: this.getWinnerKey(game, winner) });
                 }
-            }, 60000);
+                this.endGame(game, winner);
+            }
         }
+        return roundResult;
+    }
 
-        // Check if empty
-        const hasConnectedPlayers = game.players.some(p => p.status !== 'disconnected');
+    // Deletes a room nobody is connected to after 5 minutes, unless someone (re)joins first
+    scheduleDeletion(gameCode) {
+        this.cluster.setTimer(`delete:${gameCode}`, 300000, { type: 'delete', gameCode });
+    }
+
+    cancelDeletion(gameCode) {
+        this.cluster.clearTimer(`delete:${gameCode}`);
+    }
 
-        if (!hasConnectedPlayers) {
-            // Schedule deletion
-            if (this.deletionTimers.has(gameCode)) clearTimeout(this.deletionTimers.get(gameCode));
+    deleteGame(gameCode) {
+        const game = this.getGame(gameCode);
+        if (game) this.clearPhaseTimer(game);
+        this.cancelDeletion(gameCode);
+        this.games.delete(gameCode);
+        this.deleteSnapshot(gameCode);
+        this.cluster.publish('game-deleted', { gameCode });
+    }
+
+    // Every timer set through the cluster lands here, on exactly one instance
+    handleTimer(data) {
+        if (data.type === 'phase') this.handlePhaseTimeout(data.gameCode);
+        else if (data.type === 'delete') this.deleteGame(data.gameCode);
+        else if (data.type === 'lobby-disconnect') this.expireLobbyDisconnect(data.gameCode, data.playerId);
+        else if (data.type === 'game-disconnect') this.expireGameDisconnect(data.gameCode, data.playerId);
+        else if (data.type === 'spectator-disconnect') this.expireSpectatorDisconnect(data.gameCode, data.playerId);
+        else if (data.type === 'bot') this.runBots(data.gameCode);
+    }
+
+    // Host-only, and only between games: settings are locked while a game is being played
+    updateSettings(gameCode, playerId, patch) {
+        const game = this.getGame(gameCode);
+        if (!game) return { error: 'Game not found', code: 'not-found' };
+
+        if (game.creatorId !== playerId) return { error: 'Only host can change settings', code: 'not-host' };
+        if (game.status === 'playing') return { error: 'Settings are locked while a game is in progress', code: 'wrong-phase' };
+
+        const result = applySettingsPatch(game.settings, patch);
+        if (result.error) return result;
+
+        game.settings = result.settings;
+        this.saveGame(game);
+        return { game };
+    }
 
-            const timer = setTimeout(() => {
-                this.games.delete(gameCode);
-                this.deletionTimers.delete(gameCode);
-            }, 300000); // 5 minutes
+    // Host-only, and only between games. `text` is JSON or CSV (see word-packs.js); null removes the pack.
+    setWordPack(gameCode, playerId, text) {
+        const game = this.getGame(gameCode);
+        if (!game) return { error: 'Game not found', code: 'not-found' };
 
-            this.deletionTimers.set(gameCode, timer);
+        if (game.creatorId !== playerId) return { error: 'Only host can change the word pack', code: 'not-host' };
+        if (game.status === 'playing') return { error: 'The word pack is locked while a game is in progress', code: 'wrong-phase' };
+
+        if (text === null) {
+            game.customPairs = [];
+            this.saveGame(game);
+            return { game };
         }
 
-        return { gameCode, game };
+        const result = parseWordPack(text);
+        if (result.error) return result;
+
+        game.customPairs = result.pairs;
+        this.saveGame(game);
+        return { game };
     }
 
     startGame(gameCode, playerId) {
-        const game = this.games.get(gameCode);
-        if (!game) return { error: 'Game not found' };
+        const game = this.getGame(gameCode);
+        if (!game) return { error: 'Game not found', code: 'not-found' };
 
-        if (game.creatorId !== playerId) return { error: 'Only host can start game' };
+        if (game.creatorId !== playerId) return { error: 'Only host can start game', code: 'not-host' };
 
         // Remove disconnected players before starting
         game.players = game.players.filter(p => p.status !== 'disconnected');
 
-        if (game.players.length < 3) return { error: 'Need at least 3 players' };
+        const cannotStart = this.checkCanStart(game, game.players.length);
+        if (cannotStart) return cannotStart;
 
         game.status = 'playing';
         game.currentRound = 0;
         game.chatHistory = [];
+        this.startSeries(game);
+        this.seedGame(game);
+        this.startEventLog(game);
         return this.startRound(game);
     }
 
+    // Why a game with `playerCount` players cannot start, or null when it can
+    checkCanStart(game, playerCount) {
+        const { settings } = game;
+        if (playerCount < settings.minPlayers) return { error: `Need at least ${settings.minPlayers} players`, code: 'cannot-start' };
+
+        // Player counts change between games, so role counts are checked against them here
+        if (settings.imposterCount !== null && settings.imposterCount > this.getMaxImposters(playerCount)) {
+            return { error: `Too many imposters for ${playerCount} players`, code: 'cannot-start' };
+        }
+
+        const spyCount = this.getImposterCount(game, playerCount) + settings.blankCount;
+        if (settings.blankCount > 0 && spyCount > this.getMaxImposters(playerCount)) {
+            return { error: `Not enough players for Mr. White with ${spyCount - settings.blankCount} imposter(s)`, code: 'cannot-start' };
+        }
+
+        if (this.getWordPool(game).length === 0) {
+            return { error: 'No word pairs match the chosen categories and difficulty', code: 'cannot-start' };
+        }
+        return null;
+    }
+
     startRound(game) {
         game.currentRound++;
         game.gamePhase = 'description';
+        if (game.currentRound === 1) game.suddenDeath = false;
 
         // Assign Roles Logic
         if (game.currentRound === 1) {
-            const pair = getRandomPair(game.wordPair);
+            const pair = this.drawWordPair(game);
             game.wordPair = pair;
             const activePlayers = game.players.filter(p => p.status === 'active' || p.status === 'waiting' || p.status === 'disconnected');
             // Activate everyone
             activePlayers.forEach(p => p.status = 'active');
 
-            const imposterIndex = Math.floor(Math.random() * activePlayers.length);
-            activePlayers.forEach((p, index) => {
-                if (index === imposterIndex) {
+            const imposterCount = this.getImposterCount(game, activePlayers.length);
+            const shuffled = shuffle([...activePlayers], this.random(game));
+            const imposterIds = new Set(shuffled.slice(0, imposterCount).map(p => p.id));
+            game.imposterIds = activePlayers.filter(p => imposterIds.has(p.id)).map(p => p.id);
+            // Blanks only when there is room left for them, never at the cost of an imposter
+            const blankCount = Math.min(game.settings.blankCount, this.getMaxImposters(activePlayers.length) - imposterCount);
+            const blankIds = new Set(shuffled.slice(imposterCount, imposterCount + blankCount).map(p => p.id));
+
+            activePlayers.forEach(p => {
+                if (imposterIds.has(p.id)) {
                     p.role = 'imposter';
                     p.word = pair.imposter;
-                    game.imposterId = p.id;
+                } else if (blankIds.has(p.id)) {
+                    p.role = 'blank';
+                    p.word = null;
                 } else {
                     p.role = 'civilian';
                     p.word = pair.civilian;
@@ -349,6 +649,8 @@ class GameManager {
                 p.hasDescribed = false;
                 p.hasVoted = false;
                 p.points = p.points || 0;
+                p.gamePoints = 0;
+                this.logEvent(game, 'role-dealt', { playerId: p.id, name: p.name, role: p.role, word: p.word });
             });
         }
 
@@ -360,48 +662,75 @@ class GameManager {
 
         game.votes = {};
         game.lastRoundResult = null;
+        game.guessingPlayerId = null;
 
         // Turn Order - Include anyone who is active or momentarily disconnected
-        const capable = game.players.filter(p => p.status === 'active' || p.status === 'disconnected');
-        for (let i = capable.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [capable[i], capable[j]] = [capable[j], capable[i]];
+        const capable = shuffle(game.players.filter(p => p.status === 'active' || p.status === 'disconnected'), this.random(game));
+        // A blank player never opens the round, they need at least one clue to work with
+        if (capable.length > 1 && capable[0].role === 'blank') {
+            capable.push(capable.shift());
         }
         game.turnOrder = capable.map(p => p.id);
         game.currentTurnIndex = -1;
-        this.advanceTurn(game);
 
         console.log(`[ROUND] Resetting Round ${game.currentRound}. Players:`, game.players.map(p => `${p.name}(${p.status}, voted:${p.hasVoted})`));
-        this.addSystemMessage(game, `Round ${game.currentRound} started!`);
+        if (game.suddenDeath) {
+            // Straight to the vote: no more clues
+            game.gamePhase = 'voting';
+            this.addSystemMessage(game, 'system.sudden-death');
+            this.logEvent(game, 'phase', { phase: 'voting', suddenDeath: true });
+            this.armPhaseTimer(game);
+        } else {
+            this.addSystemMessage(game, 'system.round-started', { round: game.currentRound, maxRounds: game.settings.maxRounds });
+            this.logEvent(game, 'phase', { phase: 'description', turnOrder: [...game.turnOrder] });
+            this.advanceTurn(game);
+        }
+        this.saveGame(game);
         return { game, event: 'round-started' };
     }
 
     submitDescription(gameCode, playerId, description) {
-        const game = this.games.get(gameCode);
-        if (!game) return { error: 'Game not found' };
+        const game = this.getGame(gameCode);
+        if (!game) return { error: 'Game not found', code: 'not-found' };
 
         const player = game.players.find(p => p.id === playerId);
-        if (!player) return { error: 'Player not found' };
+        if (!player) return { error: 'Player not found', code: 'not-found' };
 
         // Auto-reconnect if they were disconnected
         if (player.status === 'disconnected') player.status = 'active';
 
-        if (game.gamePhase !== 'description') return { error: 'Not description phase' };
+        if (game.gamePhase !== 'description') return { error: 'Not description phase', code: 'wrong-phase' };
 
         const turnPlayerId = game.turnOrder[game.currentTurnIndex];
-        if (turnPlayerId !== playerId) return { error: 'Not your turn' };
+        if (turnPlayerId !== playerId) return { error: 'Not your turn', code: 'not-your-turn' };
 
-        if (player.hasDescribed) return { error: 'Already described' };
+        if (player.hasDescribed) return { error: 'Already described', code: 'already-done' };
+
+        // A rejected clue keeps the turn open for another try
+        const rejected = checkClue(description, game.settings.clueRules, this.clueContext(game, player));
+        if (rejected) return rejected;
 
         player.hasDescribed = true;
         this.addChatMessage(game, player.name, description, 'description');
+        this.logEvent(game, 'description', { playerId, name: player.name, text: description });
         console.log(`[DESC] ${player.name} described. Advancing turn.`);
 
         // Advance
         this.advanceTurn(game);
+        this.saveGame(game);
         return { game, event: 'turn-update' };
     }
 
+    // What the clue rules compare a player's clue with
+    clueContext(game, player) {
+        const pairWords = [game.wordPair.civilian, game.wordPair.imposter];
+        return {
+            ownWord: player.word,
+            otherWords: pairWords.filter(word => word !== player.word),
+            usedClues: game.eventLog.filter(e => e.type === 'description').map(e => e.text)
+        };
+    }
+
     advanceTurn(game) {
         game.currentTurnIndex++;
 
@@ -409,6 +738,7 @@ class GameManager {
             const nextPlayerId = game.turnOrder[game.currentTurnIndex];
             const p = game.players.find(pl => pl.id === nextPlayerId);
             if (p && (p.status === 'active' || p.status === 'disconnected')) {
+                this.armPhaseTimer(game);
                 return { phase: 'description' };
             }
             game.currentTurnIndex++;
@@ -416,40 +746,130 @@ class GameManager {
 
         game.gamePhase = 'voting';
         game.currentTurnIndex = -1; // Clear turn indicator during voting
-        this.addSystemMessage(game, 'Voting phase started!');
+        this.addSystemMessage(game, 'system.voting-started');
+        this.logEvent(game, 'phase', { phase: 'voting' });
+        this.armPhaseTimer(game);
         return { phase: 'voting' };
     }
 
+    // Starts the deadline for the current description turn, vote, guess or results screen.
+    // Any previous deadline for the game is dropped, so this is safe to call on every transition.
+    armPhaseTimer(game) {
+        this.clearPhaseTimer(game);
+
+        const deadline = PHASE_DEADLINES[game.gamePhase];
+        if (game.status !== 'playing' || !deadline) return;
+        const timeoutMs = game.settings[deadline.setting];
+        if (!timeoutMs) return;
+
+        const endTime = Date.now() + timeoutMs;
+        game[deadline.endTime] = endTime;
+        this.schedulePhaseTimeout(game, endTime);
+    }
+
+    schedulePhaseTimeout(game, endTime) {
+        this.cluster.setTimer(`phase:${game.gameCode}`, endTime - Date.now(), { type: 'phase', gameCode: game.gameCode });
+    }
+
+    hasPhaseTimer(gameCode) {
+        return this.cluster.hasTimer(`phase:${gameCode}`);
+    }
+
+    clearPhaseTimer(game) {
+        this.cluster.clearTimer(`phase:${game.gameCode}`);
+        game.descriptionEndTime = null;
+        game.votingEndTime = null;
+        game.guessEndTime = null;
+        game.resultsEndTime = null;
+    }
+
+    handlePhaseTimeout(gameCode) {
+        const game = this.getGame(gameCode);
+        if (!game || game.status !== 'playing') return;
+
+        let result = null;
+        if (game.gamePhase === 'description') result = this.expireDescriptionTurn(game);
+        else if (game.gamePhase === 'voting') result = this.expireVoting(game);
+        else if (game.gamePhase === 'guess') result = this.expireGuess(game);
+        else if (game.gamePhase === 'results') result = this.startRound(game);
+
+        this.saveGame(game);
+        if (result && this.updateCallback) {
+            this.updateCallback(gameCode, game, result);
+        }
+    }
+
+    expireDescriptionTurn(game) {
+        const turnPlayerId = game.turnOrder[game.currentTurnIndex];
+        const player = game.players.find(p => p.id === turnPlayerId);
+        console.log(`[TIMER] Description turn timed out in ${game.gameCode}`);
+        this.addSystemMessage(game, 'system.turn-timed-out', { name: player ? player.name : 'Player' });
+        this.logEvent(game, 'turn-skipped', { playerId: turnPlayerId, name: player ? player.name : null, reason: 'timeout' });
+        this.advanceTurn(game);
+        return { game, event: 'turn-update' };
+    }
+
+    // A bot with no clue the rules allow gives up its turn (see runBots())
+    passDescriptionTurn(game, player) {
+        this.addSystemMessage(game, 'system.turn-passed', { name: player.name });
+        this.logEvent(game, 'turn-skipped', { playerId: player.id, name: player.name, reason: 'pass' });
+        this.advanceTurn(game);
+        return { game, event: 'turn-update' };
+    }
+
+    // Players who have not voted by the deadline abstain: their vote is simply not counted
+    expireVoting(game) {
+        const abstainers = game.players.filter(p => (p.status === 'active' || p.status === 'disconnected') && !p.hasVoted);
+        console.log(`[TIMER] Voting timed out in ${game.gameCode}. ${abstainers.length} abstained.`);
+        if (abstainers.length > 0) {
+            this.addSystemMessage(game, 'system.voting-timed-out-abstained', { names: abstainers.map(p => p.name).join(', ') });
+        } else {
+            this.addSystemMessage(game, 'system.voting-timed-out');
+        }
+        return this.processVotingResults(game);
+    }
+
     submitVote(gameCode, voterId, candidateId) {
-        const game = this.games.get(gameCode);
-        if (!game) return { error: 'Game not found' };
-        if (game.gamePhase !== 'voting') return { error: 'Not in voting phase' };
+        const game = this.getGame(gameCode);
+        if (!game) return { error: 'Game not found', code: 'not-found' };
+        if (game.gamePhase !== 'voting') return { error: 'Not in voting phase', code: 'wrong-phase' };
 
         const voter = game.players.find(p => p.id === voterId);
-        if (!voter) return { error: 'Player not found' };
+        if (!voter) return { error: 'Player not found', code: 'not-found' };
 
         // Auto-reconnect
         if (voter.status === 'disconnected') voter.status = 'active';
 
-        if (voter.status !== 'active') return { error: 'Cannot vote' };
+        if (voter.status !== 'active') return { error: 'Cannot vote', code: 'not-allowed' };
+
+        if (voter.hasVoted) return { error: 'Already voted', code: 'already-done' };
 
-        if (voter.hasVoted) return { error: 'Already voted' };
+        // Votes go to a player still in the game, or to nobody
+        const inPlay = p => p.status === 'active' || p.status === 'disconnected';
+        if (candidateId !== 'none' && !game.players.some(p => p.id === candidateId && inPlay(p))) {
+            return { error: 'Invalid vote target', code: 'invalid-vote-target' };
+        }
 
         game.votes[voterId] = candidateId;
         voter.hasVoted = true;
+        const target = game.players.find(p => p.id === candidateId);
+        this.logEvent(game, 'vote', { voterId, voterName: voter.name, targetId: candidateId, targetName: target ? target.name : null });
         console.log(`[VOTE] ${voter.name} voted for ${candidateId}. Phase: ${game.gamePhase}`);
 
         // Include disconnected players in the count since they are still "in" the game
+        let result = { game, event: 'vote-update' };
         const activeCount = game.players.filter(p => p.status === 'active' || p.status === 'disconnected').length;
         if (Object.keys(game.votes).length >= activeCount) {
             console.log(`[VOTE] All votes in (${activeCount}). Processing results...`);
-            return this.processVotingResults(game);
+            result = this.processVotingResults(game);
         }
-        return { game, event: 'vote-update' };
+        this.saveGame(game);
+        return result;
     }
 
     processVotingResults(game) {
         game.gamePhase = 'results';
+        this.clearPhaseTimer(game);
         const voteCounts = {};
         Object.values(game.votes).forEach(id => voteCounts[id] = (voteCounts[id] || 0) + 1);
 
@@ -461,77 +881,356 @@ class GameManager {
         }
 
         let elimId = null;
-        let winner = null;
 
         if (candidates.length === 1) {
             const votedTarget = candidates[0];
 
             // Check if "none" won
             if (votedTarget === 'none') {
-                this.addSystemMessage(game, "Vote for 'None' won! No one eliminated.");
+                this.addSystemMessage(game, 'system.none-won');
             } else {
                 elimId = votedTarget;
                 const p = game.players.find(pl => pl.id === elimId);
                 if (p) {
                     p.status = 'eliminated';
-                    this.addSystemMessage(game, `${p.name} was eliminated! Role: ${p.role}`);
-
-                    if (p.role === 'imposter') winner = 'civilians';
+                    this.addSystemMessage(game, 'system.player-eliminated', { name: p.name, role: p.role });
+                    this.logEvent(game, 'elimination', { playerId: p.id, name: p.name, role: p.role, votes: max });
                 }
             }
+        } else if (candidates.length === 0) {
+            this.addSystemMessage(game, 'system.no-votes');
         } else {
-            this.addSystemMessage(game, "Tie vote! No one eliminated.");
+            this.addSystemMessage(game, 'system.tie-vote');
         }
 
-        const imposter = game.players.find(p => p.role === 'imposter');
+        const eliminated = elimId ? game.players.find(p => p.id === elimId) : null;
 
+        // An eliminated blank (or imposter, if the rule is on) gets one chance to guess
+        // the civilian word before the round is scored
+        if (eliminated && (eliminated.role === 'blank' || (eliminated.role === 'imposter' && game.settings.imposterGuess))) {
+            return this.startGuess(game, eliminated);
+        }
+
+        return this.concludeRound(game, eliminated);
+    }
+
+    // Scores the round, then either ends the game or leaves it in 'results' until the next round.
+    // options.winner forces the outcome (e.g. a correct guess), options.guess is shown in the results.
+    concludeRound(game, eliminated, options = {}) {
+        game.gamePhase = 'results';
+        game.guessingPlayerId = null;
+        this.clearPhaseTimer(game);
+
+        let winner = options.winner || this.getWinner(game);
         if (!winner) {
-            const potentialCivs = game.players.filter(p => p.role === 'civilian' && (p.status === 'active' || p.status === 'disconnected'));
-            if (potentialCivs.length <= 1) winner = 'imposter';
-            else {
-                game.players.forEach(p => {
-                    if (p.status === 'active' || p.status === 'disconnected') {
-                        p.points += p.role === 'imposter' ? 15 : 10;
-                    }
-                });
-            }
+            winner = this.getRoundLimitWinner(game);
+            if (winner) this.addSystemMessage(game, 'system.out-of-rounds');
+        }
+        if (!winner && game.currentRound >= game.settings.maxRounds) {
+            // Only sudden death gets here: one more vote decides
+            game.suddenDeath = true;
+        }
+
+        const { scoring } = game.settings;
+        if (!winner) {
+            this.armPhaseTimer(game);
+            game.players.forEach(p => {
+                if (p.status === 'active' || p.status === 'disconnected') {
+                    this.awardPoints(p, p.role === 'civilian' ? scoring.civilianSurvival : scoring.imposterSurvival);
+                }
+            });
         }
 
         // Store result for UI
         game.lastRoundResult = {
-            eliminatedId: elimId,
-            eliminatedName: elimId ? game.players.find(p => p.id === elimId).name : null,
-            eliminatedRole: elimId ? game.players.find(p => p.id === elimId).role : null,
+            eliminatedId: eliminated ? eliminated.id : null,
+            eliminatedName: eliminated ? eliminated.name : null,
+            eliminatedRole: eliminated ? eliminated.role : null,
             winner: winner,
-            imposterName: imposter ? imposter.name : 'Unknown',
-            civilianWord: game.wordPair ? game.wordPair.civilian : '?',
-            imposterWord: game.wordPair ? game.wordPair.imposter : '?'
+            ...(options.guess ? { guess: options.guess } : {}),
+            ...this.getRevealedWords(game)
         };
 
+        this.logEvent(game, 'round-result', { eliminatedId: game.lastRoundResult.eliminatedId, winner });
+
         if (winner) {
-            game.gamePhase = 'ended';
-            game.status = 'ended';
-            const bonus = winner === 'civilians' ? 50 : 100;
+            const bonus = winner === 'civilians' ? scoring.civilianWin : scoring.imposterWin;
             game.players.forEach(p => {
-                if ((winner === 'civilians' && p.role === 'civilian') || (winner === 'imposter' && p.role === 'imposter')) {
-                    p.points += bonus;
+                if (WINNING_ROLES[winner].includes(p.role)) {
+                    this.awardPoints(p, bonus);
                 }
             });
-            this.addSystemMessage(game, `Game Over! ${winner} win!`);
+            this.addSystemMessage(game, 'system.game-over', { winner: this.getWinnerKey(game, winner) });
+            this.endGame(game, winner, game.lastRoundResult);
         }
 
         return { game, event: 'round-results', winner };
     }
 
+    awardPoints(player, points) {
+        player.points += points;
+        player.gamePoints = (player.gamePoints || 0) + points;
+    }
+
+    startGuess(game, player) {
+        game.gamePhase = 'guess';
+        game.guessingPlayerId = player.id;
+        game.lastRoundResult = {
+            eliminatedId: player.id,
+            eliminatedName: player.name,
+            eliminatedRole: player.role,
+            winner: null
+        };
+        this.addSystemMessage(game, 'system.guess-started', { name: player.name });
+        this.logEvent(game, 'phase', { phase: 'guess', playerId: player.id });
+        this.armPhaseTimer(game);
+        return { game, event: 'guess-started' };
+    }
+
+    submitGuess(gameCode, playerId, guess) {
+        const game = this.getGame(gameCode);
+        if (!game) return { error: 'Game not found', code: 'not-found' };
+        if (game.gamePhase !== 'guess') return { error: 'Not guessing phase', code: 'wrong-phase' };
+        if (game.guessingPlayerId !== playerId) return { error: 'Only the eliminated player can guess', code: 'not-allowed' };
+        if (typeof guess !== 'string' || guess.trim().length === 0) return { error: 'Guess cannot be empty', code: 'invalid-request' };
+
+        const player = game.players.find(p => p.id === playerId);
+        guess = guess.trim().substring(0, 50);
+        const correct = normalizeWord(guess) === normalizeWord(game.wordPair.civilian);
+        console.log(`[GUESS] ${player.name} guessed ${correct ? 'correctly' : 'wrong'}`);
+
+        const guessResult = { playerName: player.name, text: guess, correct };
+        this.logEvent(game, 'guess', { playerId, name: player.name, text: guess, correct });
+        let result;
+        if (correct) {
+            // A blank wins alone; an imposter steals the win for the imposter side
+            this.addSystemMessage(game, 'system.guess-correct', { name: player.name, guess });
+            result = this.concludeRound(game, player, { winner: player.role, guess: guessResult });
+        } else {
+            this.addSystemMessage(game, 'system.guess-wrong', { name: player.name, guess });
+            result = this.concludeRound(game, player, { guess: guessResult });
+        }
+        this.saveGame(game);
+        return result;
+    }
+
+    expireGuess(game) {
+        const player = game.players.find(p => p.id === game.guessingPlayerId);
+        this.addSystemMessage(game, 'system.guess-timed-out', { name: player ? player.name : 'Player' });
+        return this.concludeRound(game, player || null);
+    }
+
+    // A player counts as still in the game while active or within their disconnect grace period.
+    // `departedId` is treated as gone, e.g. a player whose grace period just expired.
+    getWinner(game, departedId = null) {
+        const remaining = game.players.filter(p => (p.status === 'active' || p.status === 'disconnected') && p.id !== departedId);
+        const imposters = remaining.filter(p => p.role === 'imposter').length;
+        const blanks = remaining.filter(p => p.role === 'blank').length;
+        const civilians = remaining.filter(p => p.role === 'civilian').length;
+
+        // Blanks play against the civilians alongside the imposters
+        if (imposters + blanks === 0) return 'civilians';
+        if (imposters + blanks >= civilians) return imposters > 0 ? 'imposter' : 'blank';
+        return null;
+    }
+
+    // Each round eliminates at most one player, so imposters and blanks who outnumber the
+    // rounds left (counting a sudden-death vote still to come) can no longer all be caught.
+    // With the draw rule nobody wins once the rounds run out.
+    getRoundLimitWinner(game) {
+        const { maxRounds, roundLimitOutcome } = game.settings;
+        if (roundLimitOutcome === 'draw') return game.currentRound >= maxRounds ? 'draw' : null;
+
+        const remaining = game.players.filter(p => p.status === 'active' || p.status === 'disconnected');
+        const imposters = remaining.filter(p => p.role === 'imposter').length;
+        const blanks = remaining.filter(p => p.role === 'blank').length;
+
+        const suddenDeathLeft = roundLimitOutcome === 'sudden-death' && !game.suddenDeath ? 1 : 0;
+        const roundsLeft = Math.max(0, maxRounds - game.currentRound) + suddenDeathLeft;
+        if (imposters + blanks <= roundsLeft) return null;
+        return imposters > 0 ? 'imposter' : 'blank';
+    }
+
+    // Message key suffix for the winning side (see winner.* in public/i18n.js)
+    getWinnerKey(game, winner) {
+        if (winner === 'imposter' && game.imposterIds.length > 1) return 'imposters';
+        return winner;
+    }
+
+    endGame(game, winner, result = {}) {
+        game.gamePhase = 'ended';
+        game.status = 'ended';
+        this.clearPhaseTimer(game);
+        game.lastRoundResult = { ...result, winner, ...this.getRevealedWords(game) };
+        this.recordSeriesGame(game, winner);
+        const points = Object.fromEntries(game.players.filter(p => p.role).map(p => [p.id, p.gamePoints || 0]));
+        this.logEvent(game, 'game-ended', { winner, points });
+    }
+
+    // A match starts with the first game and lasts settings.seriesLength games; single games have none
+    startSeries(game) {
+        game.series = game.settings.seriesLength > 1 ? {
+            length: game.settings.seriesLength,
+            games: [],      // { number, winner, winnerIds, points: { playerId: gamePoints } }
+            standings: {},  // playerId -> { name, wins, points }
+            championIds: [],
+            complete: false
+        } : null;
+    }
+
+    // Adds a finished game to the match. The match ends after its last game, or earlier once
+    // the leader has more wins than anyone else could still reach.
+    recordSeriesGame(game, winner) {
+        const { series } = game;
+        if (!series || series.complete) return;
+
+        const players = game.players.filter(p => p.role);
+        const winnerIds = players.filter(p => WINNING_ROLES[winner].includes(p.role)).map(p => p.id);
+        series.games.push({
+            number: series.games.length + 1,
+            winner: this.getWinnerKey(game, winner),
+            winnerIds,
+            points: Object.fromEntries(players.map(p => [p.id, p.gamePoints || 0]))
+        });
+        players.forEach(p => {
+            const standing = series.standings[p.id] || (series.standings[p.id] = { name: p.name, wins: 0, points: 0 });
+            standing.name = p.name;
+            standing.wins += winnerIds.includes(p.id) ? 1 : 0;
+            standing.points += p.gamePoints || 0;
+        });
+
+        const ranked = Object.entries(series.standings)
+            .sort(([, a], [, b]) => b.wins - a.wins || b.points - a.points);
+        const gamesLeft = series.length - series.games.length;
+        const [[, leader], second] = ranked;
+        if (gamesLeft > 0 && second && leader.wins <= second[1].wins + gamesLeft) return;
+
+        series.complete = true;
+        series.championIds = ranked
+            .filter(([, s]) => s.wins === leader.wins && s.points === leader.points)
+            .map(([id]) => id);
+        const names = series.championIds.map(id => series.standings[id].name).join(', ');
+        this.addSystemMessage(game, 'system.series-won', { names });
+    }
+
+    // Next connected player after the current host, in join order
+    rotateHost(game) {
+        const start = game.players.findIndex(p => p.id === game.creatorId);
+        for (let i = 1; i <= game.players.length; i++) {
+            const next = game.players[(start + i) % game.players.length];
+            if (next.status === 'disconnected' || next.isBot) continue;
+            if (next.id !== game.creatorId) this.setHost(game, next);
+            return;
+        }
+    }
+
+    setHost(game, player) {
+        game.players.forEach(p => p.isCreator = p.id === player.id);
+        game.creatorId = player.id;
+        this.addSystemMessage(game, 'system.new-host', { name: player.name });
+    }
+
+    // Everything the end screen reveals: every imposter and both words
+    getRevealedWords(game) {
+        const imposters = game.players.filter(p => game.imposterIds.includes(p.id));
+        const blanks = game.players.filter(p => p.role === 'blank');
+        const label = p => p.status === 'disconnected' ? `${p.name} (Disconnected)` : p.name;
+        return {
+            imposterNames: imposters.map(label),
+            blankNames: blanks.map(label),
+            civilianWord: game.wordPair ? game.wordPair.civilian : '?',
+            imposterWord: game.wordPair ? game.wordPair.imposter : '?'
+        };
+    }
+
+    // Never more imposters than it takes to have fewer imposters than civilians at the start
+    getMaxImposters(playerCount) {
+        return Math.max(1, Math.floor((playerCount - 1) / 2));
+    }
+
+    getImposterCount(game, playerCount) {
+        const scaled = playerCount <= 6 ? 1 : playerCount <= 10 ? 2 : 3;
+        return Math.min(game.settings.imposterCount || scaled, this.getMaxImposters(playerCount));
+    }
+
+    // Word pair filters from the host's settings, see word-pairs.js
+    getPairFilters(game) {
+        const { categories, minDifficulty, maxDifficulty, locale } = game.settings;
+        return { categories, minDifficulty, maxDifficulty, locale };
+    }
+
+    // Pairs this game can be dealt: the custom pack if there is one (optionally plus the
+    // built-in pairs), otherwise the built-in pairs. Category and difficulty filters only
+    // apply to built-in pairs.
+    // The same two words count as one pair in either order, so a pair can't come back swapped.
+    getWordPool(game) {
+        const builtIn = getMatchingPairs(this.getPairFilters(game));
+        if (game.customPairs.length === 0) return builtIn;
+        if (!game.settings.includeBuiltInPairs) return game.customPairs;
+
+        const customKeys = new Set(game.customPairs.map(pairKey));
+        return [...game.customPairs, ...builtIn.filter(pair => !customKeys.has(pairKey(pair)))];
+    }
+
+    // Deals pairs from a per-room deck without replacement, starting a new deck only when it
+    // runs out or when the word pool changes (different filters or custom pack). The deck holds
+    // no order: each game picks from the cards left with its own generator, so a game's log
+    // shows which pairs are left, as the players have seen the others, but not the next one.
+    drawWordPair(game) {
+        const pool = this.getWordPool(game);
+        if (pool.length === 0) throw new Error('No word pairs match the chosen categories and difficulty');
+
+        const signature = poolSignature(pool);
+        const deck = game.wordDeck;
+        let candidates = deck.cards;
+        if (deck.signature !== signature || deck.cards.length === 0) {
+            deck.signature = signature;
+            deck.cards = pool.map((_, index) => index);
+            // Don't open a fresh deck with the pair that was just played
+            candidates = deck.cards.filter(index => pairKey(pool[index]) !== deck.lastPair);
+            if (candidates.length === 0) candidates = deck.cards;
+        }
+
+        const card = candidates[Math.floor(this.random(game)() * candidates.length)];
+        deck.cards = deck.cards.filter(index => index !== card);
+        deck.lastPair = pairKey(pool[card]);
+        return pool[card];
+    }
+
+    // The deck as a game found it, for its log: the cards left when they are still for the
+    // current word pool, otherwise none, as the first draw starts a new deck anyway
+    deckState(game) {
+        const { signature, cards, lastPair } = game.wordDeck;
+        const current = signature === poolSignature(this.getWordPool(game));
+        return { cards: current ? [...cards] : [], lastPair };
+    }
+
+    // Puts back the deck a logged game started with (see seedGame()). The room needs the
+    // game's settings and word pack for the cards to mean the same pairs.
+    replayDeck(game, deck) {
+        game.wordDeck = { signature: poolSignature(this.getWordPool(game)), cards: [...deck.cards], lastPair: deck.lastPair };
+    }
+
     startNewGame(gameCode, playerId) {
-        const game = this.games.get(gameCode);
-        if (!game) return { error: 'Game not found' };
+        const game = this.getGame(gameCode);
+        if (!game) return { error: 'Game not found', code: 'not-found' };
 
-        if (game.creatorId !== playerId) return { error: 'Only host can start a new game' };
+        if (game.creatorId !== playerId) return { error: 'Only host can start a new game', code: 'not-host' };
+
+        // Like startGame(), without the players who have left; the current game goes on if they are too few
+        const cannotStart = this.checkCanStart(game, game.players.filter(p => p.status !== 'disconnected').length);
+        if (cannotStart) return cannotStart;
+        game.players = game.players.filter(p => p.status !== 'disconnected');
+
+        // Between the games of a match the host may pass on; a skipped game is replayed
+        const continuesSeries = game.series && !game.series.complete;
+        const wasEnded = game.status === 'ended';
 
         game.status = 'playing';
         game.currentRound = 0;
         game.chatHistory = [];
+        if (!continuesSeries) this.startSeries(game);
+        else if (wasEnded && game.settings.rotateHost) this.rotateHost(game);
         game.votes = {};
         game.lastRoundResult = null;
         game.players.forEach(p => {
@@ -541,58 +1240,510 @@ class GameManager {
             p.hasDescribed = false;
             p.hasVoted = false;
         });
+        this.seedGame(game);
+        this.startEventLog(game);
         return this.startRound(game);
     }
 
+    // Host-only, between games: starts the session totals over
+    resetScores(gameCode, playerId) {
+        const game = this.getGame(gameCode);
+        if (!game) return { error: 'Game not found', code: 'not-found' };
+
+        const host = game.players.find(p => p.id === playerId);
+        if (!host || game.creatorId !== playerId) return { error: 'Only host can reset scores', code: 'not-host' };
+        if (game.status === 'playing') return { error: 'Scores can only be reset between games', code: 'wrong-phase' };
+
+        game.players.forEach(p => {
+            p.points = 0;
+            p.gamePoints = 0;
+        });
+        this.addSystemMessage(game, 'system.scores-reset', { name: host.name });
+        this.saveGame(game);
+        return { game };
+    }
+
     updatePlayerName(gameCode, playerId, newName) {
-        const game = this.games.get(gameCode);
-        if (!game) return { error: 'Game not found' };
+        const game = this.getGame(gameCode);
+        if (!game) return { error: 'Game not found', code: 'not-found' };
 
         const player = game.players.find(p => p.id === playerId);
-        if (!player) return { error: 'Player not found' };
+        if (!player) return { error: 'Player not found', code: 'not-found' };
 
         // Validate name
         if (!newName || newName.trim().length === 0) {
-            return { error: 'Name cannot be empty' };
+            return { error: 'Name cannot be empty', code: 'invalid-request' };
         }
 
-        newName = newName.trim().substring(0, 15); // Enforce max length
+        newName = newName.trim().substring(0, MAX_NAME_LENGTH);
 
-        // Check for duplicates (excluding current player)
-        let finalName = newName;
-        let counter = 1;
-        while (game.players.some(p => p.id !== playerId && p.name === finalName)) {
-            finalName = `${newName} (${counter})`;
-            counter++;
-        }
+        const finalName = this.uniqueName(game, newName, playerId);
 
         const oldName = player.name;
         player.name = finalName;
 
-        this.addSystemMessage(game, `${oldName} changed their name to ${finalName}`);
+        this.addSystemMessage(game, 'system.name-changed', { oldName, newName: finalName });
+        this.saveGame(game);
 
         return { game, oldName, newName: finalName };
     }
 
-    addSystemMessage(game, text) {
-        game.chatHistory.push({ sender: 'System', message: text, timestamp: new Date(), type: 'system' });
+    // Host-only, between games. Bots fill seats like players and are removed with kickPlayer().
+    addBot(gameCode, hostId, level = 'medium') {
+        const game = this.getGame(gameCode);
+        if (!game) return { error: 'Game not found', code: 'not-found' };
+        if (game.creatorId !== hostId) return { error: 'Only host can add bots', code: 'not-host' };
+        if (game.status === 'playing') return { error: 'Bots can only join between games', code: 'wrong-phase' };
+        if (!BOT_LEVELS.includes(level)) return { error: `Bot level must be one of: ${BOT_LEVELS.join(', ')}`, code: 'invalid-request' };
+        if (game.players.filter(p => p.isBot).length >= MAX_BOTS) return { error: `At most ${MAX_BOTS} bots per game`, code: 'not-allowed' };
+
+        const taken = new Set(game.players.map(p => p.name));
+        const name = BOT_NAMES.map(n => `Bot ${n}`).find(n => !taken.has(n)) || 'Bot';
+        const bot = {
+            id: this.generateId(),
+            name: this.uniqueName(game, name),
+            role: null,
+            word: null,
+            status: 'active',
+            points: 0,
+            gamePoints: 0,
+            hasDescribed: false,
+            hasVoted: false,
+            isCreator: false,
+            isBot: true,
+            botLevel: level
+        };
+        game.players.push(bot);
+        this.addSystemMessage(game, 'system.bot-added', { name: bot.name });
+        this.saveGame(game);
+        return { game, playerId: bot.id };
+    }
+
+    // The bot whose move the game is waiting for, if any
+    nextBotMove(game) {
+        if (game.status !== 'playing') return null;
+        const isBot = (id) => game.players.find(p => p.id === id && p.isBot);
+
+        if (game.gamePhase === 'description') {
+            const bot = isBot(game.turnOrder[game.currentTurnIndex]);
+            return bot && bot.status === 'active' ? { bot, action: 'describe' } : null;
+        }
+        if (game.gamePhase === 'voting') {
+            const bot = game.players.find(p => p.isBot && p.status === 'active' && !p.hasVoted);
+            return bot ? { bot, action: 'vote' } : null;
+        }
+        if (game.gamePhase === 'guess') {
+            const bot = isBot(game.guessingPlayerId);
+            return bot ? { bot, action: 'guess' } : null;
+        }
+        return null;
+    }
+
+    // Called on every save: one timer per game, so bots move one at a time
+    scheduleBots(game) {
+        const key = `bot:${game.gameCode}`;
+        if (!this.nextBotMove(game) || this.cluster.hasTimer(key)) return;
+        this.cluster.setTimer(key, BOT_DELAY_MS, { type: 'bot', gameCode: game.gameCode });
+    }
+
+    // Plays the next bot move through the same methods a player's socket would call. Bots only
+    // get the view projectGameState() builds for their seat. A clue is returned as `clue` so
+    // the server can show it in the chat like a player's.
+    runBots(gameCode) {
+        this.cluster.clearTimer(`bot:${gameCode}`);
+        const game = this.getGame(gameCode);
+        const move = game && this.nextBotMove(game);
+        if (!move) return null;
+
+        const { bot, action } = move;
+        const view = projectGameState(game, bot.id);
+        const random = this.random(game);
+        let result;
+        if (action === 'describe') {
+            // A clue can still hit the other word, which bots do not know: they try another,
+            // and pass when the rules leave them nothing to say
+            const rejected = [];
+            for (let attempt = 0; attempt < 3; attempt++) {
+                const clue = chooseClue(view, bot.id, bot.botLevel, random, rejected);
+                result = this.submitDescription(gameCode, bot.id, clue);
+                if (!result.error) {
+                    result.clue = { sender: bot.name, message: clue };
+                    break;
+                }
+                rejected.push(clue);
+            }
+            if (result.error && game.gamePhase === 'description') {
+                console.error(`[BOT] ${bot.name} found no clue the rules allow in ${gameCode}: ${result.error}`);
+                result = this.passDescriptionTurn(game, bot);
+                this.saveGame(game);
+            }
+        } else if (action === 'vote') {
+            result = this.submitVote(gameCode, bot.id, chooseVote(view, bot.id, bot.botLevel, random));
+        } else {
+            result = this.submitGuess(gameCode, bot.id, chooseGuess(view, bot.id, bot.botLevel, random));
+        }
+
+        if (result.error) {
+            console.error(`[BOT] ${bot.name} could not ${action} in ${gameCode}: ${result.error}`);
+            return null;
+        }
+        if (this.updateCallback) this.updateCallback(gameCode, result.game, result);
+        return result;
+    }
+
+    // Host-only moderation below works at any time, also mid-game
+
+    kickPlayer(gameCode, hostId, targetId) {
+        return this.expel(gameCode, hostId, targetId, false);
+    }
+
+    // A ban also keeps the player out for good: neither their player ID (reconnecting)
+    // nor their name (joining afresh) gets back in
+    banPlayer(gameCode, hostId, targetId) {
+        return this.expel(gameCode, hostId, targetId, true);
+    }
+
+    expel(gameCode, hostId, targetId, ban) {
+        const game = this.getGame(gameCode);
+        if (!game) return { error: 'Game not found', code: 'not-found' };
+        if (game.creatorId !== hostId) return { error: `Only host can ${ban ? 'ban' : 'kick'} players`, code: 'not-host' };
+        if (targetId === hostId) return { error: `You cannot ${ban ? 'ban' : 'kick'} yourself`, code: 'not-allowed' };
+
+        const target = [...game.players, ...game.spectators].find(p => p.id === targetId);
+        if (!target) return { error: 'Player not found', code: 'not-found' };
+        if (ban && target.isBot) return { error: 'Bots can only be removed, not banned', code: 'not-allowed' };
+
+        if (ban) game.banned.push({ id: target.id, name: target.name });
+        this.addSystemMessage(game, ban ? 'system.player-banned' : 'system.player-kicked', { name: target.name });
+        this.removeMember(game, target);
+        this.saveGame(game);
+        return { game, removedId: target.id };
+    }
+
+    // Takes a player or spectator out of the game for good. Their sockets are dropped by the
+    // server on every instance, see forgetSessions().
+    removeMember(game, member) {
+        this.cluster.clearTimer(`disconnect:${game.gameCode}:${member.id}`);
+
+        const spectatorIndex = game.spectators.indexOf(member);
+        if (spectatorIndex !== -1) {
+            game.spectators.splice(spectatorIndex, 1);
+            return;
+        }
+
+        // A player taken out while guessing gives up the guess
+        if (game.gamePhase === 'guess' && game.guessingPlayerId === member.id) {
+            this.concludeRound(game, member);
+        }
+        game.players.splice(game.players.indexOf(member), 1);
+        delete game.votes[member.id];
+        // Votes for them are handed back, so those players can vote again
+        Object.keys(game.votes).filter(voterId => game.votes[voterId] === member.id).forEach(voterId => {
+            delete game.votes[voterId];
+            const voter = game.players.find(p => p.id === voterId);
+            if (voter) voter.hasVoted = false;
+        });
+        if (game.status === 'playing') this.settleDeparture(game, member);
+    }
+
+    // Drops this instance's sessions for a player; other instances do the same when told (see server.js)
+    forgetSessions(gameCode, playerId) {
+        this.playerSessions.forEach((session, socketId) => {
+            if (session.gameCode === gameCode && session.playerId === playerId) this.dropSession(socketId);
+        });
+    }
+
+    isBanned(game, playerId, name) {
+        const lowerName = typeof name === 'string' ? name.trim().toLowerCase() : null;
+        // Bans saved from nameless spectators have no name to match
+        return game.banned.some(b => b.id === playerId || (lowerName !== null && typeof b.name === 'string' && b.name.toLowerCase() === lowerName));
+    }
+
+    transferHost(gameCode, hostId, targetId) {
+        const game = this.getGame(gameCode);
+        if (!game) return { error: 'Game not found', code: 'not-found' };
+        if (game.creatorId !== hostId) return { error: 'Only host can hand over the host role', code: 'not-host' };
+
+        const target = game.players.find(p => p.id === targetId);
+        if (!target || target.isBot) return { error: 'Only players can become host', code: 'not-allowed' };
+        if (target.id === hostId) return { error: 'You are already the host', code: 'not-allowed' };
+        if (target.status === 'disconnected') return { error: 'Cannot make a disconnected player host', code: 'not-allowed' };
+
+        this.setHost(game, target);
+        this.saveGame(game);
+        return { game };
+    }
+
+    setRoomLocked(gameCode, hostId, locked) {
+        const game = this.getGame(gameCode);
+        if (!game) return { error: 'Game not found', code: 'not-found' };
+        if (game.creatorId !== hostId) return { error: 'Only host can lock the room', code: 'not-host' };
+        if (typeof locked !== 'boolean') return { error: 'Locked must be true or false', code: 'invalid-request' };
+
+        game.locked = locked;
+        this.addSystemMessage(game, locked ? 'system.room-locked' : 'system.room-unlocked');
+        this.saveGame(game);
+        return { game };
+    }
+
+    // Host-only, at any time: public rooms are listed in the room browser
+    setRoomPublic(gameCode, hostId, isPublic) {
+        const game = this.getGame(gameCode);
+        if (!game) return { error: 'Game not found', code: 'not-found' };
+        if (game.creatorId !== hostId) return { error: 'Only host can list the room', code: 'not-host' };
+        if (typeof isPublic !== 'boolean') return { error: 'Public must be true or false', code: 'invalid-request' };
+
+        game.isPublic = isPublic;
+        this.addSystemMessage(game, isPublic ? 'system.room-public' : 'system.room-private');
+        this.saveGame(game);
+        return { game };
+    }
+
+    // Rooms a stranger could join right now: marked public, without a password or lock,
+    // and with someone still connected. Newest activity first.
+    getPublicGames() {
+        return Array.from(this.games.values())
+            .filter(game => game.isPublic && !game.password && !game.locked)
+            .filter(game => game.players.some(p => p.status !== 'disconnected' && !p.isBot))
+            .sort((a, b) => b.lastActivityAt - a.lastActivityAt);
+    }
+
+    // Returns the join error for a wrong or missing password, or null when it is right.
+    // Failures count per room and client address, so opening a new connection does not
+    // reset them.
+    async checkRoomPassword(game, clientAddress, password) {
+        const key = `${game.gameCode}|${clientAddress || ''}`;
+        const now = Date.now();
+        let record = this.passwordFailures.get(key);
+        if (!record || (record.lockedUntil && record.lockedUntil <= now)) record = { count: 0, lockedUntil: 0 };
+        if (record.lockedUntil > now) {
+            return { error: 'Too many wrong passwords, try again in a moment', code: 'too-many-attempts', passwordRequired: true };
+        }
+        if (!password) return { error: 'This game needs a password', code: 'password-required', passwordRequired: true };
+
+        // Counted before the slow check, so guesses sent side by side cannot get past the limit
+        record.count++;
+        record.lastAttemptAt = now;
+        if (record.count >= MAX_PASSWORD_FAILURES) record.lockedUntil = now + PASSWORD_LOCKOUT_MS;
+        this.passwordFailures.set(key, record);
+
+        if (await checkPassword(game.password, password)) {
+            this.passwordFailures.delete(key);
+            return null;
+        }
+        return { error: 'Wrong password', code: 'wrong-password', passwordRequired: true };
+    }
+
+    // Host-only, at any time. An empty or null password opens the room again.
+    // Players and spectators already in the room are never asked for it.
+    async setRoomPassword(gameCode, hostId, password) {
+        const passwordError = validatePassword(password);
+        if (passwordError) return { error: passwordError, code: 'invalid-request' };
+        // Hashed first, so the checks below see the game as it is once the hash is ready
+        const passwordHash = await hashPassword(password);
+
+        const game = this.getGame(gameCode);
+        if (!game) return { error: 'Game not found', code: 'not-found' };
+        if (game.creatorId !== hostId) return { error: 'Only host can change the room password', code: 'not-host' };
+
+        const hadPassword = !!game.password;
+        game.password = passwordHash;
+        if (game.password) {
+            this.addSystemMessage(game, 'system.password-set');
+        } else if (hadPassword) {
+            this.addSystemMessage(game, 'system.password-removed');
+        }
+        this.saveGame(game);
+        return { game };
+    }
+
+    // Host-only, at any time: the god view shows spectators every role and word live
+    setGodView(gameCode, playerId, enabled) {
+        const game = this.getGame(gameCode);
+        if (!game) return { error: 'Game not found', code: 'not-found' };
+        if (game.creatorId !== playerId) return { error: 'Only host can change the spectator view', code: 'not-host' };
+        if (typeof enabled !== 'boolean') return { error: 'God view must be true or false', code: 'invalid-request' };
+
+        game.godView = enabled;
+        this.addSystemMessage(game, enabled ? 'system.god-view-on' : 'system.god-view-off');
+        this.saveGame(game);
+        return { game };
+    }
+
+    // System messages are stored as a message key plus parameters so every client can
+    // render them in its own language; `message` keeps the English text for logs.
+    addSystemMessage(game, key, params = {}) {
+        game.chatHistory.push({
+            sender: 'System', key, params, message: translate('en', key, params), timestamp: new Date(), type: 'system'
+        });
     }
 
     addChatMessage(game, sender, text, type = 'player') {
         game.chatHistory.push({ sender, message: text, timestamp: new Date(), type });
     }
 
+    // Chat from a player or spectator. Saved like any other change, so other instances and
+    // restarts keep it and the room counts as active for cleanupGames().
+    sendChat(game, member, text) {
+        const type = game.spectators.includes(member) ? 'spectator' : 'player';
+        this.addChatMessage(game, member.name, text, type);
+        this.saveGame(game);
+        return game.chatHistory[game.chatHistory.length - 1];
+    }
+
+    // The event log records one game from start to end for the JSON export and the replay
+    // page. Unlike the chat it keeps roles and votes, so it is only handed out once the
+    // game has ended (see getGameLog()).
+    startEventLog(game) {
+        game.eventLog = [];
+        this.logEvent(game, 'game-started', {
+            seed: game.rng.seed,
+            deck: this.deckState(game),
+            players: game.players.map(p => ({ id: p.id, name: p.name, ...(p.isBot ? { isBot: true } : {}) })),
+            settings: JSON.parse(JSON.stringify(game.settings))
+        });
+    }
+
+    logEvent(game, type, data = {}) {
+        game.eventLog.push({ type, at: Date.now(), round: game.currentRound, ...data });
+    }
+
+    // Players and spectators can download the log of a finished game
+    getGameLog(gameCode, playerId) {
+        const game = this.getGame(gameCode);
+        if (!game) return { error: 'Game not found', code: 'not-found' };
+        if (![...game.players, ...game.spectators].some(p => p.id === playerId)) return { error: 'Player not found', code: 'not-found' };
+        if (game.status !== 'ended' || game.eventLog.length === 0) return { error: 'The game log is available once the game has ended', code: 'wrong-phase' };
+        return { game, log: buildGameLog(game) };
+    }
+
+    // Snapshots the game after a change and tells the other instances to reload it.
+    // A failing store must not take the game down with it.
+    saveGame(game) {
+        game.lastActivityAt = Date.now();
+        try {
+            this.store.save(game);
+        } catch (err) {
+            console.error(`[STORE] Failed to save game ${game.gameCode}:`, err.message);
+            return;
+        }
+        this.cluster.publish('game-updated', { gameCode: game.gameCode });
+        this.scheduleBots(game);
+    }
+
+    deleteSnapshot(gameCode) {
+        try {
+            this.store.delete(gameCode);
+        } catch (err) {
+            console.error(`[STORE] Failed to delete game ${gameCode}:`, err.message);
+        }
+    }
+
+    /**
+     * Loads every stored game after a restart. Nobody is connected yet, so each room gets the
+     * usual deletion countdown until a player rejoins. Phase deadlines, including the pause on
+     * the results screen, are re-armed from the stored end times.
+     * Only the first instance of a cluster should call this; the others share its timers.
+     * @returns {number} How many games were restored
+     */
+    restoreGames() {
+        const games = this.store.loadAll();
+        games.forEach(game => {
+            // Saved before spectators, bans, passwords, public rooms, the event log, seeds, clue rules and the deck's last pair existed
+            game.spectators = game.spectators || [];
+            game.eventLog = game.eventLog || [];
+            game.rng = game.rng || createRng();
+            game.banned = game.banned || [];
+            game.password = game.password || null;
+            game.isPublic = game.isPublic || false;
+            game.settings.clueRules = game.settings.clueRules || createSettings().clueRules;
+            if (game.wordDeck.lastPair === undefined) game.wordDeck.lastPair = game.wordPair ? pairKey(game.wordPair) : null;
+            this.games.set(game.gameCode, game);
+            // Nobody's socket survived the restart; whoever does not rejoin in time is let go
+            [...game.players, ...game.spectators]
+                .filter(member => !member.isBot)
+                .forEach(member => this.markDisconnected(game, member));
+            this.saveGame(game);
+            this.scheduleDeletion(game.gameCode);
+            if (game.status !== 'playing') return;
+
+            const deadline = PHASE_DEADLINES[game.gamePhase];
+            const endTime = deadline && game[deadline.endTime];
+            if (endTime) this.schedulePhaseTimeout(game, endTime);
+        });
+        console.log(`[STORE] Restored ${games.length} game(s)`);
+        return games.length;
+    }
+
     generateGameCode() {
         const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
         let code;
         do {
-            code = Array.from({ length: 6 }, () => chars[Math.floor(Math.random() * chars.length)]).join('');
-        } while (this.games.has(code));
+            code = secureCode(6, chars);
+        } while (this.games.has(code) || this.store.load(code));
         return code;
     }
 
-    cleanupGames() {
-        // Implement cleanup if needed
+    /**
+     * Reclaims what nobody will come back for: rooms nobody is connected to that have been
+     * idle for longer than GAME_TTLS allows for their status, sessions whose game or player is gone, and cluster timers for games,
+     * phases or players that no longer exist. Every step is safe to repeat, so each instance
+     * of a cluster may run it.
+     * @param {number} [now] - Defaults to Date.now()
+     * @returns {{ games: string[], sessions: number, timers: string[] }} Removed game codes,
+     *   pruned session count and cleared timer keys
+     */
+    cleanupGames(now = Date.now()) {
+        const report = { games: [], sessions: 0, timers: [] };
+
+        // Games other instances own are only in the store; new ones may not be saved yet
+        const games = new Map(this.store.loadAll().map(game => [game.gameCode, game]));
+        this.games.forEach((game, gameCode) => games.set(gameCode, game));
+        games.forEach((game, gameCode) => {
+            const ttl = GAME_TTLS[game.status] || GAME_TTLS.lobby;
+            // A room left open on someone's screen is idle, not abandoned
+            const connected = [...game.players, ...game.spectators].some(member => this.hasActiveSession(gameCode, member.id));
+            if (!connected && now - (game.lastActivityAt || now) > ttl) {
+                this.deleteGame(gameCode);
+                report.games.push(gameCode);
+            }
+        });
+
+        this.playerSessions.forEach((session, socketId) => {
+            const game = this.getGame(session.gameCode);
+            if (!game || ![...game.players, ...game.spectators].some(p => p.id === session.playerId)) {
+                this.dropSession(socketId);
+                report.sessions++;
+            }
+        });
+
+        // Failed password attempts nobody has followed up on
+        this.passwordFailures.forEach((record, key) => {
+            if (Math.max(record.lockedUntil, record.lastAttemptAt) < now - PASSWORD_LOCKOUT_MS) this.passwordFailures.delete(key);
+        });
+
+        this.cluster.timerKeys().forEach(key => {
+            if (this.isOrphanedTimer(key)) {
+                this.cluster.clearTimer(key);
+                report.timers.push(key);
+            }
+        });
+
+        console.log(`[CLEANUP] Removed ${report.games.length} game(s), ${report.sessions} session(s), ${report.timers.length} timer(s)`);
+        return report;
+    }
+
+    // Timer keys are `<type>:<gameCode>[:<playerId>]`, see handleTimer()
+    isOrphanedTimer(key) {
+        const [type, gameCode, playerId] = key.split(':');
+        const game = this.getGame(gameCode);
+        if (!game) return true;
+        if (type === 'phase' || type === 'bot') return game.status !== 'playing';
+        if (type === 'disconnect') {
+            const member = [...game.players, ...game.spectators].find(p => p.id === playerId);
+            return !member || member.status !== 'disconnected';
+        }
+        return false;
     }
 }
 
@@ -0,0 +1,89 @@
+const fs = require('fs');
+const path = require('path');
+
+// Snapshots of game objects, so rooms survive a server restart.
+// GameManager saves a game after every change, reads games other instances changed
+// (see cluster.js) and loads them all back on startup.
+// Stores are synchronous and keep plain JSON: timers, sockets and sessions are not
+// part of a snapshot and are rebuilt by GameManager.restoreGames().
+
+// Default store: keeps snapshots for the lifetime of the process only
+class MemoryGameStore {
+    constructor() {
+        this.snapshots = new Map(); // gameCode -> JSON string
+    }
+
+    save(game) {
+        this.snapshots.set(game.gameCode, JSON.stringify(game));
+    }
+
+    delete(gameCode) {
+        this.snapshots.delete(gameCode);
+    }
+
+    load(gameCode) {
+        const json = this.snapshots.get(gameCode);
+        return json ? JSON.parse(json) : null;
+    }
+
+    loadAll() {
+        return Array.from(this.snapshots.values()).map(json => JSON.parse(json));
+    }
+}
+
+// One <gameCode>.json file per game in `dir`
+class FileGameStore {
+    constructor(dir) {
+        this.dir = dir;
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    filePath(gameCode) {
+        return path.join(this.dir, `${gameCode}.json`);
+    }
+
+    // Written to a temporary file and renamed, so a crash mid-write never leaves half a snapshot
+    save(game) {
+        const file = this.filePath(game.gameCode);
+        const tmp = `${file}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(game));
+        fs.renameSync(tmp, file);
+    }
+
+    delete(gameCode) {
+        fs.rmSync(this.filePath(gameCode), { force: true });
+    }
+
+    load(gameCode) {
+        try {
+            return JSON.parse(fs.readFileSync(this.filePath(gameCode), 'utf8'));
+        } catch (err) {
+            if (err.code !== 'ENOENT') console.error(`[STORE] Unreadable snapshot for ${gameCode}:`, err.message);
+            return null;
+        }
+    }
+
+    loadAll() {
+        const games = [];
+        fs.readdirSync(this.dir)
+            .filter(name => name.endsWith('.json'))
+            .forEach(name => {
+                try {
+                    games.push(JSON.parse(fs.readFileSync(path.join(this.dir, name), 'utf8')));
+                } catch (err) {
+                    console.error(`[STORE] Skipping unreadable snapshot ${name}:`, err.message);
+                }
+            });
+        return games;
+    }
+}
+
+/**
+ * Store selected by the environment: GAME_STORE_DIR enables file snapshots, otherwise memory.
+ * @param {object} [env] - Defaults to process.env
+ */
+function createGameStore(env = process.env) {
+    return env.GAME_STORE_DIR ? new FileGameStore(env.GAME_STORE_DIR) : new MemoryGameStore();
+}
+
+module.exports = { MemoryGameStore, FileGameStore, createGameStore };
@@ -0,0 +1,180 @@
+// Per-player projections of the authoritative game object.
+// GameManager keeps every secret (roles, words, votes) in one object; sockets
+// must only ever receive the view built here for the player behind them.
+
+const { copySettings } = require('./settings');
+
+// Fields of the game object that every player may see at any time
+const PUBLIC_GAME_FIELDS = [
+    'gameCode',
+    'creatorId',
+    'status',
+    'currentRound',
+    'turnOrder',
+    'currentTurnIndex',
+    'chatHistory',
+    'gamePhase',
+    'guessingPlayerId',
+    'suddenDeath',
+    'series',
+    'godView',
+    'locked',
+    'isPublic',
+    'descriptionEndTime',
+    'votingEndTime',
+    'guessEndTime'
+];
+
+// Fields of a player that every other player may see at any time
+const PUBLIC_PLAYER_FIELDS = ['id', 'name', 'status', 'hasDescribed', 'hasVoted', 'isCreator', 'isBot', 'botLevel'];
+
+const PUBLIC_SPECTATOR_FIELDS = ['id', 'name', 'status'];
+
+// Round result fields that are safe to show before the game is over
+const PUBLIC_RESULT_FIELDS = ['eliminatedId', 'eliminatedName', 'eliminatedRole', 'winner', 'guess'];
+
+function pick(source, fields) {
+    const view = {};
+    fields.forEach(field => {
+        if (source[field] !== undefined) view[field] = source[field];
+    });
+    return view;
+}
+
+// Secrets are only hidden while a game is being played. In the lobby nobody
+// has a role yet, and once the game has ended everything is revealed.
+// Spectators see everything all along while the host has the god view on.
+function isRevealed(game, viewerIsSpectator) {
+    return game.status !== 'playing' || (viewerIsSpectator && game.godView);
+}
+
+function projectPlayer(player, viewerId, revealed) {
+    const view = pick(player, PUBLIC_PLAYER_FIELDS);
+
+    if (revealed || player.id === viewerId) {
+        view.role = player.role;
+        view.word = player.word;
+        view.points = player.points;
+        view.gamePoints = player.gamePoints;
+    } else {
+        // Eliminated roles are already announced in the game log.
+        // Points stay hidden mid-game because survival points differ by role.
+        view.role = player.status === 'eliminated' ? player.role : null;
+        view.word = null;
+        view.points = null;
+        view.gamePoints = null;
+    }
+    // Totals from earlier games give nothing away, so the scoreboard can always show them
+    view.previousPoints = player.points - (player.gamePoints || 0);
+
+    return view;
+}
+
+function countVotes(votes) {
+    const voteCounts = {};
+    Object.values(votes || {}).forEach(id => voteCounts[id] = (voteCounts[id] || 0) + 1);
+    return voteCounts;
+}
+
+/**
+ * Builds the game state as seen by a single player.
+ * @param {object} game - Authoritative game object from GameManager
+ * @param {string|null} viewerId - Player ID behind the receiving socket
+ * @returns {object} A new object that is safe to emit to that player
+ */
+function projectGameState(game, viewerId) {
+    const spectators = game.spectators || [];
+    const viewerIsSpectator = spectators.some(s => s.id === viewerId);
+    const revealed = isRevealed(game, viewerIsSpectator);
+    const view = pick(game, PUBLIC_GAME_FIELDS);
+
+    // Spectator chat is a channel of its own that players never see
+    if (!viewerIsSpectator) view.chatHistory = game.chatHistory.filter(m => m.type !== 'spectator');
+    view.spectators = spectators.map(s => pick(s, PUBLIC_SPECTATOR_FIELDS));
+
+    view.settings = copySettings(game.settings);
+    view.players = game.players.map(p => projectPlayer(p, viewerId, revealed));
+    view.voteCounts = countVotes(game.votes);
+    // How many imposters are in play is public; who they are is not
+    view.imposterTotal = (game.imposterIds || []).length;
+    // Only the size of a custom word pack is public, never its words
+    view.customPairCount = (game.customPairs || []).length;
+    // Whether new players need a password; the password itself stays on the server
+    view.hasPassword = !!game.password;
+    // Lets clients correct for clock skew when counting down to the phase end times
+    view.serverTime = Date.now();
+
+    if (revealed) {
+        view.votes = { ...game.votes };
+        view.wordPair = game.wordPair || null;
+        view.imposterIds = [...(game.imposterIds || [])];
+        view.lastRoundResult = game.lastRoundResult ? { ...game.lastRoundResult } : null;
+    } else {
+        // Only your own ballot; who voted for whom stays secret until the end
+        view.votes = {};
+        if (viewerId && game.votes && game.votes[viewerId]) {
+            view.votes[viewerId] = game.votes[viewerId];
+        }
+        view.lastRoundResult = game.lastRoundResult ? pick(game.lastRoundResult, PUBLIC_RESULT_FIELDS) : null;
+    }
+
+    return view;
+}
+
+/**
+ * What the room browser shows about a public room, to anyone: no chat, roles or player IDs.
+ * @param {object} game - Authoritative game object from GameManager
+ * @returns {object} Summary that is safe to serve to people outside the room
+ */
+function summarizeRoom(game) {
+    const host = game.players.find(p => p.id === game.creatorId);
+    const { settings } = game;
+    return {
+        gameCode: game.gameCode,
+        hostName: host ? host.name : null,
+        playerCount: game.players.filter(p => p.status !== 'disconnected').length,
+        spectatorCount: (game.spectators || []).filter(s => s.status === 'watching').length,
+        status: game.status,
+        // Mid-game joiners sit out as 'waiting' until the next game
+        joinableAsWaiting: game.status === 'playing',
+        currentRound: game.currentRound,
+        settings: {
+            locale: settings.locale,
+            maxRounds: settings.maxRounds,
+            seriesLength: settings.seriesLength,
+            imposterCount: settings.imposterCount,
+            blankCount: settings.blankCount,
+            categories: [...settings.categories],
+            customWords: (game.customPairs || []).length > 0
+        }
+    };
+}
+
+// Marks exported logs so the replay page can tell them from any other JSON file
+const GAME_LOG_FORMAT = 'whos-the-spy-game-log';
+
+/**
+ * A finished game for the JSON export and the replay page: the event log plus everyone's
+ * role and word. Only hand this out once the game has ended.
+ * @param {object} game - Authoritative game object from GameManager
+ * @returns {object} Plain JSON, safe to download
+ */
+function buildGameLog(game) {
+    const result = game.lastRoundResult || {};
+    return {
+        format: GAME_LOG_FORMAT,
+        version: 1,
+        gameCode: game.gameCode,
+        exportedAt: new Date().toISOString(),
+        // With the deck in the game-started event, replays the game through GameManager's `replay` option
+        seed: game.rng ? game.rng.seed : null,
+        winner: result.winner || null,
+        wordPair: game.wordPair ? { civilian: game.wordPair.civilian, imposter: game.wordPair.imposter } : null,
+        players: game.players
+            .filter(p => p.role)
+            .map(p => ({ id: p.id, name: p.name, role: p.role, word: p.word, gamePoints: p.gamePoints || 0, ...(p.isBot ? { isBot: true } : {}) })),
+        events: game.eventLog.map(event => ({ ...event }))
+    };
+}
+
+module.exports = { projectGameState, summarizeRoom, buildGameLog, GAME_LOG_FORMAT };
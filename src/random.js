@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+
+// Everything random in a game (roles, turn order, the word deck, bot moves) comes from a
+// small seeded generator whose state is kept on the game object: it survives snapshots and
+// moves between instances with the game, and the same seed with the same inputs plays out
+// the same way. Game codes and IDs are not game logic and come from crypto instead.
+
+const ID_CHARS = 'abcdefghijklmnopqrstuvwxyz0123456789';
+
+function createSeed() {
+    return crypto.randomBytes(8).toString('hex');
+}
+
+// FNV-1a, to turn any seed string into the generator's 32-bit state
+function hashSeed(seed) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < seed.length; i++) {
+        hash ^= seed.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * A generator state to keep on a game.
+ * @param {string|number} [seed] - A fresh random seed when left out
+ * @returns {{ seed: string, state: number }} Plain JSON
+ */
+function createRng(seed = createSeed()) {
+    seed = String(seed);
+    return { seed, state: hashSeed(seed) };
+}
+
+/**
+ * Advances the generator (mulberry32) in place.
+ * @param {{ state: number }} rng - From createRng()
+ * @returns {number} A float in [0, 1), like Math.random()
+ */
+function nextRandom(rng) {
+    rng.state = (rng.state + 0x6d2b79f5) >>> 0;
+    let t = rng.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+// Fisher-Yates, in place. `random` returns floats in [0, 1) like Math.random
+function shuffle(array, random = Math.random) {
+    for (let i = array.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
+}
+
+// Unpredictable strings for game codes and player IDs
+function secureCode(length, chars = ID_CHARS) {
+    return Array.from({ length }, () => chars[crypto.randomInt(chars.length)]).join('');
+}
+
+module.exports = { createSeed, createRng, nextRandom, shuffle, secureCode };
@@ -2,187 +2,437 @@ const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
 const GameManager = require('./game-manager');
+const { createGameStore } = require('./game-store');
+const { LocalBroker } = require('./cluster');
+const { projectGameState, summarizeRoom } = require('./game-view');
+const { validatePayload, toErrorPayload } = require('./validation');
 const path = require('path');
+const fs = require('fs');
 const { version } = require('../package.json');
 
-const app = express();
-
-// Trust proxy for production deployment (required when behind reverse proxy)
-app.set('trust proxy', 1);
-
-const server = http.createServer(app);
-const io = socketIo(server, {
-    cors: { origin: "*", methods: ["GET", "POST"] },
-    pingTimeout: 60000,
-    pingInterval: 25000,
-    transports: ['websocket'],
-    path: '/socket.io'
-});
-
-const gameManager = new GameManager((gameCode, game) => {
-    io.to(gameCode).emit('game-state-update', game);
-});
-const roundTimers = new Map();
-
-function clearRoundTimer(gameCode) {
-    const timer = roundTimers.get(gameCode);
-    if (timer) {
-        clearTimeout(timer);
-        roundTimers.delete(gameCode);
+/**
+ * Starts one game server. Servers given adapters of the same broker share their rooms
+ * (see cluster.js); without one the server gets a broker of its own.
+ * @param {object} [options]
+ * @param {number|string} [options.port] - Defaults to PORT or 3000
+ * @param {object} [options.cluster] - Broker adapter, see cluster.js
+ * @param {string} [options.seed] - Defaults to GAME_SEED; fixes every game's random seed, to reproduce a bug
+ * @param {object} [options.replay] - Defaults to the game log file GAME_REPLAY names; every game replays its seed and word deck
+ * @returns {{ server, io, gameManager, close: Function }}
+ */
+function startServer({
+    port = process.env.PORT || 3000,
+    cluster = new LocalBroker({ store: createGameStore() }).connect(),
+    seed = process.env.GAME_SEED || null,
+    replay = process.env.GAME_REPLAY ? JSON.parse(fs.readFileSync(process.env.GAME_REPLAY, 'utf8')) : null
+} = {}) {
+    const app = express();
+
+    // Trust proxy for production deployment (required when behind reverse proxy)
+    app.set('trust proxy', 1);
+
+    const server = http.createServer(app);
+    const io = socketIo(server, {
+        cors: { origin: "*", methods: ["GET", "POST"] },
+        pingTimeout: 60000,
+        pingInterval: 25000,
+        transports: ['websocket'],
+        path: '/socket.io'
+    });
+
+    // Timers and other instances change games too; the next round after the results
+    // screen is started by GameManager's own timer
+    const gameManager = new GameManager((gameCode, game, result) => {
+        emitGameState(gameCode, game);
+        // Bot moves arrive here too; their clues go to the feed like a player's
+        if (result && result.clue) emitClue(gameCode, result.clue.sender, result.clue.message);
+    }, { cluster, seed, replay });
+
+    // Every socket in the room gets its own redacted view of the game
+    function emitLocalGameState(gameCode, game, event) {
+        scheduleRoomListUpdate();
+        const room = io.sockets.adapter.rooms.get(gameCode);
+        if (!room) return;
+        room.forEach(socketId => {
+            const viewerId = gameManager.getPlayerId(socketId);
+            io.to(socketId).emit(event, projectGameState(game, viewerId));
+        });
     }
-}
 
-// Serve static files with no-cache headers to prevent stale files
-app.use(express.static(path.join(__dirname, '../public'), {
-    setHeaders: (res, filepath) => {
-        // Cache bust for HTML, JS, and CSS files
-        if (filepath.endsWith('.html') || filepath.endsWith('.js') || filepath.endsWith('.css')) {
-            res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
-            res.setHeader('Pragma', 'no-cache');
-            res.setHeader('Expires', '0');
-        }
+    // Other instances send plain updates for every saved change on their own;
+    // only named events such as 'game-started' need to be forwarded
+    function emitGameState(gameCode, game, event = 'game-state-update') {
+        emitLocalGameState(gameCode, game, event);
+        if (event !== 'game-state-update') cluster.publish('game-state-event', { gameCode, event });
     }
-}));
-app.use(express.json());
-
-app.get('/', (req, res) => res.sendFile(path.join(__dirname, '../public/index.html')));
-app.get('/lobby', (req, res) => res.sendFile(path.join(__dirname, '../public/lobby.html')));
-app.get('/game', (req, res) => res.sendFile(path.join(__dirname, '../public/game.html')));
-app.get('/health', (req, res) => res.sendStatus(200));
-app.get('/version', (req, res) => res.json({ version }));
-
-io.on('connection', (socket) => {
-    socket.on('create-game', ({ playerName }) => {
-        try {
-            const { gameCode, playerId, game } = gameManager.createGame(socket.id, playerName);
-            socket.join(gameCode);
-            socket.emit('game-created', { gameCode, playerId });
-            io.to(gameCode).emit('player-update', game.players);
-        } catch (e) {
-            console.error(e);
-            socket.emit('error', { message: 'Failed to create game' });
-        }
+    cluster.subscribe('game-state-event', ({ gameCode, event }) => {
+        const game = gameManager.getGame(gameCode);
+        if (game) emitLocalGameState(gameCode, game, event);
     });
 
-    socket.on('join-game', ({ gameCode, playerName, previousPlayerId }) => {
-        const result = gameManager.joinGame(gameCode, socket.id, playerName, previousPlayerId);
-        if (result.error) {
-            socket.emit('error', { message: result.error });
-        } else {
-            socket.join(gameCode);
-            socket.emit('game-joined', { gameCode, playerId: result.playerId, gameState: result.game });
-            io.to(gameCode).emit('game-state-update', result.game);
-        }
-    });
+    // Events that are the same for everyone in a room also reach its sockets on other instances
+    function emitToRoom(gameCode, event, payload) {
+        io.to(gameCode).emit(event, payload);
+        cluster.publish('room-event', { gameCode, event, payload });
+    }
+    cluster.subscribe('room-event', ({ gameCode, event, payload }) => io.to(gameCode).emit(event, payload));
+
+    // Clues also go out as a chat message so every client sees them in the feed right away
+    function emitClue(gameCode, sender, message) {
+        emitToRoom(gameCode, 'chat-message', { sender, message, timestamp: new Date(), type: 'description' });
+    }
+
+    // Spectator sockets also join a room of their own for the spectator chat
+    const spectatorRoom = (gameCode) => `${gameCode}:spectators`;
+
+    // Someone the host kicked or banned: tell their clients, then take their sockets out
+    // of the room on every instance so they get no further updates
+    function removeFromRoom(gameCode, playerId, banned) {
+        emitToRoom(gameCode, 'player-removed', { playerId, banned });
+        dropSockets(gameCode, playerId);
+        cluster.publish('player-removed', { gameCode, playerId });
+    }
+    function dropSockets(gameCode, playerId) {
+        const room = io.sockets.adapter.rooms.get(gameCode);
+        Array.from(room || []).forEach(socketId => {
+            if (gameManager.getPlayerId(socketId) !== playerId) return;
+            const socket = io.sockets.sockets.get(socketId);
+            if (socket) {
+                socket.leave(gameCode);
+                socket.leave(spectatorRoom(gameCode));
+            }
+        });
+        gameManager.forgetSessions(gameCode, playerId);
+    }
+    cluster.subscribe('player-removed', ({ gameCode, playerId }) => dropSockets(gameCode, playerId));
+
+    // The room browser (browse.html) watches the public rooms through this socket room.
+    // Changes come in bursts, so the list is sent at most once a second.
+    const ROOM_LIST = 'room-list';
+    const publicRooms = () => gameManager.getPublicGames().map(summarizeRoom);
+    let roomListTimer = null;
+    function scheduleRoomListUpdate() {
+        if (roomListTimer || !io.sockets.adapter.rooms.has(ROOM_LIST)) return;
+        roomListTimer = setTimeout(() => {
+            roomListTimer = null;
+            io.to(ROOM_LIST).emit('room-list', { rooms: publicRooms() });
+        }, 1000);
+    }
 
-    socket.on('start-game', ({ gameCode }) => {
-        const playerId = gameManager.getPlayerId(socket.id);
-        const result = gameManager.startGame(gameCode, playerId);
-        if (result.error) {
-            socket.emit('error', { message: result.error });
-        } else {
-            clearRoundTimer(gameCode);
-            io.to(gameCode).emit('game-started', result.game);
+    // Serve static files with no-cache headers to prevent stale files
+    app.use(express.static(path.join(__dirname, '../public'), {
+        setHeaders: (res, filepath) => {
+            // Cache bust for HTML, JS, and CSS files
+            if (filepath.endsWith('.html') || filepath.endsWith('.js') || filepath.endsWith('.css')) {
+                res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+                res.setHeader('Pragma', 'no-cache');
+                res.setHeader('Expires', '0');
+            }
         }
-    });
+    }));
+    app.use(express.json());
+
+    app.get('/', (req, res) => res.sendFile(path.join(__dirname, '../public/index.html')));
+    app.get('/lobby', (req, res) => res.sendFile(path.join(__dirname, '../public/lobby.html')));
+    app.get('/game', (req, res) => res.sendFile(path.join(__dirname, '../public/game.html')));
+    app.get('/browse', (req, res) => res.sendFile(path.join(__dirname, '../public/browse.html')));
+    app.get('/replay', (req, res) => res.sendFile(path.join(__dirname, '../public/replay.html')));
+    app.get('/health', (req, res) => res.sendStatus(200));
+    app.get('/version', (req, res) => res.json({ version }));
+    app.get('/rooms', (req, res) => res.json({ rooms: publicRooms() }));
+
+    io.on('connection', (socket) => {
+        // Handlers only run with a payload that passed its schema (see validation.js)
+        const on = (event, handler) => socket.on(event, (payload) => {
+            const checked = validatePayload(event, payload);
+            if (checked.error) return socket.emit('error', checked.error);
+            handler(checked.value);
+        });
+        const reject = (result) => socket.emit('error', toErrorPayload(result));
+        // Behind the one trusted proxy (see 'trust proxy' above) the client is the last forwarded address
+        const forwarded = socket.handshake.headers['x-forwarded-for'];
+        const clientAddress = forwarded ? forwarded.split(',').pop().trim() : socket.handshake.address;
+
+        on('create-game', async ({ playerName, locale, password }) => {
+            try {
+                const result = await gameManager.createGame(socket.id, playerName, locale, password);
+                if (result.error) return reject(result);
+                const { gameCode, playerId, game } = result;
+                socket.join(gameCode);
+                socket.emit('game-created', { gameCode, playerId });
+                scheduleRoomListUpdate();
+                emitToRoom(gameCode, 'player-update', projectGameState(game, playerId).players);
+            } catch (e) {
+                console.error(e);
+                socket.emit('error', { code: 'server-error', message: 'Failed to create game' });
+            }
+        });
 
-    socket.on('submit-description', ({ gameCode, description }) => {
-        const playerId = gameManager.getPlayerId(socket.id);
-        const result = gameManager.submitDescription(gameCode, playerId, description);
-        if (result.error) {
-            socket.emit('error', { message: result.error });
-        } else {
-            io.to(gameCode).emit('game-state-update', result.game);
-
-            // Emit chat message for description so all clients see it in the feed
-            const player = result.game.players.find(p => p.id === playerId);
-            if (player) {
-                io.to(gameCode).emit('chat-message', {
-                    sender: player.name,
-                    message: description,
-                    timestamp: new Date(),
-                    type: 'description'
+        on('join-game', async ({ gameCode, playerName, previousPlayerId, spectate, password }) => {
+            try {
+                const result = await gameManager.joinGame(gameCode, socket.id, playerName, previousPlayerId, spectate === true, password, clientAddress);
+                if (result.error) return reject(result);
+                socket.join(gameCode);
+                if (gameManager.isSpectator(result.game, result.playerId)) socket.join(spectatorRoom(gameCode));
+                socket.emit('game-joined', {
+                    gameCode,
+                    playerId: result.playerId,
+                    gameState: projectGameState(result.game, result.playerId)
                 });
+                emitGameState(gameCode, result.game);
+            } catch (e) {
+                console.error(e);
+                socket.emit('error', { code: 'server-error', message: 'Failed to join game' });
             }
-        }
-    });
+        });
 
-    socket.on('submit-vote', ({ gameCode, votedPlayerId }) => {
-        const playerId = gameManager.getPlayerId(socket.id);
-        const result = gameManager.submitVote(gameCode, playerId, votedPlayerId);
-        if (result.error) {
-            socket.emit('error', { message: result.error });
-        } else {
-            io.to(gameCode).emit('game-state-update', result.game);
-            if (result.event === 'round-results' && !result.winner) {
-                clearRoundTimer(gameCode);
-                const expectedRound = result.game.currentRound;
-                const timer = setTimeout(() => {
-                    roundTimers.delete(gameCode);
-                    const game = gameManager.games.get(gameCode);
-                    if (!game || game.currentRound !== expectedRound || game.gamePhase !== 'results' || game.status !== 'playing') {
-                        return;
-                    }
-                    const nextResult = gameManager.startRound(game);
-                    io.to(gameCode).emit('game-state-update', nextResult.game);
-                }, 5000);
-                roundTimers.set(gameCode, timer);
+        on('update-settings', ({ gameCode, settings }) => {
+            const playerId = gameManager.getPlayerId(socket.id);
+            const result = gameManager.updateSettings(gameCode, playerId, settings);
+            if (result.error) {
+                reject(result);
+            } else {
+                emitGameState(gameCode, result.game);
             }
-        }
-    });
+        });
 
-    socket.on('send-chat', ({ gameCode, message }) => {
-        const game = gameManager.games.get(gameCode);
-        const playerId = gameManager.getPlayerId(socket.id);
-        if (game && playerId) {
-            // Restrict chat during strict phases
-            if (game.gamePhase === 'description' || game.gamePhase === 'voting') {
-                return; // Chat disabled
+        on('set-word-pack', ({ gameCode, pack }) => {
+            const playerId = gameManager.getPlayerId(socket.id);
+            const result = gameManager.setWordPack(gameCode, playerId, pack);
+            if (result.error) {
+                reject(result);
+            } else {
+                emitGameState(gameCode, result.game);
             }
+        });
 
-            const player = game.players.find(p => p.id === playerId);
-            if (player) {
-                gameManager.addChatMessage(game, player.name, message);
-                io.to(gameCode).emit('chat-message', { sender: player.name, message, timestamp: new Date(), type: 'player' });
+        on('start-game', ({ gameCode }) => {
+            const playerId = gameManager.getPlayerId(socket.id);
+            const result = gameManager.startGame(gameCode, playerId);
+            if (result.error) {
+                reject(result);
+            } else {
+                emitGameState(gameCode, result.game, 'game-started');
             }
-        }
-    });
+        });
 
-    socket.on('start-new-game', ({ gameCode }) => {
-        const playerId = gameManager.getPlayerId(socket.id);
-        const result = gameManager.startNewGame(gameCode, playerId);
-        if (result.error) socket.emit('error', { message: result.error });
-        else {
-            clearRoundTimer(gameCode);
-            io.to(gameCode).emit('game-started', result.game);
-        }
-    });
+        on('submit-description', ({ gameCode, description }) => {
+            const playerId = gameManager.getPlayerId(socket.id);
+            const result = gameManager.submitDescription(gameCode, playerId, description);
+            if (result.error) {
+                reject(result);
+            } else {
+                emitGameState(gameCode, result.game);
 
-    socket.on('update-player-name', ({ gameCode, newName }) => {
-        const playerId = gameManager.getPlayerId(socket.id);
-        const result = gameManager.updatePlayerName(gameCode, playerId, newName);
-        if (result.error) {
-            socket.emit('error', { message: result.error });
-        } else {
-            io.to(gameCode).emit('game-state-update', result.game);
-            io.to(gameCode).emit('player-name-updated', {
-                playerId,
-                oldName: result.oldName,
-                newName: result.newName
-            });
-        }
+                const player = result.game.players.find(p => p.id === playerId);
+                if (player) emitClue(gameCode, player.name, description);
+            }
+        });
+
+        on('submit-vote', ({ gameCode, votedPlayerId }) => {
+            const playerId = gameManager.getPlayerId(socket.id);
+            const result = gameManager.submitVote(gameCode, playerId, votedPlayerId);
+            if (result.error) {
+                reject(result);
+            } else {
+                emitGameState(gameCode, result.game);
+            }
+        });
+
+        on('submit-guess', ({ gameCode, guess }) => {
+            const playerId = gameManager.getPlayerId(socket.id);
+            const result = gameManager.submitGuess(gameCode, playerId, guess);
+            if (result.error) {
+                reject(result);
+            } else {
+                emitGameState(gameCode, result.game);
+            }
+        });
+
+        on('send-chat', ({ gameCode, message }) => {
+            const game = gameManager.getGame(gameCode);
+            const playerId = gameManager.getPlayerId(socket.id);
+            if (game && playerId) {
+                // Spectators may talk among themselves at any time; players never see it
+                const spectator = game.spectators.find(s => s.id === playerId);
+                if (spectator) {
+                    emitToRoom(spectatorRoom(gameCode), 'chat-message', gameManager.sendChat(game, spectator, message));
+                    return;
+                }
+
+                // Restrict chat during strict phases (no feeding the word to a guessing player either)
+                if (game.gamePhase === 'description' || game.gamePhase === 'voting' || game.gamePhase === 'guess') {
+                    return; // Chat disabled
+                }
+
+                const player = game.players.find(p => p.id === playerId);
+                if (player) {
+                    emitToRoom(gameCode, 'chat-message', gameManager.sendChat(game, player, message));
+                }
+            }
+        });
+
+        on('start-new-game', ({ gameCode }) => {
+            const playerId = gameManager.getPlayerId(socket.id);
+            const result = gameManager.startNewGame(gameCode, playerId);
+            if (result.error) reject(result);
+            else {
+                emitGameState(gameCode, result.game, 'game-started');
+            }
+        });
+
+        on('reset-scores', ({ gameCode }) => {
+            const playerId = gameManager.getPlayerId(socket.id);
+            const result = gameManager.resetScores(gameCode, playerId);
+            if (result.error) {
+                reject(result);
+            } else {
+                emitGameState(gameCode, result.game);
+            }
+        });
+
+        on('set-god-view', ({ gameCode, enabled }) => {
+            const playerId = gameManager.getPlayerId(socket.id);
+            const result = gameManager.setGodView(gameCode, playerId, enabled);
+            if (result.error) {
+                reject(result);
+            } else {
+                emitGameState(gameCode, result.game);
+            }
+        });
+
+        // Only the asking socket gets the log; it holds every role and vote of the game
+        on('get-game-log', ({ gameCode }) => {
+            const playerId = gameManager.getPlayerId(socket.id);
+            const result = gameManager.getGameLog(gameCode, playerId);
+            if (result.error) {
+                reject(result);
+            } else {
+                socket.emit('game-log', result.log);
+            }
+        });
+
+        on('kick-player', ({ gameCode, playerId: targetId }) => {
+            const playerId = gameManager.getPlayerId(socket.id);
+            const result = gameManager.kickPlayer(gameCode, playerId, targetId);
+            if (result.error) {
+                reject(result);
+            } else {
+                removeFromRoom(gameCode, result.removedId, false);
+                emitGameState(gameCode, result.game);
+            }
+        });
+
+        on('ban-player', ({ gameCode, playerId: targetId }) => {
+            const playerId = gameManager.getPlayerId(socket.id);
+            const result = gameManager.banPlayer(gameCode, playerId, targetId);
+            if (result.error) {
+                reject(result);
+            } else {
+                removeFromRoom(gameCode, result.removedId, true);
+                emitGameState(gameCode, result.game);
+            }
+        });
+
+        on('transfer-host', ({ gameCode, playerId: targetId }) => {
+            const playerId = gameManager.getPlayerId(socket.id);
+            const result = gameManager.transferHost(gameCode, playerId, targetId);
+            if (result.error) {
+                reject(result);
+            } else {
+                emitGameState(gameCode, result.game);
+            }
+        });
+
+        on('lock-room', ({ gameCode, locked }) => {
+            const playerId = gameManager.getPlayerId(socket.id);
+            const result = gameManager.setRoomLocked(gameCode, playerId, locked);
+            if (result.error) {
+                reject(result);
+            } else {
+                emitGameState(gameCode, result.game);
+            }
+        });
+
+        on('set-room-public', ({ gameCode, isPublic }) => {
+            const playerId = gameManager.getPlayerId(socket.id);
+            const result = gameManager.setRoomPublic(gameCode, playerId, isPublic);
+            if (result.error) {
+                reject(result);
+            } else {
+                emitGameState(gameCode, result.game);
+            }
+        });
+
+        on('add-bot', ({ gameCode, level }) => {
+            const playerId = gameManager.getPlayerId(socket.id);
+            const result = gameManager.addBot(gameCode, playerId, level);
+            if (result.error) {
+                reject(result);
+            } else {
+                emitGameState(gameCode, result.game);
+            }
+        });
+
+        on('watch-rooms', () => {
+            socket.join(ROOM_LIST);
+            socket.emit('room-list', { rooms: publicRooms() });
+        });
+
+        on('set-room-password', async ({ gameCode, password }) => {
+            try {
+                const playerId = gameManager.getPlayerId(socket.id);
+                const result = await gameManager.setRoomPassword(gameCode, playerId, password);
+                if (result.error) return reject(result);
+                emitGameState(gameCode, result.game);
+            } catch (e) {
+                console.error(e);
+                socket.emit('error', { code: 'server-error', message: 'Failed to change the room password' });
+            }
+        });
+
+        on('update-player-name', ({ gameCode, newName }) => {
+            const playerId = gameManager.getPlayerId(socket.id);
+            const result = gameManager.updatePlayerName(gameCode, playerId, newName);
+            if (result.error) {
+                reject(result);
+            } else {
+                emitGameState(gameCode, result.game);
+                emitToRoom(gameCode, 'player-name-updated', {
+                    playerId,
+                    oldName: result.oldName,
+                    newName: result.newName
+                });
+            }
+        });
+
+        socket.on('disconnect', () => {
+            const result = gameManager.leaveGame(socket.id);
+            if (result && result.game) {
+                emitGameState(result.gameCode, result.game);
+            }
+        });
     });
 
-    socket.on('disconnect', () => {
-        const result = gameManager.leaveGame(socket.id);
-        if (result && result.game) {
-            if (!gameManager.games.has(result.gameCode)) clearRoundTimer(result.gameCode);
-            io.to(result.gameCode).emit('game-state-update', result.game);
-        }
+    // Bring back the games saved before the last restart (only with GAME_STORE_DIR set).
+    // Instances joining a running cluster already share those games and their timers.
+    if (cluster.isOnlyInstance()) gameManager.restoreGames();
+
+    server.listen(port, () => {
+        console.log(`Server running on port ${port}`);
     });
-});
 
-const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-    console.log(`Server running on port ${PORT}`);
-});
+    function close() {
+        clearTimeout(roomListTimer);
+        io.close();
+        cluster.close();
+    }
+
+    return { server, io, gameManager, close };
+}
+
+if (require.main === module) {
+    startServer();
+}
+
+module.exports = { startServer };
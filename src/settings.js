@@ -0,0 +1,186 @@
+const { WORD_LOCALES, CATEGORIES, MIN_DIFFICULTY, MAX_DIFFICULTY } = require('./word-pairs');
+
+// Host-configurable game settings and their validation.
+// Every game carries its own copy in `game.settings`; the host edits it from the
+// lobby through `update-settings`, and it is locked while a game is being played.
+
+// What happens when the last round ends with imposters still in the game:
+// they win by survival, one more vote without clues decides it, or nobody wins
+const ROUND_LIMIT_OUTCOMES = ['imposter', 'sudden-death', 'draw'];
+
+const DEFAULT_SETTINGS = {
+    maxRounds: 5,
+    roundLimitOutcome: 'imposter', // See ROUND_LIMIT_OUTCOMES
+    seriesLength: 1,             // Games in a match, 1 = single games
+    rotateHost: false,           // Pass the host role on between the games of a match
+    minPlayers: 3,
+    descriptionTimeoutMs: 45000, // Per turn, 0 = no limit
+    votingTimeoutMs: 60000,      // 0 = no limit
+    guessTimeoutMs: 30000,       // 0 = no limit
+    resultsDelayMs: 5000,        // Pause on the round results before the next round
+    imposterCount: null,         // null = scale with player count
+    blankCount: 0,               // 0 or 1 Mr. White players
+    imposterGuess: false,        // Eliminated imposters get a last-chance guess
+    categories: [],              // Word pair categories to draw from, empty = all
+    minDifficulty: MIN_DIFFICULTY,
+    maxDifficulty: MAX_DIFFICULTY,
+    includeBuiltInPairs: false,  // With a custom word pack, also draw from the built-in pairs
+    locale: 'en',                // Language of the built-in word pairs
+    scoring: {
+        civilianSurvival: 10,    // Per round survived
+        imposterSurvival: 15,    // Per round survived (imposters and blanks)
+        civilianWin: 50,
+        imposterWin: 100         // Also paid to a blank who wins
+    },
+    clueRules: {                 // Checked on every clue, see clue-rules.js
+        maxWords: 0,             // Words per clue, 0 = no limit
+        rejectOwnWord: true,     // Also as a plural or inside a longer word
+        rejectOtherWord: false,  // The pair's other word; a rejection tells the player they found it
+        rejectRepeats: false,    // Clues already given this game
+        blocklist: []            // Words nobody may use in a clue
+    }
+};
+
+const MAX_POINTS = 1000;
+
+// key -> validator returning an error message, or null when the value is fine
+const VALIDATORS = {
+    maxRounds: v => integerIn(v, 1, 20, 'Max rounds'),
+    roundLimitOutcome: v => ROUND_LIMIT_OUTCOMES.includes(v) ? null : `Round limit outcome must be one of: ${ROUND_LIMIT_OUTCOMES.join(', ')}`,
+    seriesLength: v => integerIn(v, 1, 9, 'Match length'),
+    rotateHost: v => typeof v === 'boolean' ? null : 'Rotate host must be true or false',
+    minPlayers: v => integerIn(v, 3, 15, 'Minimum players'),
+    descriptionTimeoutMs: v => timeout(v, 10000, 300000, 'Turn time'),
+    votingTimeoutMs: v => timeout(v, 10000, 300000, 'Voting time'),
+    guessTimeoutMs: v => timeout(v, 10000, 120000, 'Guess time'),
+    resultsDelayMs: v => integerIn(v, 1000, 30000, 'Results delay'),
+    imposterCount: v => v === null ? null : integerIn(v, 1, 7, 'Imposter count'),
+    blankCount: v => integerIn(v, 0, 1, 'Blank count'),
+    imposterGuess: v => typeof v === 'boolean' ? null : 'Imposter guess must be true or false',
+    categories: v => categoryList(v),
+    minDifficulty: v => integerIn(v, MIN_DIFFICULTY, MAX_DIFFICULTY, 'Minimum difficulty'),
+    maxDifficulty: v => integerIn(v, MIN_DIFFICULTY, MAX_DIFFICULTY, 'Maximum difficulty'),
+    includeBuiltInPairs: v => typeof v === 'boolean' ? null : 'Include built-in pairs must be true or false',
+    locale: v => WORD_LOCALES.includes(v) ? null : `Language must be one of: ${WORD_LOCALES.join(', ')}`
+};
+
+const MAX_BLOCKLIST_WORDS = 50;
+const MAX_BLOCKED_WORD_LENGTH = 30;
+
+const CLUE_RULE_VALIDATORS = {
+    maxWords: v => integerIn(v, 0, 10, 'Max words per clue'),
+    rejectOwnWord: v => typeof v === 'boolean' ? null : 'Reject own word must be true or false',
+    rejectOtherWord: v => typeof v === 'boolean' ? null : 'Reject other word must be true or false',
+    rejectRepeats: v => typeof v === 'boolean' ? null : 'Reject repeated clues must be true or false',
+    blocklist: v => wordList(v)
+};
+
+// Settings kept in an object of their own; a patch may change only some of their keys
+const GROUPS = {
+    scoring: {
+        label: 'Scoring',
+        validators: Object.fromEntries(Object.keys(DEFAULT_SETTINGS.scoring).map(key => [key, v => integerIn(v, 0, MAX_POINTS, 'Points')]))
+    },
+    clueRules: { label: 'Clue rules', validators: CLUE_RULE_VALIDATORS }
+};
+
+function integerIn(value, min, max, label) {
+    if (!Number.isInteger(value) || value < min || value > max) {
+        return `${label} must be a whole number from ${min} to ${max}`;
+    }
+    return null;
+}
+
+// Timers may be switched off with 0
+function timeout(value, min, max, label) {
+    if (value === 0) return null;
+    if (!Number.isInteger(value) || value < min || value > max) {
+        return `${label} must be off or between ${min / 1000} and ${max / 1000} seconds`;
+    }
+    return null;
+}
+
+function categoryList(value) {
+    if (!Array.isArray(value)) return 'Categories must be a list';
+    const unknown = value.find(category => !CATEGORIES.includes(category));
+    if (unknown !== undefined) return `Unknown category: ${unknown}`;
+    if (new Set(value).size !== value.length) return 'Categories must not repeat';
+    return null;
+}
+
+function wordList(value) {
+    if (!Array.isArray(value)) return 'Blocked words must be a list';
+    if (value.length > MAX_BLOCKLIST_WORDS) return `At most ${MAX_BLOCKLIST_WORDS} blocked words`;
+    const invalid = value.find(word => typeof word !== 'string' || word.trim().length === 0 || word.length > MAX_BLOCKED_WORD_LENGTH);
+    if (invalid !== undefined) return `Blocked words must be 1 to ${MAX_BLOCKED_WORD_LENGTH} characters`;
+    return null;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Copies the nested objects and lists too, so games never share them
+function copySettings(settings) {
+    return {
+        ...settings,
+        categories: [...settings.categories],
+        scoring: { ...settings.scoring },
+        clueRules: { ...settings.clueRules, blocklist: [...settings.clueRules.blocklist] }
+    };
+}
+
+/**
+ * Fresh settings object, optionally with some defaults replaced.
+ * @param {object} [overrides] - Top-level settings to replace (not validated)
+ */
+function createSettings(overrides = {}) {
+    const settings = copySettings(DEFAULT_SETTINGS);
+    Object.keys(overrides).forEach(key => {
+        if (Object.hasOwn(DEFAULT_SETTINGS, key) && overrides[key] !== undefined) settings[key] = overrides[key];
+    });
+    return settings;
+}
+
+/**
+ * Validates a partial settings update and merges it into the current settings.
+ * @param {object} current - The game's current settings
+ * @param {object} patch - Keys to change; `scoring` and `clueRules` may be partial too
+ * @returns {{ settings: object } | { error: string, code?: string }}
+ */
+function applySettingsPatch(current, patch) {
+    if (!isPlainObject(patch)) return { error: 'Settings must be an object' };
+
+    const settings = copySettings(current);
+
+    // Own keys only: names like "constructor" or "__proto__" are unknown settings, not Object.prototype
+    for (const [key, value] of Object.entries(patch)) {
+        if (Object.hasOwn(GROUPS, key)) {
+            const group = GROUPS[key];
+            if (!isPlainObject(value)) return { error: `${group.label} must be an object` };
+            for (const [innerKey, innerValue] of Object.entries(value)) {
+                if (!Object.hasOwn(group.validators, innerKey)) {
+                    return { error: `Unknown ${group.label.toLowerCase()} setting: ${innerKey}`, code: 'unknown-setting' };
+                }
+                const error = group.validators[innerKey](innerValue);
+                if (error) return { error };
+                // The only list is the blocklist, kept trimmed
+                settings[key][innerKey] = Array.isArray(innerValue) ? innerValue.map(word => word.trim()) : innerValue;
+            }
+            continue;
+        }
+
+        if (!Object.hasOwn(VALIDATORS, key)) return { error: `Unknown setting: ${key}`, code: 'unknown-setting' };
+        const error = VALIDATORS[key](value);
+        if (error) return { error };
+        settings[key] = Array.isArray(value) ? [...value] : value;
+    }
+
+    if (settings.minDifficulty > settings.maxDifficulty) {
+        return { error: 'Minimum difficulty cannot be above maximum difficulty' };
+    }
+
+    return { settings };
+}
+
+module.exports = { DEFAULT_SETTINGS, ROUND_LIMIT_OUTCOMES, createSettings, copySettings, applySettingsPatch };
@@ -0,0 +1,151 @@
+const { WORD_LOCALES } = require('./word-pairs');
+const { BOT_LEVELS } = require('./bots');
+const { MAX_PACK_LENGTH } = require('./word-packs');
+
+// Every socket payload is checked against its event's schema before server.js hands it to
+// GameManager, so handlers only ever see values of the right type and length, with text
+// trimmed. Rules that depend on the game (whose turn it is, who may be voted for) stay in
+// GameManager. Both kinds of rejection reach the client as { code, message, field? }.
+
+const MAX_NAME_LENGTH = 15;
+const MAX_PASSWORD_LENGTH = 32;
+const MAX_DESCRIPTION_LENGTH = 100;
+const MAX_GUESS_LENGTH = 50;
+const MAX_CHAT_LENGTH = 300;
+const MAX_ID_LENGTH = 32;
+
+// A rule takes the raw value and returns { value } (normalized) or { error } (a message)
+
+// `shorten` cuts longer text to `max` instead of refusing it
+function text({ label, max, min = 1, trim = true, optional = false, shorten = false }) {
+    return (raw) => {
+        if (raw === undefined || raw === null) return optional ? { value: null } : { error: `${label} is required` };
+        if (typeof raw !== 'string') return { error: `${label} must be text` };
+        let value = trim ? raw.trim() : raw;
+        if (value.length < min) return { error: `${label} cannot be empty` };
+        if (value.length > max && shorten) value = value.substring(0, max).trim();
+        if (value.length > max) return { error: `${label} must be at most ${max} characters` };
+        return { value };
+    };
+}
+
+function gameCode() {
+    return (raw) => {
+        const value = typeof raw === 'string' ? raw.trim().toUpperCase() : '';
+        return /^[A-Z0-9]{6}$/.test(value) ? { value } : { error: 'Game code must be 6 letters or digits' };
+    };
+}
+
+// Player IDs, and 'none' for a vote
+function id({ label, optional = false }) {
+    return (raw) => {
+        if ((raw === undefined || raw === null) && optional) return { value: null };
+        const valid = typeof raw === 'string' && raw.length <= MAX_ID_LENGTH && /^[\w-]+$/.test(raw);
+        return valid ? { value: raw } : { error: `${label} is not a valid player ID` };
+    };
+}
+
+function flag({ label, optional = false }) {
+    return (raw) => {
+        if (raw === undefined && optional) return { value: false };
+        return typeof raw === 'boolean' ? { value: raw } : { error: `${label} must be true or false` };
+    };
+}
+
+function oneOf(values, { label, optional = false }) {
+    return (raw) => {
+        if ((raw === undefined || raw === null) && optional) return { value: null };
+        return values.includes(raw) ? { value: raw } : { error: `${label} must be one of: ${values.join(', ')}` };
+    };
+}
+
+// Only the shape; settings.js checks every key
+function object({ label }) {
+    return (raw) => raw !== null && typeof raw === 'object' && !Array.isArray(raw) ? { value: raw } : { error: `${label} must be an object` };
+}
+
+const code = gameCode();
+// Long names are shortened like updatePlayerName() does, so old invite links keep working
+const playerName = text({ label: 'Name', max: MAX_NAME_LENGTH, shorten: true });
+const password = text({ label: 'Password', max: MAX_PASSWORD_LENGTH, min: 0, trim: false, optional: true });
+const targetId = id({ label: 'Player' });
+
+// event -> field -> rule. Fields not listed here are dropped.
+const SCHEMAS = {
+    'create-game': {
+        playerName,
+        locale: oneOf(WORD_LOCALES, { label: 'Language', optional: true }),
+        password
+    },
+    'join-game': {
+        gameCode: code,
+        // Players coming back are known by their ID; GameManager asks newcomers for a name
+        playerName: text({ label: 'Name', max: MAX_NAME_LENGTH, optional: true, shorten: true }),
+        previousPlayerId: id({ label: 'Previous player', optional: true }),
+        spectate: flag({ label: 'Spectate', optional: true }),
+        password
+    },
+    'update-settings': { gameCode: code, settings: object({ label: 'Settings' }) },
+    // Empty text is left to GameManager, which reports it; null removes the pack
+    'set-word-pack': { gameCode: code, pack: text({ label: 'Word pack', max: MAX_PACK_LENGTH, min: 0, trim: false, optional: true }) },
+    'start-game': { gameCode: code },
+    'submit-description': { gameCode: code, description: text({ label: 'Description', max: MAX_DESCRIPTION_LENGTH }) },
+    'submit-vote': { gameCode: code, votedPlayerId: id({ label: 'Vote' }) },
+    'submit-guess': { gameCode: code, guess: text({ label: 'Guess', max: MAX_GUESS_LENGTH }) },
+    'send-chat': { gameCode: code, message: text({ label: 'Message', max: MAX_CHAT_LENGTH }) },
+    'start-new-game': { gameCode: code },
+    'reset-scores': { gameCode: code },
+    'set-god-view': { gameCode: code, enabled: flag({ label: 'God view' }) },
+    'get-game-log': { gameCode: code },
+    'kick-player': { gameCode: code, playerId: targetId },
+    'ban-player': { gameCode: code, playerId: targetId },
+    'transfer-host': { gameCode: code, playerId: targetId },
+    'lock-room': { gameCode: code, locked: flag({ label: 'Locked' }) },
+    'set-room-public': { gameCode: code, isPublic: flag({ label: 'Public' }) },
+    'add-bot': { gameCode: code, level: oneOf(BOT_LEVELS, { label: 'Bot level', optional: true }) },
+    'watch-rooms': {},
+    'set-room-password': { gameCode: code, password },
+    'update-player-name': { gameCode: code, newName: playerName }
+};
+
+/**
+ * Checks a socket payload against its event's schema.
+ * @param {string} event - A key of SCHEMAS
+ * @param {*} payload - Whatever the client sent
+ * @returns {{ value: object } | { error: { code: 'invalid-payload', message: string, field?: string } }}
+ */
+function validatePayload(event, payload) {
+    const schema = SCHEMAS[event];
+    if (!schema) throw new Error(`No schema for socket event ${event}`);
+
+    const fields = Object.keys(schema);
+    if (payload === undefined && fields.length === 0) return { value: {} };
+    if (payload === null || typeof payload !== 'object' || Array.isArray(payload)) {
+        return { error: { code: 'invalid-payload', message: 'Request must be an object' } };
+    }
+
+    const value = {};
+    for (const field of fields) {
+        const checked = schema[field](payload[field]);
+        if (checked.error) return { error: { code: 'invalid-payload', message: checked.error, field } };
+        if (checked.value !== null) value[field] = checked.value;
+    }
+    return { value };
+}
+
+/**
+ * The 'error' payload for a failed GameManager call.
+ * @param {{ error: string, code?: string, params?: object, passwordRequired?: boolean }} result
+ * @returns {{ code: string, message: string, params?: object, passwordRequired?: boolean }}
+ */
+function toErrorPayload(result) {
+    // Errors without a code of their own, e.g. from settings.js or word-packs.js
+    const payload = { code: result.code || 'invalid-request', message: result.error };
+    // For the client's translation of the message, e.g. the word limit of a rejected clue
+    if (result.params) payload.params = result.params;
+    // Lets the home page ask for the room password
+    if (result.passwordRequired) payload.passwordRequired = true;
+    return payload;
+}
+
+module.exports = { SCHEMAS, MAX_NAME_LENGTH, MAX_PASSWORD_LENGTH, validatePayload, toErrorPayload };
@@ -0,0 +1,90 @@
+const { normalizeWord, pairKey } = require('./word-pairs');
+
+// Custom word packs pasted or uploaded by the host.
+// A pack is JSON or CSV text listing civilian/imposter pairs. It is parsed and
+// validated here, then kept on that game only (see GameManager.setWordPack).
+
+const MAX_PACK_LENGTH = 20000; // Characters of raw text
+const MAX_PACK_PAIRS = 200;
+const MAX_WORD_LENGTH = 30;
+
+// JSON: [{ "civilian": "...", "imposter": "..." }, ...], [["civ", "imp"], ...] or { "pairs": [...] }
+function parseJson(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        return { error: 'Word pack is not valid JSON' };
+    }
+
+    const entries = Array.isArray(data) ? data : data && data.pairs;
+    if (!Array.isArray(entries)) return { error: 'JSON word pack must be a list of pairs' };
+
+    const rows = entries.map(entry => Array.isArray(entry) ? entry : [entry && entry.civilian, entry && entry.imposter]);
+    return { rows, label: 'Pair' };
+}
+
+// CSV: one "civilian,imposter" pair per line; blank lines, # comments and a header row are skipped
+function parseCsv(text) {
+    const rows = [];
+    const lineNumbers = [];
+    text.split(/\r?\n/).forEach((line, index) => {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#')) return;
+        const fields = trimmed.split(',').map(field => field.trim().replace(/^"(.*)"$/, '$1'));
+        if (rows.length === 0 && fields[0].toLowerCase() === 'civilian' && (fields[1] || '').toLowerCase() === 'imposter') return;
+        rows.push(fields);
+        lineNumbers.push(index + 1);
+    });
+    return { rows, lineNumbers, label: 'Line' };
+}
+
+function validateWord(word) {
+    if (typeof word !== 'string' || word.trim().length === 0) return 'needs a civilian and an imposter word';
+    if (word.trim().length > MAX_WORD_LENGTH) return `words must be at most ${MAX_WORD_LENGTH} characters`;
+    return null;
+}
+
+/**
+ * Parses and validates a custom word pack.
+ * @param {string} text - JSON or CSV text from the host
+ * @returns {{ pairs: Array<{civilian: string, imposter: string}> } | { error: string }}
+ */
+function parseWordPack(text) {
+    if (typeof text !== 'string' || text.trim().length === 0) return { error: 'Word pack is empty' };
+    if (text.length > MAX_PACK_LENGTH) return { error: `Word pack must be at most ${MAX_PACK_LENGTH} characters` };
+
+    const trimmed = text.trim();
+    const parsed = trimmed.startsWith('[') || trimmed.startsWith('{') ? parseJson(trimmed) : parseCsv(trimmed);
+    if (parsed.error) return parsed;
+
+    const { rows, lineNumbers, label } = parsed;
+    if (rows.length === 0) return { error: 'Word pack has no pairs' };
+    if (rows.length > MAX_PACK_PAIRS) return { error: `Word pack can have at most ${MAX_PACK_PAIRS} pairs` };
+
+    const pairs = [];
+    const seen = new Set();
+    for (let i = 0; i < rows.length; i++) {
+        const where = `${label} ${lineNumbers ? lineNumbers[i] : i + 1}`;
+        const row = rows[i];
+        if (row.length !== 2) return { error: `${where}: needs exactly a civilian and an imposter word` };
+
+        const [civilian, imposter] = row;
+        const wordError = validateWord(civilian) || validateWord(imposter);
+        if (wordError) return { error: `${where}: ${wordError}` };
+
+        const pair = { civilian: civilian.trim(), imposter: imposter.trim() };
+        if (normalizeWord(pair.civilian) === normalizeWord(pair.imposter)) return { error: `${where}: the two words must be different` };
+
+        // The same two words in either order count as a duplicate
+        const key = pairKey(pair);
+        if (seen.has(key)) return { error: `${where}: duplicate pair` };
+        seen.add(key);
+
+        pairs.push(pair);
+    }
+
+    return { pairs };
+}
+
+module.exports = { parseWordPack, MAX_PACK_LENGTH, MAX_PACK_PAIRS, MAX_WORD_LENGTH };
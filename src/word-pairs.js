@@ -1,230 +1,276 @@
+// Every pair has one or more categories and a difficulty from 1 (easy) to 3 (hard).
+// `civilian`/`imposter` are English; `es` and `de` hold the same pair as [civilian, imposter].
+// `clues` holds one-word English clues for [civilian, imposter], from vague to specific, for bots.
+const WORD_LOCALES = ["en", "es", "de"];
+const CATEGORIES = [
+  "places", "jobs", "food", "events", "activities", "nature",
+  "travel", "entertainment", "science", "everyday", "animals", "abstract"
+];
+const MIN_DIFFICULTY = 1;
+const MAX_DIFFICULTY = 3;
+
 const wordPairs = [
-  { civilian: "Airport", imposter: "Suitcase" },
-  { civilian: "Airplane", imposter: "Passport" },
-  { civilian: "Aquarium", imposter: "Glass" },
-  { civilian: "Arcade", imposter: "Token" },
-  { civilian: "Astronaut", imposter: "Helmet" },
-  { civilian: "Bakery", imposter: "Oven" },
-  { civilian: "Bank", imposter: "Wallet" },
-  { civilian: "Barbecue", imposter: "Grill" },
-  { civilian: "Baseball", imposter: "Glove" },
-  { civilian: "Beach", imposter: "Sunscreen" },
-  { civilian: "Birthday", imposter: "Candle" },
-  { civilian: "Breakfast", imposter: "Toaster" },
-  { civilian: "Camping", imposter: "Tent" },
-  { civilian: "Carnival", imposter: "Balloon" },
-  { civilian: "Castle", imposter: "Crown" },
-  { civilian: "Cat", imposter: "Yarn" },
-  { civilian: "Chef", imposter: "Apron" },
-  { civilian: "Chess", imposter: "Timer" },
-  { civilian: "Cinema", imposter: "Popcorn" },
-  { civilian: "Circus", imposter: "Clown" },
-  { civilian: "Classroom", imposter: "Chalk" },
-  { civilian: "Concert", imposter: "Ticket" },
-  { civilian: "Construction", imposter: "Blueprint" },
-  { civilian: "Dentist", imposter: "Toothbrush" },
-  { civilian: "Desert", imposter: "Cactus" },
-  { civilian: "Detective", imposter: "Magnifying Glass" },
-  { civilian: "Dog", imposter: "Leash" },
-  { civilian: "Farm", imposter: "Tractor" },
-  { civilian: "Firefighter", imposter: "Ladder" },
-  { civilian: "Fishing", imposter: "Bait" },
-  { civilian: "Garden", imposter: "Hose" },
-  { civilian: "Gym", imposter: "Towel" },
-  { civilian: "Haircut", imposter: "Scissors" },
-  { civilian: "Halloween", imposter: "Pumpkin" },
-  { civilian: "Hospital", imposter: "Ambulance" },
-  { civilian: "Hotel", imposter: "Keycard" },
-  { civilian: "Kitchen", imposter: "Recipe" },
-  { civilian: "Library", imposter: "Bookmark" },
-  { civilian: "Mail", imposter: "Envelope" },
-  { civilian: "Marathon", imposter: "Medal" },
-  { civilian: "Museum", imposter: "Painting" },
-  { civilian: "Ocean", imposter: "Lighthouse" },
-  { civilian: "Office", imposter: "Calendar" },
-  { civilian: "Painter", imposter: "Canvas" },
-  { civilian: "Park", imposter: "Bench" },
-  { civilian: "Phone", imposter: "Charger" },
-  { civilian: "Picnic", imposter: "Basket" },
-  { civilian: "Pirate", imposter: "Treasure" },
-  { civilian: "Pizza", imposter: "Delivery" },
-  { civilian: "Playground", imposter: "Swing" },
-  { civilian: "Police", imposter: "Badge" },
-  { civilian: "Pool", imposter: "Lifeguard" },
-  { civilian: "Rain", imposter: "Umbrella" },
-  { civilian: "Restaurant", imposter: "Menu" },
-  { civilian: "Road Trip", imposter: "Map" },
-  { civilian: "Robot", imposter: "Battery" },
-  { civilian: "School", imposter: "Backpack" },
-  { civilian: "Scientist", imposter: "Microscope" },
-  { civilian: "Ship", imposter: "Anchor" },
-  { civilian: "Skateboard", imposter: "Ramp" },
-  { civilian: "Skiing", imposter: "Lift" },
-  { civilian: "Snow", imposter: "Sled" },
-  { civilian: "Space", imposter: "Rocket" },
-  { civilian: "Supermarket", imposter: "Cart" },
-  { civilian: "Teacher", imposter: "Homework" },
-  { civilian: "Television", imposter: "Remote" },
-  { civilian: "Theater", imposter: "Costume" },
-  { civilian: "Train", imposter: "Platform" },
-  { civilian: "Vacation", imposter: "Postcard" },
-  { civilian: "Video Game", imposter: "Controller" },
-  { civilian: "Wedding", imposter: "Flowers" },
-  { civilian: "Writer", imposter: "Notebook" },
-  { civilian: "Zoo", imposter: "Binoculars" },
-  { civilian: "Baby", imposter: "Stroller" },
-  { civilian: "Boat", imposter: "Life Jacket" },
-  { civilian: "Campfire", imposter: "Marshmallow" },
-  { civilian: "Computer", imposter: "Keyboard" },
-  { civilian: "Doctor", imposter: "Stethoscope" },
-  { civilian: "Dinosaur", imposter: "Fossil" },
-  { civilian: "Elevator", imposter: "Button" },
-  { civilian: "Festival", imposter: "Wristband" },
-  { civilian: "Football", imposter: "Whistle" },
-  { civilian: "Forest", imposter: "Cabin" },
-  { civilian: "Graduation", imposter: "Diploma" },
-  { civilian: "Hiking", imposter: "Trail" },
-  { civilian: "Ice Cream", imposter: "Cone" },
-  { civilian: "Laundry", imposter: "Detergent" },
-  { civilian: "Magic", imposter: "Wand" },
-  { civilian: "Morning", imposter: "Alarm" },
-  { civilian: "Mountain", imposter: "Climbing Rope" },
-  { civilian: "Night", imposter: "Lantern" },
-  { civilian: "Photography", imposter: "Camera" },
-  { civilian: "Dinner", imposter: "Reservation" },
-  { civilian: "Soccer", imposter: "Goal" },
-  { civilian: "Summer", imposter: "Sunglasses" },
-  { civilian: "Swimming", imposter: "Float" },
-  { civilian: "Taxi", imposter: "Meter" },
-  { civilian: "Jungle", imposter: "Compass" },
-  { civilian: "Winter", imposter: "Coat" },
-  { civilian: "Workshop", imposter: "Toolbox" },
-  { civilian: "Anniversary", imposter: "Bouquet" },
-  { civilian: "Archaeology", imposter: "Artifact" },
-  { civilian: "Auction", imposter: "Gavel" },
-  { civilian: "Ballet", imposter: "Tutu" },
-  { civilian: "Blizzard", imposter: "Snowplow" },
-  { civilian: "Board Game", imposter: "Dice" },
-  { civilian: "Bookstore", imposter: "Shelf" },
-  { civilian: "Bowling", imposter: "Pins" },
-  { civilian: "Bridge", imposter: "River" },
-  { civilian: "Cafeteria", imposter: "Tray" },
-  { civilian: "Schedule", imposter: "Reminder" },
-  { civilian: "Car Wash", imposter: "Soap" },
-  { civilian: "Carpenter", imposter: "Hammer" },
-  { civilian: "Cave", imposter: "Flashlight" },
-  { civilian: "Chemistry", imposter: "Beaker" },
-  { civilian: "Choir", imposter: "Microphone" },
-  { civilian: "Coffee Shop", imposter: "Mug" },
-  { civilian: "Courtroom", imposter: "Witness" },
-  { civilian: "Cruise", imposter: "Deck" },
-  { civilian: "Diary", imposter: "Lock" },
-  { civilian: "Dragon", imposter: "Treasure Chest" },
-  { civilian: "Emergency", imposter: "Siren" },
-  { civilian: "Escape Room", imposter: "Puzzle" },
-  { civilian: "Factory", imposter: "Machine" },
-  { civilian: "Fashion", imposter: "Runway" },
-  { civilian: "Ferry", imposter: "Dock" },
-  { civilian: "Fireplace", imposter: "Chimney" },
-  { civilian: "Garage", imposter: "Wrench" },
-  { civilian: "Geography", imposter: "Atlas" },
-  { civilian: "Greenhouse", imposter: "Seedling" },
-  { civilian: "Grocery", imposter: "Receipt" },
-  { civilian: "Harbor", imposter: "Buoy" },
-  { civilian: "Harvest", imposter: "Scarecrow" },
-  { civilian: "Haunted House", imposter: "Ghost" },
-  { civilian: "Highway", imposter: "Tollbooth" },
-  { civilian: "Hurricane", imposter: "Sandbag" },
-  { civilian: "Island", imposter: "Palm Tree" },
-  { civilian: "Journalist", imposter: "Headline" },
-  { civilian: "Karaoke", imposter: "Lyrics" },
-  { civilian: "Laboratory", imposter: "Test Tube" },
-  { civilian: "Lemonade Stand", imposter: "Pitcher" },
-  { civilian: "Lighthouse Keeper", imposter: "Beacon" },
-  { civilian: "Locker Room", imposter: "Jersey" },
-  { civilian: "Mall", imposter: "Escalator" },
-  { civilian: "Mechanic", imposter: "Oil" },
-  { civilian: "Meteor Shower", imposter: "Telescope" },
-  { civilian: "Monopoly", imposter: "Rent" },
-  { civilian: "Newsroom", imposter: "Deadline" },
-  { civilian: "Orchestra", imposter: "Conductor" },
-  { civilian: "Parade", imposter: "Confetti" },
-  { civilian: "Pharmacy", imposter: "Prescription" },
-  { civilian: "Pottery", imposter: "Clay" },
-  { civilian: "Ranch", imposter: "Saddle" },
-  { civilian: "Recycling", imposter: "Bin" },
-  { civilian: "Rehearsal", imposter: "Script" },
-  { civilian: "Safari", imposter: "Jeep" },
-  { civilian: "Sandcastle", imposter: "Bucket" },
-  { civilian: "Science Fair", imposter: "Poster" },
-  { civilian: "Seashell", imposter: "Shore" },
-  { civilian: "Security", imposter: "Camera Lens" },
-  { civilian: "Sleepover", imposter: "Pillow" },
-  { civilian: "Stadium", imposter: "Scoreboard" },
-  { civilian: "Studio", imposter: "Spotlight" },
-  { civilian: "Surfing", imposter: "Wave" },
-  { civilian: "Tailor", imposter: "Measuring Tape" },
-  { civilian: "Tea Party", imposter: "Saucer" },
-  { civilian: "Temple", imposter: "Statue" },
-  { civilian: "Traffic", imposter: "Signal" },
-  { civilian: "University", imposter: "Lecture" },
-  { civilian: "Volcano", imposter: "Lava" },
-  { civilian: "Warehouse", imposter: "Forklift" },
-  { civilian: "Waterfall", imposter: "Mist" },
-  { civilian: "Weather", imposter: "Forecast" },
-  { civilian: "Windmill", imposter: "Breeze" },
-  { civilian: "Yoga", imposter: "Mat" },
-  { civilian: "Abandoned House", imposter: "Dust" },
-  { civilian: "Adventure", imposter: "Quest" },
-  { civilian: "Apology", imposter: "Forgiveness" },
-  { civilian: "Architecture", imposter: "Sketch" },
-  { civilian: "Astronomy", imposter: "Constellation" },
-  { civilian: "Biography", imposter: "Childhood" },
-  { civilian: "Budget", imposter: "Expense" },
-  { civilian: "Campaign", imposter: "Slogan" },
-  { civilian: "Celebration", imposter: "Toast" },
-  { civilian: "Ceremony", imposter: "Invitation" },
-  { civilian: "Competition", imposter: "Trophy" },
-  { civilian: "Conversation", imposter: "Awkward Silence" },
-  { civilian: "Debate", imposter: "Argument" },
-  { civilian: "Discovery", imposter: "Clue" },
-  { civilian: "Drama", imposter: "Backstage" },
-  { civilian: "Election", imposter: "Ballot" },
-  { civilian: "Experiment", imposter: "Hypothesis" },
-  { civilian: "Fame", imposter: "Autograph" },
-  { civilian: "Friendship", imposter: "Secret" },
-  { civilian: "History", imposter: "Timeline" },
-  { civilian: "Imagination", imposter: "Dream" },
-  { civilian: "Interview", imposter: "Resume" },
-  { civilian: "Investigation", imposter: "Fingerprint" },
-  { civilian: "Justice", imposter: "Verdict" },
-  { civilian: "Leadership", imposter: "Responsibility" },
-  { civilian: "Legend", imposter: "Myth" },
-  { civilian: "Memory", imposter: "Photograph" },
-  { civilian: "Mystery", imposter: "Footprint" },
-  { civilian: "Negotiation", imposter: "Compromise" },
-  { civilian: "Observation", imposter: "Detail" },
-  { civilian: "Opportunity", imposter: "Risk" },
-  { civilian: "Performance", imposter: "Applause" },
-  { civilian: "Prediction", imposter: "Guess" },
-  { civilian: "Promise", imposter: "Trust" },
-  { civilian: "Reputation", imposter: "Rumor" },
-  { civilian: "Strategy", imposter: "Plan" },
-  { civilian: "Tradition", imposter: "Ritual" },
-  { civilian: "Victory", imposter: "Prize" },
-  { civilian: "Wisdom", imposter: "Advice" },
-  { civilian: "Workshop Class", imposter: "Instruction" },
-  { civilian: "Treasure Hunt", imposter: "Riddle" }
+  { civilian: "Airport", imposter: "Suitcase", categories: ["travel", "places"], difficulty: 1, es: ["Aeropuerto", "Maleta"], de: ["Flughafen", "Koffer"], clues: [["travel", "gate", "runway"], ["packing", "handle", "luggage"]] },
+  { civilian: "Airplane", imposter: "Passport", categories: ["travel"], difficulty: 1, es: ["Avión", "Pasaporte"], de: ["Flugzeug", "Reisepass"], clues: [["travel", "wings", "pilot"], ["travel", "stamp", "border"]] },
+  { civilian: "Aquarium", imposter: "Glass", categories: ["places", "animals"], difficulty: 1, es: ["Acuario", "Cristal"], de: ["Aquarium", "Glas"], clues: [["water", "fish", "tank"], ["clear", "fragile", "window"]] },
+  { civilian: "Arcade", imposter: "Token", categories: ["places", "entertainment"], difficulty: 1, es: ["Salón recreativo", "Ficha"], de: ["Spielhalle", "Spielmarke"], clues: [["games", "noisy", "joystick"], ["coin", "small", "exchange"]] },
+  { civilian: "Astronaut", imposter: "Helmet", categories: ["jobs", "science"], difficulty: 2, es: ["Astronauta", "Casco"], de: ["Astronaut", "Helm"], clues: [["space", "orbit", "spacesuit"], ["head", "protection", "visor"]] },
+  { civilian: "Bakery", imposter: "Oven", categories: ["places", "food"], difficulty: 1, es: ["Panadería", "Horno"], de: ["Bäckerei", "Ofen"], clues: [["bread", "morning", "croissant"], ["hot", "baking", "kitchen"]] },
+  { civilian: "Bank", imposter: "Wallet", categories: ["places"], difficulty: 1, es: ["Banco", "Cartera"], de: ["Bank", "Geldbörse"], clues: [["money", "vault", "loan"], ["money", "pocket", "leather"]] },
+  { civilian: "Barbecue", imposter: "Grill", categories: ["food", "events"], difficulty: 1, es: ["Barbacoa", "Parrilla"], de: ["Grillfest", "Grillrost"], clues: [["summer", "smoke", "sausages"], ["hot", "charcoal", "metal"]] },
+  { civilian: "Baseball", imposter: "Glove", categories: ["activities"], difficulty: 1, es: ["Béisbol", "Guante"], de: ["Baseball", "Handschuh"], clues: [["sport", "bat", "pitcher"], ["hand", "fingers", "leather"]] },
+  { civilian: "Beach", imposter: "Sunscreen", categories: ["places", "nature", "travel"], difficulty: 1, es: ["Playa", "Protector solar"], de: ["Strand", "Sonnencreme"], clues: [["sand", "summer", "waves"], ["skin", "summer", "lotion"]] },
+  { civilian: "Birthday", imposter: "Candle", categories: ["events"], difficulty: 1, es: ["Cumpleaños", "Vela"], de: ["Geburtstag", "Kerze"], clues: [["party", "cake", "presents"], ["wax", "flame", "wick"]] },
+  { civilian: "Breakfast", imposter: "Toaster", categories: ["food"], difficulty: 1, es: ["Desayuno", "Tostadora"], de: ["Frühstück", "Toaster"], clues: [["morning", "cereal", "eggs"], ["kitchen", "bread", "crumbs"]] },
+  { civilian: "Camping", imposter: "Tent", categories: ["activities", "nature"], difficulty: 1, es: ["Acampada", "Tienda de campaña"], de: ["Camping", "Zelt"], clues: [["outdoors", "sleeping", "nature"], ["canvas", "poles", "shelter"]] },
+  { civilian: "Carnival", imposter: "Balloon", categories: ["events", "entertainment"], difficulty: 1, es: ["Carnaval", "Globo"], de: ["Jahrmarkt", "Luftballon"], clues: [["fun", "rides", "masks"], ["air", "float", "rubber"]] },
+  { civilian: "Castle", imposter: "Crown", categories: ["places"], difficulty: 2, es: ["Castillo", "Corona"], de: ["Burg", "Krone"], clues: [["old", "towers", "king"], ["gold", "royal", "jewels"]] },
+  { civilian: "Cat", imposter: "Yarn", categories: ["animals"], difficulty: 1, es: ["Gato", "Ovillo"], de: ["Katze", "Wollknäuel"], clues: [["pet", "whiskers", "purring"], ["wool", "knitting", "soft"]] },
+  { civilian: "Chef", imposter: "Apron", categories: ["jobs", "food"], difficulty: 1, es: ["Cocinero", "Delantal"], de: ["Koch", "Schürze"], clues: [["cooking", "restaurant", "knife"], ["kitchen", "pocket", "tied"]] },
+  { civilian: "Chess", imposter: "Timer", categories: ["activities"], difficulty: 2, es: ["Ajedrez", "Reloj de ajedrez"], de: ["Schach", "Schachuhr"], clues: [["board", "strategy", "checkmate"], ["seconds", "countdown", "beep"]] },
+  { civilian: "Cinema", imposter: "Popcorn", categories: ["places", "entertainment"], difficulty: 1, es: ["Cine", "Palomitas"], de: ["Kino", "Popcorn"], clues: [["movie", "screen", "seats"], ["snack", "butter", "salty"]] },
+  { civilian: "Circus", imposter: "Clown", categories: ["entertainment", "events"], difficulty: 1, es: ["Circo", "Payaso"], de: ["Zirkus", "Clown"], clues: [["tent", "acrobat", "ringmaster"], ["makeup", "funny", "nose"]] },
+  { civilian: "Classroom", imposter: "Chalk", categories: ["places"], difficulty: 1, es: ["Aula", "Tiza"], de: ["Klassenzimmer", "Kreide"], clues: [["desks", "lessons", "students"], ["white", "dusty", "blackboard"]] },
+  { civilian: "Concert", imposter: "Ticket", categories: ["events", "entertainment"], difficulty: 1, es: ["Concierto", "Entrada"], de: ["Konzert", "Eintrittskarte"], clues: [["music", "stage", "crowd"], ["paper", "entry", "seat"]] },
+  { civilian: "Construction", imposter: "Blueprint", categories: ["jobs"], difficulty: 2, es: ["Obra", "Plano"], de: ["Baustelle", "Bauplan"], clues: [["building", "cranes", "workers"], ["plan", "paper", "architect"]] },
+  { civilian: "Dentist", imposter: "Toothbrush", categories: ["jobs"], difficulty: 1, es: ["Dentista", "Cepillo de dientes"], de: ["Zahnarzt", "Zahnbürste"], clues: [["teeth", "appointment", "drill"], ["bristles", "bathroom", "paste"]] },
+  { civilian: "Desert", imposter: "Cactus", categories: ["nature", "places"], difficulty: 1, es: ["Desierto", "Cactus"], de: ["Wüste", "Kaktus"], clues: [["sand", "dry", "dunes"], ["spiky", "plant", "dry"]] },
+  { civilian: "Detective", imposter: "Magnifying Glass", categories: ["jobs"], difficulty: 2, es: ["Detective", "Lupa"], de: ["Detektiv", "Lupe"], clues: [["mystery", "clues", "suspect"], ["lens", "zoom", "bigger"]] },
+  { civilian: "Dog", imposter: "Leash", categories: ["animals"], difficulty: 1, es: ["Perro", "Correa"], de: ["Hund", "Leine"], clues: [["pet", "loyal", "barking"], ["walk", "rope", "collar"]] },
+  { civilian: "Farm", imposter: "Tractor", categories: ["places", "animals"], difficulty: 1, es: ["Granja", "Tractor"], de: ["Bauernhof", "Traktor"], clues: [["rural", "barn", "cows"], ["wheels", "field", "plowing"]] },
+  { civilian: "Firefighter", imposter: "Ladder", categories: ["jobs"], difficulty: 1, es: ["Bombero", "Escalera"], de: ["Feuerwehrmann", "Leiter"], clues: [["rescue", "hose", "flames"], ["climb", "rungs", "tall"]] },
+  { civilian: "Fishing", imposter: "Bait", categories: ["activities", "nature"], difficulty: 1, es: ["Pesca", "Cebo"], de: ["Angeln", "Köder"], clues: [["patience", "rod", "hook"], ["worm", "lure", "hook"]] },
+  { civilian: "Garden", imposter: "Hose", categories: ["everyday", "nature"], difficulty: 1, es: ["Jardín", "Manguera"], de: ["Garten", "Gartenschlauch"], clues: [["plants", "flowers", "soil"], ["water", "green", "spray"]] },
+  { civilian: "Gym", imposter: "Towel", categories: ["places", "activities"], difficulty: 1, es: ["Gimnasio", "Toalla"], de: ["Fitnessstudio", "Handtuch"], clues: [["exercise", "weights", "sweat"], ["dry", "fluffy", "bathroom"]] },
+  { civilian: "Haircut", imposter: "Scissors", categories: ["everyday"], difficulty: 1, es: ["Corte de pelo", "Tijeras"], de: ["Haarschnitt", "Schere"], clues: [["salon", "short", "barber"], ["snip", "blades", "sharp"]] },
+  { civilian: "Halloween", imposter: "Pumpkin", categories: ["events"], difficulty: 1, es: ["Halloween", "Calabaza"], de: ["Halloween", "Kürbis"], clues: [["costumes", "spooky", "candy"], ["orange", "carving", "autumn"]] },
+  { civilian: "Hospital", imposter: "Ambulance", categories: ["places"], difficulty: 1, es: ["Hospital", "Ambulancia"], de: ["Krankenhaus", "Krankenwagen"], clues: [["nurses", "beds", "ward"], ["siren", "emergency", "paramedic"]] },
+  { civilian: "Hotel", imposter: "Keycard", categories: ["places", "travel"], difficulty: 1, es: ["Hotel", "Tarjeta llave"], de: ["Hotel", "Schlüsselkarte"], clues: [["stay", "room", "reception"], ["plastic", "door", "swipe"]] },
+  { civilian: "Kitchen", imposter: "Recipe", categories: ["everyday", "food"], difficulty: 1, es: ["Cocina", "Receta"], de: ["Küche", "Rezept"], clues: [["cooking", "stove", "sink"], ["instructions", "ingredients", "cookbook"]] },
+  { civilian: "Library", imposter: "Bookmark", categories: ["places"], difficulty: 1, es: ["Biblioteca", "Marcapáginas"], de: ["Bibliothek", "Lesezeichen"], clues: [["quiet", "books", "borrow"], ["page", "reading", "ribbon"]] },
+  { civilian: "Mail", imposter: "Envelope", categories: ["everyday"], difficulty: 1, es: ["Correo", "Sobre"], de: ["Post", "Briefumschlag"], clues: [["letters", "postman", "delivery"], ["paper", "stamp", "sealed"]] },
+  { civilian: "Marathon", imposter: "Medal", categories: ["activities", "events"], difficulty: 2, es: ["Maratón", "Medalla"], de: ["Marathon", "Medaille"], clues: [["running", "long", "finish"], ["winner", "gold", "ribbon"]] },
+  { civilian: "Museum", imposter: "Painting", categories: ["places"], difficulty: 1, es: ["Museo", "Cuadro"], de: ["Museum", "Gemälde"], clues: [["exhibits", "history", "curator"], ["art", "frame", "brush"]] },
+  { civilian: "Ocean", imposter: "Lighthouse", categories: ["nature"], difficulty: 1, es: ["Océano", "Faro"], de: ["Ozean", "Leuchtturm"], clues: [["water", "salty", "deep"], ["coast", "tower", "beam"]] },
+  { civilian: "Office", imposter: "Calendar", categories: ["places", "jobs"], difficulty: 1, es: ["Oficina", "Calendario"], de: ["Büro", "Kalender"], clues: [["work", "desk", "meetings"], ["dates", "months", "appointments"]] },
+  { civilian: "Painter", imposter: "Canvas", categories: ["jobs"], difficulty: 2, es: ["Pintor", "Lienzo"], de: ["Maler", "Leinwand"], clues: [["artist", "brush", "easel"], ["fabric", "blank", "easel"]] },
+  { civilian: "Park", imposter: "Bench", categories: ["places"], difficulty: 1, es: ["Parque", "Banca"], de: ["Park", "Parkbank"], clues: [["trees", "grass", "walk"], ["sit", "wooden", "outdoors"]] },
+  { civilian: "Phone", imposter: "Charger", categories: ["everyday"], difficulty: 1, es: ["Teléfono", "Cargador"], de: ["Handy", "Ladegerät"], clues: [["call", "screen", "apps"], ["cable", "plug", "power"]] },
+  { civilian: "Picnic", imposter: "Basket", categories: ["food", "activities"], difficulty: 1, es: ["Pícnic", "Cesta"], de: ["Picknick", "Korb"], clues: [["outdoors", "blanket", "sandwiches"], ["woven", "carry", "wicker"]] },
+  { civilian: "Pirate", imposter: "Treasure", categories: ["entertainment"], difficulty: 2, es: ["Pirata", "Tesoro"], de: ["Pirat", "Schatz"], clues: [["ship", "parrot", "eyepatch"], ["gold", "buried", "jewels"]] },
+  { civilian: "Pizza", imposter: "Delivery", categories: ["food"], difficulty: 1, es: ["Pizza", "Reparto"], de: ["Pizza", "Lieferung"], clues: [["cheese", "slice", "Italian"], ["doorstep", "courier", "package"]] },
+  { civilian: "Playground", imposter: "Swing", categories: ["places"], difficulty: 1, es: ["Parque infantil", "Columpio"], de: ["Spielplatz", "Schaukel"], clues: [["kids", "slide", "sandbox"], ["chains", "seat", "forth"]] },
+  { civilian: "Police", imposter: "Badge", categories: ["jobs"], difficulty: 1, es: ["Policía", "Placa"], de: ["Polizei", "Dienstmarke"], clues: [["law", "officer", "patrol"], ["shiny", "pinned", "identity"]] },
+  { civilian: "Pool", imposter: "Lifeguard", categories: ["places", "activities"], difficulty: 1, es: ["Piscina", "Socorrista"], de: ["Schwimmbad", "Rettungsschwimmer"], clues: [["water", "swim", "chlorine"], ["rescue", "whistle", "watchful"]] },
+  { civilian: "Rain", imposter: "Umbrella", categories: ["nature"], difficulty: 1, es: ["Lluvia", "Paraguas"], de: ["Regen", "Regenschirm"], clues: [["wet", "clouds", "drops"], ["dry", "handle", "open"]] },
+  { civilian: "Restaurant", imposter: "Menu", categories: ["places", "food"], difficulty: 1, es: ["Restaurante", "Menú"], de: ["Restaurant", "Speisekarte"], clues: [["dinner", "waiter", "tables"], ["choices", "dishes", "prices"]] },
+  { civilian: "Road Trip", imposter: "Map", categories: ["travel"], difficulty: 1, es: ["Viaje por carretera", "Mapa"], de: ["Roadtrip", "Landkarte"], clues: [["driving", "highway", "snacks"], ["directions", "paper", "legend"]] },
+  { civilian: "Robot", imposter: "Battery", categories: ["science"], difficulty: 2, es: ["Robot", "Batería"], de: ["Roboter", "Batterie"], clues: [["machine", "metal", "circuits"], ["power", "energy", "charge"]] },
+  { civilian: "School", imposter: "Backpack", categories: ["places"], difficulty: 1, es: ["Escuela", "Mochila"], de: ["Schule", "Rucksack"], clues: [["learning", "teachers", "lessons"], ["straps", "carry", "zipper"]] },
+  { civilian: "Scientist", imposter: "Microscope", categories: ["jobs", "science"], difficulty: 1, es: ["Científico", "Microscopio"], de: ["Wissenschaftler", "Mikroskop"], clues: [["research", "lab", "theory"], ["lens", "cells", "zoom"]] },
+  { civilian: "Ship", imposter: "Anchor", categories: ["travel"], difficulty: 1, es: ["Barco", "Ancla"], de: ["Schiff", "Anker"], clues: [["sea", "sailing", "captain"], ["heavy", "chain", "harbor"]] },
+  { civilian: "Skateboard", imposter: "Ramp", categories: ["activities"], difficulty: 1, es: ["Monopatín", "Rampa"], de: ["Skateboard", "Rampe"], clues: [["wheels", "tricks", "deck"], ["slope", "incline", "jump"]] },
+  { civilian: "Skiing", imposter: "Lift", categories: ["activities"], difficulty: 1, es: ["Esquí", "Telesilla"], de: ["Skifahren", "Skilift"], clues: [["snow", "slopes", "poles"], ["up", "chair", "cable"]] },
+  { civilian: "Snow", imposter: "Sled", categories: ["nature"], difficulty: 1, es: ["Nieve", "Trineo"], de: ["Schnee", "Schlitten"], clues: [["cold", "white", "flakes"], ["downhill", "wooden", "slide"]] },
+  { civilian: "Space", imposter: "Rocket", categories: ["science"], difficulty: 1, es: ["Espacio", "Cohete"], de: ["Weltraum", "Rakete"], clues: [["stars", "planets", "vacuum"], ["launch", "fuel", "countdown"]] },
+  { civilian: "Supermarket", imposter: "Cart", categories: ["places", "food"], difficulty: 1, es: ["Supermercado", "Carrito"], de: ["Supermarkt", "Einkaufswagen"], clues: [["shopping", "aisles", "groceries"], ["wheels", "push", "trolley"]] },
+  { civilian: "Teacher", imposter: "Homework", categories: ["jobs"], difficulty: 1, es: ["Profesor", "Deberes"], de: ["Lehrer", "Hausaufgaben"], clues: [["school", "lessons", "grading"], ["evening", "assignment", "exercises"]] },
+  { civilian: "Television", imposter: "Remote", categories: ["everyday", "entertainment"], difficulty: 1, es: ["Televisión", "Mando a distancia"], de: ["Fernseher", "Fernbedienung"], clues: [["screen", "channels", "shows"], ["buttons", "couch", "channel"]] },
+  { civilian: "Theater", imposter: "Costume", categories: ["places", "entertainment"], difficulty: 1, es: ["Teatro", "Disfraz"], de: ["Theater", "Kostüm"], clues: [["stage", "actors", "curtain"], ["dress", "disguise", "outfit"]] },
+  { civilian: "Train", imposter: "Platform", categories: ["travel"], difficulty: 1, es: ["Tren", "Andén"], de: ["Zug", "Bahnsteig"], clues: [["tracks", "carriage", "station"], ["waiting", "edge", "station"]] },
+  { civilian: "Vacation", imposter: "Postcard", categories: ["travel"], difficulty: 1, es: ["Vacaciones", "Postal"], de: ["Urlaub", "Postkarte"], clues: [["holiday", "relax", "travel"], ["picture", "stamp", "greetings"]] },
+  { civilian: "Video Game", imposter: "Controller", categories: ["entertainment"], difficulty: 1, es: ["Videojuego", "Mando"], de: ["Videospiel", "Controller"], clues: [["console", "levels", "player"], ["buttons", "joystick", "handheld"]] },
+  { civilian: "Wedding", imposter: "Flowers", categories: ["events"], difficulty: 1, es: ["Boda", "Flores"], de: ["Hochzeit", "Blumen"], clues: [["marriage", "bride", "vows"], ["petals", "colorful", "vase"]] },
+  { civilian: "Writer", imposter: "Notebook", categories: ["jobs"], difficulty: 2, es: ["Escritor", "Cuaderno"], de: ["Schriftsteller", "Notizbuch"], clues: [["author", "words", "novel"], ["paper", "pages", "spiral"]] },
+  { civilian: "Zoo", imposter: "Binoculars", categories: ["places", "animals"], difficulty: 1, es: ["Zoológico", "Prismáticos"], de: ["Zoo", "Fernglas"], clues: [["animals", "cages", "visitors"], ["distance", "lenses", "birdwatching"]] },
+  { civilian: "Baby", imposter: "Stroller", categories: ["everyday"], difficulty: 1, es: ["Bebé", "Carrito de bebé"], de: ["Baby", "Kinderwagen"], clues: [["tiny", "diaper", "crying"], ["wheels", "push", "pram"]] },
+  { civilian: "Boat", imposter: "Life Jacket", categories: ["travel"], difficulty: 1, es: ["Bote", "Chaleco salvavidas"], de: ["Boot", "Schwimmweste"], clues: [["water", "sail", "rowing"], ["orange", "float", "safety"]] },
+  { civilian: "Campfire", imposter: "Marshmallow", categories: ["nature", "activities"], difficulty: 1, es: ["Fogata", "Nube de azúcar"], de: ["Lagerfeuer", "Marshmallow"], clues: [["flames", "night", "stories"], ["sweet", "fluffy", "toasted"]] },
+  { civilian: "Computer", imposter: "Keyboard", categories: ["everyday"], difficulty: 1, es: ["Ordenador", "Teclado"], de: ["Computer", "Tastatur"], clues: [["screen", "mouse", "software"], ["keys", "typing", "letters"]] },
+  { civilian: "Doctor", imposter: "Stethoscope", categories: ["jobs"], difficulty: 1, es: ["Médico", "Estetoscopio"], de: ["Arzt", "Stethoskop"], clues: [["medicine", "checkup", "patient"], ["heartbeat", "listen", "chest"]] },
+  { civilian: "Dinosaur", imposter: "Fossil", categories: ["animals", "science"], difficulty: 1, es: ["Dinosaurio", "Fósil"], de: ["Dinosaurier", "Fossil"], clues: [["extinct", "huge", "reptile"], ["bones", "rock", "ancient"]] },
+  { civilian: "Elevator", imposter: "Button", categories: ["everyday"], difficulty: 2, es: ["Ascensor", "Botón"], de: ["Aufzug", "Knopf"], clues: [["floors", "up", "shaft"], ["press", "round", "small"]] },
+  { civilian: "Festival", imposter: "Wristband", categories: ["events", "entertainment"], difficulty: 2, es: ["Festival", "Pulsera"], de: ["Festival", "Armband"], clues: [["music", "crowds", "summer"], ["arm", "entry", "bracelet"]] },
+  { civilian: "Football", imposter: "Whistle", categories: ["activities"], difficulty: 1, es: ["Fútbol americano", "Silbato"], de: ["Football", "Trillerpfeife"], clues: [["kickoff", "team", "touchdown"], ["loud", "referee", "blow"]] },
+  { civilian: "Forest", imposter: "Cabin", categories: ["nature"], difficulty: 1, es: ["Bosque", "Cabaña"], de: ["Wald", "Hütte"], clues: [["trees", "woods", "wild"], ["wooden", "cozy", "hut"]] },
+  { civilian: "Graduation", imposter: "Diploma", categories: ["events"], difficulty: 1, es: ["Graduación", "Diploma"], de: ["Abschlussfeier", "Zeugnis"], clues: [["cap", "gown", "ceremony"], ["certificate", "scroll", "degree"]] },
+  { civilian: "Hiking", imposter: "Trail", categories: ["activities", "nature"], difficulty: 1, es: ["Senderismo", "Sendero"], de: ["Wandern", "Wanderweg"], clues: [["walking", "boots", "outdoors"], ["path", "markers", "route"]] },
+  { civilian: "Ice Cream", imposter: "Cone", categories: ["food"], difficulty: 1, es: ["Helado", "Cucurucho"], de: ["Eiscreme", "Waffeltüte"], clues: [["cold", "sweet", "scoop"], ["wafer", "pointed", "crunchy"]] },
+  { civilian: "Laundry", imposter: "Detergent", categories: ["everyday"], difficulty: 1, es: ["Colada", "Detergente"], de: ["Wäsche", "Waschmittel"], clues: [["clothes", "washing", "basket"], ["soap", "clean", "powder"]] },
+  { civilian: "Magic", imposter: "Wand", categories: ["entertainment"], difficulty: 2, es: ["Magia", "Varita"], de: ["Zauberei", "Zauberstab"], clues: [["tricks", "illusion", "spell"], ["stick", "wizard", "spell"]] },
+  { civilian: "Morning", imposter: "Alarm", categories: ["everyday"], difficulty: 2, es: ["Mañana", "Despertador"], de: ["Morgen", "Wecker"], clues: [["early", "sunrise", "coffee"], ["ringing", "wakeup", "clock"]] },
+  { civilian: "Mountain", imposter: "Climbing Rope", categories: ["nature"], difficulty: 1, es: ["Montaña", "Cuerda de escalada"], de: ["Berg", "Kletterseil"], clues: [["peak", "high", "summit"], ["knot", "harness", "strong"]] },
+  { civilian: "Night", imposter: "Lantern", categories: ["nature"], difficulty: 2, es: ["Noche", "Farol"], de: ["Nacht", "Laterne"], clues: [["dark", "moon", "stars"], ["light", "candle", "handle"]] },
+  { civilian: "Photography", imposter: "Camera", categories: ["activities"], difficulty: 2, es: ["Fotografía", "Cámara"], de: ["Fotografie", "Kamera"], clues: [["pictures", "lens", "shutter"], ["pictures", "lens", "flash"]] },
+  { civilian: "Dinner", imposter: "Reservation", categories: ["food"], difficulty: 1, es: ["Cena", "Reserva"], de: ["Abendessen", "Reservierung"], clues: [["evening", "meal", "table"], ["booking", "name", "table"]] },
+  { civilian: "Soccer", imposter: "Goal", categories: ["activities"], difficulty: 1, es: ["Fútbol", "Portería"], de: ["Fußball", "Tor"], clues: [["ball", "kick", "team"], ["net", "score", "posts"]] },
+  { civilian: "Summer", imposter: "Sunglasses", categories: ["nature"], difficulty: 1, es: ["Verano", "Gafas de sol"], de: ["Sommer", "Sonnenbrille"], clues: [["hot", "sunny", "holidays"], ["shades", "eyes", "dark"]] },
+  { civilian: "Swimming", imposter: "Float", categories: ["activities"], difficulty: 1, es: ["Natación", "Flotador"], de: ["Schwimmen", "Schwimmring"], clues: [["water", "strokes", "laps"], ["inflatable", "bob", "drift"]] },
+  { civilian: "Taxi", imposter: "Meter", categories: ["travel"], difficulty: 1, es: ["Taxi", "Taxímetro"], de: ["Taxi", "Taxameter"], clues: [["ride", "yellow", "driver"], ["fare", "counting", "ticking"]] },
+  { civilian: "Jungle", imposter: "Compass", categories: ["nature"], difficulty: 1, es: ["Selva", "Brújula"], de: ["Dschungel", "Kompass"], clues: [["dense", "vines", "tropical"], ["north", "needle", "direction"]] },
+  { civilian: "Winter", imposter: "Coat", categories: ["nature"], difficulty: 1, es: ["Invierno", "Abrigo"], de: ["Winter", "Mantel"], clues: [["cold", "snow", "December"], ["warm", "buttons", "sleeves"]] },
+  { civilian: "Workshop", imposter: "Toolbox", categories: ["places"], difficulty: 2, es: ["Taller", "Caja de herramientas"], de: ["Werkstatt", "Werkzeugkasten"], clues: [["tools", "bench", "crafting"], ["handle", "tools", "metal"]] },
+  { civilian: "Anniversary", imposter: "Bouquet", categories: ["events"], difficulty: 2, es: ["Aniversario", "Ramo"], de: ["Jahrestag", "Blumenstrauß"], clues: [["yearly", "couple", "celebration"], ["flowers", "wrapped", "gift"]] },
+  { civilian: "Archaeology", imposter: "Artifact", categories: ["science"], difficulty: 3, es: ["Arqueología", "Artefacto"], de: ["Archäologie", "Artefakt"], clues: [["digging", "ruins", "ancient"], ["ancient", "relic", "excavated"]] },
+  { civilian: "Auction", imposter: "Gavel", categories: ["events"], difficulty: 2, es: ["Subasta", "Martillo de subasta"], de: ["Auktion", "Auktionshammer"], clues: [["bidding", "sold", "lot"], ["wooden", "bang", "judge"]] },
+  { civilian: "Ballet", imposter: "Tutu", categories: ["entertainment"], difficulty: 2, es: ["Ballet", "Tutú"], de: ["Ballett", "Tutu"], clues: [["dance", "graceful", "pointe"], ["skirt", "frilly", "pink"]] },
+  { civilian: "Blizzard", imposter: "Snowplow", categories: ["nature"], difficulty: 2, es: ["Ventisca", "Quitanieves"], de: ["Schneesturm", "Schneepflug"], clues: [["snowstorm", "wind", "whiteout"], ["truck", "clearing", "blade"]] },
+  { civilian: "Board Game", imposter: "Dice", categories: ["activities"], difficulty: 1, es: ["Juego de mesa", "Dados"], de: ["Brettspiel", "Würfel"], clues: [["family", "pieces", "turns"], ["cubes", "roll", "dots"]] },
+  { civilian: "Bookstore", imposter: "Shelf", categories: ["places"], difficulty: 1, es: ["Librería", "Estantería"], de: ["Buchhandlung", "Regal"], clues: [["novels", "browsing", "shop"], ["wooden", "storage", "wall"]] },
+  { civilian: "Bowling", imposter: "Pins", categories: ["activities"], difficulty: 1, es: ["Bolos", "Pinos"], de: ["Bowling", "Kegel"], clues: [["alley", "strike", "lanes"], ["white", "standing", "ten"]] },
+  { civilian: "Bridge", imposter: "River", categories: ["places", "travel"], difficulty: 2, es: ["Puente", "Río"], de: ["Brücke", "Fluss"], clues: [["crossing", "span", "arch"], ["water", "flowing", "banks"]] },
+  { civilian: "Cafeteria", imposter: "Tray", categories: ["places", "food"], difficulty: 1, es: ["Comedor", "Bandeja"], de: ["Kantine", "Tablett"], clues: [["lunch", "canteen", "queue"], ["carry", "flat", "plastic"]] },
+  { civilian: "Schedule", imposter: "Reminder", categories: ["everyday", "abstract"], difficulty: 2, es: ["Horario", "Recordatorio"], de: ["Zeitplan", "Memo"], clues: [["times", "agenda", "planning"], ["note", "memory", "alert"]] },
+  { civilian: "Car Wash", imposter: "Soap", categories: ["places"], difficulty: 2, es: ["Lavadero de coches", "Jabón"], de: ["Autowaschanlage", "Seife"], clues: [["foam", "brushes", "clean"], ["bubbles", "clean", "bar"]] },
+  { civilian: "Carpenter", imposter: "Hammer", categories: ["jobs"], difficulty: 2, es: ["Carpintero", "Martillo"], de: ["Tischler", "Hammer"], clues: [["wood", "furniture", "saw"], ["nails", "pound", "handle"]] },
+  { civilian: "Cave", imposter: "Flashlight", categories: ["nature"], difficulty: 2, es: ["Cueva", "Linterna"], de: ["Höhle", "Taschenlampe"], clues: [["dark", "underground", "stalactites"], ["beam", "dark", "torch"]] },
+  { civilian: "Chemistry", imposter: "Beaker", categories: ["science"], difficulty: 2, es: ["Química", "Vaso de precipitados"], de: ["Chemie", "Becherglas"], clues: [["elements", "reactions", "formulas"], ["glass", "liquid", "measuring"]] },
+  { civilian: "Choir", imposter: "Microphone", categories: ["entertainment"], difficulty: 2, es: ["Coro", "Micrófono"], de: ["Chor", "Mikrofon"], clues: [["singing", "voices", "harmony"], ["voice", "amplify", "stage"]] },
+  { civilian: "Coffee Shop", imposter: "Mug", categories: ["places", "food"], difficulty: 1, es: ["Cafetería", "Taza"], de: ["Café", "Tasse"], clues: [["latte", "barista", "cozy"], ["handle", "hot", "ceramic"]] },
+  { civilian: "Courtroom", imposter: "Witness", categories: ["places", "jobs"], difficulty: 2, es: ["Sala del tribunal", "Testigo"], de: ["Gerichtssaal", "Zeuge"], clues: [["judge", "trial", "jury"], ["testimony", "saw", "oath"]] },
+  { civilian: "Cruise", imposter: "Deck", categories: ["travel"], difficulty: 2, es: ["Crucero", "Cubierta"], de: ["Kreuzfahrt", "Deck"], clues: [["ship", "sea", "vacation"], ["wooden", "outdoor", "boards"]] },
+  { civilian: "Diary", imposter: "Lock", categories: ["everyday"], difficulty: 2, es: ["Diario", "Candado"], de: ["Tagebuch", "Schloss"], clues: [["private", "writing", "daily"], ["key", "secure", "closed"]] },
+  { civilian: "Dragon", imposter: "Treasure Chest", categories: ["entertainment"], difficulty: 2, es: ["Dragón", "Cofre del tesoro"], de: ["Drache", "Schatztruhe"], clues: [["fire", "wings", "scales"], ["gold", "lid", "pirate"]] },
+  { civilian: "Emergency", imposter: "Siren", categories: ["events"], difficulty: 2, es: ["Emergencia", "Sirena"], de: ["Notfall", "Sirene"], clues: [["urgent", "danger", "help"], ["loud", "wailing", "warning"]] },
+  { civilian: "Escape Room", imposter: "Puzzle", categories: ["activities", "entertainment"], difficulty: 2, es: ["Sala de escape", "Rompecabezas"], de: ["Escape-Room", "Puzzle"], clues: [["locked", "clues", "team"], ["pieces", "solve", "brainteaser"]] },
+  { civilian: "Factory", imposter: "Machine", categories: ["places", "jobs"], difficulty: 2, es: ["Fábrica", "Máquina"], de: ["Fabrik", "Maschine"], clues: [["production", "assembly", "workers"], ["gears", "engine", "motor"]] },
+  { civilian: "Fashion", imposter: "Runway", categories: ["entertainment"], difficulty: 2, es: ["Moda", "Pasarela"], de: ["Mode", "Laufsteg"], clues: [["style", "designer", "trends"], ["catwalk", "models", "strut"]] },
+  { civilian: "Ferry", imposter: "Dock", categories: ["travel"], difficulty: 2, es: ["Ferri", "Muelle"], de: ["Fähre", "Anlegestelle"], clues: [["crossing", "boat", "passengers"], ["pier", "boats", "mooring"]] },
+  { civilian: "Fireplace", imposter: "Chimney", categories: ["everyday"], difficulty: 2, es: ["Chimenea", "Leña"], de: ["Kamin", "Schornstein"], clues: [["warm", "logs", "cozy"], ["smoke", "roof", "bricks"]] },
+  { civilian: "Garage", imposter: "Wrench", categories: ["everyday", "places"], difficulty: 2, es: ["Garaje", "Llave inglesa"], de: ["Garage", "Schraubenschlüssel"], clues: [["car", "parking", "door"], ["tool", "bolts", "metal"]] },
+  { civilian: "Geography", imposter: "Atlas", categories: ["science"], difficulty: 2, es: ["Geografía", "Atlas"], de: ["Erdkunde", "Atlas"], clues: [["maps", "countries", "continents"], ["maps", "book", "world"]] },
+  { civilian: "Greenhouse", imposter: "Seedling", categories: ["nature", "places"], difficulty: 2, es: ["Invernadero", "Plántula"], de: ["Gewächshaus", "Setzling"], clues: [["plants", "warm", "panes"], ["sprout", "small", "growing"]] },
+  { civilian: "Grocery", imposter: "Receipt", categories: ["food"], difficulty: 1, es: ["Tienda de comestibles", "Recibo"], de: ["Lebensmittelladen", "Kassenbon"], clues: [["food", "shopping", "aisles"], ["paper", "total", "purchase"]] },
+  { civilian: "Harbor", imposter: "Buoy", categories: ["places", "travel"], difficulty: 2, es: ["Puerto", "Boya"], de: ["Hafen", "Boje"], clues: [["boats", "port", "pier"], ["floating", "marker", "sea"]] },
+  { civilian: "Harvest", imposter: "Scarecrow", categories: ["nature", "food"], difficulty: 2, es: ["Cosecha", "Espantapájaros"], de: ["Ernte", "Vogelscheuche"], clues: [["autumn", "crops", "gathering"], ["straw", "field", "crows"]] },
+  { civilian: "Haunted House", imposter: "Ghost", categories: ["places", "entertainment"], difficulty: 2, es: ["Casa encantada", "Fantasma"], de: ["Geisterhaus", "Gespenst"], clues: [["spooky", "creaky", "scary"], ["spirit", "white", "boo"]] },
+  { civilian: "Highway", imposter: "Tollbooth", categories: ["travel"], difficulty: 2, es: ["Autopista", "Peaje"], de: ["Autobahn", "Mautstelle"], clues: [["lanes", "fast", "cars"], ["pay", "barrier", "fee"]] },
+  { civilian: "Hurricane", imposter: "Sandbag", categories: ["nature"], difficulty: 2, es: ["Huracán", "Saco de arena"], de: ["Hurrikan", "Sandsack"], clues: [["storm", "wind", "coast"], ["heavy", "flood", "barrier"]] },
+  { civilian: "Island", imposter: "Palm Tree", categories: ["nature", "travel"], difficulty: 1, es: ["Isla", "Palmera"], de: ["Insel", "Palme"], clues: [["surrounded", "sea", "isolated"], ["tropical", "coconuts", "fronds"]] },
+  { civilian: "Journalist", imposter: "Headline", categories: ["jobs"], difficulty: 2, es: ["Periodista", "Titular"], de: ["Journalist", "Schlagzeile"], clues: [["news", "reporter", "interview"], ["bold", "top", "newspaper"]] },
+  { civilian: "Karaoke", imposter: "Lyrics", categories: ["entertainment", "activities"], difficulty: 1, es: ["Karaoke", "Letra"], de: ["Karaoke", "Liedtext"], clues: [["singing", "screen", "party"], ["words", "song", "verse"]] },
+  { civilian: "Laboratory", imposter: "Test Tube", categories: ["places", "science"], difficulty: 2, es: ["Laboratorio", "Tubo de ensayo"], de: ["Labor", "Reagenzglas"], clues: [["science", "experiments", "coats"], ["glass", "narrow", "sample"]] },
+  { civilian: "Lemonade Stand", imposter: "Pitcher", categories: ["food"], difficulty: 2, es: ["Puesto de limonada", "Jarra"], de: ["Limonadenstand", "Krug"], clues: [["kids", "selling", "sidewalk"], ["jug", "pour", "handle"]] },
+  { civilian: "Lighthouse Keeper", imposter: "Beacon", categories: ["jobs"], difficulty: 3, es: ["Farero", "Baliza"], de: ["Leuchtturmwärter", "Leuchtfeuer"], clues: [["lonely", "coast", "lamp"], ["glow", "signal", "guiding"]] },
+  { civilian: "Locker Room", imposter: "Jersey", categories: ["places", "activities"], difficulty: 2, es: ["Vestuario", "Camiseta"], de: ["Umkleide", "Trikot"], clues: [["changing", "benches", "showers"], ["shirt", "number", "team"]] },
+  { civilian: "Mall", imposter: "Escalator", categories: ["places"], difficulty: 1, es: ["Centro comercial", "Escalera mecánica"], de: ["Einkaufszentrum", "Rolltreppe"], clues: [["shopping", "stores", "indoor"], ["moving", "steps", "floors"]] },
+  { civilian: "Mechanic", imposter: "Oil", categories: ["jobs"], difficulty: 2, es: ["Mecánico", "Aceite"], de: ["Mechaniker", "Öl"], clues: [["repair", "engine", "garage"], ["slippery", "engine", "liquid"]] },
+  { civilian: "Meteor Shower", imposter: "Telescope", categories: ["nature", "science"], difficulty: 3, es: ["Lluvia de estrellas", "Telescopio"], de: ["Sternschnuppen", "Teleskop"], clues: [["night", "sky", "shooting"], ["stars", "lens", "observatory"]] },
+  { civilian: "Monopoly", imposter: "Rent", categories: ["activities"], difficulty: 2, es: ["Monopoly", "Alquiler"], de: ["Monopoly", "Miete"], clues: [["board", "properties", "money"], ["monthly", "landlord", "payment"]] },
+  { civilian: "Newsroom", imposter: "Deadline", categories: ["places", "jobs"], difficulty: 3, es: ["Redacción", "Fecha límite"], de: ["Nachrichtenredaktion", "Abgabetermin"], clues: [["journalists", "reporters", "editors"], ["time", "pressure", "due"]] },
+  { civilian: "Orchestra", imposter: "Conductor", categories: ["entertainment"], difficulty: 2, es: ["Orquesta", "Director"], de: ["Orchester", "Dirigent"], clues: [["instruments", "symphony", "musicians"], ["baton", "leader", "music"]] },
+  { civilian: "Parade", imposter: "Confetti", categories: ["events"], difficulty: 2, es: ["Desfile", "Confeti"], de: ["Parade", "Konfetti"], clues: [["street", "marching", "floats"], ["paper", "colorful", "celebration"]] },
+  { civilian: "Pharmacy", imposter: "Prescription", categories: ["places"], difficulty: 2, es: ["Farmacia", "Receta médica"], de: ["Apotheke", "Verschreibung"], clues: [["medicine", "pills", "counter"], ["doctor", "medicine", "note"]] },
+  { civilian: "Pottery", imposter: "Clay", categories: ["activities"], difficulty: 2, es: ["Cerámica", "Arcilla"], de: ["Töpfern", "Ton"], clues: [["ceramics", "wheel", "vase"], ["soft", "mold", "earth"]] },
+  { civilian: "Ranch", imposter: "Saddle", categories: ["places", "animals"], difficulty: 2, es: ["Rancho", "Silla de montar"], de: ["Ranch", "Sattel"], clues: [["horses", "cattle", "cowboy"], ["horse", "leather", "riding"]] },
+  { civilian: "Recycling", imposter: "Bin", categories: ["everyday"], difficulty: 2, es: ["Reciclaje", "Contenedor"], de: ["Recycling", "Mülltonne"], clues: [["plastic", "sorting", "green"], ["container", "lid", "trash"]] },
+  { civilian: "Rehearsal", imposter: "Script", categories: ["entertainment"], difficulty: 3, es: ["Ensayo", "Guion"], de: ["Probe", "Drehbuch"], clues: [["practice", "stage", "repeat"], ["lines", "actors", "pages"]] },
+  { civilian: "Safari", imposter: "Jeep", categories: ["travel", "animals"], difficulty: 2, es: ["Safari", "Todoterreno"], de: ["Safari", "Geländewagen"], clues: [["animals", "wild", "Africa"], ["offroad", "vehicle", "rugged"]] },
+  { civilian: "Sandcastle", imposter: "Bucket", categories: ["activities"], difficulty: 2, es: ["Castillo de arena", "Cubo"], de: ["Sandburg", "Eimer"], clues: [["beach", "towers", "moat"], ["handle", "pail", "water"]] },
+  { civilian: "Science Fair", imposter: "Poster", categories: ["events", "science"], difficulty: 2, es: ["Feria de ciencias", "Póster"], de: ["Wissenschaftsmesse", "Plakat"], clues: [["projects", "students", "judges"], ["wall", "paper", "print"]] },
+  { civilian: "Seashell", imposter: "Shore", categories: ["nature"], difficulty: 2, es: ["Concha", "Orilla"], de: ["Muschel", "Ufer"], clues: [["beach", "spiral", "ocean"], ["coast", "waves", "edge"]] },
+  { civilian: "Security", imposter: "Camera Lens", categories: ["jobs"], difficulty: 3, es: ["Seguridad", "Objetivo"], de: ["Sicherheitsdienst", "Kameraobjektiv"], clues: [["guard", "safety", "protection"], ["glass", "focus", "zoom"]] },
+  { civilian: "Sleepover", imposter: "Pillow", categories: ["events"], difficulty: 2, es: ["Pijamada", "Almohada"], de: ["Übernachtungsparty", "Kissen"], clues: [["friends", "night", "pajamas"], ["soft", "bed", "feathers"]] },
+  { civilian: "Stadium", imposter: "Scoreboard", categories: ["places", "activities"], difficulty: 1, es: ["Estadio", "Marcador"], de: ["Stadion", "Anzeigetafel"], clues: [["crowd", "seats", "arena"], ["numbers", "points", "display"]] },
+  { civilian: "Studio", imposter: "Spotlight", categories: ["places", "entertainment"], difficulty: 2, es: ["Estudio", "Foco"], de: ["Studio", "Scheinwerfer"], clues: [["recording", "room", "creative"], ["bright", "stage", "attention"]] },
+  { civilian: "Surfing", imposter: "Wave", categories: ["activities"], difficulty: 1, es: ["Surf", "Ola"], de: ["Surfen", "Welle"], clues: [["board", "ocean", "wetsuit"], ["water", "crest", "motion"]] },
+  { civilian: "Tailor", imposter: "Measuring Tape", categories: ["jobs"], difficulty: 2, es: ["Sastre", "Cinta métrica"], de: ["Schneider", "Maßband"], clues: [["sewing", "suits", "needle"], ["length", "inches", "roll"]] },
+  { civilian: "Tea Party", imposter: "Saucer", categories: ["events", "food"], difficulty: 2, es: ["Merienda", "Platillo"], de: ["Teeparty", "Untertasse"], clues: [["cups", "polite", "scones"], ["plate", "small", "cup"]] },
+  { civilian: "Temple", imposter: "Statue", categories: ["places"], difficulty: 2, es: ["Templo", "Estatua"], de: ["Tempel", "Statue"], clues: [["worship", "sacred", "ancient"], ["stone", "carved", "monument"]] },
+  { civilian: "Traffic", imposter: "Signal", categories: ["travel"], difficulty: 2, es: ["Tráfico", "Semáforo"], de: ["Verkehr", "Ampel"], clues: [["cars", "jam", "rushhour"], ["light", "wave", "indicator"]] },
+  { civilian: "University", imposter: "Lecture", categories: ["places"], difficulty: 2, es: ["Universidad", "Clase magistral"], de: ["Universität", "Vorlesung"], clues: [["campus", "degree", "students"], ["speaking", "audience", "professor"]] },
+  { civilian: "Volcano", imposter: "Lava", categories: ["nature"], difficulty: 1, es: ["Volcán", "Lava"], de: ["Vulkan", "Lava"], clues: [["eruption", "mountain", "magma"], ["hot", "molten", "flowing"]] },
+  { civilian: "Warehouse", imposter: "Forklift", categories: ["places"], difficulty: 2, es: ["Almacén", "Carretilla elevadora"], de: ["Lagerhalle", "Gabelstapler"], clues: [["storage", "boxes", "shelving"], ["lifting", "pallets", "vehicle"]] },
+  { civilian: "Waterfall", imposter: "Mist", categories: ["nature"], difficulty: 2, es: ["Cascada", "Neblina"], de: ["Wasserfall", "Nebel"], clues: [["cascade", "cliff", "falling"], ["fog", "droplets", "damp"]] },
+  { civilian: "Weather", imposter: "Forecast", categories: ["nature"], difficulty: 2, es: ["Tiempo", "Pronóstico"], de: ["Wetter", "Vorhersage"], clues: [["sky", "temperature", "climate"], ["prediction", "tomorrow", "meteorologist"]] },
+  { civilian: "Windmill", imposter: "Breeze", categories: ["places"], difficulty: 2, es: ["Molino", "Brisa"], de: ["Windmühle", "Brise"], clues: [["blades", "turning", "Dutch"], ["gentle", "cool", "air"]] },
+  { civilian: "Yoga", imposter: "Mat", categories: ["activities"], difficulty: 1, es: ["Yoga", "Esterilla"], de: ["Yoga", "Matte"], clues: [["stretching", "calm", "poses"], ["floor", "rolled", "rubber"]] },
+  { civilian: "Abandoned House", imposter: "Dust", categories: ["places"], difficulty: 3, es: ["Casa abandonada", "Polvo"], de: ["Verlassenes Haus", "Staub"], clues: [["empty", "creepy", "ruins"], ["particles", "grey", "sneeze"]] },
+  { civilian: "Adventure", imposter: "Quest", categories: ["abstract"], difficulty: 3, es: ["Aventura", "Misión"], de: ["Abenteuer", "Mission"], clues: [["exciting", "journey", "explore"], ["mission", "hero", "journey"]] },
+  { civilian: "Apology", imposter: "Forgiveness", categories: ["abstract"], difficulty: 3, es: ["Disculpa", "Perdón"], de: ["Entschuldigung", "Vergebung"], clues: [["sorry", "regret", "amends"], ["mercy", "pardon", "healing"]] },
+  { civilian: "Architecture", imposter: "Sketch", categories: ["science"], difficulty: 3, es: ["Arquitectura", "Boceto"], de: ["Architektur", "Skizze"], clues: [["buildings", "design", "structures"], ["drawing", "pencil", "rough"]] },
+  { civilian: "Astronomy", imposter: "Constellation", categories: ["science"], difficulty: 2, es: ["Astronomía", "Constelación"], de: ["Astronomie", "Sternbild"], clues: [["stars", "planets", "cosmos"], ["stars", "pattern", "zodiac"]] },
+  { civilian: "Biography", imposter: "Childhood", categories: ["abstract"], difficulty: 3, es: ["Biografía", "Infancia"], de: ["Biografie", "Kindheit"], clues: [["life", "book", "story"], ["young", "growing", "memories"]] },
+  { civilian: "Budget", imposter: "Expense", categories: ["abstract"], difficulty: 3, es: ["Presupuesto", "Gasto"], de: ["Budget", "Ausgabe"], clues: [["money", "planning", "spending"], ["cost", "paying", "bill"]] },
+  { civilian: "Campaign", imposter: "Slogan", categories: ["events", "abstract"], difficulty: 3, es: ["Campaña", "Eslogan"], de: ["Wahlkampf", "Slogan"], clues: [["votes", "candidate", "posters"], ["catchy", "phrase", "motto"]] },
+  { civilian: "Celebration", imposter: "Toast", categories: ["events"], difficulty: 2, es: ["Celebración", "Brindis"], de: ["Feier", "Trinkspruch"], clues: [["party", "cheers", "joy"], ["glasses", "cheers", "speech"]] },
+  { civilian: "Ceremony", imposter: "Invitation", categories: ["events"], difficulty: 3, es: ["Ceremonia", "Invitación"], de: ["Zeremonie", "Einladung"], clues: [["formal", "ritual", "occasion"], ["card", "guests", "RSVP"]] },
+  { civilian: "Competition", imposter: "Trophy", categories: ["events"], difficulty: 2, es: ["Competición", "Trofeo"], de: ["Wettbewerb", "Pokal"], clues: [["contest", "rivals", "winner"], ["cup", "shiny", "champion"]] },
+  { civilian: "Conversation", imposter: "Awkward Silence", categories: ["abstract"], difficulty: 3, es: ["Conversación", "Silencio incómodo"], de: ["Gespräch", "Peinliche Stille"], clues: [["talking", "chat", "dialogue"], ["quiet", "uncomfortable", "pause"]] },
+  { civilian: "Debate", imposter: "Argument", categories: ["events", "abstract"], difficulty: 3, es: ["Debate", "Discusión"], de: ["Debatte", "Streit"], clues: [["opinions", "podium", "rebuttal"], ["disagreement", "shouting", "fight"]] },
+  { civilian: "Discovery", imposter: "Clue", categories: ["abstract"], difficulty: 3, es: ["Descubrimiento", "Pista"], de: ["Entdeckung", "Hinweis"], clues: [["finding", "new", "breakthrough"], ["hint", "evidence", "detective"]] },
+  { civilian: "Drama", imposter: "Backstage", categories: ["entertainment"], difficulty: 3, es: ["Drama", "Bastidores"], de: ["Drama", "Backstage"], clues: [["theater", "emotional", "tension"], ["hidden", "curtain", "crew"]] },
+  { civilian: "Election", imposter: "Ballot", categories: ["events"], difficulty: 2, es: ["Elecciones", "Papeleta"], de: ["Wahl", "Stimmzettel"], clues: [["voting", "candidates", "results"], ["paper", "vote", "box"]] },
+  { civilian: "Experiment", imposter: "Hypothesis", categories: ["science"], difficulty: 2, es: ["Experimento", "Hipótesis"], de: ["Experiment", "Hypothese"], clues: [["testing", "lab", "results"], ["theory", "assumption", "testing"]] },
+  { civilian: "Fame", imposter: "Autograph", categories: ["abstract"], difficulty: 3, es: ["Fama", "Autógrafo"], de: ["Ruhm", "Autogramm"], clues: [["celebrity", "famous", "spotlight"], ["signature", "fan", "pen"]] },
+  { civilian: "Friendship", imposter: "Secret", categories: ["abstract"], difficulty: 3, es: ["Amistad", "Secreto"], de: ["Freundschaft", "Geheimnis"], clues: [["bond", "loyalty", "buddies"], ["hidden", "whisper", "confidential"]] },
+  { civilian: "History", imposter: "Timeline", categories: ["science"], difficulty: 3, es: ["Historia", "Cronología"], de: ["Geschichte", "Zeitleiste"], clues: [["past", "events", "centuries"], ["dates", "chronological", "sequence"]] },
+  { civilian: "Imagination", imposter: "Dream", categories: ["abstract"], difficulty: 3, es: ["Imaginación", "Sueño"], de: ["Fantasie", "Traum"], clues: [["creativity", "fantasy", "mind"], ["sleep", "night", "wish"]] },
+  { civilian: "Interview", imposter: "Resume", categories: ["jobs", "events"], difficulty: 2, es: ["Entrevista", "Currículum"], de: ["Vorstellungsgespräch", "Lebenslauf"], clues: [["questions", "job", "meeting"], ["career", "experience", "document"]] },
+  { civilian: "Investigation", imposter: "Fingerprint", categories: ["jobs", "abstract"], difficulty: 3, es: ["Investigación", "Huella dactilar"], de: ["Ermittlung", "Fingerabdruck"], clues: [["inquiry", "evidence", "detective"], ["unique", "thumb", "evidence"]] },
+  { civilian: "Justice", imposter: "Verdict", categories: ["abstract"], difficulty: 3, es: ["Justicia", "Veredicto"], de: ["Gerechtigkeit", "Urteil"], clues: [["fairness", "law", "court"], ["guilty", "decision", "jury"]] },
+  { civilian: "Leadership", imposter: "Responsibility", categories: ["abstract"], difficulty: 3, es: ["Liderazgo", "Responsabilidad"], de: ["Führung", "Verantwortung"], clues: [["guiding", "boss", "team"], ["duty", "accountable", "burden"]] },
+  { civilian: "Legend", imposter: "Myth", categories: ["entertainment", "abstract"], difficulty: 3, es: ["Leyenda", "Mito"], de: ["Legende", "Mythos"], clues: [["story", "famous", "folklore"], ["ancient", "gods", "tale"]] },
+  { civilian: "Memory", imposter: "Photograph", categories: ["abstract"], difficulty: 3, es: ["Recuerdo", "Foto"], de: ["Erinnerung", "Foto"], clues: [["remembering", "past", "nostalgia"], ["picture", "printed", "album"]] },
+  { civilian: "Mystery", imposter: "Footprint", categories: ["abstract"], difficulty: 3, es: ["Misterio", "Huella"], de: ["Mysterium", "Fußabdruck"], clues: [["unknown", "puzzle", "suspense"], ["track", "shoe", "trace"]] },
+  { civilian: "Negotiation", imposter: "Compromise", categories: ["abstract"], difficulty: 3, es: ["Negociación", "Acuerdo"], de: ["Verhandlung", "Kompromiss"], clues: [["bargaining", "deal", "terms"], ["middle", "agreement", "concession"]] },
+  { civilian: "Observation", imposter: "Detail", categories: ["abstract"], difficulty: 3, es: ["Observación", "Detalle"], de: ["Beobachtung", "Detail"], clues: [["watching", "noticing", "careful"], ["small", "precise", "tiny"]] },
+  { civilian: "Opportunity", imposter: "Risk", categories: ["abstract"], difficulty: 3, es: ["Oportunidad", "Riesgo"], de: ["Chance", "Risiko"], clues: [["chance", "door", "luck"], ["danger", "gamble", "uncertain"]] },
+  { civilian: "Performance", imposter: "Applause", categories: ["entertainment"], difficulty: 3, es: ["Actuación", "Aplausos"], de: ["Auftritt", "Applaus"], clues: [["show", "stage", "audience"], ["clapping", "cheering", "ovation"]] },
+  { civilian: "Prediction", imposter: "Guess", categories: ["abstract"], difficulty: 3, es: ["Predicción", "Suposición"], de: ["Prognose", "Vermutung"], clues: [["future", "foresee", "forecast"], ["estimate", "hunch", "maybe"]] },
+  { civilian: "Promise", imposter: "Trust", categories: ["abstract"], difficulty: 3, es: ["Promesa", "Confianza"], de: ["Versprechen", "Vertrauen"], clues: [["pledge", "word", "commitment"], ["faith", "confidence", "reliable"]] },
+  { civilian: "Reputation", imposter: "Rumor", categories: ["abstract"], difficulty: 3, es: ["Reputación", "Rumor"], de: ["Ruf", "Gerücht"], clues: [["standing", "image", "respected"], ["gossip", "whisper", "hearsay"]] },
+  { civilian: "Strategy", imposter: "Plan", categories: ["abstract"], difficulty: 3, es: ["Estrategia", "Plan"], de: ["Strategie", "Plan"], clues: [["tactics", "thinking", "approach"], ["steps", "preparation", "schedule"]] },
+  { civilian: "Tradition", imposter: "Ritual", categories: ["abstract"], difficulty: 3, es: ["Tradición", "Ritual"], de: ["Tradition", "Ritual"], clues: [["custom", "heritage", "yearly"], ["ceremony", "repeated", "custom"]] },
+  { civilian: "Victory", imposter: "Prize", categories: ["abstract"], difficulty: 2, es: ["Victoria", "Premio"], de: ["Sieg", "Preis"], clues: [["winning", "triumph", "success"], ["reward", "winner", "award"]] },
+  { civilian: "Wisdom", imposter: "Advice", categories: ["abstract"], difficulty: 3, es: ["Sabiduría", "Consejo"], de: ["Weisheit", "Rat"], clues: [["knowledge", "elder", "insight"], ["tip", "suggestion", "counsel"]] },
+  { civilian: "Workshop Class", imposter: "Instruction", categories: ["activities"], difficulty: 3, es: ["Clase práctica", "Instrucciones"], de: ["Workshop", "Anleitung"], clues: [["course", "lesson", "hands"], ["guidance", "steps", "manual"]] },
+  { civilian: "Treasure Hunt", imposter: "Riddle", categories: ["activities"], difficulty: 2, es: ["Búsqueda del tesoro", "Acertijo"], de: ["Schatzsuche", "Rätsel"], clues: [["search", "map", "hidden"], ["puzzle", "question", "answer"]] }
 ];
 
-function isSamePair(a, b) {
-  return a && b && a.civilian === b.civilian && a.imposter === b.imposter;
+// Words compare case-insensitively, ignoring whitespace and accents ("Café" matches "cafe")
+function normalizeWord(word) {
+  return String(word).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/\s+/g, '');
+}
+
+// Identifies a pair regardless of which word is the civilian one
+function pairKey(pair) {
+  return [pair.civilian, pair.imposter].map(normalizeWord).sort().join('|');
+}
+
+function localizePair(pair, locale) {
+  const [civilian, imposter] = locale !== 'en' && pair[locale] ? pair[locale] : [pair.civilian, pair.imposter];
+  return { civilian, imposter, categories: pair.categories, difficulty: pair.difficulty };
+}
+
+// filters.categories: pairs in any of these categories (empty or missing = all)
+// filters.minDifficulty / filters.maxDifficulty: inclusive difficulty range
+// filters.locale: language of the returned words (default English)
+function getMatchingPairs(filters = {}) {
+  const { categories = [], minDifficulty = MIN_DIFFICULTY, maxDifficulty = MAX_DIFFICULTY, locale = 'en' } = filters;
+  return wordPairs
+    .filter(pair =>
+      (categories.length === 0 || pair.categories.some(category => categories.includes(category))) &&
+      pair.difficulty >= minDifficulty &&
+      pair.difficulty <= maxDifficulty
+    )
+    .map(pair => localizePair(pair, locale));
 }
 
-function getRandomPair(excludePair = null) {
-  const availablePairs = wordPairs.filter(pair => !isSamePair(pair, excludePair));
-  const pairs = availablePairs.length > 0 ? availablePairs : wordPairs;
-  return pairs[Math.floor(Math.random() * pairs.length)];
+// Clues for one word of the built-in pairs, from every pair it is part of.
+// Clues are only written in English, so other languages get none.
+function getClues(word, locale = 'en') {
+  if (locale !== 'en') return [];
+  const key = normalizeWord(word);
+  const clues = [];
+  wordPairs.forEach(pair => {
+    if (normalizeWord(pair.civilian) === key) clues.push(...pair.clues[0]);
+    if (normalizeWord(pair.imposter) === key) clues.push(...pair.clues[1]);
+  });
+  return [...new Set(clues)];
 }
 
-module.exports = { wordPairs, getRandomPair };
+module.exports = {
+  wordPairs, WORD_LOCALES, CATEGORIES, MIN_DIFFICULTY, MAX_DIFFICULTY,
+  normalizeWord, getMatchingPairs, pairKey, getClues
+};
@@ -1,23 +1,44 @@
 'use strict';
 
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const vm = require('node:vm');
 const { describe, it } = require('node:test');
 const assert = require('node:assert/strict');
 const GameManager = require('../src/game-manager');
-const { wordPairs } = require('../src/word-pairs');
+const { wordPairs, WORD_LOCALES, CATEGORIES, getClues, normalizeWord } = require('../src/word-pairs');
+const bots = require('../src/bots');
+const { createRng, nextRandom } = require('../src/random');
+const { projectGameState, summarizeRoom, buildGameLog, GAME_LOG_FORMAT } = require('../src/game-view');
+const { parseWordPack } = require('../src/word-packs');
+const { DEFAULT_SETTINGS, createSettings } = require('../src/settings');
+const { checkClue, givesAway } = require('../src/clue-rules');
+const { SCHEMAS, validatePayload, toErrorPayload } = require('../src/validation');
+const { MemoryGameStore, FileGameStore } = require('../src/game-store');
+const { LocalBroker } = require('../src/cluster');
+const { LOCALES, MESSAGES, translate } = require('../public/i18n');
 
 // Creates a GM and populates n players (Alice + Bob, Carol, Dave, Eve...)
-function setup(n = 3) {
-    const gm = new GameManager(() => {});
-    const { gameCode, playerId: creatorId } = gm.createGame('s0', 'Alice');
+async function setup(n = 3, onUpdate = () => {}, options = {}) {
+    const gm = new GameManager(onUpdate, options);
+    const { gameCode, playerId: creatorId } = await gm.createGame('s0', 'Alice');
     const playerIds = [creatorId];
-    const names = ['Bob', 'Carol', 'Dave', 'Eve', 'Frank'];
+    const names = ['Bob', 'Carol', 'Dave', 'Eve', 'Frank', 'Grace', 'Heidi', 'Ivan', 'Judy', 'Mallory', 'Niaj'];
     for (let i = 1; i < n; i++) {
-        const { playerId } = gm.joinGame(gameCode, `s${i}`, names[i - 1]);
+        const { playerId } = await gm.joinGame(gameCode, `s${i}`, names[i - 1]);
         playerIds.push(playerId);
     }
     return { gm, gameCode, creatorId, playerIds };
 }
 
+// Applies lobby settings as the host, then starts the game
+function startWithSettings(gm, gameCode, creatorId, settings = {}) {
+    const update = gm.updateSettings(gameCode, creatorId, settings);
+    assert.equal(update.error, undefined);
+    return gm.startGame(gameCode, creatorId);
+}
+
 // Advances a game through the entire description phase
 function completeDescriptions(gm, gameCode, game) {
     for (const playerId of [...game.turnOrder]) {
@@ -40,12 +61,91 @@ describe('wordPairs', () => {
 
         assert.equal(new Set(words).size, words.length);
     });
+
+    it('tags every pair with known categories and a difficulty', () => {
+        for (const pair of wordPairs) {
+            assert.ok(pair.categories.length > 0);
+            assert.ok(pair.categories.every(category => CATEGORIES.includes(category)));
+            assert.ok([1, 2, 3].includes(pair.difficulty));
+        }
+        for (const category of CATEGORIES) {
+            assert.ok(wordPairs.some(pair => pair.categories.includes(category)), category);
+        }
+    });
+
+    // Draws from a room's deck with these settings, the way startGame() does
+    async function roomDraw(settings) {
+        const gm = new GameManager(() => {});
+        const { game } = await gm.createGame('s0', 'Alice');
+        Object.assign(game.settings, settings);
+        gm.seedGame(game);
+        return () => gm.drawWordPair(game);
+    }
+
+    it('draws only pairs matching the filters', async () => {
+        const draw = await roomDraw({ categories: ['food', 'animals'], maxDifficulty: 1 });
+        for (let i = 0; i < 20; i++) {
+            const pair = draw();
+            assert.ok(pair.categories.some(category => category === 'food' || category === 'animals'));
+            assert.equal(pair.difficulty, 1);
+        }
+    });
+
+    it('throws when the filters leave no pairs', async () => {
+        const draw = await roomDraw({ categories: ['abstract'], minDifficulty: 1, maxDifficulty: 1 });
+        assert.throws(draw, /No word pairs match/);
+    });
+
+    it('translates every pair into each word language without repeats', () => {
+        for (const locale of WORD_LOCALES.filter(l => l !== 'en')) {
+            const words = [];
+            for (const pair of wordPairs) {
+                const [civilian, imposter] = pair[locale];
+                assert.ok(civilian && imposter, `${pair.civilian} has no ${locale} words`);
+                assert.notEqual(normalizeWord(civilian), normalizeWord(imposter));
+                words.push(normalizeWord(civilian), normalizeWord(imposter));
+            }
+            assert.equal(new Set(words).size, words.length, locale);
+        }
+    });
+
+    it('draws pairs in the requested language', async () => {
+        const pair = (await roomDraw({ locale: 'de' }))();
+        assert.ok(wordPairs.some(p => p.de[0] === pair.civilian && p.de[1] === pair.imposter));
+    });
+});
+
+describe('parseWordPack', () => {
+    it('reads CSV, skipping blank lines, comments and a header', () => {
+        const { pairs } = parseWordPack('civilian,imposter\n# team pack\n\nSlack, Teams\n"Jira","Trello"\n');
+        assert.deepEqual(pairs, [
+            { civilian: 'Slack', imposter: 'Teams' },
+            { civilian: 'Jira', imposter: 'Trello' }
+        ]);
+    });
+
+    it('reads JSON objects and arrays', () => {
+        const objects = parseWordPack('[{ "civilian": "Slack", "imposter": "Teams" }]');
+        assert.deepEqual(objects.pairs, [{ civilian: 'Slack', imposter: 'Teams' }]);
+        const arrays = parseWordPack('{ "pairs": [["Jira", "Trello"]] }');
+        assert.deepEqual(arrays.pairs, [{ civilian: 'Jira', imposter: 'Trello' }]);
+    });
+
+    it('rejects invalid packs with the offending line', () => {
+        assert.match(parseWordPack('').error, /empty/);
+        assert.match(parseWordPack('[{ "civilian": "Slack" ').error, /not valid JSON/);
+        assert.match(parseWordPack('Slack,Teams\nJira').error, /Line 2/);
+        assert.match(parseWordPack('Slack,Teams\nJira,jira').error, /must be different/);
+        assert.match(parseWordPack('Slack,Teams\nteams,slack').error, /duplicate/);
+        assert.match(parseWordPack(`Slack,${'x'.repeat(31)}`).error, /at most 30/);
+        assert.match(parseWordPack('Slack,Teams\n'.repeat(201)).error, /at most 200 pairs/);
+    });
 });
 
 describe('createGame', () => {
-    it('creates game with correct initial state', () => {
+    it('creates game with correct initial state', async () => {
         const gm = new GameManager(() => {});
-        const { gameCode, game } = gm.createGame('s1', 'Alice');
+        const { gameCode, game } = await gm.createGame('s1', 'Alice');
         assert.equal(game.status, 'lobby');
         assert.equal(game.gamePhase, 'lobby');
         assert.equal(game.players.length, 1);
@@ -53,44 +153,56 @@ describe('createGame', () => {
         assert.equal(game.players[0].isCreator, true);
         assert.equal(gameCode.length, 6);
     });
+
+    it("uses the creator's language for the words when it is supported", async () => {
+        const gm = new GameManager(() => {});
+        assert.equal((await gm.createGame('s1', 'Alice', 'de')).game.settings.locale, 'de');
+        assert.equal((await gm.createGame('s2', 'Bob', 'fr')).game.settings.locale, 'en');
+    });
 });
 
 describe('joinGame', () => {
-    it('adds a new player successfully', () => {
-        const { gm, gameCode } = setup(1);
-        const result = gm.joinGame(gameCode, 's99', 'Bob');
+    it('adds a new player successfully', async () => {
+        const { gm, gameCode } = await setup(1);
+        const result = await gm.joinGame(gameCode, 's99', 'Bob');
         assert.ok(!result.error);
         assert.equal(result.game.players.length, 2);
     });
 
-    it('returns error for invalid game code', () => {
+    it('returns error for invalid game code', async () => {
         const gm = new GameManager(() => {});
-        const result = gm.joinGame('BADCOD', 's1', 'Alice');
+        const result = await gm.joinGame('BADCOD', 's1', 'Alice');
         assert.ok(result.error);
     });
 
-    it('deduplicates names with suffix', () => {
-        const { gm, gameCode } = setup(1);
-        gm.joinGame(gameCode, 's2', 'Alice'); // duplicate of creator
+    it('asks newcomers for a name but not players coming back', async () => {
+        const { gm, gameCode, playerIds } = await setup(2);
+        assert.equal((await gm.joinGame(gameCode, 's8', undefined)).error, 'Name cannot be empty');
+        assert.equal((await gm.joinGame(gameCode, 's9', undefined, playerIds[1])).playerId, playerIds[1]);
+    });
+
+    it('deduplicates names with suffix', async () => {
+        const { gm, gameCode } = await setup(1);
+        await gm.joinGame(gameCode, 's2', 'Alice'); // duplicate of creator
         const { players } = gm.games.get(gameCode);
         assert.ok(players.some(p => p.name === 'Alice (1)'));
     });
 
-    it('reconnects a disconnected player', () => {
-        const { gm, gameCode, playerIds } = setup(2);
+    it('reconnects a disconnected player', async () => {
+        const { gm, gameCode, playerIds } = await setup(2);
         const game = gm.games.get(gameCode);
         game.players[0].status = 'disconnected';
 
-        const result = gm.joinGame(gameCode, 'new-socket', 'Alice', playerIds[0]);
+        const result = await gm.joinGame(gameCode, 'new-socket', 'Alice', playerIds[0]);
         assert.ok(!result.error);
         assert.equal(result.playerId, playerIds[0]);
         assert.equal(game.players[0].status, 'active');
     });
 
-    it('reconnects by previous player ID even when the submitted name is stale', () => {
-        const { gm, gameCode } = setup(1);
-        const firstPaul = gm.joinGame(gameCode, 's1', 'Paul');
-        const duplicatePaul = gm.joinGame(gameCode, 's2', 'Paul');
+    it('reconnects by previous player ID even when the submitted name is stale', async () => {
+        const { gm, gameCode } = await setup(1);
+        const firstPaul = await gm.joinGame(gameCode, 's1', 'Paul');
+        const duplicatePaul = await gm.joinGame(gameCode, 's2', 'Paul');
         const duplicateId = duplicatePaul.playerId;
         const game = gm.games.get(gameCode);
         const duplicate = game.players.find(p => p.id === duplicateId);
@@ -98,7 +210,7 @@ describe('joinGame', () => {
         assert.equal(duplicate.name, 'Paul (1)');
         duplicate.status = 'disconnected';
 
-        const result = gm.joinGame(gameCode, 'new-socket', 'Paul', duplicateId);
+        const result = await gm.joinGame(gameCode, 'new-socket', 'Paul', duplicateId);
         assert.ok(!result.error);
         assert.equal(result.playerId, duplicateId);
         assert.equal(duplicate.status, 'active');
@@ -106,12 +218,12 @@ describe('joinGame', () => {
         assert.equal(firstPaul.playerId, game.players.find(p => p.name === 'Paul').id);
     });
 
-    it('ignores an old socket disconnect when the player already reconnected', () => {
-        const { gm, gameCode, playerIds } = setup(2);
+    it('ignores an old socket disconnect when the player already reconnected', async () => {
+        const { gm, gameCode, playerIds } = await setup(2);
         const aliceId = playerIds[0];
         const game = gm.games.get(gameCode);
 
-        const result = gm.joinGame(gameCode, 'new-socket', 'Alice', aliceId);
+        const result = await gm.joinGame(gameCode, 'new-socket', 'Alice', aliceId);
         assert.ok(!result.error);
         assert.equal(result.playerId, aliceId);
 
@@ -120,10 +232,10 @@ describe('joinGame', () => {
         assert.equal(alice.status, 'active');
     });
 
-    it('player joining mid-game gets waiting status', () => {
-        const { gm, gameCode, creatorId } = setup(3);
+    it('player joining mid-game gets waiting status', async () => {
+        const { gm, gameCode, creatorId } = await setup(3);
         gm.startGame(gameCode, creatorId);
-        const result = gm.joinGame(gameCode, 'late-s', 'Latecomer');
+        const result = await gm.joinGame(gameCode, 'late-s', 'Latecomer');
         assert.ok(!result.error);
         const newPlayer = result.game.players.find(p => p.name === 'Latecomer');
         assert.equal(newPlayer.status, 'waiting');
@@ -131,8 +243,8 @@ describe('joinGame', () => {
 });
 
 describe('updatePlayerName', () => {
-    it('allows multiple players to rename and deduplicates conflicts', () => {
-        const { gm, gameCode, playerIds } = setup(4);
+    it('allows multiple players to rename and deduplicates conflicts', async () => {
+        const { gm, gameCode, playerIds } = await setup(4);
         const [aliceId, bobId, carolId, daveId] = playerIds;
 
         const alice = gm.updatePlayerName(gameCode, aliceId, 'Agent');
@@ -151,20 +263,20 @@ describe('updatePlayerName', () => {
 });
 
 describe('startGame', () => {
-    it('rejects non-host', () => {
-        const { gm, gameCode, playerIds } = setup(3);
+    it('rejects non-host', async () => {
+        const { gm, gameCode, playerIds } = await setup(3);
         const result = gm.startGame(gameCode, playerIds[1]);
         assert.ok(result.error);
     });
 
-    it('rejects fewer than 3 players', () => {
-        const { gm, gameCode, creatorId } = setup(2);
+    it('rejects fewer than 3 players', async () => {
+        const { gm, gameCode, creatorId } = await setup(2);
         const result = gm.startGame(gameCode, creatorId);
         assert.ok(result.error);
     });
 
-    it('starts with 3+ players', () => {
-        const { gm, gameCode, creatorId } = setup(3);
+    it('starts with 3+ players', async () => {
+        const { gm, gameCode, creatorId } = await setup(3);
         const result = gm.startGame(gameCode, creatorId);
         assert.ok(!result.error);
         assert.equal(result.game.status, 'playing');
@@ -172,23 +284,224 @@ describe('startGame', () => {
     });
 });
 
+describe('updateSettings', () => {
+    it('gives new games the default settings', async () => {
+        const { gm, gameCode } = await setup(1);
+        const { settings } = gm.games.get(gameCode);
+        assert.equal(settings.maxRounds, 5);
+        assert.equal(settings.minPlayers, 3);
+        assert.equal(settings.resultsDelayMs, 5000);
+        assert.equal(settings.scoring.civilianWin, 50);
+    });
+
+    it('lets the host change settings, merging partial scoring', async () => {
+        const { gm, gameCode, creatorId } = await setup(3);
+        const result = gm.updateSettings(gameCode, creatorId, { maxRounds: 8, scoring: { imposterWin: 200 } });
+        assert.ok(!result.error);
+        assert.equal(result.game.settings.maxRounds, 8);
+        assert.equal(result.game.settings.scoring.imposterWin, 200);
+        assert.equal(result.game.settings.scoring.civilianWin, 50);
+    });
+
+    it('rejects non-host', async () => {
+        const { gm, gameCode, playerIds } = await setup(3);
+        assert.ok(gm.updateSettings(gameCode, playerIds[1], { maxRounds: 8 }).error);
+        assert.equal(gm.games.get(gameCode).settings.maxRounds, 5);
+    });
+
+    it('rejects invalid values and unknown keys without applying any of the patch', async () => {
+        const { gm, gameCode, creatorId } = await setup(3);
+        assert.ok(gm.updateSettings(gameCode, creatorId, { maxRounds: 0 }).error);
+        assert.ok(gm.updateSettings(gameCode, creatorId, { votingTimeoutMs: 500 }).error);
+        assert.ok(gm.updateSettings(gameCode, creatorId, { imposterGuess: 'yes' }).error);
+        assert.ok(gm.updateSettings(gameCode, creatorId, { scoring: { civilianWin: -5 } }).error);
+        assert.ok(gm.updateSettings(gameCode, creatorId, { maxRounds: 8, nope: 1 }).error);
+        assert.ok(gm.updateSettings(gameCode, creatorId, null).error);
+        assert.equal(gm.games.get(gameCode).settings.maxRounds, 5);
+    });
+
+    it('treats Object.prototype names as unknown settings', async () => {
+        const { gm, gameCode, creatorId } = await setup(3);
+        for (const patch of [{ constructor: { name: 'x' } }, { toString: 1 }, { hasOwnProperty: null }, JSON.parse('{ "__proto__": { "maxRounds": 1 } }')]) {
+            const result = gm.updateSettings(gameCode, creatorId, patch);
+            assert.match(result.error, /^Unknown setting: /);
+            assert.equal(toErrorPayload(result).code, 'unknown-setting');
+        }
+        assert.equal(gm.games.get(gameCode).settings.maxRounds, 5);
+        assert.equal(createSettings({ constructor: 1 }).constructor, Object);
+    });
+
+    it('validates word categories and the difficulty range', async () => {
+        const { gm, gameCode, creatorId } = await setup(3);
+        assert.ok(gm.updateSettings(gameCode, creatorId, { categories: ['dragons'] }).error);
+        assert.ok(gm.updateSettings(gameCode, creatorId, { categories: 'food' }).error);
+        assert.ok(gm.updateSettings(gameCode, creatorId, { minDifficulty: 3, maxDifficulty: 2 }).error);
+        assert.ok(!gm.updateSettings(gameCode, creatorId, { categories: ['food'], maxDifficulty: 1 }).error);
+    });
+
+    it('deals a word pair from the chosen categories', async () => {
+        const { gm, gameCode, creatorId } = await setup(3);
+        const { game } = startWithSettings(gm, gameCode, creatorId, { categories: ['jobs'], minDifficulty: 3 });
+        const pair = wordPairs.find(p => p.civilian === game.wordPair.civilian);
+        assert.ok(pair.categories.includes('jobs'));
+        assert.equal(pair.difficulty, 3);
+    });
+
+    it('refuses to start when no word pair matches the filters', async () => {
+        const { gm, gameCode, creatorId } = await setup(3);
+        gm.updateSettings(gameCode, creatorId, { categories: ['abstract'], maxDifficulty: 1 });
+        assert.match(gm.startGame(gameCode, creatorId).error, /No word pairs match/);
+        assert.equal(gm.games.get(gameCode).status, 'lobby');
+    });
+
+    it('allows turning timers off', async () => {
+        const { gm, gameCode, creatorId } = await setup(3);
+        gm.updateSettings(gameCode, creatorId, { descriptionTimeoutMs: 0 });
+        const { game } = gm.startGame(gameCode, creatorId);
+        assert.equal(game.descriptionEndTime, null);
+        assert.ok(!gm.hasPhaseTimer(gameCode));
+    });
+
+    it('locks settings while a game is in progress', async () => {
+        const { gm, gameCode, creatorId } = await setup(3);
+        const { game } = gm.startGame(gameCode, creatorId);
+        assert.ok(gm.updateSettings(gameCode, creatorId, { maxRounds: 8 }).error);
+
+        game.status = 'ended';
+        assert.ok(!gm.updateSettings(gameCode, creatorId, { maxRounds: 8 }).error);
+    });
+
+    it('enforces the minimum player count', async () => {
+        const { gm, gameCode, creatorId } = await setup(3);
+        gm.updateSettings(gameCode, creatorId, { minPlayers: 4 });
+        assert.match(gm.startGame(gameCode, creatorId).error, /at least 4/);
+    });
+
+    it('awards points from the scoring settings', async () => {
+        const { gm, gameCode, creatorId } = await setup(3);
+        let { game } = startWithSettings(gm, gameCode, creatorId, { scoring: { civilianWin: 7 } });
+        game = completeDescriptions(gm, gameCode, game);
+        const imposter = game.players.find(p => p.role === 'imposter');
+        game.players.forEach(p => gm.submitVote(gameCode, p.id, imposter.id));
+        assert.ok(game.players.filter(p => p.role === 'civilian').every(p => p.points === 7));
+    });
+
+    it('is part of every player view', async () => {
+        const { gm, gameCode, creatorId, playerIds } = await setup(3);
+        gm.updateSettings(gameCode, creatorId, { maxRounds: 3 });
+        const view = projectGameState(gm.games.get(gameCode), playerIds[1]);
+        assert.equal(view.settings.maxRounds, 3);
+    });
+});
+
+describe('word deck', () => {
+    const pack = 'Slack,Teams\nJira,Trello\nZoom,Meet\nGitHub,GitLab\nNotion,Confluence';
+
+    it('deals every pair once across new games before reshuffling', async () => {
+        const { gm, gameCode, creatorId } = await setup(3);
+        gm.setWordPack(gameCode, creatorId, pack);
+        let { game } = gm.startGame(gameCode, creatorId);
+        const dealt = [game.wordPair.civilian];
+        for (let i = 0; i < 4; i++) {
+            game = gm.startNewGame(gameCode, creatorId).game;
+            dealt.push(game.wordPair.civilian);
+        }
+        assert.equal(new Set(dealt).size, 5);
+        assert.equal(game.wordDeck.cards.length, 0);
+
+        game = gm.startNewGame(gameCode, creatorId).game;
+        assert.notEqual(game.wordPair.civilian, dealt[4]);
+        assert.equal(game.wordDeck.cards.length, 4);
+    });
+
+    it('treats a pair with its words swapped as the same card', async () => {
+        const { gm, gameCode, creatorId } = await setup(3);
+        gm.setWordPack(gameCode, creatorId, 'Yarn,Cat');
+        gm.updateSettings(gameCode, creatorId, { includeBuiltInPairs: true, categories: ['animals'] });
+        const pool = gm.getWordPool(gm.games.get(gameCode));
+        assert.equal(pool.length, wordPairs.filter(p => p.categories.includes('animals')).length);
+        assert.equal(pool.filter(p => p.civilian === 'Cat' || p.imposter === 'Cat').length, 1);
+    });
+
+    it('starts a fresh deck when the word pool changes', async () => {
+        const { gm, gameCode, creatorId } = await setup(3);
+        let { game } = gm.startGame(gameCode, creatorId);
+        assert.equal(game.wordDeck.cards.length, wordPairs.length - 1);
+
+        game.status = 'ended';
+        gm.updateSettings(gameCode, creatorId, { categories: ['food'] });
+        game = gm.startNewGame(gameCode, creatorId).game;
+        const foodPairs = wordPairs.filter(p => p.categories.includes('food'));
+        assert.equal(game.wordDeck.cards.length, foodPairs.length - 1);
+        assert.ok(foodPairs.some(p => p.civilian === game.wordPair.civilian));
+    });
+});
+
+describe('setWordPack', () => {
+    it('only lets the host set a pack in the lobby', async () => {
+        const { gm, gameCode, creatorId, playerIds } = await setup(3);
+        assert.ok(gm.setWordPack(gameCode, playerIds[1], 'Slack,Teams').error);
+        assert.ok(!gm.setWordPack(gameCode, creatorId, 'Slack,Teams').error);
+
+        gm.startGame(gameCode, creatorId);
+        assert.ok(gm.setWordPack(gameCode, creatorId, null).error);
+    });
+
+    it('keeps an invalid pack from replacing the current one', async () => {
+        const { gm, gameCode, creatorId } = await setup(3);
+        gm.setWordPack(gameCode, creatorId, 'Slack,Teams');
+        assert.ok(gm.setWordPack(gameCode, creatorId, 'Jira,Jira').error);
+        assert.equal(gm.games.get(gameCode).customPairs.length, 1);
+    });
+
+    it('deals only custom pairs unless merged with the built-in pairs', async () => {
+        const { gm, gameCode, creatorId } = await setup(3);
+        gm.setWordPack(gameCode, creatorId, 'Slack,Teams');
+        const { game } = gm.startGame(gameCode, creatorId);
+        assert.deepEqual(game.wordPair, { civilian: 'Slack', imposter: 'Teams' });
+        assert.equal(gm.getWordPool(game).length, 1);
+
+        game.status = 'ended';
+        gm.updateSettings(gameCode, creatorId, { includeBuiltInPairs: true, categories: ['food'] });
+        const pool = gm.getWordPool(game);
+        assert.equal(pool[0].civilian, 'Slack');
+        assert.equal(pool.length, 1 + wordPairs.filter(p => p.categories.includes('food')).length);
+    });
+
+    it('clears the pack with null', async () => {
+        const { gm, gameCode, creatorId } = await setup(3);
+        gm.setWordPack(gameCode, creatorId, 'Slack,Teams');
+        gm.setWordPack(gameCode, creatorId, null);
+        assert.equal(gm.getWordPool(gm.games.get(gameCode)).length, wordPairs.length);
+    });
+
+    it('never shows the pack in a player view, only its size', async () => {
+        const { gm, gameCode, creatorId } = await setup(3);
+        gm.setWordPack(gameCode, creatorId, 'Slack,Teams\nJira,Trello');
+        const view = projectGameState(gm.games.get(gameCode), creatorId);
+        assert.equal(view.customPairCount, 2);
+        assert.equal(view.customPairs, undefined);
+        assert.ok(!JSON.stringify(view).includes('Trello'));
+    });
+});
+
 describe('role assignment', () => {
-    it('assigns exactly one imposter', () => {
-        const { gm, gameCode, creatorId } = setup(4);
+    it('assigns exactly one imposter', async () => {
+        const { gm, gameCode, creatorId } = await setup(4);
         const { game } = gm.startGame(gameCode, creatorId);
         assert.equal(game.players.filter(p => p.role === 'imposter').length, 1);
         assert.equal(game.players.filter(p => p.role === 'civilian').length, 3);
     });
 
-    it('all civilians share the same word', () => {
-        const { gm, gameCode, creatorId } = setup(4);
+    it('all civilians share the same word', async () => {
+        const { gm, gameCode, creatorId } = await setup(4);
         const { game } = gm.startGame(gameCode, creatorId);
         const civilianWords = game.players.filter(p => p.role === 'civilian').map(p => p.word);
         assert.ok(civilianWords.every(w => w === civilianWords[0]));
     });
 
-    it('imposter gets a different word than civilians', () => {
-        const { gm, gameCode, creatorId } = setup(4);
+    it('imposter gets a different word than civilians', async () => {
+        const { gm, gameCode, creatorId } = await setup(4);
         const { game } = gm.startGame(gameCode, creatorId);
         const imposter = game.players.find(p => p.role === 'imposter');
         const civilian = game.players.find(p => p.role === 'civilian');
@@ -197,24 +510,24 @@ describe('role assignment', () => {
 });
 
 describe('description phase', () => {
-    it('rejects description out of turn', () => {
-        const { gm, gameCode, creatorId, playerIds } = setup(3);
+    it('rejects description out of turn', async () => {
+        const { gm, gameCode, creatorId, playerIds } = await setup(3);
         const { game } = gm.startGame(gameCode, creatorId);
         const notMyTurn = playerIds.find(id => id !== game.turnOrder[game.currentTurnIndex]);
         const result = gm.submitDescription(gameCode, notMyTurn, 'something');
         assert.ok(result.error);
     });
 
-    it('accepts description from current turn player', () => {
-        const { gm, gameCode, creatorId } = setup(3);
+    it('accepts description from current turn player', async () => {
+        const { gm, gameCode, creatorId } = await setup(3);
         const { game } = gm.startGame(gameCode, creatorId);
         const currentId = game.turnOrder[game.currentTurnIndex];
         const result = gm.submitDescription(gameCode, currentId, 'fluffy');
         assert.ok(!result.error);
     });
 
-    it('all descriptions complete → voting phase', () => {
-        const { gm, gameCode, creatorId } = setup(3);
+    it('all descriptions complete → voting phase', async () => {
+        const { gm, gameCode, creatorId } = await setup(3);
         let { game } = gm.startGame(gameCode, creatorId);
         game = completeDescriptions(gm, gameCode, game);
         assert.equal(game.gamePhase, 'voting');
@@ -222,23 +535,23 @@ describe('description phase', () => {
 });
 
 describe('voting phase', () => {
-    function getToVoting(n = 3) {
-        const { gm, gameCode, creatorId } = setup(n);
+    async function getToVoting(n = 3) {
+        const { gm, gameCode, creatorId } = await setup(n);
         let { game } = gm.startGame(gameCode, creatorId);
         game = completeDescriptions(gm, gameCode, game);
         return { gm, gameCode, game };
     }
 
-    it('rejects duplicate vote', () => {
-        const { gm, gameCode, game } = getToVoting();
+    it('rejects duplicate vote', async () => {
+        const { gm, gameCode, game } = await getToVoting();
         const [p0, p1, p2] = game.players;
         gm.submitVote(gameCode, p0.id, p1.id);
         const result = gm.submitVote(gameCode, p0.id, p2.id);
         assert.ok(result.error);
     });
 
-    it('civilians win when imposter is voted out unanimously', () => {
-        const { gm, gameCode, game } = getToVoting();
+    it('civilians win when imposter is voted out unanimously', async () => {
+        const { gm, gameCode, game } = await getToVoting();
         const imposter = game.players.find(p => p.role === 'imposter');
         let result;
         for (const p of game.players) {
@@ -248,9 +561,9 @@ describe('voting phase', () => {
         assert.equal(result.game.status, 'ended');
     });
 
-    it('tie vote eliminates no one', () => {
+    it('tie vote eliminates no one', async () => {
         // 4 players: 2 vote for p0, 2 vote for p1 → tie
-        const { gm, gameCode, game } = getToVoting(4);
+        const { gm, gameCode, game } = await getToVoting(4);
         const [p0, p1, p2, p3] = game.players;
         gm.submitVote(gameCode, p0.id, p1.id);
         gm.submitVote(gameCode, p1.id, p0.id);
@@ -260,9 +573,9 @@ describe('voting phase', () => {
         assert.ok(game.players.every(p => p.status !== 'eliminated'));
     });
 
-    it('imposter wins when only 1 civilian remains after elimination', () => {
+    it('imposter wins when only 1 civilian remains after elimination', async () => {
         // 3 players: 1 imposter, 2 civilians → vote out a civilian → imposter wins
-        const { gm, gameCode, game } = getToVoting(3);
+        const { gm, gameCode, game } = await getToVoting(3);
         const civilian = game.players.find(p => p.role === 'civilian');
         let result;
         for (const p of game.players) {
@@ -270,19 +583,115 @@ describe('voting phase', () => {
         }
         assert.equal(result.winner, 'imposter');
     });
+
+    it('only takes votes for players still in the game, or none', async () => {
+        const { gm, gameCode, game } = await getToVoting(4);
+        const [p0, p1, p2, p3] = game.players;
+        p3.status = 'eliminated';
+        const newcomer = await gm.joinGame(gameCode, 'late', 'Zoe');
+
+        for (const target of ['nobody-here', p3.id, newcomer.playerId]) {
+            const result = gm.submitVote(gameCode, p0.id, target);
+            assert.equal(result.error, 'Invalid vote target');
+        }
+        assert.equal(p0.hasVoted, false);
+
+        p2.status = 'disconnected';
+        assert.equal(gm.submitVote(gameCode, p0.id, p2.id).error, undefined);
+        assert.equal(gm.submitVote(gameCode, p1.id, 'none').error, undefined);
+    });
+});
+
+describe('round limit', () => {
+    // Everyone votes for targetId; descriptions first unless the round skips them
+    function voteAll(gm, gameCode, game, targetId) {
+        if (game.gamePhase === 'description') game = completeDescriptions(gm, gameCode, game);
+        for (const p of game.players.filter(pl => pl.status === 'active')) gm.submitVote(gameCode, p.id, targetId);
+        return game;
+    }
+
+    it('lets the imposter win by survival when the rounds run out', async () => {
+        const { gm, gameCode, creatorId } = await setup(4);
+        const { game } = startWithSettings(gm, gameCode, creatorId, { maxRounds: 1 });
+        voteAll(gm, gameCode, game, 'none');
+        assert.equal(game.status, 'ended');
+        assert.equal(game.lastRoundResult.winner, 'imposter');
+        assert.ok(game.chatHistory.some(m => m.key === 'system.out-of-rounds'));
+    });
+
+    it('ends in a draw without win bonuses', async () => {
+        const { gm, gameCode, creatorId } = await setup(4);
+        const { game } = startWithSettings(gm, gameCode, creatorId, { maxRounds: 1, roundLimitOutcome: 'draw' });
+        voteAll(gm, gameCode, game, 'none');
+        assert.equal(game.lastRoundResult.winner, 'draw');
+        assert.ok(game.players.every(p => p.gamePoints === 0));
+        assert.equal(game.chatHistory.at(-1).message, "Game Over! It's a draw!");
+    });
+
+    it('settles a sudden-death vote without another round of clues', async () => {
+        const { gm, gameCode, creatorId } = await setup(4);
+        const { game } = startWithSettings(gm, gameCode, creatorId, { maxRounds: 1, roundLimitOutcome: 'sudden-death' });
+        voteAll(gm, gameCode, game, 'none');
+        assert.equal(game.gamePhase, 'results');
+        assert.equal(game.suddenDeath, true);
+
+        gm.handlePhaseTimeout(gameCode);
+        assert.equal(game.gamePhase, 'voting');
+        assert.equal(game.currentRound, 2);
+        assert.ok(game.chatHistory.some(m => m.key === 'system.sudden-death'));
+
+        voteAll(gm, gameCode, game, 'none');
+        assert.equal(game.lastRoundResult.winner, 'imposter');
+    });
+
+    it('can still be won by the civilians in sudden death', async () => {
+        const { gm, gameCode, creatorId } = await setup(4);
+        const { game } = startWithSettings(gm, gameCode, creatorId, { maxRounds: 1, roundLimitOutcome: 'sudden-death' });
+        voteAll(gm, gameCode, game, 'none');
+        gm.handlePhaseTimeout(gameCode);
+        const imposter = game.players.find(p => p.role === 'imposter');
+        voteAll(gm, gameCode, game, imposter.id);
+        assert.equal(game.lastRoundResult.winner, 'civilians');
+    });
+
+    it('ends early when imposters outnumber the rounds left', async () => {
+        const { gm, gameCode, creatorId } = await setup(7);
+        const { game } = startWithSettings(gm, gameCode, creatorId, { maxRounds: 2, imposterCount: 2 });
+        voteAll(gm, gameCode, game, 'none');
+        assert.equal(game.currentRound, 1);
+        assert.equal(game.lastRoundResult.winner, 'imposter');
+    });
+
+    it('counts a sudden-death vote as a round left', async () => {
+        const { gm, gameCode, creatorId } = await setup(7);
+        const { game } = startWithSettings(gm, gameCode, creatorId, { maxRounds: 2, imposterCount: 2, roundLimitOutcome: 'sudden-death' });
+        voteAll(gm, gameCode, game, 'none');
+        assert.equal(game.status, 'playing');
+    });
+
+    it('never plays past the limit', async () => {
+        const { gm, gameCode, creatorId } = await setup(4);
+        let { game } = gm.startGame(gameCode, creatorId);
+        while (game.status === 'playing') {
+            voteAll(gm, gameCode, game, 'none');
+            if (game.gamePhase === 'results') ({ game } = gm.startRound(game));
+        }
+        assert.equal(game.currentRound, game.settings.maxRounds);
+        assert.equal(game.lastRoundResult.winner, 'imposter');
+    });
 });
 
 describe('startNewGame', () => {
-    it('rejects non-host players', () => {
-        const { gm, gameCode, creatorId, playerIds } = setup(3);
+    it('rejects non-host players', async () => {
+        const { gm, gameCode, creatorId, playerIds } = await setup(3);
         gm.startGame(gameCode, creatorId);
 
         const result = gm.startNewGame(gameCode, playerIds[1]);
         assert.ok(result.error);
     });
 
-    it('lets the host skip an in-progress game with fresh words', () => {
-        const { gm, gameCode, creatorId } = setup(3);
+    it('lets the host skip an in-progress game with fresh words', async () => {
+        const { gm, gameCode, creatorId } = await setup(3);
         const firstGame = gm.startGame(gameCode, creatorId).game;
         const firstPair = firstGame.wordPair;
 
@@ -295,8 +704,8 @@ describe('startNewGame', () => {
         assert.ok(result.game.players.every(p => p.role !== null));
     });
 
-    it('resets roles and starts a fresh round', () => {
-        const { gm, gameCode, creatorId } = setup(3);
+    it('resets roles and starts a fresh round', async () => {
+        const { gm, gameCode, creatorId } = await setup(3);
         let { game } = gm.startGame(gameCode, creatorId);
         game = completeDescriptions(gm, gameCode, game);
         const imposter = game.players.find(p => p.role === 'imposter');
@@ -307,4 +716,1779 @@ describe('startNewGame', () => {
         assert.equal(result.game.currentRound, 1);
         assert.ok(result.game.players.every(p => p.role !== null));
     });
+
+    it('needs the minimum players without those who have left', async () => {
+        const { gm, gameCode, creatorId, playerIds } = await setup(4);
+        const { game } = startWithSettings(gm, gameCode, creatorId, { minPlayers: 4 });
+        gm.leaveGame('s3');
+
+        assert.deepEqual(gm.startNewGame(gameCode, creatorId), { error: 'Need at least 4 players', code: 'cannot-start' });
+        assert.equal(game.players.length, 4);
+        assert.equal(game.currentRound, 1);
+
+        await gm.joinGame(gameCode, 's4', 'Dave', playerIds[3]);
+        assert.ok(!gm.startNewGame(gameCode, creatorId).error);
+    });
+});
+
+describe('scores', () => {
+    // Plays one game to the end with the imposter voted out
+    function playCiviliansWin(gm, gameCode, game) {
+        game = completeDescriptions(gm, gameCode, game);
+        const imposter = game.players.find(p => p.role === 'imposter');
+        for (const p of game.players) gm.submitVote(gameCode, p.id, imposter.id);
+        return game;
+    }
+
+    it('keeps points from this game apart from the session total', async () => {
+        const { gm, gameCode, creatorId } = await setup(3);
+        let game = playCiviliansWin(gm, gameCode, gm.startGame(gameCode, creatorId).game);
+        const civilian = game.players.find(p => p.role === 'civilian');
+        assert.equal(civilian.gamePoints, 50);
+        assert.equal(civilian.points, 50);
+
+        ({ game } = gm.startNewGame(gameCode, creatorId));
+        assert.ok(game.players.every(p => p.gamePoints === 0));
+        assert.equal(game.players.find(p => p.id === civilian.id).points, 50);
+    });
+
+    it('shows earlier totals mid-game but not what anyone else earned this game', async () => {
+        const { gm, gameCode, creatorId } = await setup(3);
+        playCiviliansWin(gm, gameCode, gm.startGame(gameCode, creatorId).game);
+        const { game } = gm.startNewGame(gameCode, creatorId);
+        game.players.forEach(p => gm.awardPoints(p, 10));
+
+        const [me, other] = projectGameState(game, creatorId).players;
+        const before = game.players[1].points - 10;
+        assert.equal(me.gamePoints, 10);
+        assert.equal(other.gamePoints, null);
+        assert.equal(other.points, null);
+        assert.equal(other.previousPoints, before);
+    });
+
+    it('lets only the host reset scores, and only between games', async () => {
+        const { gm, gameCode, creatorId, playerIds } = await setup(3);
+        const { game } = gm.startGame(gameCode, creatorId);
+        assert.match(gm.resetScores(gameCode, creatorId).error, /between games/);
+
+        playCiviliansWin(gm, gameCode, game);
+        assert.match(gm.resetScores(gameCode, playerIds[1]).error, /Only host/);
+        assert.ok(game.players.some(p => p.points > 0));
+
+        assert.ok(!gm.resetScores(gameCode, creatorId).error);
+        assert.ok(game.players.every(p => p.points === 0 && p.gamePoints === 0));
+        assert.equal(game.chatHistory.at(-1).key, 'system.scores-reset');
+    });
+});
+
+describe('series', () => {
+    // Ends the current game with the civilians voting the imposter out
+    function playCiviliansWin(gm, gameCode, game) {
+        game = completeDescriptions(gm, gameCode, game);
+        const imposter = game.players.find(p => p.role === 'imposter');
+        for (const p of game.players) gm.submitVote(gameCode, p.id, imposter.id);
+        return game;
+    }
+
+    // Same imposter every game, so the standings are predictable
+    function fixImposter(game, playerId) {
+        game.players.forEach(p => p.role = p.id === playerId ? 'imposter' : 'civilian');
+        game.imposterIds = [playerId];
+    }
+
+    it('is off for single games', async () => {
+        const { gm, gameCode, creatorId } = await setup(3);
+        const { game } = gm.startGame(gameCode, creatorId);
+        assert.equal(game.series, null);
+    });
+
+    it('records each game and the standings', async () => {
+        const { gm, gameCode, creatorId, playerIds } = await setup(3);
+        let { game } = startWithSettings(gm, gameCode, creatorId, { seriesLength: 3 });
+        fixImposter(game, playerIds[2]);
+        playCiviliansWin(gm, gameCode, game);
+
+        assert.equal(game.series.games.length, 1);
+        assert.equal(game.series.games[0].winner, 'civilians');
+        assert.deepEqual(game.series.games[0].winnerIds.sort(), [creatorId, playerIds[1]].sort());
+        assert.deepEqual(game.series.standings[creatorId], { name: 'Alice', wins: 1, points: 50 });
+        assert.deepEqual(game.series.standings[playerIds[2]], { name: 'Carol', wins: 0, points: 0 });
+        assert.equal(game.series.complete, false);
+
+        ({ game } = gm.startNewGame(gameCode, creatorId));
+        assert.equal(game.series.games.length, 1);
+        assert.deepEqual(projectGameState(game, creatorId).series, game.series);
+    });
+
+    it('ends once the leader can no longer be caught and crowns a champion', async () => {
+        const { gm, gameCode, creatorId, playerIds } = await setup(3);
+        let { game } = startWithSettings(gm, gameCode, creatorId, { seriesLength: 3 });
+        fixImposter(game, playerIds[2]);
+        playCiviliansWin(gm, gameCode, game);
+        // Alice and Bob are tied, so the match goes on
+        assert.equal(game.series.complete, false);
+
+        ({ game } = gm.startNewGame(gameCode, creatorId));
+        fixImposter(game, playerIds[1]);
+        playCiviliansWin(gm, gameCode, game);
+        // Alice has 2 wins, Bob and Carol 1 with one game left
+        assert.equal(game.series.complete, false);
+
+        ({ game } = gm.startNewGame(gameCode, creatorId));
+        fixImposter(game, playerIds[2]);
+        playCiviliansWin(gm, gameCode, game);
+        assert.equal(game.series.complete, true);
+        assert.deepEqual(game.series.championIds, [creatorId]);
+        assert.equal(game.chatHistory.at(-1).key, 'system.series-won');
+        assert.equal(game.chatHistory.at(-1).message, 'Alice won the match!');
+    });
+
+    it('clinches early and starts a new match afterwards', async () => {
+        const { gm, gameCode, creatorId } = await setup(3);
+        let { game } = startWithSettings(gm, gameCode, creatorId, { seriesLength: 3, maxRounds: 1 });
+        for (let i = 0; i < 2; i++) {
+            // Alice survives the only round as the imposter
+            fixImposter(game, creatorId);
+            game = completeDescriptions(gm, gameCode, game);
+            for (const p of game.players) gm.submitVote(gameCode, p.id, 'none');
+            if (!game.series.complete) ({ game } = gm.startNewGame(gameCode, creatorId));
+        }
+        // Nobody else can reach two wins in the last game
+        assert.equal(game.series.games.length, 2);
+        assert.equal(game.series.complete, true);
+        assert.deepEqual(game.series.championIds, [creatorId]);
+
+        ({ game } = gm.startNewGame(gameCode, creatorId));
+        assert.equal(game.series.games.length, 0);
+        assert.equal(game.series.complete, false);
+    });
+
+    it('replays a skipped game instead of counting it', async () => {
+        const { gm, gameCode, creatorId } = await setup(3);
+        let { game } = startWithSettings(gm, gameCode, creatorId, { seriesLength: 3 });
+        ({ game } = gm.startNewGame(gameCode, creatorId));
+        assert.equal(game.series.games.length, 0);
+        assert.equal(game.creatorId, creatorId);
+    });
+
+    it('passes the host on between games when enabled', async () => {
+        const { gm, gameCode, creatorId, playerIds } = await setup(4);
+        let { game } = startWithSettings(gm, gameCode, creatorId, { seriesLength: 3, rotateHost: true });
+        playCiviliansWin(gm, gameCode, game);
+        ({ game } = gm.startNewGame(gameCode, creatorId));
+        assert.equal(game.creatorId, playerIds[1]);
+        assert.ok(game.players.find(p => p.id === playerIds[1]).isCreator);
+        assert.ok(!game.players.find(p => p.id === creatorId).isCreator);
+        assert.equal(game.chatHistory[0].key, 'system.new-host');
+
+        // Disconnected players are passed over, and left out of the next game
+        playCiviliansWin(gm, gameCode, game);
+        game.players.find(p => p.id === playerIds[2]).status = 'disconnected';
+        ({ game } = gm.startNewGame(gameCode, playerIds[1]));
+        assert.equal(game.creatorId, playerIds[3]);
+        assert.ok(!game.players.some(p => p.id === playerIds[2]));
+    });
+});
+
+describe('spectators', () => {
+    it('watches without being a player', async () => {
+        const { gm, gameCode } = await setup(3);
+        const { game, playerId } = await gm.joinGame(gameCode, 'tv', 'Alice', null, true);
+        assert.equal(game.players.length, 3);
+        assert.deepEqual(game.spectators, [{ id: playerId, name: 'Alice (1)', status: 'watching' }]);
+        assert.equal(game.chatHistory.at(-1).key, 'system.spectator-joined');
+    });
+
+    it('is left out of roles, turns and votes', async () => {
+        const { gm, gameCode, creatorId } = await setup(3);
+        const { playerId: tvId } = await gm.joinGame(gameCode, 'tv', 'TV', null, true);
+        let { game } = gm.startGame(gameCode, creatorId);
+        assert.equal(game.players.length, 3);
+        assert.ok(!game.turnOrder.includes(tvId));
+        assert.ok(gm.submitDescription(gameCode, tvId, 'hint').error);
+
+        game = completeDescriptions(gm, gameCode, game);
+        assert.ok(gm.submitVote(gameCode, tvId, creatorId).error);
+        for (const p of game.players) gm.submitVote(gameCode, p.id, 'none');
+        assert.equal(game.gamePhase, 'results');
+    });
+
+    it('can join mid-game and keeps watching after a reconnect', async () => {
+        const { gm, gameCode, creatorId } = await setup(3);
+        gm.startGame(gameCode, creatorId);
+        const { playerId: tvId } = await gm.joinGame(gameCode, 'tv', 'TV', null, true);
+
+        gm.leaveGame('tv');
+        const { game } = await gm.joinGame(gameCode, 'tv-2', 'TV', tvId);
+        assert.equal(game.spectators[0].status, 'watching');
+        assert.equal(game.players.length, 3);
+    });
+
+    it('lets a returning player rejoin as a player even when asking to watch', async () => {
+        const { gm, gameCode, creatorId } = await setup(3);
+        const { game, playerId } = await gm.joinGame(gameCode, 's0-new', 'Alice', creatorId, true);
+        assert.equal(playerId, creatorId);
+        assert.equal(game.spectators.length, 0);
+    });
+
+    it('leaves after the grace period without keeping the room alive', async () => {
+        const { gm, gameCode } = await setup(1);
+        const { playerId: tvId } = await gm.joinGame(gameCode, 'tv', 'TV', null, true);
+        gm.leaveGame('s0');
+        assert.ok(gm.cluster.hasTimer(`delete:${gameCode}`));
+
+        gm.leaveGame('tv');
+        const game = gm.getGame(gameCode);
+        assert.equal(game.spectators[0].status, 'disconnected');
+        gm.handleTimer({ type: 'spectator-disconnect', gameCode, playerId: tvId });
+        assert.equal(game.spectators.length, 0);
+        assert.equal(game.chatHistory.at(-1).key, 'system.spectator-left');
+    });
+
+    it('keeps spectator chat away from players', async () => {
+        const { gm, gameCode, creatorId } = await setup(3);
+        const { game, playerId: tvId } = await gm.joinGame(gameCode, 'tv', 'TV', null, true);
+        gm.addChatMessage(game, 'TV', 'the imposter is obvious', 'spectator');
+
+        assert.ok(!projectGameState(game, creatorId).chatHistory.some(m => m.type === 'spectator'));
+        assert.ok(projectGameState(game, tvId).chatHistory.some(m => m.type === 'spectator'));
+    });
+
+    it('shows spectators every role and word only in the host-toggled god view', async () => {
+        const { gm, gameCode, creatorId, playerIds } = await setup(3);
+        const { playerId: tvId } = await gm.joinGame(gameCode, 'tv', 'TV', null, true);
+        const { game } = gm.startGame(gameCode, creatorId);
+        assert.equal(projectGameState(game, tvId).wordPair, undefined);
+        assert.ok(projectGameState(game, tvId).players.every(p => p.role === null));
+
+        assert.match(gm.setGodView(gameCode, playerIds[1], true).error, /Only host/);
+        assert.ok(!gm.setGodView(gameCode, creatorId, true).error);
+        assert.equal(game.chatHistory.at(-1).key, 'system.god-view-on');
+
+        const tvView = projectGameState(game, tvId);
+        assert.deepEqual(tvView.wordPair, game.wordPair);
+        assert.ok(tvView.players.every(p => p.role !== null && p.word !== undefined));
+        const playerView = projectGameState(game, playerIds[1]);
+        assert.equal(playerView.godView, true);
+        assert.equal(playerView.wordPair, undefined);
+        assert.equal(playerView.players.filter(p => p.role !== null).length, 1);
+    });
+
+    it('shares names with players without duplicates', async () => {
+        const { gm, gameCode } = await setup(1);
+        await gm.joinGame(gameCode, 'tv', 'Bob', null, true);
+        const { game } = await gm.joinGame(gameCode, 's1', 'Bob');
+        assert.equal(game.players[1].name, 'Bob (1)');
+    });
+});
+
+describe('moderation', () => {
+    it('lets only the host kick, and a kicked player may join again', async () => {
+        const { gm, gameCode, creatorId, playerIds } = await setup(3);
+        assert.match(gm.kickPlayer(gameCode, playerIds[1], playerIds[2]).error, /Only host/);
+        assert.match(gm.kickPlayer(gameCode, creatorId, creatorId).error, /yourself/);
+
+        const { game, removedId } = gm.kickPlayer(gameCode, creatorId, playerIds[2]);
+        assert.equal(removedId, playerIds[2]);
+        assert.equal(game.players.length, 2);
+        assert.equal(game.chatHistory.at(-1).message, 'Carol was removed by the host');
+
+        const rejoin = await gm.joinGame(gameCode, 's2-new', 'Carol', playerIds[2]);
+        assert.ok(!rejoin.error);
+        assert.notEqual(rejoin.playerId, playerIds[2]);
+    });
+
+    it('keeps a banned player out by player ID and by name', async () => {
+        const { gm, gameCode, creatorId, playerIds } = await setup(3);
+        gm.banPlayer(gameCode, creatorId, playerIds[1]);
+        assert.equal(gm.getGame(gameCode).chatHistory.at(-1).key, 'system.player-banned');
+
+        assert.match((await gm.joinGame(gameCode, 's1-new', 'Someone', playerIds[1])).error, /banned/);
+        assert.match((await gm.joinGame(gameCode, 's1-new', ' bob ')).error, /banned/);
+        assert.match((await gm.joinGame(gameCode, 's1-new', 'Bob', null, true)).error, /banned/);
+        assert.ok(!(await gm.joinGame(gameCode, 's9', 'Zoe')).error);
+    });
+
+    it('asks spectators for a name and copes with bans without one', async () => {
+        const { gm, gameCode } = await setup(3);
+        assert.equal((await gm.joinGame(gameCode, 'tv', undefined, null, true)).error, 'Name cannot be empty');
+        assert.equal((await gm.joinGame(gameCode, 'tv', '  ', null, true)).code, 'invalid-request');
+
+        // Saved before names were required
+        gm.getGame(gameCode).banned.push({ id: 'old-spectator' });
+        assert.ok(!(await gm.joinGame(gameCode, 's9', 'Zoe')).error);
+        assert.match((await gm.joinGame(gameCode, 's10', 'Yan', 'old-spectator')).error, /banned/);
+        assert.ok(!(await gm.joinGame(gameCode, 'tv', 'TV', null, true)).error);
+    });
+
+    it('skips the turn of a player kicked mid-game', async () => {
+        const { gm, gameCode, creatorId } = await setup(4);
+        const { game } = gm.startGame(gameCode, creatorId);
+        // Make sure the host's turn is not the one being skipped
+        const targetId = game.turnOrder.find(id => id !== creatorId);
+        game.currentTurnIndex = game.turnOrder.indexOf(targetId);
+
+        gm.kickPlayer(gameCode, creatorId, targetId);
+        assert.notEqual(game.turnOrder[game.currentTurnIndex], targetId);
+        assert.ok(game.chatHistory.some(m => m.key === 'system.turn-skipped-disconnect'));
+    });
+
+    it('ends the game when the last imposter is kicked', async () => {
+        const { gm, gameCode, creatorId, playerIds } = await setup(4);
+        const { game } = gm.startGame(gameCode, creatorId);
+        const imposterId = playerIds.find(id => id !== creatorId);
+        game.players.forEach(p => p.role = p.id === imposterId ? 'imposter' : 'civilian');
+        game.imposterIds = [imposterId];
+
+        gm.kickPlayer(gameCode, creatorId, imposterId);
+        assert.equal(game.status, 'ended');
+        assert.equal(game.lastRoundResult.winner, 'civilians');
+    });
+
+    it('closes the vote once everyone left has voted', async () => {
+        const { gm, gameCode, creatorId, playerIds } = await setup(4);
+        let { game } = gm.startGame(gameCode, creatorId);
+        game = completeDescriptions(gm, gameCode, game);
+        // Keep the game going whoever is kicked
+        game.players.forEach(p => p.role = p.id === creatorId ? 'imposter' : 'civilian');
+        game.imposterIds = [creatorId];
+
+        playerIds.slice(0, 3).forEach(id => gm.submitVote(gameCode, id, 'none'));
+        assert.equal(game.gamePhase, 'voting');
+        gm.kickPlayer(gameCode, creatorId, playerIds[3]);
+        assert.equal(game.gamePhase, 'results');
+    });
+
+    it('hands back the votes for a kicked player', async () => {
+        const { gm, gameCode, creatorId, playerIds } = await setup(5);
+        let { game } = gm.startGame(gameCode, creatorId);
+        game = completeDescriptions(gm, gameCode, game);
+        game.players.forEach(p => p.role = p.id === creatorId ? 'imposter' : 'civilian');
+        game.imposterIds = [creatorId];
+
+        const [, bob, carol, dave, eve] = playerIds;
+        gm.submitVote(gameCode, bob, eve);
+        gm.submitVote(gameCode, carol, eve);
+        gm.submitVote(gameCode, dave, 'none');
+        gm.kickPlayer(gameCode, creatorId, eve);
+        assert.deepEqual(game.votes, { [dave]: 'none' });
+        assert.equal(game.gamePhase, 'voting');
+
+        assert.ok(!gm.submitVote(gameCode, bob, carol).error);
+        gm.submitVote(gameCode, carol, bob);
+        gm.submitVote(gameCode, creatorId, 'none');
+        assert.equal(game.gamePhase, 'results');
+        assert.ok(!Object.values(game.votes).includes(eve));
+    });
+
+    it('hands the host role to another connected player', async () => {
+        const { gm, gameCode, creatorId, playerIds } = await setup(3);
+        const { playerId: tvId } = await gm.joinGame(gameCode, 'tv', 'TV', null, true);
+        assert.match(gm.transferHost(gameCode, playerIds[1], playerIds[2]).error, /Only host/);
+        assert.match(gm.transferHost(gameCode, creatorId, tvId).error, /Only players/);
+        gm.getGame(gameCode).players[2].status = 'disconnected';
+        assert.match(gm.transferHost(gameCode, creatorId, playerIds[2]).error, /disconnected/);
+
+        const { game } = gm.transferHost(gameCode, creatorId, playerIds[1]);
+        assert.equal(game.creatorId, playerIds[1]);
+        assert.deepEqual(game.players.map(p => p.isCreator), [false, true, false]);
+        assert.equal(game.chatHistory.at(-1).key, 'system.new-host');
+    });
+
+    it('locks the room to newcomers but not to reconnecting players', async () => {
+        const { gm, gameCode, creatorId, playerIds } = await setup(3);
+        assert.match(gm.setRoomLocked(gameCode, playerIds[1], true).error, /Only host/);
+        const { game } = gm.setRoomLocked(gameCode, creatorId, true);
+        assert.equal(projectGameState(game, playerIds[1]).locked, true);
+
+        assert.match((await gm.joinGame(gameCode, 'new', 'Zoe')).error, /locked/);
+        assert.match((await gm.joinGame(gameCode, 'tv', 'TV', null, true)).error, /locked/);
+        gm.leaveGame('s1');
+        assert.equal((await gm.joinGame(gameCode, 's1-new', 'Bob', playerIds[1])).playerId, playerIds[1]);
+
+        gm.setRoomLocked(gameCode, creatorId, false);
+        assert.equal(game.chatHistory.at(-1).key, 'system.room-unlocked');
+        assert.ok(!(await gm.joinGame(gameCode, 'new', 'Zoe')).error);
+    });
+
+    it('removes spectators too', async () => {
+        const { gm, gameCode, creatorId } = await setup(3);
+        const { playerId: tvId } = await gm.joinGame(gameCode, 'tv', 'TV', null, true);
+        const { game } = gm.kickPlayer(gameCode, creatorId, tvId);
+        assert.equal(game.spectators.length, 0);
+        assert.equal(game.players.length, 3);
+    });
+});
+
+describe('room passwords', () => {
+    it('asks new players for the password set at creation', async () => {
+        const gm = new GameManager(() => {});
+        const { gameCode } = await gm.createGame('s0', 'Alice', null, 'hunter2');
+
+        const missing = await gm.joinGame(gameCode, 's1', 'Bob');
+        assert.equal(missing.error, 'This game needs a password');
+        assert.equal(missing.passwordRequired, true);
+        assert.equal((await gm.joinGame(gameCode, 's1', 'Bob', null, false, 'Hunter2')).error, 'Wrong password');
+        assert.equal((await gm.joinGame(gameCode, 's1', 'TV', null, true, 'nope')).error, 'Wrong password');
+        assert.ok((await gm.joinGame(gameCode, 's1', 'Bob', null, false, 'hunter2')).playerId);
+    });
+
+    it('lets members reconnect without the password', async () => {
+        const { gm, gameCode, creatorId, playerIds } = await setup(3);
+        await gm.setRoomPassword(gameCode, creatorId, 'secret');
+        gm.leaveGame('s1');
+        assert.equal((await gm.joinGame(gameCode, 's1-new', 'Bob', playerIds[1])).playerId, playerIds[1]);
+        // An unknown player ID is a new player
+        assert.match((await gm.joinGame(gameCode, 's9', 'Zoe', 'made-up-id')).error, /needs a password/);
+    });
+
+    it('lets only the host set or remove the password, and never shows it', async () => {
+        const { gm, gameCode, creatorId, playerIds } = await setup(2);
+        assert.match((await gm.setRoomPassword(gameCode, playerIds[1], 'x')).error, /Only host/);
+        assert.match((await gm.setRoomPassword(gameCode, creatorId, 'x'.repeat(33))).error, /at most 32/);
+        assert.match((await gm.setRoomPassword(gameCode, creatorId, 42)).error, /text/);
+        assert.match((await gm.createGame('s5', 'Eve', null, 'x'.repeat(33))).error, /at most 32/);
+
+        const { game } = await gm.setRoomPassword(gameCode, creatorId, 'secret');
+        assert.equal(game.chatHistory.at(-1).key, 'system.password-set');
+        assert.ok(!JSON.stringify(game).includes('secret'));
+        const view = projectGameState(game, creatorId);
+        assert.equal(view.hasPassword, true);
+        assert.equal(view.password, undefined);
+
+        await gm.setRoomPassword(gameCode, creatorId, '');
+        assert.equal(game.chatHistory.at(-1).key, 'system.password-removed');
+        assert.equal(projectGameState(game, creatorId).hasPassword, false);
+        assert.ok(!(await gm.joinGame(gameCode, 's9', 'Zoe')).error);
+    });
+
+    it('makes a client wait after too many wrong passwords, even on a new connection', async () => {
+        const gm = new GameManager(() => {});
+        const { gameCode } = await gm.createGame('s0', 'Alice', null, 'secret');
+        const join = (socketId, password, address) => gm.joinGame(gameCode, socketId, 'Bob', null, false, password, address);
+        for (let i = 0; i < 5; i++) {
+            assert.equal((await join(`s${i}`, `guess${i}`, '10.0.0.1')).error, 'Wrong password');
+        }
+
+        const locked = await join('s1', 'secret', '10.0.0.1');
+        assert.match(locked.error, /^Too many wrong passwords/);
+        assert.equal(toErrorPayload(locked).code, 'too-many-attempts');
+        // Reconnecting does not start the count over
+        assert.equal((await join('fresh-socket', 'secret', '10.0.0.1')).code, 'too-many-attempts');
+        assert.ok((await gm.joinGame(gameCode, 's2', 'Carol', null, false, 'secret', '10.0.0.2')).playerId);
+
+        gm.passwordFailures.get(`${gameCode}|10.0.0.1`).lockedUntil = Date.now() - 1;
+        assert.ok((await join('fresh-socket', 'secret', '10.0.0.1')).playerId);
+        assert.ok(!gm.passwordFailures.has(`${gameCode}|10.0.0.1`));
+    });
+
+    it('counts guesses sent side by side', async () => {
+        const gm = new GameManager(() => {});
+        const { gameCode } = await gm.createGame('s0', 'Alice', null, 'secret');
+        const results = await Promise.all(Array.from({ length: 8 }, (_, i) =>
+            gm.joinGame(gameCode, `s${i}`, 'Bob', null, false, `guess${i}`, '10.0.0.1')));
+        assert.equal(results.filter(r => r.code === 'wrong-password').length, 5);
+        assert.equal(results.filter(r => r.code === 'too-many-attempts').length, 3);
+    });
+
+    it('keeps the password across a restart', async () => {
+        const store = new MemoryGameStore();
+        const gm = new GameManager(() => {}, { store });
+        const { gameCode } = await gm.createGame('s0', 'Alice', null, 'secret');
+
+        const restarted = new GameManager(() => {}, { store });
+        restarted.restoreGames();
+        assert.equal((await restarted.joinGame(gameCode, 's1', 'Bob', null, false, 'wrong')).error, 'Wrong password');
+        assert.ok((await restarted.joinGame(gameCode, 's1', 'Bob', null, false, 'secret')).playerId);
+    });
+});
+
+describe('public rooms', () => {
+    it('lists only public rooms without a password or lock', async () => {
+        const { gm, gameCode, creatorId, playerIds } = await setup(3);
+        const { gameCode: privateCode } = await gm.createGame('p0', 'Pat');
+        assert.deepEqual(gm.getPublicGames(), []);
+
+        assert.match(gm.setRoomPublic(gameCode, playerIds[1], true).error, /Only host/);
+        assert.match(gm.setRoomPublic(gameCode, creatorId, 'yes').error, /true or false/);
+        const { game } = gm.setRoomPublic(gameCode, creatorId, true);
+        assert.equal(game.chatHistory.at(-1).key, 'system.room-public');
+        assert.equal(projectGameState(game, playerIds[1]).isPublic, true);
+        assert.deepEqual(gm.getPublicGames().map(g => g.gameCode), [gameCode]);
+
+        await gm.setRoomPassword(gameCode, creatorId, 'secret');
+        assert.deepEqual(gm.getPublicGames(), []);
+        await gm.setRoomPassword(gameCode, creatorId, null);
+        gm.setRoomLocked(gameCode, creatorId, true);
+        assert.deepEqual(gm.getPublicGames(), []);
+        gm.setRoomLocked(gameCode, creatorId, false);
+        gm.setRoomPublic(gameCode, creatorId, false);
+        assert.deepEqual(gm.getPublicGames(), []);
+        assert.ok(!gm.getPublicGames().some(g => g.gameCode === privateCode));
+    });
+
+    it('hides rooms nobody is connected to', async () => {
+        const { gm, gameCode, creatorId } = await setup(1);
+        gm.setRoomPublic(gameCode, creatorId, true);
+        gm.leaveGame('s0');
+        assert.deepEqual(gm.getPublicGames(), []);
+    });
+
+    it('summarizes a room without any secrets', async () => {
+        const { gm, gameCode, creatorId, playerIds } = await setup(3);
+        await gm.joinGame(gameCode, 'tv', 'TV', null, true);
+        gm.updateSettings(gameCode, creatorId, { maxRounds: 3, seriesLength: 3, categories: ['food'] });
+        gm.setRoomPublic(gameCode, creatorId, true);
+        gm.startGame(gameCode, creatorId);
+        gm.leaveGame('s2');
+
+        const summary = summarizeRoom(gm.getGame(gameCode));
+        assert.deepEqual(summary, {
+            gameCode,
+            hostName: 'Alice',
+            playerCount: 2,
+            spectatorCount: 1,
+            status: 'playing',
+            joinableAsWaiting: true,
+            currentRound: 1,
+            settings: {
+                locale: 'en', maxRounds: 3, seriesLength: 3, imposterCount: null,
+                blankCount: 0, categories: ['food'], customWords: false
+            }
+        });
+        assert.ok(!JSON.stringify(summary).includes(playerIds[1]));
+    });
+});
+
+describe('bots', () => {
+    // Plays every pending bot move by hand instead of waiting for the bot timer
+    function playBots(gm, gameCode) {
+        let moves = 0;
+        while (gm.runBots(gameCode)) moves++;
+        return moves;
+    }
+
+    it('lets only the host add bots, in the lobby and up to the limit', async () => {
+        const { gm, gameCode, creatorId, playerIds } = await setup(2);
+        assert.match(gm.addBot(gameCode, playerIds[1]).error, /Only host/);
+        assert.match(gm.addBot(gameCode, creatorId, 'genius').error, /easy, medium, hard/);
+
+        const { game, playerId } = gm.addBot(gameCode, creatorId, 'hard');
+        const bot = game.players.find(p => p.id === playerId);
+        assert.equal(bot.name, 'Bot Ada');
+        assert.equal(bot.isBot, true);
+        assert.equal(bot.botLevel, 'hard');
+        assert.equal(game.chatHistory.at(-1).key, 'system.bot-added');
+        assert.deepEqual(projectGameState(game, creatorId).players.find(p => p.id === playerId).isBot, true);
+
+        for (let i = 1; i < 8; i++) assert.equal(gm.addBot(gameCode, creatorId).error, undefined);
+        assert.match(gm.addBot(gameCode, creatorId).error, /At most 8/);
+
+        gm.startGame(gameCode, creatorId);
+        assert.match(gm.addBot(gameCode, creatorId).error, /between games/);
+        gm.cluster.clearTimer(`bot:${gameCode}`);
+    });
+
+    it('plays whole games against each other at every level', async () => {
+        for (const level of bots.BOT_LEVELS) {
+            const { gm, gameCode, creatorId } = await setup(1);
+            for (let i = 0; i < 4; i++) gm.addBot(gameCode, creatorId, level);
+            gm.updateSettings(gameCode, creatorId, { maxRounds: 5 });
+            let { game } = gm.startGame(gameCode, creatorId);
+
+            // The host gives clues and votes like any player; everything else is up to the bots
+            for (let step = 0; step < 200 && game.status === 'playing'; step++) {
+                playBots(gm, gameCode);
+                const host = game.players.find(p => p.id === creatorId);
+                if (game.gamePhase === 'description' && game.turnOrder[game.currentTurnIndex] === creatorId) {
+                    gm.submitDescription(gameCode, creatorId, `hint${step}`);
+                } else if (game.gamePhase === 'voting' && host.status === 'active' && !host.hasVoted) {
+                    gm.submitVote(gameCode, creatorId, 'none');
+                } else if (!gm.nextBotMove(game)) {
+                    gm.handlePhaseTimeout(gameCode);
+                }
+                game = gm.getGame(gameCode);
+            }
+
+            assert.notEqual(game.status, 'playing', `${level} bots finished the game`);
+            const clues = game.chatHistory.filter(m => m.type === 'description' && m.sender.startsWith('Bot'));
+            assert.ok(clues.length > 0);
+            clues.forEach(m => assert.match(m.message, /^\S+$/));
+            assert.ok(!gm.cluster.hasTimer(`bot:${gameCode}`));
+        }
+    });
+
+    it('reports bot clues so they can be shown in the chat', async () => {
+        const results = [];
+        const { gm, gameCode, creatorId } = await setup(1, (code, game, result) => results.push(result));
+        gm.addBot(gameCode, creatorId);
+        gm.addBot(gameCode, creatorId);
+        const { game } = gm.startGame(gameCode, creatorId);
+        if (game.turnOrder[0] === creatorId) gm.submitDescription(gameCode, creatorId, 'first');
+
+        const result = gm.runBots(gameCode);
+        const bot = game.players.find(p => p.name === result.clue.sender);
+        assert.equal(bot.isBot, true);
+        assert.equal(game.chatHistory.filter(m => m.type === 'description').at(-1).message, result.clue.message);
+        assert.equal(results.at(-1), result);
+        gm.cluster.clearTimer(`bot:${gameCode}`);
+    });
+
+    it('schedules a bot move only when a bot is due', async () => {
+        const { gm, gameCode, creatorId } = await setup(3);
+        gm.addBot(gameCode, creatorId);
+        assert.ok(!gm.cluster.hasTimer(`bot:${gameCode}`));
+
+        const { game } = gm.startGame(gameCode, creatorId);
+        const botId = game.players.find(p => p.isBot).id;
+        assert.equal(gm.cluster.hasTimer(`bot:${gameCode}`), game.turnOrder[0] === botId);
+        gm.cluster.clearTimer(`bot:${gameCode}`);
+    });
+
+    it('never lets a player take over a bot or hand it the host role', async () => {
+        const { gm, gameCode, creatorId } = await setup(2);
+        const { playerId: botId } = gm.addBot(gameCode, creatorId);
+        gm.setRoomLocked(gameCode, creatorId, true);
+
+        assert.match((await gm.joinGame(gameCode, 'intruder', 'Mallory', botId)).error, /locked/);
+        assert.equal(gm.getPlayerId('intruder'), null);
+        assert.match(gm.transferHost(gameCode, creatorId, botId).error, /Only players/);
+        assert.match(gm.banPlayer(gameCode, creatorId, botId).error, /Bots can only be removed/);
+        assert.equal(gm.kickPlayer(gameCode, creatorId, botId).error, undefined);
+    });
+
+    it('does not keep a room alive or hand the host role to bots', async () => {
+        const { gm, gameCode, creatorId } = await setup(1);
+        gm.addBot(gameCode, creatorId);
+        gm.setRoomPublic(gameCode, creatorId, true);
+        gm.leaveGame('s0');
+        assert.deepEqual(gm.getPublicGames(), []);
+        assert.ok(gm.cluster.hasTimer(`delete:${gameCode}`));
+
+        gm.expireLobbyDisconnect(gameCode, creatorId);
+        assert.ok(!gm.getGame(gameCode).players.some(p => p.isCreator));
+        gm.cluster.clearTimer(`delete:${gameCode}`);
+    });
+
+    it('decides from the redacted view only', async () => {
+        const { gm, gameCode, creatorId, playerIds } = await setup(3);
+        const { playerId: botId } = gm.addBot(gameCode, creatorId, 'hard');
+        const { game } = gm.startGame(gameCode, creatorId);
+        gm.cluster.clearTimer(`bot:${gameCode}`);
+
+        const view = projectGameState(game, botId);
+        assert.ok(view.players.filter(p => p.id !== botId).every(p => p.role === null && p.word === null));
+        assert.equal(typeof bots.chooseClue(view, botId, 'hard'), 'string');
+        assert.ok([...playerIds, 'none'].includes(bots.chooseVote(view, botId, 'hard')));
+        assert.equal(typeof bots.chooseGuess(view, botId, 'hard'), 'string');
+    });
+
+    it('suspects players whose clues do not fit its word', () => {
+        const view = {
+            settings: { locale: 'en', clueRules: DEFAULT_SETTINGS.clueRules },
+            voteCounts: {},
+            players: [
+                { id: 'b', name: 'Bot', status: 'active', role: 'civilian', word: 'Airport' },
+                { id: 'x', name: 'X', status: 'active' },
+                { id: 'y', name: 'Y', status: 'active' }
+            ],
+            chatHistory: [
+                { type: 'description', sender: 'X', message: getClues('Airport')[1] },
+                { type: 'description', sender: 'Y', message: 'volcano' }
+            ]
+        };
+        assert.deepEqual(Object.fromEntries(bots.suspicion(view, 'b')), { x: 0, y: 1 });
+        assert.equal(bots.chooseVote(view, 'b', 'medium'), 'y');
+        assert.ok(!['Airport', getClues('Airport')[1]].includes(bots.chooseClue(view, 'b', 'medium')));
+    });
+
+    it('has one-word clues for every built-in pair that never give the words away', () => {
+        wordPairs.forEach(pair => {
+            assert.equal(pair.clues.length, 2, pair.civilian);
+            pair.clues.flat().forEach(clue => {
+                assert.match(clue, /^\S+$/);
+                [pair.civilian, pair.imposter].forEach(word => {
+                    assert.ok(!normalizeWord(clue).includes(normalizeWord(word)), `${clue} / ${word}`);
+                    assert.ok(!normalizeWord(word).includes(normalizeWord(clue)), `${clue} / ${word}`);
+                });
+            });
+        });
+        assert.ok(getClues('Airport').length >= 3);
+        assert.deepEqual(getClues('Airport', 'de'), []);
+    });
+});
+
+describe('event log', () => {
+    // Plays one round in which everyone votes out the (only) imposter
+    function catchImposter(gm, gameCode) {
+        let game = completeDescriptions(gm, gameCode, gm.getGame(gameCode));
+        const imposterId = game.imposterIds[0];
+        game.players.filter(p => p.status === 'active').forEach(p => gm.submitVote(gameCode, p.id, imposterId));
+        return gm.getGame(gameCode);
+    }
+
+    it('records a whole game as typed events', async () => {
+        const { gm, gameCode, creatorId, playerIds } = await setup(4);
+        gm.startGame(gameCode, creatorId);
+        const game = catchImposter(gm, gameCode);
+        assert.equal(game.status, 'ended');
+
+        const types = game.eventLog.map(e => e.type);
+        assert.deepEqual(types.slice(0, 6), ['game-started', 'role-dealt', 'role-dealt', 'role-dealt', 'role-dealt', 'phase']);
+        assert.deepEqual(types.slice(-4), ['vote', 'elimination', 'round-result', 'game-ended']);
+        assert.equal(types.filter(t => t === 'description').length, 4);
+        assert.equal(types.filter(t => t === 'vote').length, 4);
+
+        const [started] = game.eventLog;
+        assert.deepEqual(started.players.map(p => p.id), playerIds);
+        const dealt = game.eventLog.find(e => e.type === 'role-dealt' && e.playerId === game.imposterIds[0]);
+        assert.equal(dealt.role, 'imposter');
+        assert.equal(dealt.word, game.wordPair.imposter);
+        const vote = game.eventLog.find(e => e.type === 'vote');
+        assert.equal(vote.targetId, game.imposterIds[0]);
+        assert.equal(game.eventLog.at(-1).winner, 'civilians');
+        assert.ok(game.eventLog.every(e => typeof e.at === 'number' && e.round <= 1));
+    });
+
+    it('starts a new log with each game', async () => {
+        const { gm, gameCode, creatorId } = await setup(3);
+        gm.startGame(gameCode, creatorId);
+        catchImposter(gm, gameCode);
+        const { game } = gm.startNewGame(gameCode, creatorId);
+        assert.equal(game.eventLog[0].type, 'game-started');
+        assert.ok(!game.eventLog.some(e => e.type === 'game-ended'));
+    });
+
+    it('records skipped turns, departures and mid-game joins', async () => {
+        const { gm, gameCode, creatorId } = await setup(4);
+        const { game } = gm.startGame(gameCode, creatorId);
+        const [first] = game.turnOrder;
+        gm.handlePhaseTimeout(gameCode);
+        const { type, playerId: skippedId, reason } = game.eventLog.at(-1);
+        assert.deepEqual({ type, skippedId, reason }, { type: 'turn-skipped', skippedId: first, reason: 'timeout' });
+
+        // A civilian, so the game goes on
+        const civilian = game.players.find(p => p.role === 'civilian' && p.id !== creatorId);
+        gm.kickPlayer(gameCode, creatorId, civilian.id);
+        assert.ok(game.eventLog.some(e => e.type === 'player-left' && e.playerId === civilian.id));
+
+        const { playerId } = await gm.joinGame(gameCode, 'late', 'Late');
+        assert.equal(game.eventLog.at(-1).type, 'player-joined');
+        assert.equal(game.eventLog.at(-1).playerId, playerId);
+        assert.equal(game.eventLog.at(-1).status, 'waiting');
+    });
+
+    it('hands the log to members once the game has ended', async () => {
+        const { gm, gameCode, creatorId, playerIds } = await setup(3);
+        const { playerId: tvId } = await gm.joinGame(gameCode, 'tv', 'TV', null, true);
+        gm.startGame(gameCode, creatorId);
+        assert.match(gm.getGameLog(gameCode, playerIds[1]).error, /once the game has ended/);
+
+        const game = catchImposter(gm, gameCode);
+        assert.match(gm.getGameLog(gameCode, 'stranger').error, /Player not found/);
+        const { log } = gm.getGameLog(gameCode, tvId);
+        assert.equal(log.format, GAME_LOG_FORMAT);
+        assert.equal(log.gameCode, gameCode);
+        assert.equal(log.winner, 'civilians');
+        assert.deepEqual(log.wordPair, { civilian: game.wordPair.civilian, imposter: game.wordPair.imposter });
+        assert.deepEqual(log.players.map(p => p.role).sort(), ['civilian', 'civilian', 'imposter']);
+        assert.equal(log.events.length, game.eventLog.length);
+        assert.doesNotThrow(() => JSON.parse(JSON.stringify(log)));
+        assert.equal(projectGameState(game, playerIds[1]).eventLog, undefined);
+    });
+});
+
+describe('seeded randomness', () => {
+    // What a game dealt, by player name, since player IDs never come from the seed
+    function dealt(game) {
+        const name = id => game.players.find(p => p.id === id).name;
+        return {
+            roles: Object.fromEntries(game.players.map(p => [p.name, p.role])),
+            turnOrder: game.turnOrder.map(name),
+            wordPair: game.wordPair
+        };
+    }
+
+    async function playSeeded(seed) {
+        const { gm, gameCode, creatorId } = await setup(6, () => {}, { seed });
+        const { game } = gm.startGame(gameCode, creatorId);
+        return { gm, gameCode, game };
+    }
+
+    it('replays the same game from the same seed', async () => {
+        const a = await playSeeded('bug-123');
+        const b = await playSeeded('bug-123');
+        assert.deepEqual(dealt(a.game), dealt(b.game));
+
+        completeDescriptions(a.gm, a.gameCode, a.game);
+        completeDescriptions(b.gm, b.gameCode, b.game);
+        a.gm.submitVote(a.gameCode, a.game.players[0].id, a.game.players[1].id);
+        b.gm.submitVote(b.gameCode, b.game.players[0].id, b.game.players[1].id);
+        assert.equal(a.game.rng.state, b.game.rng.state);
+    });
+
+    it('deals differently for different seeds', async () => {
+        const games = [];
+        for (const seed of ['a', 'b', 'c', 'd']) games.push(JSON.stringify(dealt((await playSeeded(seed)).game)));
+        assert.ok(new Set(games).size > 1);
+    });
+
+    it('replays a later game of a room from its log', async () => {
+        const { gm, gameCode, creatorId } = await setup(5);
+        for (let i = 0; i < 3; i++) {
+            gm.startNewGame(gameCode, creatorId);
+            gm.getGame(gameCode).status = 'ended';
+        }
+        const { game } = gm.startNewGame(gameCode, creatorId);
+        const log = JSON.parse(JSON.stringify(buildGameLog(game)));
+        // Which pairs are left, in no particular order: nothing says what comes next
+        const { cards } = log.events[0].deck;
+        assert.ok(cards.length > 0);
+        assert.deepEqual(cards, [...cards].sort((a, b) => a - b));
+
+        const replay = await setup(5, () => {}, { replay: log });
+        const copy = replay.gm.startGame(replay.gameCode, replay.creatorId).game;
+        const imposters = g => g.players.filter(p => p.role !== 'civilian').map(p => p.name);
+        const turns = g => g.turnOrder.map(id => g.players.find(p => p.id === id).name);
+        assert.deepEqual(copy.wordPair, game.wordPair);
+        assert.deepEqual(imposters(copy), imposters(game));
+        assert.deepEqual(turns(copy), turns(game));
+        assert.deepEqual(copy.wordDeck.cards, game.wordDeck.cards);
+    });
+
+    it('records a fresh seed per game and keeps it out of the views', async () => {
+        const { gm, gameCode, creatorId, playerIds } = await setup(3);
+        let { game } = gm.startGame(gameCode, creatorId);
+        const firstSeed = game.rng.seed;
+        assert.match(firstSeed, /^[0-9a-f]{16}$/);
+        assert.equal(game.eventLog[0].seed, firstSeed);
+        assert.equal(projectGameState(game, playerIds[1]).rng, undefined);
+
+        ({ game } = gm.startNewGame(gameCode, creatorId));
+        assert.notEqual(game.rng.seed, firstSeed);
+    });
+
+    it('plays bots the same way from the same seed', async () => {
+        const clues = await Promise.all(['x', 'x'].map(async () => {
+            const { gm, gameCode, creatorId } = await setup(1, () => {}, { seed: 'bots' });
+            for (let i = 0; i < 3; i++) gm.addBot(gameCode, creatorId, 'easy');
+            const { game } = gm.startGame(gameCode, creatorId);
+            while (gm.runBots(gameCode) || game.turnOrder[game.currentTurnIndex] === creatorId) {
+                if (game.turnOrder[game.currentTurnIndex] === creatorId) gm.submitDescription(gameCode, creatorId, 'hmm');
+            }
+            gm.cluster.clearTimer(`bot:${gameCode}`);
+            return game.chatHistory.filter(m => m.type === 'description').map(m => `${m.sender}: ${m.message}`);
+        }));
+        assert.ok(clues[0].length >= 3);
+        assert.deepEqual(clues[0], clues[1]);
+    });
+
+    it('never takes game codes or player IDs from the seed', async () => {
+        const a = await setup(2, () => {}, { seed: 'same' });
+        const b = await setup(2, () => {}, { seed: 'same' });
+        assert.notEqual(a.gameCode, b.gameCode);
+        assert.notDeepEqual(a.playerIds, b.playerIds);
+        a.playerIds.forEach(id => assert.match(id, /^[a-z0-9]{12}$/));
+        assert.match(a.gameCode, /^[A-Z0-9]{6}$/);
+    });
+
+    it('continues the same sequence from a saved generator state', () => {
+        const rng = createRng('snapshot');
+        nextRandom(rng);
+        const copy = JSON.parse(JSON.stringify(rng));
+        const next = [nextRandom(rng), nextRandom(rng)];
+        assert.deepEqual([nextRandom(copy), nextRandom(copy)], next);
+        next.forEach(n => assert.ok(n >= 0 && n < 1));
+    });
+});
+
+describe('clue rules', () => {
+    const rules = (overrides = {}) => ({ ...DEFAULT_SETTINGS.clueRules, ...overrides });
+    const context = { ownWord: 'Cat', otherWords: ['Dog'], usedClues: ['whiskers'] };
+
+    it('spots a word as itself, in the plural and inside longer words', () => {
+        assert.ok(givesAway('cats', 'Cat'));
+        assert.ok(givesAway('a catfish', 'Cat'));
+        assert.ok(givesAway('berries', 'Berry'));
+        assert.ok(givesAway('glass', 'Glasses'));
+        assert.ok(givesAway('Ice-Cream', 'Ice cream'));
+        assert.ok(givesAway('café', 'Cafe'));
+        assert.ok(!givesAway('box', 'Ox'));
+        assert.ok(!givesAway('purr', 'Cat'));
+    });
+
+    it('checks each rule with a reason', () => {
+        assert.equal(checkClue('purr', rules(), context), null);
+        assert.deepEqual(checkClue('soft and purring', rules({ maxWords: 2 }), context), {
+            error: 'Clues can have at most 2 words', code: 'clue-too-long', params: { max: 2 }
+        });
+        assert.equal(checkClue('Cats', rules(), context).error, 'Your clue cannot contain your own word');
+        assert.equal(checkClue('Cats', rules({ rejectOwnWord: false }), context), null);
+        assert.equal(checkClue('hotdog', rules(), context), null);
+        assert.equal(checkClue('hotdog', rules({ rejectOtherWord: true }), context).error, 'Your clue cannot contain the other word');
+        assert.equal(checkClue('Whiskers', rules({ rejectRepeats: true }), context).error, 'That clue was already given this game');
+        assert.deepEqual(checkClue('my pets', rules({ blocklist: ['pet'] }), context), {
+            error: '"pet" is not allowed in clues', code: 'clue-blocked', params: { word: 'pet' }
+        });
+        // The blocklist matches whole words only
+        assert.equal(checkClue('carpet', rules({ blocklist: ['pet'] }), context), null);
+    });
+
+    it('rejects a clue without using up the turn', async () => {
+        const { gm, gameCode, creatorId } = await setup(3);
+        const { game } = startWithSettings(gm, gameCode, creatorId, { clueRules: { maxWords: 1 } });
+        const turnId = game.turnOrder[0];
+        const player = game.players.find(p => p.id === turnId);
+
+        const tooLong = gm.submitDescription(gameCode, turnId, 'two words');
+        assert.deepEqual(toErrorPayload(tooLong), { code: 'clue-too-long', message: 'Clues can have at most 1 word', params: { max: 1 } });
+        const ownWord = gm.submitDescription(gameCode, turnId, `${player.word.replace(/\s+/g, '')}s`);
+        assert.equal(toErrorPayload(ownWord).code, 'clue-own-word');
+        assert.equal(game.currentTurnIndex, 0);
+        assert.equal(player.hasDescribed, false);
+
+        assert.equal(gm.submitDescription(gameCode, turnId, 'hint').error, undefined);
+        assert.equal(game.currentTurnIndex, 1);
+    });
+
+    it('remembers the clues of the whole game but not of earlier games', async () => {
+        const { gm, gameCode, creatorId } = await setup(3);
+        let { game } = startWithSettings(gm, gameCode, creatorId, { clueRules: { rejectRepeats: true } });
+        gm.submitDescription(gameCode, game.turnOrder[0], 'hint');
+        const repeat = gm.submitDescription(gameCode, game.turnOrder[1], 'HINT');
+        assert.equal(toErrorPayload(repeat).code, 'clue-repeated');
+
+        game.status = 'ended';
+        ({ game } = gm.startNewGame(gameCode, creatorId));
+        assert.equal(gm.submitDescription(gameCode, game.turnOrder[0], 'hint').error, undefined);
+    });
+
+    it('validates the rules as settings', async () => {
+        const { gm, gameCode, creatorId } = await setup(3);
+        const { game } = gm.updateSettings(gameCode, creatorId, { clueRules: { blocklist: [' pet ', 'fur'] } });
+        assert.deepEqual(game.settings.clueRules, rules({ blocklist: ['pet', 'fur'] }));
+        assert.deepEqual(projectGameState(game, creatorId).settings.clueRules.blocklist, ['pet', 'fur']);
+
+        assert.match(gm.updateSettings(gameCode, creatorId, { clueRules: { maxWords: 11 } }).error, /Max words per clue/);
+        assert.match(gm.updateSettings(gameCode, creatorId, { clueRules: { blocklist: ['ok', ''] } }).error, /Blocked words/);
+        assert.match(gm.updateSettings(gameCode, creatorId, { clueRules: { blocklist: 'pet' } }).error, /must be a list/);
+        assert.match(gm.updateSettings(gameCode, creatorId, { clueRules: { strict: true } }).error, /Unknown clue rules setting: strict/);
+        for (const group of ['scoring', 'clueRules']) {
+            for (const inner of [{ constructor: 1 }, { toString: 'x' }, JSON.parse('{ "__proto__": { "maxWords": 1 } }')]) {
+                const result = gm.updateSettings(gameCode, creatorId, { [group]: inner });
+                assert.match(result.error, /^Unknown (scoring|clue rules) setting: /);
+                assert.equal(result.code, 'unknown-setting');
+            }
+        }
+        assert.equal(gm.getGame(gameCode).settings.clueRules.maxWords, 0);
+        assert.match(gm.updateSettings(gameCode, creatorId, { clueRules: true }).error, /Clue rules must be an object/);
+        assert.equal((await new GameManager(() => {}).createGame('s1', 'Zoe')).game.settings.clueRules.blocklist.length, 0);
+    });
+
+    it('has bots keep to the rules, and pass when nothing is allowed', async () => {
+        const { gm, gameCode, creatorId } = await setup(1);
+        gm.addBot(gameCode, creatorId);
+        gm.addBot(gameCode, creatorId);
+        const { game } = gm.startGame(gameCode, creatorId);
+        const { locale } = game.settings;
+        const blocklist = [...getClues(game.wordPair.civilian, locale), ...getClues(game.wordPair.imposter, locale)];
+        game.settings.clueRules.blocklist = blocklist;
+
+        while (game.gamePhase === 'description') {
+            const turnId = game.turnOrder[game.currentTurnIndex];
+            if (turnId === creatorId) {
+                assert.equal(gm.submitDescription(gameCode, creatorId, 'plonk').error, undefined);
+            } else {
+                const { clue } = gm.runBots(gameCode);
+                assert.ok(!blocklist.includes(clue.message), clue.message);
+            }
+        }
+
+        // A bot the rules turn down every time gives up its turn
+        const stuck = await setup(1);
+        const botId = stuck.gm.addBot(stuck.gameCode, stuck.creatorId).playerId;
+        stuck.gm.addBot(stuck.gameCode, stuck.creatorId);
+        const started = stuck.gm.startGame(stuck.gameCode, stuck.creatorId).game;
+        started.turnOrder = [botId, ...started.turnOrder.filter(id => id !== botId)];
+        started.currentTurnIndex = 0;
+        stuck.gm.submitDescription = () => ({ error: 'That clue was already given this game' });
+        stuck.gm.runBots(stuck.gameCode);
+        assert.equal(started.currentTurnIndex, 1);
+        assert.deepEqual(started.eventLog.at(-1), { ...started.eventLog.at(-1), type: 'turn-skipped', playerId: botId, reason: 'pass' });
+        assert.equal(started.chatHistory.at(-1).key, 'system.turn-passed');
+        gm.cluster.clearTimer(`bot:${gameCode}`);
+        stuck.gm.cluster.clearTimer(`bot:${stuck.gameCode}`);
+    });
+});
+
+describe('payload validation', () => {
+    it('has a schema for every event the server listens to', () => {
+        const source = fs.readFileSync(path.join(__dirname, '../src/server.js'), 'utf8');
+        const events = Array.from(source.matchAll(/^\s+on\('([a-z-]+)'/gm), m => m[1]);
+        assert.ok(events.length > 20);
+        assert.deepEqual([...new Set(events)].sort(), Object.keys(SCHEMAS).sort());
+    });
+
+    it('trims text, normalizes the game code and drops unknown fields', () => {
+        const result = validatePayload('submit-description', { gameCode: ' abc123', description: '  round  ', extra: 1 });
+        assert.deepEqual(result, { value: { gameCode: 'ABC123', description: 'round' } });
+    });
+
+    it('rejects missing, mistyped and oversized values with the field', () => {
+        const cases = [
+            ['create-game', {}, 'playerName'],
+            ['create-game', { playerName: { name: 'Alice' } }, 'playerName'],
+            ['create-game', { playerName: '   ' }, 'playerName'],
+            ['submit-description', { gameCode: 'ABC123' }, 'description'],
+            ['submit-description', { gameCode: 'ABC123', description: 'x'.repeat(101) }, 'description'],
+            ['send-chat', { gameCode: 'ABC123', message: ['hi'] }, 'message'],
+            ['send-chat', { gameCode: 'ABC123', message: 'x'.repeat(301) }, 'message'],
+            ['submit-vote', { gameCode: 'ABC123', votedPlayerId: 42 }, 'votedPlayerId'],
+            ['submit-vote', { gameCode: 'ABC1', votedPlayerId: 'none' }, 'gameCode'],
+            ['lock-room', { gameCode: 'ABC123', locked: 'yes' }, 'locked'],
+            ['add-bot', { gameCode: 'ABC123', level: 'genius' }, 'level']
+        ];
+        for (const [event, payload, field] of cases) {
+            const { error } = validatePayload(event, payload);
+            assert.equal(error.code, 'invalid-payload', `${event} ${JSON.stringify(payload)}`);
+            assert.equal(error.field, field);
+            assert.ok(error.message);
+        }
+    });
+
+    it('accepts every name the invite link can generate, shortening long ones', () => {
+        // The word lists of generateRandomName() in public/client.js
+        const source = fs.readFileSync(path.join(__dirname, '../public/client.js'), 'utf8');
+        const list = name => vm.runInNewContext(source.match(new RegExp(`const ${name} = (\\[[^\\]]*\\]);`))[1]);
+        const names = list('adjectives').flatMap(adjective => list('nouns').map(noun => `${adjective}${noun}`));
+        assert.equal(names.length, 1296);
+
+        const context = vm.createContext({ Math });
+        vm.runInContext(`${source.match(/const adjectives[\s\S]*?\n}\n/)[0]}\nthis.generated = Array.from({ length: 200 }, generateRandomName);`, context);
+        for (const playerName of names) {
+            const { value, error } = validatePayload('join-game', { gameCode: 'ABC123', playerName });
+            assert.equal(error, undefined, playerName);
+            assert.equal(value.playerName, playerName.substring(0, 15));
+        }
+        assert.ok(context.generated.every(name => name.length <= 15));
+        assert.equal(validatePayload('create-game', { playerName: 'TurquoiseDragonfly' }).value.playerName, 'TurquoiseDragon');
+    });
+
+    it('rejects payloads that are not objects', () => {
+        for (const payload of [undefined, null, 'ABC123', ['ABC123']]) {
+            assert.equal(validatePayload('start-game', payload).error.code, 'invalid-payload');
+        }
+        assert.deepEqual(validatePayload('watch-rooms', undefined), { value: {} });
+    });
+
+    it('leaves optional fields out and keeps passwords as typed', () => {
+        assert.deepEqual(validatePayload('join-game', { gameCode: 'ABC123', previousPlayerId: null }).value, { gameCode: 'ABC123', spectate: false });
+        assert.equal(validatePayload('create-game', { playerName: 'Alice', password: ' pw ' }).value.password, ' pw ');
+    });
+
+    it('gives GameManager errors stable codes', async () => {
+        const { gm, gameCode, creatorId, playerIds } = await setup(3);
+        const codeOf = result => toErrorPayload(result).code;
+        assert.equal(codeOf(gm.startGame('NOPE00', creatorId)), 'not-found');
+        assert.equal(codeOf(gm.startGame(gameCode, playerIds[1])), 'not-host');
+        assert.equal(codeOf(gm.submitVote(gameCode, creatorId, 'none')), 'wrong-phase');
+
+        const { game } = gm.startGame(gameCode, creatorId);
+        const waiting = game.turnOrder[1];
+        assert.equal(codeOf(gm.submitDescription(gameCode, waiting, 'hint')), 'not-your-turn');
+        completeDescriptions(gm, gameCode, game);
+        assert.equal(codeOf(gm.submitVote(gameCode, creatorId, 'ghost')), 'invalid-vote-target');
+        gm.submitVote(gameCode, creatorId, 'none');
+        assert.equal(codeOf(gm.submitVote(gameCode, creatorId, 'none')), 'already-done');
+        // Settings and word pack errors have no code of their own
+        assert.equal(codeOf({ error: 'Something new went wrong' }), 'invalid-request');
+    });
+
+    it('has a code on every GameManager error', () => {
+        const source = fs.readFileSync(path.join(__dirname, '../src/game-manager.js'), 'utf8');
+        const errors = source.split('\n').filter(line => line.includes('{ error: '));
+        assert.ok(errors.length > 50);
+        assert.deepEqual(errors.filter(line => !/, code: '[a-z-]+'/.test(line)), []);
+    });
+
+    it('keeps passwordRequired for the home page', async () => {
+        const { gm, gameCode, creatorId } = await setup(1);
+        await gm.setRoomPassword(gameCode, creatorId, 'secret');
+        assert.deepEqual(toErrorPayload(await gm.joinGame(gameCode, 's9', 'Zoe')), {
+            code: 'password-required', message: 'This game needs a password', passwordRequired: true
+        });
+        assert.equal(toErrorPayload(await gm.joinGame(gameCode, 's9', 'Zoe', null, false, 'guess')).code, 'wrong-password');
+    });
+});
+
+describe('projectGameState', () => {
+    it('shows a player only their own role and word mid-game', async () => {
+        const { gm, gameCode, creatorId } = await setup(4);
+        const { game } = gm.startGame(gameCode, creatorId);
+        const civilian = game.players.find(p => p.role === 'civilian');
+
+        const view = projectGameState(game, civilian.id);
+        const me = view.players.find(p => p.id === civilian.id);
+        assert.equal(me.role, 'civilian');
+        assert.equal(me.word, civilian.word);
+
+        const others = view.players.filter(p => p.id !== civilian.id);
+        assert.ok(others.every(p => p.role === null && p.word === null && p.points === null));
+        assert.equal(view.wordPair, undefined);
+        assert.equal(view.imposterIds, undefined);
+    });
+
+    it('hides who voted for whom but keeps tallies and your own ballot', async () => {
+        const { gm, gameCode, creatorId } = await setup(4);
+        let { game } = gm.startGame(gameCode, creatorId);
+        game = completeDescriptions(gm, gameCode, game);
+        const [p0, p1, p2] = game.players;
+        gm.submitVote(gameCode, p0.id, p2.id);
+        gm.submitVote(gameCode, p1.id, p2.id);
+
+        const view = projectGameState(game, p0.id);
+        assert.deepEqual(view.votes, { [p0.id]: p2.id });
+        assert.deepEqual(view.voteCounts, { [p2.id]: 2 });
+    });
+
+    it('does not reveal the imposter in mid-game round results', async () => {
+        const { gm, gameCode, creatorId } = await setup(4);
+        let { game } = gm.startGame(gameCode, creatorId);
+        game = completeDescriptions(gm, gameCode, game);
+        const [p0, p1, p2, p3] = game.players;
+        gm.submitVote(gameCode, p0.id, p1.id);
+        gm.submitVote(gameCode, p1.id, p0.id);
+        gm.submitVote(gameCode, p2.id, p1.id);
+        gm.submitVote(gameCode, p3.id, p0.id);
+
+        const view = projectGameState(game, p0.id);
+        assert.equal(view.gamePhase, 'results');
+        assert.equal(view.lastRoundResult.winner, null);
+        assert.equal(view.lastRoundResult.imposterNames, undefined);
+        assert.equal(view.lastRoundResult.civilianWord, undefined);
+    });
+
+    it('reveals every role and word once the game has ended', async () => {
+        const { gm, gameCode, creatorId } = await setup(3);
+        let { game } = gm.startGame(gameCode, creatorId);
+        game = completeDescriptions(gm, gameCode, game);
+        const imposter = game.players.find(p => p.role === 'imposter');
+        for (const p of game.players) gm.submitVote(gameCode, p.id, imposter.id);
+
+        const view = projectGameState(game, null);
+        assert.equal(view.status, 'ended');
+        assert.ok(view.players.every(p => p.role && p.word));
+        assert.deepEqual(view.wordPair, game.wordPair);
+        assert.deepEqual(view.lastRoundResult.imposterNames, [imposter.name]);
+    });
+
+    it('returns a copy that does not alias the game object', async () => {
+        const { gm, gameCode, creatorId } = await setup(3);
+        const { game } = gm.startGame(gameCode, creatorId);
+        const view = projectGameState(game, creatorId);
+        view.players[0].name = 'Mallory';
+        assert.notEqual(game.players[0].name, 'Mallory');
+    });
+});
+
+describe('phase timers', () => {
+    it('sets a description deadline for each turn', async () => {
+        const { gm, gameCode, creatorId } = await setup(3);
+        const before = Date.now();
+        const { game } = gm.startGame(gameCode, creatorId);
+        assert.ok(game.descriptionEndTime >= before + game.settings.descriptionTimeoutMs);
+        assert.equal(game.votingEndTime, null);
+    });
+
+    it('skips a turn that runs out of time', async () => {
+        const updates = [];
+        const { gm, gameCode, creatorId } = await setup(3, (code, game, result) => updates.push(result));
+        const { game } = gm.startGame(gameCode, creatorId);
+        const afkId = game.turnOrder[0];
+
+        gm.handlePhaseTimeout(gameCode);
+
+        assert.equal(game.currentTurnIndex, 1);
+        assert.equal(game.players.find(p => p.id === afkId).hasDescribed, false);
+        assert.ok(game.chatHistory.some(m => m.type === 'system' && m.message.includes('ran out of time')));
+        assert.equal(updates.length, 1);
+        assert.equal(updates[0].event, 'turn-update');
+    });
+
+    it('moves to voting with a voting deadline after the last turn', async () => {
+        const { gm, gameCode, creatorId } = await setup(3);
+        let { game } = gm.startGame(gameCode, creatorId);
+        game = completeDescriptions(gm, gameCode, game);
+        assert.equal(game.gamePhase, 'voting');
+        assert.equal(game.descriptionEndTime, null);
+        assert.ok(game.votingEndTime > Date.now());
+    });
+
+    it('counts missing voters as abstaining when voting times out', async () => {
+        const updates = [];
+        const { gm, gameCode, creatorId } = await setup(4, (code, game, result) => updates.push(result));
+        let { game } = gm.startGame(gameCode, creatorId);
+        game = completeDescriptions(gm, gameCode, game);
+        const civilians = game.players.filter(p => p.role === 'civilian');
+        gm.submitVote(gameCode, civilians[0].id, civilians[1].id);
+
+        gm.handlePhaseTimeout(gameCode);
+
+        assert.notEqual(game.gamePhase, 'voting');
+        assert.equal(civilians[1].status, 'eliminated');
+        assert.equal(Object.keys(game.votes).length, 1);
+        assert.equal(game.votingEndTime, null);
+        assert.equal(updates[0].event, 'round-results');
+        assert.ok(game.chatHistory.some(m => m.type === 'system' && m.message.includes('abstained')));
+    });
+
+    it('does not arm timers when they are disabled', async () => {
+        const { gm, gameCode, creatorId } = await setup(3, () => {}, { descriptionTimeoutMs: 0, votingTimeoutMs: 0 });
+        let { game } = gm.startGame(gameCode, creatorId);
+        assert.equal(game.descriptionEndTime, null);
+        game = completeDescriptions(gm, gameCode, game);
+        assert.equal(game.votingEndTime, null);
+        assert.ok(!gm.hasPhaseTimer(gameCode));
+    });
+});
+
+describe('multiple imposters', () => {
+    // Drives one round: descriptions, then everyone votes for targetId
+    function voteOut(gm, gameCode, game, targetId) {
+        game = completeDescriptions(gm, gameCode, game);
+        let result;
+        for (const p of game.players.filter(pl => pl.status === 'active')) {
+            result = gm.submitVote(gameCode, p.id, targetId);
+        }
+        return result;
+    }
+
+    it('scales the imposter count with player count', async () => {
+        const small = await setup(6);
+        assert.equal(small.gm.startGame(small.gameCode, small.creatorId).game.imposterIds.length, 1);
+
+        const medium = await setup(8);
+        assert.equal(medium.gm.startGame(medium.gameCode, medium.creatorId).game.imposterIds.length, 2);
+
+        const large = await setup(12);
+        const { game } = large.gm.startGame(large.gameCode, large.creatorId);
+        assert.equal(game.imposterIds.length, 3);
+        assert.equal(game.players.filter(p => p.role === 'imposter').length, 3);
+        assert.ok(game.players.filter(p => p.role === 'imposter').every(p => p.word === game.wordPair.imposter));
+    });
+
+    it('uses the imposter count chosen by the host', async () => {
+        const { gm, gameCode, creatorId } = await setup(5);
+        const { game } = startWithSettings(gm, gameCode, creatorId, { imposterCount: 2 });
+        assert.equal(game.imposterIds.length, 2);
+    });
+
+    it('rejects an imposter count that leaves too few civilians', async () => {
+        const { gm, gameCode, creatorId } = await setup(4);
+        const result = startWithSettings(gm, gameCode, creatorId, { imposterCount: 2 });
+        assert.ok(result.error);
+        assert.equal(gm.games.get(gameCode).status, 'lobby');
+    });
+
+    it('keeps playing until every imposter is eliminated', async () => {
+        const { gm, gameCode, creatorId } = await setup(7);
+        let { game } = startWithSettings(gm, gameCode, creatorId, { imposterCount: 2 });
+        const [first, second] = game.imposterIds;
+
+        let result = voteOut(gm, gameCode, game, first);
+        assert.equal(result.winner, null);
+        assert.equal(result.game.status, 'playing');
+
+        game = gm.startRound(result.game).game;
+        result = voteOut(gm, gameCode, game, second);
+        assert.equal(result.winner, 'civilians');
+        assert.equal(result.game.lastRoundResult.imposterNames.length, 2);
+    });
+
+    it('imposters win once they are at least as many as the civilians', async () => {
+        const { gm, gameCode, creatorId } = await setup(5);
+        let { game } = startWithSettings(gm, gameCode, creatorId, { imposterCount: 2 });
+        const civilians = game.players.filter(p => p.role === 'civilian');
+
+        const result = voteOut(gm, gameCode, game, civilians[0].id);
+        assert.equal(result.winner, 'imposter');
+        assert.deepEqual(
+            [...result.game.lastRoundResult.imposterNames].sort(),
+            game.players.filter(p => p.role === 'imposter').map(p => p.name).sort()
+        );
+    });
+});
+
+describe('blank role', () => {
+    async function startWithBlank(n = 5) {
+        const { gm, gameCode, creatorId } = await setup(n);
+        let { game } = startWithSettings(gm, gameCode, creatorId, { blankCount: 1 });
+        const blank = game.players.find(p => p.role === 'blank');
+        return { gm, gameCode, game, blank };
+    }
+
+    function voteOut(gm, gameCode, game, targetId) {
+        game = completeDescriptions(gm, gameCode, game);
+        let result;
+        for (const p of game.players.filter(pl => pl.status === 'active')) {
+            result = gm.submitVote(gameCode, p.id, targetId);
+        }
+        return result;
+    }
+
+    it('deals one blank player with no word', async () => {
+        const { game, blank } = await startWithBlank();
+        assert.ok(blank);
+        assert.equal(blank.word, null);
+        assert.equal(game.players.filter(p => p.role === 'imposter').length, 1);
+        assert.equal(game.players.filter(p => p.role === 'civilian').length, 3);
+        assert.notEqual(game.turnOrder[0], blank.id);
+    });
+
+    it('rejects a blank when there are too few players', async () => {
+        const { gm, gameCode, creatorId } = await setup(4);
+        const result = startWithSettings(gm, gameCode, creatorId, { blankCount: 1 });
+        assert.ok(result.error);
+    });
+
+    it('gives an eliminated blank a chance to guess', async () => {
+        const { gm, gameCode, game, blank } = await startWithBlank();
+        const result = voteOut(gm, gameCode, game, blank.id);
+        assert.equal(result.event, 'guess-started');
+        assert.equal(game.gamePhase, 'guess');
+        assert.equal(game.guessingPlayerId, blank.id);
+        assert.ok(game.guessEndTime > Date.now());
+    });
+
+    it('only accepts a guess from the guessing player', async () => {
+        const { gm, gameCode, game, blank } = await startWithBlank();
+        voteOut(gm, gameCode, game, blank.id);
+        const other = game.players.find(p => p.id !== blank.id);
+        assert.ok(gm.submitGuess(gameCode, other.id, game.wordPair.civilian).error);
+    });
+
+    it('a correct guess wins the game, ignoring case and whitespace', async () => {
+        const { gm, gameCode, game, blank } = await startWithBlank();
+        voteOut(gm, gameCode, game, blank.id);
+        const guess = `  ${game.wordPair.civilian.toUpperCase().split('').join(' ')} `;
+        const result = gm.submitGuess(gameCode, blank.id, guess);
+        assert.equal(result.winner, 'blank');
+        assert.equal(game.status, 'ended');
+        assert.equal(game.lastRoundResult.guess.correct, true);
+        assert.deepEqual(game.lastRoundResult.blankNames, [blank.name]);
+    });
+
+    it('a wrong guess lets the round continue', async () => {
+        const { gm, gameCode, game, blank } = await startWithBlank();
+        voteOut(gm, gameCode, game, blank.id);
+        const result = gm.submitGuess(gameCode, blank.id, 'definitely not it');
+        assert.equal(result.event, 'round-results');
+        assert.equal(result.winner, null);
+        assert.equal(game.gamePhase, 'results');
+        assert.equal(game.lastRoundResult.guess.correct, false);
+    });
+
+    it('forfeits the guess when time runs out', async () => {
+        const { gm, gameCode, game, blank } = await startWithBlank();
+        voteOut(gm, gameCode, game, blank.id);
+        gm.handlePhaseTimeout(gameCode);
+        assert.equal(game.gamePhase, 'results');
+        assert.equal(game.guessingPlayerId, null);
+        assert.equal(game.lastRoundResult.eliminatedId, blank.id);
+    });
+
+    it('civilians still have to find the blank after the imposter is out', async () => {
+        const { gm, gameCode, game } = await startWithBlank();
+        const imposter = game.players.find(p => p.role === 'imposter');
+        const result = voteOut(gm, gameCode, game, imposter.id);
+        assert.equal(result.winner, null);
+        assert.equal(game.status, 'playing');
+    });
+});
+
+describe('imposter last-chance guess', () => {
+    async function voteOutImposter(options) {
+        const { gm, gameCode, creatorId } = await setup(4);
+        let { game } = startWithSettings(gm, gameCode, creatorId, options);
+        game = completeDescriptions(gm, gameCode, game);
+        const imposter = game.players.find(p => p.role === 'imposter');
+        let result;
+        for (const p of game.players) result = gm.submitVote(gameCode, p.id, imposter.id);
+        return { gm, gameCode, game, imposter, result };
+    }
+
+    it('is off by default', async () => {
+        const { result } = await voteOutImposter();
+        assert.equal(result.winner, 'civilians');
+    });
+
+    it('lets the eliminated imposter steal the win with the civilian word', async () => {
+        const { gm, gameCode, game, imposter, result } = await voteOutImposter({ imposterGuess: true });
+        assert.equal(result.event, 'guess-started');
+        assert.equal(game.guessingPlayerId, imposter.id);
+
+        const guessResult = gm.submitGuess(gameCode, imposter.id, game.wordPair.civilian.toLowerCase());
+        assert.equal(guessResult.winner, 'imposter');
+        assert.equal(game.status, 'ended');
+    });
+
+    it('civilians win when the imposter guesses wrong', async () => {
+        const { gm, gameCode, imposter } = await voteOutImposter({ imposterGuess: true });
+        const guessResult = gm.submitGuess(gameCode, imposter.id, 'nope');
+        assert.equal(guessResult.winner, 'civilians');
+    });
+
+    it('counts a guesser who leaves without a guess timer as guessing wrong', async () => {
+        const { gm, gameCode, game, imposter } = await voteOutImposter({ imposterGuess: true, guessTimeoutMs: 0 });
+        assert.ok(!gm.hasPhaseTimer(gameCode));
+
+        gm.leaveGame(`s${game.players.indexOf(imposter)}`);
+        assert.equal(game.gamePhase, 'guess');
+        gm.expireGameDisconnect(gameCode, imposter.id);
+        assert.equal(game.guessingPlayerId, null);
+        assert.equal(game.status, 'ended');
+        assert.equal(game.lastRoundResult.winner, 'civilians');
+        assert.equal(game.lastRoundResult.eliminatedId, imposter.id);
+    });
+});
+
+describe('localization', () => {
+    it('has every message in every language', () => {
+        const keys = Object.keys(MESSAGES.en);
+        for (const locale of LOCALES) {
+            assert.deepEqual(Object.keys(MESSAGES[locale]).sort(), [...keys].sort(), locale);
+        }
+    });
+
+    it('renders messages with parameters and translated lookups', () => {
+        const params = { name: 'Bob', role: 'imposter' };
+        assert.equal(translate('en', 'system.player-eliminated', params), 'Bob was eliminated! Role: imposter');
+        assert.equal(translate('de', 'system.player-eliminated', params), 'Bob wurde eliminiert! Rolle: Hochstapler');
+        assert.equal(translate('es', 'system.game-over', { winner: 'civilians' }), '¡Fin de la partida! ¡Ganan los civiles!');
+        assert.equal(translate('fr', 'system.tie-vote'), 'Tie vote! No one eliminated.');
+        assert.equal(translate('en', 'no.such-key'), 'no.such-key');
+    });
+
+    it('stores system messages as a key and parameters with English text', async () => {
+        const { gm, gameCode, creatorId } = await setup(3);
+        const { game } = gm.startGame(gameCode, creatorId);
+        const message = game.chatHistory.find(m => m.key === 'system.round-started');
+        assert.deepEqual(message.params, { round: 1, maxRounds: 5 });
+        assert.equal(message.message, 'Round 1 of 5 started!');
+        assert.ok(game.chatHistory.filter(m => m.type === 'system').every(m => MESSAGES.en[m.key]));
+    });
+
+    it('deals words in the room language', async () => {
+        const { gm, gameCode, creatorId } = await setup(3);
+        const { game } = startWithSettings(gm, gameCode, creatorId, { locale: 'es' });
+        const civilian = game.players.find(p => p.role === 'civilian');
+        assert.ok(wordPairs.some(p => p.es[0] === civilian.word));
+    });
+
+    it('rejects an unsupported room language', async () => {
+        const { gm, gameCode, creatorId } = await setup(3);
+        assert.match(gm.updateSettings(gameCode, creatorId, { locale: 'fr' }).error, /Language/);
+    });
+
+    it('accepts a guess without accents', async () => {
+        const { gm, gameCode, creatorId } = await setup(5);
+        let { game } = startWithSettings(gm, gameCode, creatorId, { blankCount: 1 });
+        game.wordPair = { civilian: 'Café', imposter: 'Té' };
+        game = completeDescriptions(gm, gameCode, game);
+        const blank = game.players.find(p => p.role === 'blank');
+        for (const p of game.players) gm.submitVote(gameCode, p.id, blank.id);
+        assert.equal(gm.submitGuess(gameCode, blank.id, 'cafe').winner, 'blank');
+    });
+});
+
+describe('persistence', () => {
+    it('snapshots a game after every change', async () => {
+        const store = new MemoryGameStore();
+        const { gm, gameCode, creatorId } = await setup(3, () => {}, { store });
+        assert.equal(store.loadAll()[0].players.length, 3);
+
+        gm.startGame(gameCode, creatorId);
+        const [snapshot] = store.loadAll();
+        assert.equal(snapshot.status, 'playing');
+        assert.equal(snapshot.currentRound, 1);
+        assert.ok(snapshot.players.every(p => p.role));
+    });
+
+    it('restores games into a new manager that players can rejoin', async () => {
+        const store = new MemoryGameStore();
+        const { gm, gameCode, creatorId, playerIds } = await setup(3, () => {}, { store });
+        let { game } = gm.startGame(gameCode, creatorId);
+        gm.submitDescription(gameCode, game.turnOrder[0], 'hint');
+
+        const restarted = new GameManager(() => {}, { store });
+        assert.equal(restarted.restoreGames(), 1);
+        game = restarted.games.get(gameCode);
+        assert.equal(game.currentTurnIndex, 1);
+        assert.ok(restarted.cluster.hasTimer(`delete:${gameCode}`));
+
+        const rejoin = await restarted.joinGame(gameCode, 'new-socket', 'Bob', playerIds[1]);
+        assert.equal(rejoin.playerId, playerIds[1]);
+        assert.equal(restarted.getPlayerId('new-socket'), playerIds[1]);
+        assert.ok(!restarted.cluster.hasTimer(`delete:${gameCode}`));
+    });
+
+    it('marks restored members disconnected until they rejoin', async () => {
+        const store = new MemoryGameStore();
+        const { gm, gameCode, playerIds } = await setup(3, () => {}, { store });
+        const { playerId: spectatorId } = await gm.joinGame(gameCode, 's9', 'TV', null, true);
+
+        const restarted = new GameManager(() => {}, { store });
+        restarted.restoreGames();
+        const game = restarted.games.get(gameCode);
+        assert.ok([...game.players, ...game.spectators].every(m => m.status === 'disconnected'));
+        assert.equal(store.load(gameCode).players[0].status, 'disconnected');
+        for (const id of [...playerIds, spectatorId]) assert.ok(restarted.cluster.hasTimer(`disconnect:${gameCode}:${id}`));
+
+        await restarted.joinGame(gameCode, 'new-socket', 'Bob', playerIds[1]);
+        assert.equal(game.players[1].status, 'active');
+        restarted.expireLobbyDisconnect(gameCode, playerIds[2]);
+        restarted.expireSpectatorDisconnect(gameCode, spectatorId);
+        assert.deepEqual(game.players.map(p => p.id), playerIds.slice(0, 2));
+        assert.equal(game.spectators.length, 0);
+    });
+
+    it('restores the chat of players and spectators', async () => {
+        const store = new MemoryGameStore();
+        const { gm, gameCode } = await setup(3, () => {}, { store });
+        await gm.joinGame(gameCode, 's9', 'TV', null, true);
+        const game = gm.getGame(gameCode);
+        gm.sendChat(game, game.players[1], 'ready?');
+        gm.sendChat(game, game.spectators[0], 'popcorn');
+
+        const restarted = new GameManager(() => {}, { store });
+        restarted.restoreGames();
+        const chat = restarted.games.get(gameCode).chatHistory.filter(m => m.type !== 'system');
+        assert.deepEqual(chat.map(m => [m.sender, m.message, m.type]), [['Bob', 'ready?', 'player'], ['TV', 'popcorn', 'spectator']]);
+    });
+
+    it('re-arms a phase deadline that passed while the server was down', async () => {
+        const store = new MemoryGameStore();
+        const updates = [];
+        const { gm, gameCode, creatorId } = await setup(3, () => {}, { store });
+        const { game } = gm.startGame(gameCode, creatorId);
+        gm.clearPhaseTimer(game);
+        game.descriptionEndTime = Date.now() - 1000;
+        gm.saveGame(game);
+
+        const restarted = new GameManager((code, g, result) => updates.push(result), { store });
+        restarted.restoreGames();
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        assert.equal(restarted.games.get(gameCode).currentTurnIndex, 1);
+        assert.equal(updates[0].event, 'turn-update');
+    });
+
+    it('reschedules the next round for a game on its results screen', async () => {
+        const store = new MemoryGameStore();
+        const { gm, gameCode, creatorId } = await setup(4, () => {}, { store });
+        let { game } = gm.startGame(gameCode, creatorId);
+        game = completeDescriptions(gm, gameCode, game);
+        for (const p of game.players) gm.submitVote(gameCode, p.id, 'none');
+        assert.equal(game.gamePhase, 'results');
+        assert.ok(game.resultsEndTime > Date.now());
+        assert.ok(gm.hasPhaseTimer(gameCode));
+        gm.clearPhaseTimer(game);
+        game.resultsEndTime = Date.now() - 1000;
+        gm.saveGame(game);
+
+        const updates = [];
+        const restarted = new GameManager((code, g, result) => updates.push(result), { store });
+        restarted.restoreGames();
+        assert.ok(restarted.hasPhaseTimer(gameCode));
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        assert.equal(updates[0].event, 'round-started');
+        assert.equal(restarted.games.get(gameCode).currentRound, 2);
+    });
+
+    it('keeps one JSON file per game in a directory', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spy-store-'));
+        try {
+            const store = new FileGameStore(dir);
+            const { gameCode } = await setup(3, () => {}, { store });
+            fs.writeFileSync(path.join(dir, 'BROKEN.json'), '{ not json');
+
+            const restarted = new GameManager(() => {}, { store: new FileGameStore(dir) });
+            assert.equal(restarted.restoreGames(), 1);
+            assert.equal(restarted.games.get(gameCode).players.length, 3);
+
+            store.delete(gameCode);
+            assert.ok(!fs.existsSync(path.join(dir, `${gameCode}.json`)));
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('multiple instances', () => {
+    // Two managers serving the same rooms through one in-process broker
+    function twoInstances(onUpdateA = () => {}, onUpdateB = () => {}) {
+        const broker = new LocalBroker();
+        const a = new GameManager(onUpdateA, { cluster: broker.connect() });
+        const b = new GameManager(onUpdateB, { cluster: broker.connect() });
+        return { broker, a, b };
+    }
+
+    it('shares games and pushes changes to the other instance', async () => {
+        const updatesA = [];
+        const { a, b } = twoInstances(code => updatesA.push(code));
+        const { gameCode, playerId: creatorId } = await a.createGame('s0', 'Alice');
+
+        await b.joinGame(gameCode, 's1', 'Bob');
+        await b.joinGame(gameCode, 's2', 'Carol');
+        assert.deepEqual(updatesA, [gameCode, gameCode]);
+        assert.equal(a.getGame(gameCode).players.length, 3);
+
+        const { game } = a.startGame(gameCode, creatorId);
+        assert.equal(b.getGame(gameCode).currentRound, 1);
+        assert.equal(b.submitDescription(gameCode, game.turnOrder[0], 'hint').game.currentTurnIndex, 1);
+        assert.equal(a.getGame(gameCode).currentTurnIndex, 1);
+    });
+
+    it('fires a phase deadline on one instance only', async () => {
+        const results = [];
+        const { a, b } = twoInstances((code, g, result) => result && results.push('a'), (code, g, result) => result && results.push('b'));
+        const { gameCode, playerId: creatorId } = await a.createGame('s0', 'Alice');
+        await b.joinGame(gameCode, 's1', 'Bob');
+        await b.joinGame(gameCode, 's2', 'Carol');
+        const { game } = a.startGame(gameCode, creatorId);
+        a.clearPhaseTimer(game);
+        a.schedulePhaseTimeout(game, Date.now());
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        assert.deepEqual(results, ['a']);
+        assert.equal(b.getGame(gameCode).currentTurnIndex, 1);
+    });
+
+    it('hands timers to another instance when one leaves', async () => {
+        const { a, b } = twoInstances();
+        const { gameCode } = await a.createGame('s0', 'Alice');
+        a.cluster.setTimer(`delete:${gameCode}`, 0, { type: 'delete', gameCode });
+        a.cluster.close();
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        assert.equal(b.getGame(gameCode), undefined);
+        assert.equal(b.store.load(gameCode), null);
+    });
+
+    it('cancels a pending deletion when a player rejoins elsewhere', async () => {
+        const { a, b } = twoInstances();
+        const { gameCode, playerId } = await a.createGame('s0', 'Alice');
+        a.leaveGame('s0');
+        assert.ok(a.cluster.hasTimer(`delete:${gameCode}`));
+
+        assert.equal((await b.joinGame(gameCode, 's1', 'Alice', playerId)).playerId, playerId);
+        assert.ok(!a.cluster.hasTimer(`delete:${gameCode}`));
+    });
+
+    it('keeps a player connected who refreshed onto the other instance', async () => {
+        const { a, b } = twoInstances();
+        const { gameCode } = await a.createGame('s0', 'Alice');
+        const { playerId } = await b.joinGame(gameCode, 's1', 'Bob');
+
+        assert.equal((await a.joinGame(gameCode, 's2', 'Bob', playerId)).playerId, playerId);
+        b.leaveGame('s1');
+        assert.equal(a.getGame(gameCode).players.find(p => p.id === playerId).status, 'active');
+        assert.ok(!a.cluster.hasTimer(`disconnect:${gameCode}:${playerId}`));
+
+        a.leaveGame('s2');
+        assert.equal(b.getGame(gameCode).players.find(p => p.id === playerId).status, 'disconnected');
+    });
+
+    it('keeps chat when the other instance saves the game', async () => {
+        const { a, b } = twoInstances();
+        const { gameCode, playerId } = await a.createGame('s0', 'Alice');
+        await b.joinGame(gameCode, 's1', 'Bob');
+        const game = a.getGame(gameCode);
+
+        const sent = a.sendChat(game, game.players.find(p => p.id === playerId), 'hi all');
+        assert.deepEqual({ sender: sent.sender, message: sent.message, type: sent.type }, { sender: 'Alice', message: 'hi all', type: 'player' });
+        await b.joinGame(gameCode, 's2', 'Carol');
+        const chat = gm => gm.getGame(gameCode).chatHistory.filter(m => m.type === 'player').map(m => m.message);
+        assert.deepEqual(chat(a), ['hi all']);
+        assert.deepEqual(chat(b), ['hi all']);
+    });
+});
+
+describe('cleanup', () => {
+    const HOUR = 60 * 60 * 1000;
+
+    it('removes rooms idle past the TTL for their status', async () => {
+        const { gm, gameCode: lobbyCode } = await setup(3);
+        const playing = await gm.createGame('s3', 'Dave');
+        await gm.joinGame(playing.gameCode, 's4', 'Eve');
+        await gm.joinGame(playing.gameCode, 's5', 'Frank');
+        gm.startGame(playing.gameCode, playing.playerId);
+        const ended = await gm.createGame('s6', 'Grace');
+        gm.getGame(ended.gameCode).status = 'ended';
+        ['s0', 's1', 's2', 's3', 's4', 's5', 's6'].forEach(socketId => gm.leaveGame(socketId));
+
+        // Past the lobby TTL (1h) but not the playing one (2h)
+        const report = gm.cleanupGames(Date.now() + HOUR + 1000);
+        assert.deepEqual(report.games.sort(), [lobbyCode, ended.gameCode].sort());
+        assert.equal(gm.getGame(lobbyCode), undefined);
+        assert.equal(gm.store.load(lobbyCode), null);
+        assert.equal(gm.getGame(playing.gameCode).status, 'playing');
+
+        assert.deepEqual(gm.cleanupGames(Date.now() + 3 * HOUR).games, [playing.gameCode]);
+        assert.ok(!gm.hasPhaseTimer(playing.gameCode));
+    });
+
+    it('keeps idle rooms while someone is still connected', async () => {
+        const { gm, gameCode } = await setup(3);
+        gm.leaveGame('s0');
+        gm.leaveGame('s1');
+        assert.deepEqual(gm.cleanupGames(Date.now() + 3 * HOUR).games, []);
+        assert.ok(gm.getGame(gameCode));
+
+        gm.leaveGame('s2');
+        assert.deepEqual(gm.cleanupGames(Date.now() + 3 * HOUR).games, [gameCode]);
+    });
+
+    it('keeps rooms that are still in use', async () => {
+        const { gm, gameCode, creatorId } = await setup(3);
+        gm.updateSettings(gameCode, creatorId, { maxRounds: 4 });
+        const report = gm.cleanupGames(Date.now() + HOUR - 1000);
+        assert.deepEqual(report, { games: [], sessions: 0, timers: [] });
+        assert.ok(gm.getGame(gameCode));
+    });
+
+    it('counts chat as activity', async () => {
+        const { gm, gameCode } = await setup(3);
+        const game = gm.getGame(gameCode);
+        game.lastActivityAt = Date.now() - HOUR - 1000;
+        gm.sendChat(game, game.players[0], 'anyone still here?');
+
+        assert.deepEqual(gm.cleanupGames(Date.now() + HOUR - 1000).games, []);
+        assert.ok(gm.getGame(gameCode));
+    });
+
+    it('prunes sessions of removed rooms and players', async () => {
+        const { gm, gameCode, playerIds } = await setup(3);
+        const game = gm.getGame(gameCode);
+        game.players = game.players.filter(p => p.id !== playerIds[2]);
+        assert.equal(gm.cleanupGames().sessions, 1);
+        assert.equal(gm.getPlayerId('s2'), null);
+
+        gm.deleteGame(gameCode);
+        assert.equal(gm.cleanupGames().sessions, 2);
+        assert.equal(gm.playerSessions.size, 0);
+    });
+
+    it('clears timers left behind by games, phases and players that are gone', async () => {
+        const { gm, gameCode, playerIds } = await setup(3);
+        gm.cluster.setTimer('phase:GONE00', 60000, { type: 'phase', gameCode: 'GONE00' });
+        gm.cluster.setTimer(`phase:${gameCode}`, 60000, { type: 'phase', gameCode });
+        gm.cluster.setTimer(`disconnect:${gameCode}:${playerIds[1]}`, 60000, { type: 'lobby-disconnect', gameCode, playerId: playerIds[1] });
+        gm.leaveGame('s2');
+
+        const { timers } = gm.cleanupGames();
+        assert.deepEqual(timers.sort(), ['phase:GONE00', `phase:${gameCode}`, `disconnect:${gameCode}:${playerIds[1]}`].sort());
+        assert.ok(gm.cluster.hasTimer(`disconnect:${gameCode}:${playerIds[2]}`));
+    });
 });
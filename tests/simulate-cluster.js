@@ -0,0 +1,286 @@
+'use strict';
+
+/**
+ * Two game servers sharing rooms through one in-process broker, with the players of
+ * each game split across both of them.
+ *
+ * Usage:
+ *   npm run simulate:cluster                            # all scenarios
+ *   SCENARIO=shared-room npm run simulate:cluster
+ *   SCENARIO=next-round npm run simulate:cluster       # waits ~5s for round 2
+ *   SCENARIO=instance-down npm run simulate:cluster    # waits ~5s for round 2
+ *   SCENARIO=refresh-elsewhere npm run simulate:cluster
+ *   PORT=3400 npm run simulate:cluster                 # uses ports 3400 and 3401
+ */
+
+const { io } = require('socket.io-client');
+const { startServer } = require('../src/server');
+const { LocalBroker } = require('../src/cluster');
+
+const BASE_PORT = Number(process.env.PORT || 3300);
+const SCENARIO  = process.env.SCENARIO || 'all';
+
+const delay = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function assert(condition, message) {
+    if (!condition) throw new Error(`Assertion failed: ${message}`);
+}
+
+function waitForEvent(socket, event, timeout = 5000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(
+            () => reject(new Error(`Timeout waiting for "${event}"`)),
+            timeout
+        );
+        socket.once(event, (data) => { clearTimeout(timer); resolve(data); });
+    });
+}
+
+function waitForGameState(socket, predicate, timeout = 8000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(
+            () => reject(new Error('waitForGameState timeout')),
+            timeout
+        );
+        const onUpdate = (game) => {
+            if (predicate(game)) {
+                clearTimeout(timer);
+                socket.off('game-state-update', onUpdate);
+                resolve(game);
+            }
+        };
+        socket.on('game-state-update', onUpdate);
+    });
+}
+
+// ---------------------------------------------------------------------------
+// Cluster and clients
+// ---------------------------------------------------------------------------
+
+/** Two servers on consecutive ports, connected to the same broker. */
+function startCluster(offset) {
+    const broker = new LocalBroker();
+    const ports = [BASE_PORT + offset, BASE_PORT + offset + 1];
+    const instances = ports.map((port) => startServer({ port, cluster: broker.connect() }));
+    return { broker, ports, instances };
+}
+
+function stopCluster(cluster) {
+    cluster.instances.forEach((instance) => instance.close());
+}
+
+async function createClient(name, port) {
+    const socket = io(`http://localhost:${port}`, { transports: ['websocket'] });
+    await waitForEvent(socket, 'connect');
+    const player = { name, port, socket, playerId: null, gameState: null, chat: [] };
+    socket.on('game-state-update', (g) => { player.gameState = g; });
+    socket.on('game-started', (g) => { player.gameState = g; });
+    socket.on('chat-message', (m) => player.chat.push(m));
+    socket.on('error', (err) => console.log(`  [${name}] server error: ${err.message}`));
+    return player;
+}
+
+/** Players alternate between the two instances, starting with the host on the first. */
+async function createClients(names, ports) {
+    return Promise.all(names.map((name, i) => createClient(name, ports[i % 2])));
+}
+
+async function setupGame(players) {
+    const [host, ...guests] = players;
+    host.socket.emit('create-game', { playerName: host.name });
+    const { gameCode, playerId } = await waitForEvent(host.socket, 'game-created');
+    host.playerId = playerId;
+
+    for (const p of guests) {
+        p.socket.emit('join-game', { gameCode, playerName: p.name });
+        const joined = await waitForEvent(p.socket, 'game-joined');
+        p.playerId = joined.playerId;
+    }
+    return gameCode;
+}
+
+async function startGame(players, gameCode) {
+    const started = Promise.all(players.map((p) => waitForEvent(p.socket, 'game-started')));
+    players[0].socket.emit('start-game', { gameCode });
+    return (await started)[0];
+}
+
+async function runDescriptions(players, gameCode, game, watcher = players[0]) {
+    const votingReady = waitForGameState(watcher.socket, (g) => g.gamePhase === 'voting');
+    for (const playerId of [...game.turnOrder]) {
+        const p = players.find((s) => s.playerId === playerId);
+        p.socket.emit('submit-description', { gameCode, description: `clue from ${p.name}` });
+        await delay(150);
+    }
+    return votingReady;
+}
+
+async function runVotes(players, gameCode, targetId, watcher = players[0]) {
+    const resultsReady = waitForGameState(
+        watcher.socket,
+        (g) => g.gamePhase === 'results' || g.gamePhase === 'ended'
+    );
+    for (const p of players) {
+        p.socket.emit('submit-vote', { gameCode, votedPlayerId: targetId });
+        await delay(100);
+    }
+    return resultsReady;
+}
+
+function findByRole(players, role) {
+    for (const sp of players) {
+        const me = sp.gameState?.players.find((p) => p.id === sp.playerId);
+        if (me && me.role === role) return me;
+    }
+    return null;
+}
+
+function disconnectAll(players) {
+    players.forEach((p) => { if (p.socket.connected) p.socket.disconnect(); });
+}
+
+// ---------------------------------------------------------------------------
+// Scenarios
+// ---------------------------------------------------------------------------
+
+async function sharedRoom() {
+    console.log('\n[shared-room] One game played by players on both instances');
+    const cluster = startCluster(0);
+    const players = await createClients(['Alice', 'Bob', 'Carol', 'Dave'], cluster.ports);
+    try {
+        const gameCode = await setupGame(players);
+        let game = await startGame(players, gameCode);
+        assert(players.every((p) => p.gameState.currentRound === 1), 'every client should see round 1');
+
+        const imposter = findByRole(players, 'imposter');
+        game = await runDescriptions(players, gameCode, game);
+        await delay(100);
+        assert(players.every((p) => p.chat.filter((m) => m.type === 'description').length === 4),
+            'every client should see all four clues');
+
+        game = await runVotes(players, gameCode, imposter.id, players[1]);
+        assert(game.status === 'ended', 'game should end on the other instance too');
+        assert(game.lastRoundResult.winner === 'civilians', 'winner should be civilians');
+        console.log(`  ✓ ${players.length} players on ports ${cluster.ports.join(' and ')} finished game ${gameCode}`);
+    } finally {
+        disconnectAll(players);
+        stopCluster(cluster);
+    }
+}
+
+async function nextRound() {
+    console.log('\n[next-round] The results timer starts round 2 for both instances');
+    const cluster = startCluster(2);
+    const players = await createClients(['Alice', 'Bob', 'Carol', 'Dave'], cluster.ports);
+    try {
+        const gameCode = await setupGame(players);
+        let game = await startGame(players, gameCode);
+        game = await runDescriptions(players, gameCode, game);
+
+        const round2 = Promise.all(players.map((p) => waitForGameState(p.socket, (g) => g.currentRound === 2, 10000)));
+        game = await runVotes(players, gameCode, 'none');
+        assert(game.gamePhase === 'results', 'round should go to results');
+        await round2;
+        console.log('  ✓ every client reached round 2');
+    } finally {
+        disconnectAll(players);
+        stopCluster(cluster);
+    }
+}
+
+async function instanceDown() {
+    console.log('\n[instance-down] Timers move to the remaining instance when one shuts down');
+    const cluster = startCluster(4);
+    const players = await createClients(['Alice', 'Bob', 'Carol', 'Dave'], cluster.ports);
+    try {
+        const gameCode = await setupGame(players);
+        let game = await startGame(players, gameCode);
+        game = await runDescriptions(players, gameCode, game);
+
+        // The last vote goes through the first instance, so it owns the results timer
+        const [onFirst, onSecond] = [players.filter((p) => p.port === cluster.ports[0]), players.filter((p) => p.port === cluster.ports[1])];
+        await runVotes([...onSecond, ...onFirst], gameCode, 'none', onSecond[0]);
+
+        disconnectAll(onFirst);
+        cluster.instances[0].close();
+        const round2 = waitForGameState(onSecond[0].socket, (g) => g.currentRound === 2, 10000);
+        await round2;
+        console.log('  ✓ round 2 started from the remaining instance');
+    } finally {
+        disconnectAll(players);
+        stopCluster(cluster);
+    }
+}
+
+async function refreshElsewhere() {
+    console.log('\n[refresh-elsewhere] A refresh that lands on the other instance keeps the player connected');
+    const cluster = startCluster(6);
+    const players = await createClients(['Alice', 'Bob', 'Carol'], cluster.ports);
+    let refreshed = null;
+    try {
+        const gameCode = await setupGame(players);
+        const bob = players[1];
+        assert(bob.port === cluster.ports[1], 'Bob should start on the second instance');
+
+        // The new page connects before the old socket closes, as a browser refresh can
+        refreshed = await createClient('Bob', cluster.ports[0]);
+        refreshed.socket.emit('join-game', { gameCode, playerName: 'Bob', previousPlayerId: bob.playerId });
+        assert((await waitForEvent(refreshed.socket, 'game-joined')).playerId === bob.playerId, 'Bob should rejoin as the same player');
+        bob.socket.disconnect();
+        await delay(300);
+
+        // A wrongly disconnected Bob would reach the host through the broker by now
+        const status = players[0].gameState.players.find((p) => p.id === bob.playerId).status;
+        assert(status === 'active', `Bob should still be active, not ${status}`);
+        console.log('  ✓ Bob stayed active after moving to the first instance');
+    } finally {
+        disconnectAll(refreshed ? [...players, refreshed] : players);
+        stopCluster(cluster);
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Runner
+// ---------------------------------------------------------------------------
+
+const SCENARIOS = {
+    'shared-room':       sharedRoom,
+    'next-round':        nextRound,
+    'instance-down':     instanceDown,
+    'refresh-elsewhere': refreshElsewhere,
+};
+
+async function main() {
+    if (SCENARIO !== 'all' && !SCENARIOS[SCENARIO]) {
+        console.error(`Unknown scenario "${SCENARIO}". Available: ${Object.keys(SCENARIOS).join(', ')}, all`);
+        process.exit(1);
+    }
+
+    const toRun = SCENARIO === 'all' ? Object.keys(SCENARIOS) : [SCENARIO];
+    const results = [];
+
+    for (const name of toRun) {
+        try {
+            await SCENARIOS[name]();
+            results.push({ name, passed: true });
+        } catch (err) {
+            console.log(`  ✗ FAILED: ${err.message}`);
+            results.push({ name, passed: false, error: err.message });
+        }
+        await delay(300);
+    }
+
+    console.log('\n--- Cluster Simulation Results ---');
+    for (const r of results) {
+        console.log(`  ${r.passed ? '✓' : '✗'} ${r.name}${r.passed ? '' : ` — ${r.error}`}`);
+    }
+
+    const failed = results.filter((r) => !r.passed).length;
+    console.log(`\n${results.length - failed}/${results.length} scenarios passed`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch((err) => {
+    console.error('Fatal:', err.message);
+    process.exit(1);
+});
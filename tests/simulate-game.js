@@ -12,6 +12,15 @@
  *   SCENARIO=reconnect npm run simulate
  *   SCENARIO=duplicate-refresh npm run simulate
  *   SCENARIO=simultaneous-renames npm run simulate
+ *   SCENARIO=spectator npm run simulate
+ *   SCENARIO=moderation npm run simulate
+ *   SCENARIO=private-room npm run simulate
+ *   SCENARIO=room-browser npm run simulate
+ *   SCENARIO=bots npm run simulate            # bots wait ~1.5s per move
+ *   SCENARIO=bot-passes npm run simulate      # 3-5 games, up to a minute
+ *   SCENARIO=game-log npm run simulate
+ *   SCENARIO=validation npm run simulate
+ *   SCENARIO=clue-rules npm run simulate
  *   SERVER_URL=https://your-vps npm run simulate
  */
 
@@ -106,17 +115,32 @@ async function setupGame(players) {
 
 async function startGame(players, gameCode) {
     const host = players[0];
-    // Listen before emitting to avoid missing the event
-    const started = waitForEvent(host.socket, 'game-started');
+    // Listen before emitting to avoid missing the event. Every client gets its
+    // own view, so wait for all of them before reading roles.
+    const started = Promise.all(players.map((p) => waitForEvent(p.socket, 'game-started')));
     host.socket.emit('start-game', { gameCode });
-    return started;
+    return (await started)[0];
 }
 
 async function startNewGame(players, gameCode) {
     const host = players[0];
-    const started = waitForEvent(host.socket, 'game-started');
+    const started = Promise.all(players.map((p) => waitForEvent(p.socket, 'game-started')));
     host.socket.emit('start-new-game', { gameCode });
-    return started;
+    return (await started)[0];
+}
+
+/** The server only tells each client its own role, so ask every client. */
+function findByRole(players, role) {
+    for (const sp of players) {
+        const me = sp.gameState?.players.find((p) => p.id === sp.playerId);
+        if (me && me.role === role) return me;
+    }
+    return null;
+}
+
+/** Own entry of a client in its latest game state. */
+function selfView(player) {
+    return player.gameState?.players.find((p) => p.id === player.playerId);
 }
 
 /** Drives the description phase in turn order. Resolves when voting begins. */
@@ -130,7 +154,7 @@ async function runDescriptions(players, gameCode, game) {
     for (const playerId of [...game.turnOrder]) {
         const p = players.find((s) => s.playerId === playerId);
         if (!p) continue;
-        p.socket.emit('submit-description', { gameCode, description: 'test clue' });
+        p.socket.emit('submit-description', { gameCode, description: 'test hint' });
         await delay(150);
     }
 
@@ -170,8 +194,8 @@ async function happyPath() {
     const gameCode = await setupGame(players);
     let game       = await startGame(players, gameCode);
 
-    const imposter = game.players.find((p) => p.role === 'imposter');
-    console.log(`  word pair: "${game.wordPair.civilian}" / "${game.wordPair.imposter}" | imposter: ${imposter.name}`);
+    const imposter = findByRole(players, 'imposter');
+    console.log(`  imposter: ${imposter.name}`);
 
     game = await runDescriptions(players, gameCode, game);
     game = await runVotes(players, gameCode, game, imposter.id);
@@ -188,8 +212,8 @@ async function imposterWins() {
     const gameCode = await setupGame(players);
     let game       = await startGame(players, gameCode);
 
-    const civilian = game.players.find((p) => p.role === 'civilian');
-    const imposter = game.players.find((p) => p.role === 'imposter');
+    const civilian = findByRole(players, 'civilian');
+    const imposter = findByRole(players, 'imposter');
     console.log(`  voting out civilian: ${civilian.name} | imposter is: ${imposter.name}`);
 
     game = await runDescriptions(players, gameCode, game);
@@ -238,7 +262,7 @@ async function tieVote() {
 
     // --- Round 2: all vote for imposter ---
     game = await runDescriptions(players, gameCode, game);
-    const imposter = game.players.find((p) => p.role === 'imposter');
+    const imposter = findByRole(players, 'imposter');
     game = await runVotes(players, gameCode, game, imposter.id);
 
     assert(game.lastRoundResult.winner === 'civilians', 'civilians should win in round 2');
@@ -251,7 +275,7 @@ async function hostSkipGame() {
     const players  = await createClients(['Alice', 'Bob', 'Carol', 'Dave']);
     const gameCode = await setupGame(players);
     let game       = await startGame(players, gameCode);
-    const firstPair = game.wordPair;
+    const firstWord = selfView(players[0]).word;
 
     const firstTurn = players.find((p) => p.playerId === game.turnOrder[game.currentTurnIndex]);
     const clueLogged = waitForGameState(
@@ -266,14 +290,15 @@ async function hostSkipGame() {
     assert(game.status === 'playing', 'skipped game should keep room playing');
     assert(game.gamePhase === 'description', 'new game should start in description phase');
     assert(game.currentRound === 1, 'new game should reset to round 1');
+    assert(selfView(players[0]).word !== firstWord, 'new game should use a different word pair');
+    assert(!game.chatHistory.some((msg) => msg.message === 'already seen'), 'old clues should be cleared');
+    assert(players.every((p) => selfView(p)?.role && selfView(p)?.word), 'players should receive new roles and words');
     assert(
-        game.wordPair.civilian !== firstPair.civilian || game.wordPair.imposter !== firstPair.imposter,
-        'new game should use a different word pair'
+        game.players.filter((p) => p.id !== players[0].playerId).every((p) => p.role === null && p.word === null),
+        'other players\' roles and words should stay hidden'
     );
-    assert(!game.chatHistory.some((msg) => msg.message === 'already seen'), 'old clues should be cleared');
-    assert(game.players.every((p) => p.role && p.word), 'players should receive new roles and words');
 
-    console.log(`  ✓ new word pair: "${game.wordPair.civilian}" / "${game.wordPair.imposter}"`);
+    console.log(`  ✓ new word: "${selfView(players[0]).word}"`);
     disconnectAll(players);
 }
 
@@ -312,7 +337,7 @@ async function reconnect() {
 
     // Complete game normally
     game = await runDescriptions(players, gameCode, game);
-    const imposter = game.players.find((p) => p.role === 'imposter');
+    const imposter = findByRole(players, 'imposter');
     game = await runVotes(players, gameCode, game, imposter.id);
 
     assert(game.lastRoundResult.winner === 'civilians', 'civilians should win after reconnect');
@@ -457,6 +482,313 @@ async function simultaneousRenames() {
     disconnectAll(players);
 }
 
+async function spectator() {
+    console.log('\n[spectator] A TV watches the game, chats with spectators only and gets the god view');
+    const players  = await createClients(['Alice', 'Bob', 'Carol']);
+    const gameCode = await setupGame(players);
+
+    const tv = await createClient('TV');
+    tv.socket.emit('join-game', { gameCode, playerName: tv.name, spectate: true });
+    const joined = await waitForEvent(tv.socket, 'game-joined');
+    tv.playerId = joined.playerId;
+
+    const started = waitForEvent(tv.socket, 'game-started');
+    const game = await startGame(players, gameCode);
+    tv.gameState = await started;
+    assert(game.players.length === 3, 'spectator should not be dealt in');
+    assert(!game.turnOrder.includes(tv.playerId), 'spectator should not get a turn');
+    assert(tv.gameState.players.every((p) => p.role === null), 'spectator should not see roles yet');
+
+    // Spectator chat only reaches spectators
+    const heardByPlayer = [];
+    players[1].socket.on('chat-message', (m) => heardByPlayer.push(m));
+    const heard = waitForEvent(tv.socket, 'chat-message');
+    tv.socket.emit('send-chat', { gameCode, message: 'this is fun' });
+    assert((await heard).type === 'spectator', 'spectator should see their own channel');
+    await delay(200);
+    assert(heardByPlayer.length === 0, 'players should not see spectator chat');
+
+    const revealed = waitForGameState(tv.socket, (g) => g.godView);
+    players[0].socket.emit('set-god-view', { gameCode, enabled: true });
+    const tvView = await revealed;
+    assert(tvView.players.every((p) => p.role !== null), 'god view should show every role');
+    assert(tvView.wordPair, 'god view should show both words');
+    assert(!players[1].gameState.wordPair, 'players should still not see the words');
+
+    console.log('  ✓ spectator watched with its own chat and the god view');
+    disconnectAll([...players, tv]);
+}
+
+async function moderation() {
+    console.log('\n[moderation] The host bans a player, who is sent home and cannot come back');
+    const players  = await createClients(['Alice', 'Bob', 'Carol', 'Dave']);
+    const gameCode = await setupGame(players);
+    const [host, , , dave] = players;
+
+    const removed = waitForEvent(dave.socket, 'player-removed');
+    const updated = waitForGameState(host.socket, (g) => g.players.length === 3);
+    host.socket.emit('ban-player', { gameCode, playerId: dave.playerId });
+    assert((await removed).banned === true, 'banned player should be told');
+    await updated;
+
+    const rejected = waitForEvent(dave.socket, 'error');
+    dave.socket.emit('join-game', { gameCode, playerName: dave.name, previousPlayerId: dave.playerId });
+    assert(/banned/.test((await rejected).message), 'banned player should not get back in');
+
+    const locked = waitForGameState(host.socket, (g) => g.locked);
+    host.socket.emit('lock-room', { gameCode, locked: true });
+    await locked;
+    const newcomer = await createClient('Eve');
+    const refused = waitForEvent(newcomer.socket, 'error');
+    newcomer.socket.emit('join-game', { gameCode, playerName: newcomer.name });
+    assert(/locked/.test((await refused).message), 'locked room should refuse newcomers');
+
+    const handedOver = waitForGameState(players[1].socket, (g) => g.creatorId === players[1].playerId);
+    host.socket.emit('transfer-host', { gameCode, playerId: players[1].playerId });
+    await handedOver;
+
+    console.log('  ✓ ban, lock and host handover all applied');
+    disconnectAll([...players, newcomer]);
+}
+
+async function privateRoom() {
+    console.log('\n[private-room] New players need the password, reconnecting ones do not');
+    const [host, guest] = await createClients(['Alice', 'Bob']);
+    host.socket.emit('create-game', { playerName: host.name, password: 'open sesame' });
+    const { gameCode, playerId } = await waitForEvent(host.socket, 'game-created');
+    host.playerId = playerId;
+
+    const refused = waitForEvent(guest.socket, 'error');
+    guest.socket.emit('join-game', { gameCode, playerName: guest.name });
+    const error = await refused;
+    assert(error.passwordRequired === true, 'join without the password should ask for it');
+
+    guest.socket.emit('join-game', { gameCode, playerName: guest.name, password: 'open sesame' });
+    const joined = await waitForEvent(guest.socket, 'game-joined');
+    assert(joined.gameState.hasPassword && !joined.gameState.password, 'view should not carry the password');
+
+    guest.socket.disconnect();
+    const back = await createClient('Bob');
+    back.socket.emit('join-game', { gameCode, playerName: back.name, previousPlayerId: joined.playerId });
+    assert((await waitForEvent(back.socket, 'game-joined')).playerId === joined.playerId, 'member should reconnect freely');
+
+    console.log('  ✓ password asked of new players only');
+    disconnectAll([host, guest, back]);
+}
+
+async function roomBrowser() {
+    console.log('\n[room-browser] A public lobby shows up in /rooms and on the live room list');
+    const players  = await createClients(['Alice', 'Bob', 'Carol']);
+    const gameCode = await setupGame(players);
+    const browser  = await createClient('Browser');
+
+    browser.socket.emit('watch-rooms');
+    const initial = await waitForEvent(browser.socket, 'room-list');
+    assert(!initial.rooms.some((r) => r.gameCode === gameCode), 'private room should not be listed');
+
+    const listed = new Promise((resolve) => {
+        browser.socket.on('room-list', ({ rooms }) => {
+            const room = rooms.find((r) => r.gameCode === gameCode);
+            if (room) resolve(room);
+        });
+    });
+    players[0].socket.emit('set-room-public', { gameCode, isPublic: true });
+    const room = await listed;
+    assert(room.hostName === 'Alice' && room.playerCount === 3, 'listing should show host and player count');
+
+    const { rooms } = await (await fetch(`${SERVER_URL}/rooms`)).json();
+    assert(rooms.some((r) => r.gameCode === gameCode && r.status === 'lobby'), '/rooms should list the lobby');
+
+    console.log('  ✓ public room listed over REST and live');
+    disconnectAll([...players, browser]);
+}
+
+async function botPlayers() {
+    console.log('\n[bots] The host fills the room with bots, which give clues and vote on their own');
+    const [host] = await createClients(['Alice']);
+    const gameCode = await setupGame([host]);
+
+    const filled = waitForGameState(host.socket, (g) => g.players.filter((p) => p.isBot).length === 2);
+    host.socket.emit('add-bot', { gameCode, level: 'easy' });
+    host.socket.emit('add-bot', { gameCode, level: 'hard' });
+    await filled;
+
+    const botClues = [];
+    host.socket.on('chat-message', (m) => {
+        if (m.type === 'description' && m.sender.startsWith('Bot')) botClues.push(m.message);
+    });
+
+    // The host still plays their own turn and vote, once per round
+    const acted = new Set();
+    const act = (g) => {
+        const key = `${g.currentRound}:${g.gamePhase}`;
+        if (acted.has(key)) return;
+        if (g.gamePhase === 'description' && g.turnOrder[g.currentTurnIndex] === host.playerId) {
+            acted.add(key);
+            host.socket.emit('submit-description', { gameCode, description: 'hmm' });
+        } else if (g.gamePhase === 'voting' && g.players.find((p) => p.id === host.playerId).status === 'active') {
+            acted.add(key);
+            host.socket.emit('submit-vote', { gameCode, votedPlayerId: 'none' });
+        }
+    };
+    host.socket.on('game-state-update', act);
+
+    const voted = waitForGameState(host.socket, (g) => ['guess', 'results', 'ended'].includes(g.gamePhase), 20000);
+    act(await startGame([host], gameCode));
+    await voted;
+    assert(botClues.length === 2, `both bots should give a clue (got ${botClues.length})`);
+    assert(botClues.every((c) => /^\S+$/.test(c)), 'bot clues should be one word');
+
+    console.log(`  ✓ bots said ${botClues.join(', ')} and voted`);
+    disconnectAll([host]);
+}
+
+async function botPasses() {
+    console.log('\n[bot-passes] Bots with no allowed clue pass every turn, across rounds and games that use up the deck');
+    const [host] = await createClients(['Alice']);
+    const gameCode = await setupGame([host]);
+
+    // Two pairs without clue lists, and every generic clue blocked: bots have nothing left to say
+    const ready = waitForGameState(host.socket, (g) => g.players.filter((p) => p.isBot).length === 2 && g.settings.clueRules.blocklist.length > 0);
+    host.socket.emit('set-word-pack', { gameCode, pack: 'zorp,blit\nquax,frob' });
+    host.socket.emit('update-settings', { gameCode, settings: {
+        maxRounds: 2,
+        resultsDelayMs: 1000,
+        clueRules: { blocklist: ['interesting', 'common', 'useful', 'familiar', 'popular', 'everyday', 'classic', 'special'] },
+    } });
+    host.socket.emit('add-bot', { gameCode, level: 'easy' });
+    host.socket.emit('add-bot', { gameCode, level: 'hard' });
+    await ready;
+
+    let gameNumber = 0;
+    const botTurns = new Map(); // game:round -> bots in the turn order
+    const botClues = [];
+    const passes = new Set(); // System messages only arrive with the chat history of a state
+    host.socket.on('chat-message', (m) => {
+        if (m.type === 'description' && m.sender.startsWith('Bot')) botClues.push(m.message);
+    });
+
+    // The host plays their own turn and vote, once per round of each game
+    const acted = new Set();
+    const act = (g) => {
+        const botIds = new Set(g.players.filter((p) => p.isBot).map((p) => p.id));
+        g.chatHistory
+            .filter((m) => m.key === 'system.turn-passed')
+            .forEach((m) => passes.add(`${m.timestamp}:${m.params.name}`));
+        if (g.gamePhase === 'description') {
+            botTurns.set(`${gameNumber}:${g.currentRound}`, g.turnOrder.filter((id) => botIds.has(id)).length);
+        }
+        const key = `${gameNumber}:${g.currentRound}:${g.gamePhase}`;
+        if (acted.has(key)) return;
+        if (g.gamePhase === 'description' && g.turnOrder[g.currentTurnIndex] === host.playerId) {
+            acted.add(key);
+            host.socket.emit('submit-description', { gameCode, description: 'hmm' });
+        } else if (g.gamePhase === 'voting' && g.players.find((p) => p.id === host.playerId).status === 'active') {
+            acted.add(key);
+            host.socket.emit('submit-vote', { gameCode, votedPlayerId: 'none' });
+        }
+    };
+    host.socket.on('game-state-update', act);
+
+    // Whether a game lasts one round or two is up to the bots' votes, so play on until one went the distance
+    const pairs = [];
+    let longestGame = 0;
+    while (pairs.length < 3 || (longestGame < 2 && pairs.length < 5)) {
+        const ended = waitForGameState(host.socket, (g) => g.status === 'ended', 30000);
+        gameNumber++;
+        act(gameNumber === 1 ? await startGame([host], gameCode) : await startNewGame([host], gameCode));
+        const game = await ended;
+        pairs.push(`${game.lastRoundResult.civilianWord}/${game.lastRoundResult.imposterWord}`);
+        longestGame = Math.max(longestGame, game.currentRound);
+    }
+    await delay(200);
+
+    const expectedPasses = Array.from(botTurns.values()).reduce((sum, n) => sum + n, 0);
+    assert(botClues.length === 0, `bots should have no clue to give (got ${botClues.join(', ')})`);
+    assert(passes.size === expectedPasses, `every bot turn should pass (${passes.size} of ${expectedPasses})`);
+    assert(longestGame === 2, 'a game should have gone to a second round');
+    assert(new Set(pairs.slice(0, 2)).size === 2, `the first two games should use both pairs (${pairs.join(', ')})`);
+    assert(pairs[2] !== pairs[1], `the reshuffled deck should not repeat the last pair (${pairs.join(', ')})`);
+
+    console.log(`  ✓ ${passes.size} passes over ${botTurns.size} rounds of ${pairs.length} games: ${pairs.join(', ')}`);
+    disconnectAll([host]);
+}
+
+async function gameLog() {
+    console.log('\n[game-log] Only a finished game hands out its event log');
+    const players  = await createClients(['Alice', 'Bob', 'Carol']);
+    const gameCode = await setupGame(players);
+    let game       = await startGame(players, gameCode);
+    const [, bob]  = players;
+
+    const refused = waitForEvent(bob.socket, 'error');
+    bob.socket.emit('get-game-log', { gameCode });
+    assert(/once the game has ended/.test((await refused).message), 'log should stay hidden mid-game');
+
+    const imposter = findByRole(players, 'imposter');
+    game = await runDescriptions(players, gameCode, game);
+    await runVotes(players, gameCode, game, imposter.id);
+
+    const received = waitForEvent(bob.socket, 'game-log');
+    bob.socket.emit('get-game-log', { gameCode });
+    const log = await received;
+    assert(log.format === 'whos-the-spy-game-log' && log.winner === 'civilians', 'log should describe the game');
+    assert(log.events.filter((e) => e.type === 'vote').length === 3, 'log should hold every vote');
+    assert(log.players.find((p) => p.id === imposter.id).role === 'imposter', 'log should reveal roles');
+
+    console.log(`  ✓ ${log.events.length} events exported`);
+    disconnectAll(players);
+}
+
+async function validation() {
+    console.log('\n[validation] Malformed payloads and bad votes come back as error codes');
+    const players  = await createClients(['Alice', 'Bob', 'Carol']);
+    const [alice, bob] = players;
+
+    const badName = waitForEvent(alice.socket, 'error');
+    alice.socket.emit('create-game', { playerName: { name: 'Alice' } });
+    const nameError = await badName;
+    assert(nameError.code === 'invalid-payload' && nameError.field === 'playerName', 'object name should be refused');
+
+    const noPayload = waitForEvent(alice.socket, 'error');
+    alice.socket.emit('send-chat');
+    assert((await noPayload).code === 'invalid-payload', 'missing payload should be refused');
+
+    const gameCode = await setupGame(players);
+    let game       = await startGame(players, gameCode);
+    game = await runDescriptions(players, gameCode, game);
+
+    const badVote = waitForEvent(bob.socket, 'error');
+    bob.socket.emit('submit-vote', { gameCode, votedPlayerId: 'not-a-player' });
+    assert((await badVote).code === 'invalid-vote-target', 'unknown vote target should be refused');
+
+    console.log('  ✓ invalid-payload and invalid-vote-target reported');
+    disconnectAll(players);
+}
+
+async function clueRules() {
+    console.log('\n[clue-rules] A clue that breaks the room rules is refused and the turn stays open');
+    const players  = await createClients(['Alice', 'Bob', 'Carol']);
+    const gameCode = await setupGame(players);
+    players[0].socket.emit('update-settings', { gameCode, settings: { clueRules: { maxWords: 1, blocklist: ['banana'] } } });
+    await waitForGameState(players[0].socket, (g) => g.settings.clueRules.maxWords === 1);
+    const game  = await startGame(players, gameCode);
+    const first = players.find((p) => p.playerId === game.turnOrder[0]);
+
+    for (const [description, code] of [['two words', 'clue-too-long'], ['bananas', 'clue-blocked']]) {
+        const refused = waitForEvent(first.socket, 'error');
+        first.socket.emit('submit-description', { gameCode, description });
+        assert((await refused).code === code, `"${description}" should be refused with ${code}`);
+    }
+
+    const accepted = waitForGameState(first.socket, (g) => g.currentTurnIndex === 1);
+    first.socket.emit('submit-description', { gameCode, description: 'plonk' });
+    await accepted;
+
+    console.log('  ✓ clue-too-long and clue-blocked reported, retry accepted');
+    disconnectAll(players);
+}
+
 // ---------------------------------------------------------------------------
 // Runner
 // ---------------------------------------------------------------------------
@@ -470,6 +802,15 @@ const SCENARIOS = {
     'mobile-suspend': mobileSuspend,
     'duplicate-refresh': duplicateRefresh,
     'simultaneous-renames': simultaneousRenames,
+    'spectator':     spectator,
+    'moderation':    moderation,
+    'private-room':  privateRoom,
+    'room-browser':  roomBrowser,
+    'bots':          botPlayers,
+    'bot-passes':    botPasses,
+    'game-log':      gameLog,
+    'validation':    validation,
+    'clue-rules':    clueRules,
 };
 
 async function main() {